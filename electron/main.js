@@ -114,9 +114,47 @@ async function startServer() {
         OPENAI_API_KEY: settings.openai.apiKey,
         GPT_MODEL: settings.openai.model || 'gpt-3.5-turbo',
         WHISPER_MODEL: settings.openai.whisperModel,
+        OPENAI_BASE_URL: settings.openai.baseURL || '',
+        OPENAI_ORGANIZATION: settings.openai.organization || '',
+        OPENAI_API_VERSION: settings.openai.apiVersion || '',
+        OPENAI_EXTRA_HEADERS: settings.openai.headers || '',
+        OPENAI_TRANSCRIPTION_TIMEOUT: (settings.openai.timeouts?.transcription || 30000).toString(),
+        OPENAI_SUGGESTION_TIMEOUT: (settings.openai.timeouts?.suggestions || 20000).toString(),
+        OPENAI_SUMMARY_TIMEOUT: (settings.openai.timeouts?.summary || 60000).toString(),
+        // Suggestion model (the OpenAI tab's temperature / max tokens apply to every provider)
+        LLM_PROVIDER: settings.llm?.provider || 'openai',
+        LLM_STREAM: (settings.llm?.stream !== false).toString(),
+        RESOURCE_ALLOWED_DOMAINS: (settings.llm?.allowedDomains || []).join(','),
+        LLM_TEMPERATURE: (settings.openai.temperature ?? 0.7).toString(),
+        LLM_MAX_TOKENS: (settings.openai.maxTokens || 500).toString(),
+        ANTHROPIC_API_KEY: settings.llm?.anthropic?.apiKey || '',
+        ANTHROPIC_MODEL: settings.llm?.anthropic?.model || 'claude-3-5-haiku-latest',
+        OLLAMA_BASE_URL: settings.llm?.ollama?.baseURL || 'http://localhost:11434',
+        OLLAMA_MODEL: settings.llm?.ollama?.model || 'llama3.1',
+        LLAMA_CPP_BASE_URL: settings.llm?.llamaCpp?.baseURL || 'http://localhost:8080',
+        // Transcription backend
+        TRANSCRIPTION_PROVIDER: settings.transcription?.provider || 'openai',
+        TRANSCRIPTION_LANGUAGE: settings.transcription?.language || 'en',
+        TRANSCRIPTION_BASE_URL: settings.transcription?.endpoint?.baseURL || '',
+        TRANSCRIPTION_API_KEY: settings.transcription?.endpoint?.apiKey || '',
+        TRANSCRIPTION_MODEL: settings.transcription?.endpoint?.model || 'whisper-1',
+        WHISPER_CPP_BINARY: settings.transcription?.whisperCpp?.binaryPath || 'whisper-cli',
+        WHISPER_CPP_MODEL: settings.transcription?.whisperCpp?.modelPath || '',
+        WHISPER_CPP_THREADS: (settings.transcription?.whisperCpp?.threads || 4).toString(),
+        FASTER_WHISPER_BINARY: settings.transcription?.fasterWhisper?.binaryPath || 'whisper-ctranslate2',
+        FASTER_WHISPER_MODEL: settings.transcription?.fasterWhisper?.model || 'base',
+        FASTER_WHISPER_DEVICE: settings.transcription?.fasterWhisper?.device || 'cpu',
+        FASTER_WHISPER_COMPUTE_TYPE: settings.transcription?.fasterWhisper?.computeType || 'int8',
+        LOCAL_TRANSCRIPTION_FORMAT: settings.transcription?.localOutputFormat || 'json',
+        TRANSCRIPTION_WORD_TIMESTAMPS: settings.transcription?.wordTimestamps ? 'true' : 'false',
+        // Live translation
+        TRANSLATION_ENABLED: settings.translation?.enabled ? 'true' : 'false',
+        TRANSLATION_TARGETS: (settings.translation?.targetLanguages || []).join(','),
+        TRANSLATION_MODEL: settings.translation?.model || '',
         PORT: settings.server.port.toString(),
         AUDIO_SAMPLE_RATE: settings.audio.sampleRate.toString(),
         AUDIO_CHANNELS: settings.audio.channels.toString(),
+        AUDIO_CHUNK_OVERLAP: (settings.audio?.chunkOverlap || 0).toString(),
         AUDIO_DEVICE: settings.audio.device,
         // VAD settings
         VAD_ENABLED: settings.audio?.vad?.enabled !== false ? 'true' : 'false',
@@ -462,6 +500,13 @@ ipcMain.on('transcription', (event, data) => {
   }
 });
 
+// Forward translations to floating window
+ipcMain.on('translation', (event, data) => {
+  if (floatingWindow && !floatingWindow.isDestroyed()) {
+    floatingWindow.webContents.send('translation', data);
+  }
+});
+
 // Forward AI suggestions to floating window
 ipcMain.on('suggestion', (event, data) => {
   if (floatingWindow && !floatingWindow.isDestroyed()) {
@@ -469,6 +514,13 @@ ipcMain.on('suggestion', (event, data) => {
   }
 });
 
+// Forward in-progress (streamed) suggestions to floating window
+ipcMain.on('suggestion-partial', (event, data) => {
+  if (floatingWindow && !floatingWindow.isDestroyed()) {
+    floatingWindow.webContents.send('suggestion-partial', data);
+  }
+});
+
 // Create system tray
 function createTray() {
   try {
@@ -46,6 +46,12 @@ contextBridge.exposeInMainWorld('electronAPI', {
   onSuggestion: (callback) => {
     ipcRenderer.on('suggestion', (event, text) => callback(text));
   },
+  onSuggestionPartial: (callback) => {
+    ipcRenderer.on('suggestion-partial', (event, data) => callback(data));
+  },
+  onTranslation: (callback) => {
+    ipcRenderer.on('translation', (event, data) => callback(data));
+  },
   onAutoStartRecording: (callback) => {
     ipcRenderer.on('auto-start-recording', callback);
   },
@@ -58,6 +64,12 @@ contextBridge.exposeInMainWorld('electronAPI', {
   sendSuggestion: (text) => {
     ipcRenderer.send('suggestion', text);
   },
+  sendSuggestionPartial: (data) => {
+    ipcRenderer.send('suggestion-partial', data);
+  },
+  sendTranslation: (data) => {
+    ipcRenderer.send('translation', data);
+  },
   
   // Platform info
   platform: process.platform,
@@ -1,11 +1,13 @@
 // Settings window renderer script
 
 let currentSettings = {};
+let glossaryLoaded = false;
 
 // Initialize when DOM is loaded
 document.addEventListener('DOMContentLoaded', async () => {
     await loadSettings();
     await loadAudioDevices();
+    await loadGlossary();
     setupTabs();
     setupEventListeners();
     await loadAppInfo();
@@ -21,6 +23,49 @@ async function loadSettings() {
     }
 }
 
+// Base URL of the local server (glossary lives there, shared with the recording pipeline)
+function serverURL() {
+    return `http://localhost:${currentSettings.server?.port || 3000}`;
+}
+
+// Load glossary terms from the server
+async function loadGlossary() {
+    const textarea = document.getElementById('glossaryTerms');
+    try {
+        const response = await fetch(`${serverURL()}/api/glossary`);
+        const data = await response.json();
+        textarea.value = (data.terms || []).join('\n');
+        glossaryLoaded = true;
+    } catch (error) {
+        console.error('Error loading glossary:', error);
+        textarea.disabled = true;
+        textarea.placeholder = 'Start the server to edit the glossary';
+    }
+}
+
+// Save glossary terms to the server
+async function saveGlossary() {
+    if (!glossaryLoaded) {
+        return;
+    }
+
+    const terms = document.getElementById('glossaryTerms').value
+        .split('\n')
+        .map(term => term.trim())
+        .filter(Boolean);
+
+    const response = await fetch(`${serverURL()}/api/glossary`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ terms })
+    });
+
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || data.message || `Glossary save failed (${response.status})`);
+    }
+}
+
 // Load available audio devices
 async function loadAudioDevices() {
     try {
@@ -63,12 +108,52 @@ function populateForm(settings) {
     document.getElementById('whisperModel').value = settings.openai?.whisperModel || 'whisper-1';
     document.getElementById('temperature').value = settings.openai?.temperature || 0.7;
     document.getElementById('maxTokens').value = settings.openai?.maxTokens || 1000;
+    document.getElementById('openaiBaseURL').value = settings.openai?.baseURL || '';
+    document.getElementById('openaiOrganization').value = settings.openai?.organization || '';
+    document.getElementById('openaiApiVersion').value = settings.openai?.apiVersion || '';
+    document.getElementById('openaiHeaders').value = settings.openai?.headers || '';
+    document.getElementById('transcriptionTimeout').value = (settings.openai?.timeouts?.transcription || 30000) / 1000;
+    document.getElementById('suggestionTimeout').value = (settings.openai?.timeouts?.suggestions || 20000) / 1000;
+
+    // Transcription settings
+    document.getElementById('llmProvider').value = settings.llm?.provider || 'openai';
+    document.getElementById('anthropicApiKey').value = settings.llm?.anthropic?.apiKey || '';
+    document.getElementById('anthropicModel').value = settings.llm?.anthropic?.model || 'claude-3-5-haiku-latest';
+    document.getElementById('ollamaBaseURL').value = settings.llm?.ollama?.baseURL || 'http://localhost:11434';
+    document.getElementById('ollamaModel').value = settings.llm?.ollama?.model || 'llama3.1';
+    document.getElementById('llamaCppBaseURL').value = settings.llm?.llamaCpp?.baseURL || 'http://localhost:8080';
+    document.getElementById('llmStream').checked = settings.llm?.stream !== false;
+    document.getElementById('allowedDomains').value = (settings.llm?.allowedDomains || []).join(', ');
+    updateLLMFields();
+
+    document.getElementById('transcriptionProvider').value = settings.transcription?.provider || 'openai';
+    document.getElementById('transcriptionLanguage').value = settings.transcription?.language || 'en';
+    document.getElementById('transcriptionBaseURL').value = settings.transcription?.endpoint?.baseURL || '';
+    document.getElementById('transcriptionApiKey').value = settings.transcription?.endpoint?.apiKey || '';
+    document.getElementById('transcriptionModel').value = settings.transcription?.endpoint?.model || 'whisper-1';
+    document.getElementById('whisperCppBinary').value = settings.transcription?.whisperCpp?.binaryPath || 'whisper-cli';
+    document.getElementById('whisperCppModel').value = settings.transcription?.whisperCpp?.modelPath || '';
+    document.getElementById('whisperCppThreads').value = settings.transcription?.whisperCpp?.threads || 4;
+    document.getElementById('fasterWhisperBinary').value = settings.transcription?.fasterWhisper?.binaryPath || 'whisper-ctranslate2';
+    document.getElementById('fasterWhisperModel').value = settings.transcription?.fasterWhisper?.model || 'base';
+    document.getElementById('fasterWhisperDevice').value = settings.transcription?.fasterWhisper?.device || 'cpu';
+    document.getElementById('fasterWhisperComputeType').value = settings.transcription?.fasterWhisper?.computeType || 'int8';
+    document.getElementById('localOutputFormat').value = settings.transcription?.localOutputFormat || 'json';
+    document.getElementById('wordTimestamps').checked = settings.transcription?.wordTimestamps || false;
+    updateProviderFields();
+
+    // Translation settings
+    document.getElementById('translationEnabled').checked = settings.translation?.enabled || false;
+    document.getElementById('translationTargets').value = (settings.translation?.targetLanguages || []).join(', ');
+    document.getElementById('translationDisplay').value = settings.translation?.display || 'both';
 
     // Audio settings
     document.getElementById('captureMode').value = settings.audio?.captureMode || 'microphone';
     document.getElementById('audioDevice').value = settings.audio?.device || 'default';
+    document.getElementById('systemDevice').value = settings.audio?.systemDevice || '';
     document.getElementById('sampleRate').value = settings.audio?.sampleRate || 16000;
     document.getElementById('channels').value = settings.audio?.channels || 1;
+    document.getElementById('chunkOverlap').value = settings.audio?.chunkOverlap || 0;
     document.getElementById('autoStart').checked = settings.audio?.autoStart || false;
     
     // VAD settings
@@ -91,13 +176,72 @@ async function saveSettings() {
                 model: document.getElementById('gptModel').value,
                 whisperModel: document.getElementById('whisperModel').value,
                 temperature: parseFloat(document.getElementById('temperature').value),
-                maxTokens: parseInt(document.getElementById('maxTokens').value)
+                maxTokens: parseInt(document.getElementById('maxTokens').value),
+                baseURL: document.getElementById('openaiBaseURL').value.trim(),
+                organization: document.getElementById('openaiOrganization').value.trim(),
+                apiVersion: document.getElementById('openaiApiVersion').value.trim(),
+                headers: document.getElementById('openaiHeaders').value.trim(),
+                timeouts: {
+                    transcription: (parseInt(document.getElementById('transcriptionTimeout').value) || 30) * 1000,
+                    suggestions: (parseInt(document.getElementById('suggestionTimeout').value) || 20) * 1000,
+                    summary: currentSettings?.openai?.timeouts?.summary || 60000
+                }
+            },
+            llm: {
+                provider: document.getElementById('llmProvider').value,
+                stream: document.getElementById('llmStream').checked,
+                allowedDomains: document.getElementById('allowedDomains').value
+                    .split(',').map(domain => domain.trim()).filter(Boolean),
+                anthropic: {
+                    apiKey: document.getElementById('anthropicApiKey').value.trim(),
+                    model: document.getElementById('anthropicModel').value.trim() || 'claude-3-5-haiku-latest'
+                },
+                ollama: {
+                    baseURL: document.getElementById('ollamaBaseURL').value.trim() || 'http://localhost:11434',
+                    model: document.getElementById('ollamaModel').value.trim() || 'llama3.1'
+                },
+                llamaCpp: {
+                    baseURL: document.getElementById('llamaCppBaseURL').value.trim() || 'http://localhost:8080'
+                }
+            },
+            transcription: {
+                provider: document.getElementById('transcriptionProvider').value,
+                language: document.getElementById('transcriptionLanguage').value,
+                endpoint: {
+                    baseURL: document.getElementById('transcriptionBaseURL').value.trim(),
+                    apiKey: document.getElementById('transcriptionApiKey').value.trim(),
+                    model: document.getElementById('transcriptionModel').value.trim() || 'whisper-1'
+                },
+                whisperCpp: {
+                    binaryPath: document.getElementById('whisperCppBinary').value.trim() || 'whisper-cli',
+                    modelPath: document.getElementById('whisperCppModel').value.trim(),
+                    threads: parseInt(document.getElementById('whisperCppThreads').value) || 4
+                },
+                fasterWhisper: {
+                    binaryPath: document.getElementById('fasterWhisperBinary').value.trim() || 'whisper-ctranslate2',
+                    model: document.getElementById('fasterWhisperModel').value.trim() || 'base',
+                    device: document.getElementById('fasterWhisperDevice').value,
+                    computeType: document.getElementById('fasterWhisperComputeType').value
+                },
+                localOutputFormat: document.getElementById('localOutputFormat').value,
+                wordTimestamps: document.getElementById('wordTimestamps').checked
+            },
+            translation: {
+                enabled: document.getElementById('translationEnabled').checked,
+                targetLanguages: document.getElementById('translationTargets').value
+                    .split(',')
+                    .map(code => code.trim().toLowerCase())
+                    .filter(Boolean),
+                model: currentSettings?.translation?.model || '',
+                display: document.getElementById('translationDisplay').value
             },
             audio: {
                 captureMode: document.getElementById('captureMode').value,
                 device: document.getElementById('audioDevice').value,
+                systemDevice: document.getElementById('systemDevice').value.trim(),
                 sampleRate: parseInt(document.getElementById('sampleRate').value),
                 channels: parseInt(document.getElementById('channels').value),
+                chunkOverlap: Math.max(0, parseInt(document.getElementById('chunkOverlap').value) || 0),
                 autoStart: document.getElementById('autoStart').checked,
                 vad: {
                     enabled: document.getElementById('vadEnabled').checked,
@@ -112,21 +256,61 @@ async function saveSettings() {
             }
         };
 
-        // Validate API key
-        if (!settings.openai.apiKey) {
+        // Validate transcription backend
+        const provider = settings.transcription.provider;
+        if (provider === 'openai-compatible' && !settings.transcription.endpoint.baseURL) {
+            showMessage('Please enter the base URL of your transcription endpoint', 'error');
+            switchTab('transcription');
+            document.getElementById('transcriptionBaseURL').focus();
+            return;
+        }
+
+        if (provider === 'whisper-cpp' && !settings.transcription.whisperCpp.modelPath) {
+            showMessage('Please enter the path to your whisper.cpp model file', 'error');
+            switchTab('transcription');
+            document.getElementById('whisperCppModel').focus();
+            return;
+        }
+
+        if (settings.translation.enabled && settings.translation.targetLanguages.length === 0) {
+            showMessage('Please enter at least one target language for translation', 'error');
+            switchTab('transcription');
+            document.getElementById('translationTargets').focus();
+            return;
+        }
+
+        if (settings.llm.provider === 'anthropic' && !settings.llm.anthropic.apiKey) {
+            showMessage('Please enter your Anthropic API key for AI suggestions', 'error');
+            switchTab('llm');
+            document.getElementById('anthropicApiKey').focus();
+            return;
+        }
+
+        // Validate API key (only required when audio goes to api.openai.com)
+        if (provider === 'openai' && !settings.openai.apiKey && !settings.openai.baseURL) {
             showMessage('Please enter your OpenAI API key', 'error');
             switchTab('openai');
             document.getElementById('apiKey').focus();
             return;
         }
 
-        if (!settings.openai.apiKey.startsWith('sk-')) {
+        // Azure and gateway keys use other formats
+        if (settings.openai.apiKey && !settings.openai.baseURL && !settings.openai.apiKey.startsWith('sk-')) {
             showMessage('Invalid API key format. OpenAI keys start with "sk-"', 'error');
             switchTab('openai');
             document.getElementById('apiKey').focus();
             return;
         }
 
+        // Glossary is stored by the server, not in settings.json
+        try {
+            await saveGlossary();
+        } catch (error) {
+            showMessage('Error saving glossary: ' + error.message, 'error');
+            switchTab('transcription');
+            return;
+        }
+
         // Save settings
         const success = await window.electronAPI.saveSettings(settings);
         
@@ -261,8 +445,29 @@ function switchTab(tabName) {
     document.getElementById(tabName + '-tab').classList.add('active');
 }
 
+// Show only the fields relevant to the selected transcription provider
+function updateProviderFields() {
+    const provider = document.getElementById('transcriptionProvider').value;
+    document.getElementById('endpointSettings').style.display = provider === 'openai-compatible' ? 'block' : 'none';
+    document.getElementById('whisperCppSettings').style.display = provider === 'whisper-cpp' ? 'block' : 'none';
+    document.getElementById('fasterWhisperSettings').style.display = provider === 'faster-whisper' ? 'block' : 'none';
+    document.getElementById('localOutputSettings').style.display =
+        provider === 'whisper-cpp' || provider === 'faster-whisper' ? 'block' : 'none';
+}
+
+// Show only the fields relevant to the selected suggestion model provider
+function updateLLMFields() {
+    const provider = document.getElementById('llmProvider').value;
+    document.getElementById('anthropicSettings').style.display = provider === 'anthropic' ? 'block' : 'none';
+    document.getElementById('ollamaSettings').style.display = provider === 'ollama' ? 'block' : 'none';
+    document.getElementById('llamaCppSettings').style.display = provider === 'llama-cpp' ? 'block' : 'none';
+}
+
 // Setup event listeners
 function setupEventListeners() {
+    document.getElementById('transcriptionProvider').addEventListener('change', updateProviderFields);
+    document.getElementById('llmProvider').addEventListener('change', updateLLMFields);
+
     // Auto-save on Enter key
     document.querySelectorAll('input').forEach(input => {
         input.addEventListener('keypress', (e) => {
@@ -22,14 +22,69 @@ class SettingsManager {
         model: 'gpt-3.5-turbo',
         whisperModel: 'whisper-1',
         temperature: 0.7,
-        maxTokens: 1000
+        maxTokens: 1000,
+        baseURL: '', // Empty = api.openai.com
+        organization: '',
+        apiVersion: '', // Azure OpenAI only
+        headers: '', // "Name: value; Name2: value2"
+        timeouts: {
+          transcription: 30000,
+          suggestions: 20000,
+          summary: 60000
+        }
+      },
+      llm: {
+        provider: 'openai', // 'openai', 'anthropic', 'ollama' or 'llama-cpp' - model for AI suggestions
+        stream: true, // Send partial suggestions while the model generates
+        allowedDomains: [], // Resource links on other domains are removed unless they match the resource index
+        anthropic: {
+          apiKey: '',
+          model: 'claude-3-5-haiku-latest'
+        },
+        ollama: {
+          baseURL: 'http://localhost:11434',
+          model: 'llama3.1'
+        },
+        llamaCpp: {
+          baseURL: 'http://localhost:8080'
+        }
+      },
+      transcription: {
+        provider: 'openai', // 'openai', 'openai-compatible', 'whisper-cpp' or 'faster-whisper'
+        language: 'en', // ISO-639-1 code or 'auto' to detect
+        endpoint: {
+          baseURL: '',
+          apiKey: '',
+          model: 'whisper-1'
+        },
+        whisperCpp: {
+          binaryPath: 'whisper-cli',
+          modelPath: '',
+          threads: 4
+        },
+        fasterWhisper: {
+          binaryPath: 'whisper-ctranslate2',
+          model: 'base',
+          device: 'cpu',
+          computeType: 'int8'
+        },
+        localOutputFormat: 'json', // 'json' or 'srt'
+        wordTimestamps: false
+      },
+      translation: {
+        enabled: false,
+        targetLanguages: [], // ISO-639-1 codes, e.g. ['en', 'de']
+        model: '', // Empty = use the GPT model
+        display: 'both' // 'original', 'translation' or 'both'
       },
       audio: {
         sampleRate: 16000,
         channels: 1,
+        chunkOverlap: 0, // ms of the previous chunk repeated at the start of each chunk
         device: 'auto', // 'auto' or specific device name
         autoStart: false,
-        captureMode: 'microphone', // 'microphone' or 'system'
+        captureMode: 'microphone', // 'microphone', 'system' or 'both' (separate streams tagged "me" / "remote")
+        systemDevice: '', // System audio source for 'both' ('' = default monitor / Stereo Mix)
         vad: {
           enabled: true,
           energyThreshold: 0.02,
@@ -125,9 +180,14 @@ class SettingsManager {
     return this.saveSettings(settings);
   }
 
-  // Check if API key is configured
+  // Check if API key is configured (not needed when transcribing with a non-OpenAI backend)
   isConfigured() {
-    return this.settings.openai.apiKey && this.settings.openai.apiKey.length > 0;
+    const provider = this.settings.transcription?.provider || 'openai';
+    if (provider !== 'openai') {
+      return true;
+    }
+    // Local OpenAI-compatible servers behind a custom base URL usually need no key
+    return !!this.settings.openai.baseURL || (this.settings.openai.apiKey && this.settings.openai.apiKey.length > 0);
   }
 
   // Mark first run as complete
@@ -145,7 +205,19 @@ class SettingsManager {
     const settings = { ...this.settings };
     // Remove API key for security
     if (settings.openai) {
-      settings.openai.apiKey = '***HIDDEN***';
+      settings.openai = { ...settings.openai, apiKey: '***HIDDEN***', headers: settings.openai.headers ? '***HIDDEN***' : '' };
+    }
+    if (settings.llm?.anthropic?.apiKey) {
+      settings.llm = {
+        ...settings.llm,
+        anthropic: { ...settings.llm.anthropic, apiKey: '***HIDDEN***' }
+      };
+    }
+    if (settings.transcription?.endpoint?.apiKey) {
+      settings.transcription = {
+        ...settings.transcription,
+        endpoint: { ...settings.transcription.endpoint, apiKey: '***HIDDEN***' }
+      };
     }
     return settings;
   }
@@ -2,7 +2,7 @@
 import { initializeElements } from './modules/dom.js';
 import { setupSocketListeners } from './modules/socket.js';
 import { setupEventListeners } from './modules/events.js';
-import { toggleAudio } from './modules/recording.js';
+import { toggleAudio, loadSuggestionTemplates } from './modules/recording.js';
 
 /**
  * Initialize the application
@@ -18,6 +18,9 @@ function initializeApp() {
     
     // Setup event listeners
     setupEventListeners();
+
+    // Suggestion templates for the next meeting
+    loadSuggestionTemplates();
     
     console.log('Application initialized successfully');
 }
@@ -11,6 +11,8 @@ export const elements = {
     fullscreenBtn: null,
     settingsBtn: null,
     helpBtn: null,
+    agendaBtn: null,
+    askBtn: null,
     closeHelpModal: null,
     
     // Status
@@ -23,6 +25,14 @@ export const elements = {
     transcriptionContent: null,
     suggestionsContent: null,
     suggestionsPanel: null,
+    agendaPanel: null,
+    agendaInput: null,
+    agendaProgress: null,
+    askBar: null,
+    askForm: null,
+    askInput: null,
+    askSubmit: null,
+    askAnswer: null,
     
     // Modals
     helpModal: null,
@@ -34,13 +44,19 @@ export const elements = {
     totalCostEl: null,
     
     // Audio
-    audioSourceInfo: null
+    audioSourceInfo: null,
+    meetingLanguage: null,
+    suggestionTemplate: null,
+    transcriptDisplay: null
 };
 
 // Initialize DOM elements
 export function initializeElements() {
     elements.startBtn = document.getElementById('startBtn');
     elements.stopBtn = document.getElementById('stopBtn');
+    elements.meetingLanguage = document.getElementById('meetingLanguage');
+    elements.suggestionTemplate = document.getElementById('suggestionTemplate');
+    elements.transcriptDisplay = document.getElementById('transcriptDisplay');
     elements.statusIndicator = document.getElementById('statusIndicator');
     elements.statusText = elements.statusIndicator?.querySelector('.status-text');
     elements.transcriptionContent = document.getElementById('transcriptionContent');
@@ -57,6 +73,16 @@ export function initializeElements() {
     elements.audioSourceInfo = document.getElementById('audioSourceInfo');
     elements.settingsBtn = document.getElementById('settingsBtn');
     elements.helpBtn = document.getElementById('helpBtn');
+    elements.agendaBtn = document.getElementById('agendaBtn');
+    elements.agendaPanel = document.getElementById('agendaPanel');
+    elements.agendaInput = document.getElementById('agendaInput');
+    elements.agendaProgress = document.getElementById('agendaProgress');
+    elements.askBtn = document.getElementById('askBtn');
+    elements.askBar = document.getElementById('askBar');
+    elements.askForm = document.getElementById('askForm');
+    elements.askInput = document.getElementById('askInput');
+    elements.askSubmit = document.getElementById('askSubmit');
+    elements.askAnswer = document.getElementById('askAnswer');
     elements.helpModal = document.getElementById('helpModal');
     elements.closeHelpModal = document.getElementById('closeHelpModal');
     
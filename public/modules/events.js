@@ -2,8 +2,10 @@
 import { elements } from './dom.js';
 import { startRecording, stopRecording, clearTranscription, clearSuggestions } from './recording.js';
 import { downloadTranscriptPDF, downloadSuggestionsPDF, downloadCompleteSummaryPDF } from './pdf.js';
-import { toggleFullscreen } from './ui.js';
-import { state } from './state.js';
+import { toggleFullscreen, setTranscriptDisplay, showMeetingQuestion, highlightTranscription, renameSpeaker } from './ui.js';
+import { state, renameSpeaker as stateRenameSpeaker } from './state.js';
+import { emitFlagHallucination, emitAskMeeting, emitRenameSpeaker } from './socket.js';
+import { showToast } from './utils.js';
 
 /**
  * Setup all event listeners
@@ -36,6 +38,12 @@ export function setupEventListeners() {
         elements.downloadCompleteSummaryBtn.addEventListener('click', downloadCompleteSummaryPDF);
     }
     
+    // Transcript language display
+    setupTranscriptDisplay();
+    
+    // Flag transcript lines as hallucinations
+    setupHallucinationFlags();
+    
     // Fullscreen toggle
     if (elements.fullscreenBtn) {
         elements.fullscreenBtn.addEventListener('click', toggleFullscreen);
@@ -46,6 +54,18 @@ export function setupEventListeners() {
         elements.settingsBtn.addEventListener('click', handleSettingsClick);
     }
     
+    // Agenda panel
+    if (elements.agendaBtn && elements.agendaPanel) {
+        elements.agendaBtn.addEventListener('click', () => {
+            const hidden = elements.agendaPanel.style.display === 'none';
+            elements.agendaPanel.style.display = hidden ? '' : 'none';
+            if (hidden && !elements.agendaInput.disabled) elements.agendaInput.focus();
+        });
+    }
+    
+    // Questions about the meeting
+    setupAskMeeting();
+    
     // Help modal
     setupHelpModal();
     
@@ -56,6 +76,121 @@ export function setupEventListeners() {
     setupElectronListeners();
 }
 
+/**
+ * Setup the original/translation display selector (default from settings)
+ */
+async function setupTranscriptDisplay() {
+    if (!elements.transcriptDisplay) return;
+
+    elements.transcriptDisplay.addEventListener('change', () => {
+        setTranscriptDisplay(elements.transcriptDisplay.value);
+    });
+
+    if (window.electronAPI && window.electronAPI.getSettings) {
+        try {
+            const settings = await window.electronAPI.getSettings();
+            elements.transcriptDisplay.value = settings.translation?.display || 'both';
+        } catch (error) {
+            console.error('Failed to load translation display setting:', error);
+        }
+    }
+
+    setTranscriptDisplay(elements.transcriptDisplay.value);
+}
+
+/**
+ * Flag buttons on transcript lines (delegated - lines are added while recording)
+ */
+function setupHallucinationFlags() {
+    if (!elements.transcriptionContent) return;
+
+    elements.transcriptionContent.addEventListener('click', (e) => {
+        const speaker = e.target.closest('.transcription-speaker');
+        if (speaker) {
+            promptSpeakerName(speaker.dataset.speaker, speaker.textContent);
+            return;
+        }
+
+        const button = e.target.closest('.transcription-flag');
+        if (!button) return;
+
+        const item = button.closest('.transcription-item');
+        const text = item.querySelector('.transcription-text')?.textContent || '';
+        button.disabled = true;
+        emitFlagHallucination(item.dataset.id, text);
+    });
+}
+
+/**
+ * Ask for a speaker's name: live over the socket, after stopping on the saved meeting
+ * @param {string} speakerId - e.g. "S2"
+ * @param {string} current - Name shown now
+ */
+async function promptSpeakerName(speakerId, current) {
+    const name = window.prompt('Speaker name (leave empty to reset):', current);
+    if (name === null) return;
+
+    if (state.isRecording) {
+        emitRenameSpeaker(speakerId, name);
+        return;
+    }
+    if (!state.lastMeetingId) {
+        showToast('This meeting is no longer available', 'warning');
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/meetings/${encodeURIComponent(state.lastMeetingId)}/speakers/${encodeURIComponent(speakerId)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            showToast(result.error || 'Could not rename speaker', 'error');
+            return;
+        }
+
+        const renamed = result.speakers.find(s => s.id === speakerId);
+        renameSpeaker(speakerId, renamed.name);
+        stateRenameSpeaker(speakerId, renamed.name);
+        showToast('Speaker renamed - meeting PDF updated', 'success');
+    } catch (error) {
+        console.error('Error renaming speaker:', error);
+        showToast('Could not rename speaker', 'error');
+    }
+}
+
+/**
+ * Ask bar: toggled from the transcript panel, answers link back to transcript lines
+ */
+function setupAskMeeting() {
+    if (!elements.askBtn || !elements.askBar || !elements.askForm) return;
+
+    elements.askBtn.addEventListener('click', () => {
+        const hidden = elements.askBar.style.display === 'none';
+        elements.askBar.style.display = hidden ? '' : 'none';
+        if (hidden) elements.askInput.focus();
+    });
+
+    elements.askForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const question = elements.askInput.value.trim();
+        if (!question) return;
+
+        const requestId = `ask_${Date.now()}`;
+        showMeetingQuestion(question, requestId);
+        elements.askSubmit.disabled = true;
+        elements.askInput.value = '';
+        emitAskMeeting(question, requestId);
+    });
+
+    elements.askAnswer.addEventListener('click', (e) => {
+        const button = e.target.closest('.ask-quote-time');
+        if (button) highlightTranscription(button.dataset.id);
+    });
+}
+
 /**
  * Handle settings button click
  */
@@ -1,7 +1,7 @@
 // Recording Control Module
 import { state, setRecording, clearTranscriptions, clearSuggestions as clearSuggestionsState } from './state.js';
 import { showToast } from './utils.js';
-import { showProcessing, hideProcessing, clearTranscriptionUI, clearSuggestionsUI } from './ui.js';
+import { showProcessing, hideProcessing, clearTranscriptionUI, clearSuggestionsUI, clearAgendaProgress } from './ui.js';
 import { emitStartRecording, emitStopRecording, emitUpdateSettings, emitClearContext, socket } from './socket.js';
 import { elements } from './dom.js';
 
@@ -24,13 +24,22 @@ export async function startRecording() {
             }
         }
         
-        emitStartRecording();
+        // Empty values = use the language / template from settings
+        const language = elements.meetingLanguage?.value || undefined;
+        const template = elements.suggestionTemplate?.value || undefined;
+        // Empty = the agenda set through /api/agenda, if any
+        const agenda = elements.agendaInput?.value.trim() || undefined;
+        emitStartRecording({ language, template, agenda });
         
         setRecording(true);
         if (elements.startBtn) elements.startBtn.disabled = true;
         if (elements.stopBtn) elements.stopBtn.disabled = false;
+        if (elements.meetingLanguage) elements.meetingLanguage.disabled = true;
+        if (elements.suggestionTemplate) elements.suggestionTemplate.disabled = true;
+        if (elements.agendaInput) elements.agendaInput.disabled = true;
         
         // Clear previous session data
+        clearAgendaProgress();
         clearTranscription();
         clearSuggestions();
         clearAudioChunks();
@@ -45,6 +54,28 @@ export async function startRecording() {
     }
 }
 
+/**
+ * Fill the suggestion template picker from the server
+ */
+export async function loadSuggestionTemplates() {
+    if (!elements.suggestionTemplate) return;
+
+    try {
+        const response = await fetch('/api/suggestion-templates');
+        const { templates = [] } = await response.json();
+
+        templates.forEach(template => {
+            const option = document.createElement('option');
+            option.value = template.id;
+            option.textContent = template.name;
+            option.title = template.description || '';
+            elements.suggestionTemplate.appendChild(option);
+        });
+    } catch (error) {
+        console.error('Failed to load suggestion templates:', error);
+    }
+}
+
 /**
  * Stop recording
  */
@@ -56,6 +87,9 @@ export function stopRecording() {
     emitStopRecording();
     if (elements.startBtn) elements.startBtn.disabled = false;
     if (elements.stopBtn) elements.stopBtn.disabled = true;
+    if (elements.meetingLanguage) elements.meetingLanguage.disabled = false;
+    if (elements.suggestionTemplate) elements.suggestionTemplate.disabled = false;
+    if (elements.agendaInput) elements.agendaInput.disabled = false;
     showToast('Recording stopped', 'info');
     hideProcessing();
 }
@@ -1,6 +1,6 @@
 // Socket.io Communication Module
-import { state, setRecording, addTranscription as stateAddTranscription, addSuggestion as stateAddSuggestion } from './state.js';
-import { addTranscription, addSuggestions, updateStats, showProcessing, hideProcessing, updateStatus, stopDurationTimer, startDurationTimer } from './ui.js';
+import { state, setRecording, addTranscription as stateAddTranscription, addTranslation as stateAddTranslation, removeTranscription as stateRemoveTranscription, addSuggestion as stateAddSuggestion, renameSpeaker as stateRenameSpeaker } from './state.js';
+import { addTranscription, addTranslation, removeTranscription, renameSpeaker, addSuggestions, renderAgendaProgress, renderMeetingAnswer, renderMeetingAnswerError, updateStats, showProcessing, hideProcessing, updateStatus, stopDurationTimer, startDurationTimer } from './ui.js';
 import { showToast } from './utils.js';
 import { showMeetingSummary } from './meeting.js';
 
@@ -40,6 +40,7 @@ export function setupSocketListeners() {
     socket.on('recording-stopped', (data) => {
         console.log('Recording stopped:', data);
         setRecording(false);
+        state.lastMeetingId = data.meeting?.meetingId || null;
         updateStatus('Ready', 'ready');
         stopDurationTimer();
         hideProcessing();
@@ -66,8 +67,15 @@ export function setupSocketListeners() {
         console.log('Transcription received:', data);
         addTranscription(data);
         stateAddTranscription({
+            id: data.id,
             text: data.text,
-            timestamp: data.timestamp
+            timestamp: data.timestamp,
+            language: data.language,
+            confidence: data.confidence,
+            lowConfidence: data.lowConfidence,
+            speaker: data.speaker,
+            speakerName: data.speakerName,
+            stream: data.stream
         });
         
         // Forward to Electron for floating window
@@ -76,18 +84,49 @@ export function setupSocketListeners() {
         }
     });
 
+    socket.on('translation', (data) => {
+        if (!state.isRecording) {
+            return;
+        }
+        addTranslation(data);
+        stateAddTranslation(data.id, data.translations);
+
+        // Forward to Electron for floating window
+        if (window.electronAPI && window.electronAPI.sendTranslation) {
+            window.electronAPI.sendTranslation(data);
+        }
+    });
+
+    socket.on('hallucination-flagged', (data) => {
+        if (data.id) {
+            removeTranscription(data.id);
+            stateRemoveTranscription(data.id);
+        }
+        showToast('Added to hallucination blocklist', 'success');
+    });
+
+    socket.on('suggestion-partial', (data) => {
+        if (!state.isRecording) {
+            return;
+        }
+        addSuggestions(data, { partial: true });
+
+        if (window.electronAPI) {
+            window.electronAPI.sendSuggestionPartial(data);
+        }
+    });
+
     socket.on('suggestion', (data) => {
         // Only show suggestions if still recording
         if (!state.isRecording) {
             return;
         }
         addSuggestions(data);
+        // Keep every template section (and the layout) so exports match the screen
+        const { metadata, ...suggestion } = data;
         stateAddSuggestion({
-            questions: data.questions || [],
-            resources: data.resources || [],
-            actionItems: data.actionItems || [],
-            insights: data.insights || [],
-            timestamp: data.metadata?.timestamp || new Date().toISOString()
+            ...suggestion,
+            timestamp: metadata?.timestamp || new Date().toISOString()
         });
         
         // Forward to Electron for floating window
@@ -97,6 +136,25 @@ export function setupSocketListeners() {
         }
     });
 
+    socket.on('agenda-progress', (data) => {
+        if (!state.isRecording) {
+            return;
+        }
+        renderAgendaProgress(data);
+        (data.warnings || []).forEach(warning => showToast(warning.message, 'warning'));
+    });
+
+    socket.on('speakers', (data) => {
+        if (data.renamed) {
+            renameSpeaker(data.renamed.id, data.renamed.name);
+            stateRenameSpeaker(data.renamed.id, data.renamed.name);
+        }
+    });
+
+    socket.on('meeting-answer', (data) => {
+        renderMeetingAnswer(data);
+    });
+
     socket.on('processing', (data) => {
         // Only show processing indicator if still recording
         if (!state.isRecording) {
@@ -113,6 +171,9 @@ export function setupSocketListeners() {
 
     socket.on('error', (data) => {
         console.error('Error:', data);
+        if (data.type === 'ask_meeting_error') {
+            renderMeetingAnswerError(data);
+        }
         showToast(data.message || 'An error occurred', 'error');
         hideProcessing();
     });
@@ -124,9 +185,10 @@ export function setupSocketListeners() {
 
 /**
  * Emit event to start recording
+ * @param {Object} options - Per-meeting options ({ language })
  */
-export function emitStartRecording() {
-    socket.emit('start-system-recording');
+export function emitStartRecording(options = {}) {
+    socket.emit('start-system-recording', options);
 }
 
 /**
@@ -143,6 +205,33 @@ export function emitUpdateSettings(settings) {
     socket.emit('update-settings', settings);
 }
 
+/**
+ * Flag a transcript line as a hallucination (adds it to the blocklist)
+ * @param {string} id - Transcription ID
+ * @param {string} text - Transcription text
+ */
+export function emitFlagHallucination(id, text) {
+    socket.emit('flag-hallucination', { id, text });
+}
+
+/**
+ * Rename a speaker of the meeting in progress (confirmed with 'speakers')
+ * @param {string} id - Speaker ID, e.g. "S2"
+ * @param {string} name - Empty restores "Speaker 2"
+ */
+export function emitRenameSpeaker(id, name) {
+    socket.emit('rename-speaker', { id, name });
+}
+
+/**
+ * Ask a question about the meeting in progress (answered with 'meeting-answer')
+ * @param {string} question
+ * @param {string} requestId - Echoed back with the answer or error
+ */
+export function emitAskMeeting(question, requestId) {
+    socket.emit('ask-meeting', { question, requestId });
+}
+
 /**
  * Clear context on server
  */
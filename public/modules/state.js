@@ -7,6 +7,7 @@ export const state = {
     selectedAudioDevice: null,
     currentTranscriptions: [],
     currentSuggestions: [],
+    lastMeetingId: null, // Saved meeting whose speakers can still be renamed after stopping
     mediaRecorder: null,
     audioStream: null,
     recordingChunks: [],
@@ -38,6 +39,23 @@ export function addTranscription(transcription) {
     state.currentTranscriptions.push(transcription);
 }
 
+export function addTranslation(id, translations) {
+    const transcription = state.currentTranscriptions.find(t => t.id === id);
+    if (transcription) {
+        transcription.translations = { ...transcription.translations, ...translations };
+    }
+}
+
+export function renameSpeaker(speakerId, name) {
+    state.currentTranscriptions
+        .filter(t => t.speaker === speakerId)
+        .forEach(t => { t.speakerName = name; });
+}
+
+export function removeTranscription(id) {
+    state.currentTranscriptions = state.currentTranscriptions.filter(t => t.id !== id);
+}
+
 export function addSuggestion(suggestion) {
     state.currentSuggestions.push(suggestion);
 }
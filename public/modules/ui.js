@@ -3,6 +3,9 @@ import { elements } from './dom.js';
 import { state } from './state.js';
 import { escapeHtml, formatDuration } from './utils.js';
 
+// Capture streams of "Microphone + System Audio (separate)" mode
+const STREAM_LABELS = { me: 'Me', remote: 'Remote' };
+
 /**
  * Update status indicator
  */
@@ -52,11 +55,40 @@ export function addTranscription(data) {
 
     const item = document.createElement('div');
     item.className = 'transcription-item';
+    if (data.id) {
+        item.dataset.id = data.id;
+    }
     
     const time = new Date(data.timestamp).toLocaleTimeString();
+    const language = data.language
+        ? `<span class="transcription-language">${escapeHtml(data.language.toUpperCase())}</span>`
+        : '';
+    
+    // Flag lines reviewers should double-check before sharing
+    const confidence = typeof data.confidence === 'number'
+        ? `<span class="transcription-confidence" title="Transcription confidence">${Math.round(data.confidence * 100)}%</span>`
+        : '';
+    if (data.lowConfidence) {
+        item.classList.add('low-confidence');
+        item.title = 'Low confidence - double-check this line';
+    }
+    
+    const flagButton = data.id
+        ? '<button class="transcription-flag" title="Flag as hallucination"><i class="fas fa-flag"></i></button>'
+        : '';
+    
+    // Click the speaker to give them a real name; without one, say which capture stream it came from
+    const speaker = data.speaker
+        ? `<button class="transcription-speaker" data-speaker="${escapeHtml(data.speaker)}" title="Rename speaker">${escapeHtml(data.speakerName || data.speaker)}</button>`
+        : data.stream
+            ? `<span class="transcription-stream">${escapeHtml(STREAM_LABELS[data.stream] || data.stream)}</span>`
+            : '';
+    if (data.stream) {
+        item.classList.add(`stream-${data.stream}`);
+    }
     
     item.innerHTML = `
-        <div class="transcription-time">${time}</div>
+        <div class="transcription-time">${speaker}${time}${language}${confidence}${flagButton}</div>
         <div class="transcription-text">${escapeHtml(data.text)}</div>
     `;
     
@@ -64,10 +96,97 @@ export function addTranscription(data) {
     elements.transcriptionContent.scrollTop = elements.transcriptionContent.scrollHeight;
 }
 
+/**
+ * Show a speaker's new name on all of their lines
+ * @param {string} speakerId - e.g. "S2"
+ * @param {string} name
+ */
+export function renameSpeaker(speakerId, name) {
+    if (!elements.transcriptionContent) return;
+
+    elements.transcriptionContent
+        .querySelectorAll(`.transcription-speaker[data-speaker="${CSS.escape(speakerId)}"]`)
+        .forEach(label => { label.textContent = name; });
+}
+
+/**
+ * Remove a transcription line (flagged as a hallucination)
+ * @param {string} id - Transcription ID
+ */
+export function removeTranscription(id) {
+    if (!elements.transcriptionContent || !id) return;
+
+    const item = elements.transcriptionContent.querySelector(`.transcription-item[data-id="${CSS.escape(id)}"]`);
+    if (item) {
+        item.remove();
+    }
+}
+
+/**
+ * Add translations below their transcription
+ * @param {Object} data - { id, source, translations: { de: { text } } }
+ */
+export function addTranslation(data) {
+    if (!elements.transcriptionContent || !data.id) return;
+
+    const item = elements.transcriptionContent.querySelector(`.transcription-item[data-id="${CSS.escape(data.id)}"]`);
+    if (!item) return;
+
+    Object.entries(data.translations || {}).forEach(([language, translation]) => {
+        const line = document.createElement('div');
+        line.className = 'transcription-translation';
+        line.lang = language;
+        line.innerHTML = `<span class="transcription-language">${escapeHtml(language.toUpperCase())}</span>${escapeHtml(translation.text)}`;
+        item.appendChild(line);
+    });
+
+    item.classList.add('has-translation');
+}
+
+/**
+ * Choose which transcript languages are visible
+ * @param {string} mode - 'original', 'translation' or 'both'
+ */
+export function setTranscriptDisplay(mode) {
+    if (!elements.transcriptionContent) return;
+
+    elements.transcriptionContent.classList.remove('display-original', 'display-translation', 'display-both');
+    elements.transcriptionContent.classList.add(`display-${mode || 'both'}`);
+}
+
+// Layout for suggestions without template sections (older servers, saved sessions)
+const DEFAULT_SUGGESTION_SECTIONS = [
+    { key: 'questions', title: 'Questions to Consider', icon: '❓', type: 'list' },
+    { key: 'resources', title: 'Relevant Resources', icon: '🔗', type: 'resources' },
+    { key: 'actionItems', title: 'Action Items', icon: '✅', type: 'list' },
+    { key: 'insights', title: 'Key Insights', icon: '💭', type: 'list' }
+];
+
+/**
+ * Verified / unverified marker for a suggested resource
+ */
+function renderResourceBadge(resource) {
+    if (resource.verified === true) {
+        const from = {
+            index: 'Found in the team resource index',
+            'knowledge-base': 'Passage from the team knowledge base'
+        }[resource.source] || 'Trusted domain';
+        return `<span class="resource-badge verified" title="${from}"><i class="fas fa-check-circle"></i> Verified</span>`;
+    }
+    if (resource.verified === false) {
+        return `<span class="resource-badge unverified" title="Suggested by the AI model - no matching document or trusted link"><i class="fas fa-question-circle"></i> Unverified</span>`;
+    }
+    return '';
+}
+
 /**
  * Add suggestions to UI
+ * A card with the same id (from streamed partials) is refilled in place
+ * @param {Object} data - Suggestion payload
+ * @param {Object} options - { partial } while the model is still generating
  */
-export function addSuggestions(data) {
+export function addSuggestions(data, options = {}) {
+    const { partial = false } = options;
     hideProcessing();
     
     if (!elements.suggestionsContent) return;
@@ -78,80 +197,175 @@ export function addSuggestions(data) {
         emptyState.remove();
     }
 
-    const item = document.createElement('div');
+    const existing = data.id
+        ? elements.suggestionsContent.querySelector(`.suggestion-item[data-id="${CSS.escape(data.id)}"]`)
+        : null;
+    const item = existing || document.createElement('div');
     item.className = 'suggestion-item';
+    item.classList.toggle('streaming', partial);
+    if (data.id) {
+        item.dataset.id = data.id;
+    }
     
     let html = '';
 
-    // Questions
-    if (data.questions && data.questions.length > 0) {
-        html += `
-            <div class="suggestion-section">
-                <div class="suggestion-title">❓ Questions to Consider</div>
-                <ul class="suggestion-list">
-                    ${data.questions.map(q => `<li>${escapeHtml(q)}</li>`).join('')}
-                </ul>
-            </div>
-        `;
-    }
+    // Sections in the order the suggestion template declares them
+    const sections = data.sections?.length ? data.sections : DEFAULT_SUGGESTION_SECTIONS;
+    sections.forEach(section => {
+        const items = data[section.key];
+        if (!Array.isArray(items) || items.length === 0) return;
 
-    // Resources
-    if (data.resources && data.resources.length > 0) {
-        html += `
-            <div class="suggestion-section">
-                <div class="suggestion-title">🔗 Relevant Resources</div>
-                <div>
-                    ${data.resources.map(r => `
-                        <div class="resource-item">
-                            <div class="resource-title">
-                                <a href="${escapeHtml(r.url)}" target="_blank" rel="noopener">
-                                    ${escapeHtml(r.title)}
-                                </a>
-                                <span>→</span>
+        const title = `${section.icon ? `${escapeHtml(section.icon)} ` : ''}${escapeHtml(section.title || section.key)}`;
+
+        if (section.type === 'resources') {
+            html += `
+                <div class="suggestion-section">
+                    <div class="suggestion-title">${title}</div>
+                    <div>
+                        ${items.map(r => `
+                            <div class="resource-item">
+                                <div class="resource-title">
+                                    ${r.url
+                                        ? `<a href="${escapeHtml(r.url)}" target="_blank" rel="noopener">${escapeHtml(r.title || '')}</a><span>→</span>`
+                                        : `<span>${escapeHtml(r.title || '')}</span>`}
+                                    ${renderResourceBadge(r)}
+                                </div>
+                                ${r.description ? `<div class="resource-description">${escapeHtml(r.description)}</div>` : ''}
                             </div>
-                            ${r.description ? `<div class="resource-description">${escapeHtml(r.description)}</div>` : ''}
-                        </div>
-                    `).join('')}
+                        `).join('')}
+                    </div>
                 </div>
-            </div>
-        `;
-    }
-
-    // Action Items
-    if (data.actionItems && data.actionItems.length > 0) {
-        html += `
-            <div class="suggestion-section">
-                <div class="suggestion-title">✅ Action Items</div>
-                <ul class="suggestion-list">
-                    ${data.actionItems.map(a => `<li>${escapeHtml(a)}</li>`).join('')}
-                </ul>
-            </div>
-        `;
-    }
+            `;
+            return;
+        }
 
-    // Insights
-    if (data.insights && data.insights.length > 0) {
         html += `
             <div class="suggestion-section">
-                <div class="suggestion-title">💭 Key Insights</div>
+                <div class="suggestion-title">${title}</div>
                 <ul class="suggestion-list">
-                    ${data.insights.map(i => `<li>${escapeHtml(i)}</li>`).join('')}
+                    ${items.map(i => `<li>${escapeHtml(i)}</li>`).join('')}
                 </ul>
             </div>
         `;
-    }
+    });
 
-    // Timestamp
-    if (data.metadata && data.metadata.timestamp) {
+    // Timestamp (partials have none until the model finishes)
+    if (partial) {
+        html += `<div class="suggestion-timestamp">Generating…</div>`;
+    } else if (data.metadata && data.metadata.timestamp) {
         const time = new Date(data.metadata.timestamp).toLocaleTimeString();
         html += `<div class="suggestion-timestamp">Generated at ${time}</div>`;
     }
 
     item.innerHTML = html;
+    if (existing) {
+        return;
+    }
     elements.suggestionsContent.appendChild(item);
     elements.suggestionsContent.scrollTop = elements.suggestionsContent.scrollHeight;
 }
 
+/**
+ * Show the agenda with the item being discussed and the time spent on each
+ * @param {Object} progress - agenda-progress payload
+ */
+export function renderAgendaProgress(progress) {
+    if (!elements.agendaProgress) return;
+
+    elements.agendaProgress.innerHTML = progress.items.map(item => {
+        const planned = item.minutes ? ` / ${formatDuration(item.minutes * 60000)}` : '';
+        const overTime = item.minutes && item.spentSeconds >= item.minutes * 60;
+        const time = item.status === 'pending'
+            ? 'Not covered yet'
+            : `${formatDuration(item.spentSeconds * 1000)}${planned}`;
+        return `
+            <li class="agenda-item ${item.status}${overTime ? ' over-time' : ''}">
+                <span class="agenda-item-title">${escapeHtml(item.title)}</span>
+                <span class="agenda-item-time">${time}</span>
+            </li>
+        `;
+    }).join('');
+
+    elements.agendaProgress.style.display = '';
+    if (elements.agendaPanel) elements.agendaPanel.style.display = '';
+}
+
+/**
+ * Remove the previous meeting's agenda progress
+ */
+export function clearAgendaProgress() {
+    if (!elements.agendaProgress) return;
+
+    elements.agendaProgress.innerHTML = '';
+    elements.agendaProgress.style.display = 'none';
+}
+
+/**
+ * Show that a question is being answered
+ * @param {string} question
+ * @param {string} requestId - Only the answer to the latest question is shown
+ */
+export function showMeetingQuestion(question, requestId) {
+    if (!elements.askAnswer) return;
+
+    elements.askAnswer.dataset.requestId = requestId;
+    elements.askAnswer.innerHTML = `
+        <div class="ask-question">${escapeHtml(question)}</div>
+        <div class="ask-pending"><div class="spinner"></div> Reading the transcript...</div>
+    `;
+    elements.askAnswer.style.display = '';
+}
+
+/**
+ * Show an answer with its quotes; each quote jumps to its transcript line
+ * @param {Object} data - meeting-answer payload
+ */
+export function renderMeetingAnswer(data) {
+    if (!elements.askAnswer || data.requestId !== elements.askAnswer.dataset.requestId) return;
+
+    const quotes = data.quotes.map(quote => `
+        <li>
+            <button class="ask-quote-time" data-id="${escapeHtml(quote.id || '')}" title="Show in transcript">${escapeHtml(quote.time)}</button>
+            ${quote.speaker ? `${escapeHtml(quote.speaker)}: ` : ''}"${escapeHtml(quote.text)}"
+        </li>
+    `).join('');
+
+    elements.askAnswer.innerHTML = `
+        <div class="ask-question">${escapeHtml(data.question)}</div>
+        <div class="ask-text">${escapeHtml(data.answer)}</div>
+        ${quotes ? `<ul class="ask-quotes">${quotes}</ul>` : ''}
+        ${data.grounded ? '' : '<div class="ask-note">No transcript line backs this answer up</div>'}
+    `;
+    if (elements.askSubmit) elements.askSubmit.disabled = false;
+}
+
+/**
+ * Show why a question could not be answered
+ * @param {Object} data - error payload ({ message, requestId })
+ */
+export function renderMeetingAnswerError(data) {
+    if (!elements.askAnswer || data.requestId !== elements.askAnswer.dataset.requestId) return;
+
+    elements.askAnswer.querySelector('.ask-pending')?.remove();
+    elements.askAnswer.insertAdjacentHTML('beforeend', `<div class="ask-note">${escapeHtml(data.message)}</div>`);
+    if (elements.askSubmit) elements.askSubmit.disabled = false;
+}
+
+/**
+ * Scroll to a transcript line and highlight it briefly
+ * @param {string} id - Transcription ID
+ */
+export function highlightTranscription(id) {
+    if (!elements.transcriptionContent || !id) return;
+
+    const item = elements.transcriptionContent.querySelector(`.transcription-item[data-id="${CSS.escape(id)}"]`);
+    if (!item) return;
+
+    item.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    item.classList.add('highlighted');
+    setTimeout(() => item.classList.remove('highlighted'), 2000);
+}
+
 /**
  * Update statistics display
  */
@@ -1,12 +1,13 @@
 // Utility Functions
 
 /**
- * Escape HTML to prevent XSS
+ * Escape HTML to prevent XSS (safe in text and quoted attribute values)
  */
 export function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    // innerHTML leaves quotes as they are
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 /**
@@ -20,6 +21,7 @@ export function showToast(message, type = 'info') {
     const icons = {
         success: '✅',
         error: '❌',
+        warning: '⚠️',
         info: 'ℹ️'
     };
     
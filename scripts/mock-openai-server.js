@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+
+/**
+ * Local stand-in for the OpenAI API
+ * Answers /audio/transcriptions, /chat/completions and /embeddings with canned responses
+ * so the full pipeline can run without network access or an API key.
+ *
+ * Run: node scripts/mock-openai-server.js [port]
+ * Then start the app with OPENAI_BASE_URL=http://localhost:8787/v1
+ */
+
+import express from 'express';
+
+const port = parseInt(process.argv[2] || process.env.MOCK_OPENAI_PORT || '8787', 10);
+const app = express();
+
+const SAMPLE_LINES = [
+  'Let us review the release plan for next week.',
+  'The API migration is blocked on the database upgrade.',
+  'Can someone own the follow-up with the infrastructure team?',
+  'We should document the rollback procedure before Friday.'
+];
+let lineIndex = 0;
+
+// Multipart bodies are only scanned for simple text fields, the audio itself is ignored
+function readMultipartField(body, name) {
+  const match = new RegExp(`name="${name}"\\r\\n\\r\\n([^\\r]*)`).exec(body);
+  return match ? match[1] : null;
+}
+
+// Wrap assistant content in a chat.completion response with rough token counts
+function chatCompletion(model, prompt, content) {
+  return {
+    id: `chatcmpl-mock-${Date.now()}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+    usage: {
+      prompt_tokens: Math.ceil(prompt.length / 4),
+      completion_tokens: Math.ceil(content.length / 4),
+      total_tokens: Math.ceil((prompt.length + content.length) / 4)
+    }
+  };
+}
+
+// Suggestion prompts end with an example object listing the template's sections -
+// answer with those keys, using the canned suggestion where one exists
+function templateSuggestions(system, canned) {
+  const match = /Format as JSON:\s*(\{[\s\S]*\})\s*$/.exec(system);
+  if (!match) {
+    return canned;
+  }
+
+  try {
+    const example = JSON.parse(match[1]);
+    return Object.fromEntries(Object.entries(example).map(([key, value]) => [
+      key,
+      canned[key] || (typeof value[0] === 'object'
+        ? canned.resources
+        : [`Mock ${key.replace(/([A-Z])/g, ' $1').toLowerCase()} item`])
+    ]));
+  } catch {
+    return canned;
+  }
+}
+
+// Send assistant content as chat.completion.chunk server-sent events, a few characters at a time
+async function streamChatCompletion(res, model, prompt, content, includeUsage) {
+  const id = `chatcmpl-mock-${Date.now()}`;
+  const created = Math.floor(Date.now() / 1000);
+  const send = (payload) => res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, ...payload })}\n\n`);
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+
+  for (let i = 0; i < content.length; i += 12) {
+    send({ choices: [{ index: 0, delta: { content: content.slice(i, i + 12) }, finish_reason: null }] });
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+
+  send({ choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] });
+  if (includeUsage) {
+    send({ choices: [], usage: chatCompletion(model, prompt, content).usage });
+  }
+
+  res.write('data: [DONE]\n\n');
+  res.end();
+}
+
+app.post('/v1/audio/transcriptions', express.raw({ type: '*/*', limit: '25mb' }), (req, res) => {
+  const body = req.body ? req.body.toString('latin1') : '';
+  const format = readMultipartField(body, 'response_format') || 'json';
+  const text = SAMPLE_LINES[lineIndex++ % SAMPLE_LINES.length];
+
+  console.log(`[mock] transcription (${format}, ${body.length} bytes)`);
+
+  if (format === 'text') {
+    return res.type('text/plain').send(text);
+  }
+
+  if (format === 'verbose_json') {
+    const wantsWords = /name="timestamp_granularities\[\]"\r\n\r\nword/.test(body);
+    const words = text.split(' ').map((word, i) => ({ word, start: i * 0.4, end: i * 0.4 + 0.35 }));
+
+    return res.json({
+      task: 'transcribe',
+      language: readMultipartField(body, 'language') || 'english',
+      duration: 5,
+      text,
+      segments: [{
+        id: 0, start: 0, end: 4.2, text,
+        avg_logprob: -0.25, no_speech_prob: 0.02, compression_ratio: 1.2
+      }],
+      ...(wantsWords ? { words } : {})
+    });
+  }
+
+  res.json({ text });
+});
+
+app.post('/v1/chat/completions', express.json({ limit: '5mb' }), (req, res) => {
+  const { model = 'mock-model', messages = [], stream = false, stream_options: streamOptions } = req.body || {};
+  const prompt = messages.map(m => (typeof m.content === 'string' ? m.content : '')).join('\n');
+
+  console.log(`[mock] chat completion (${model}, ${messages.length} messages${stream ? ', streamed' : ''})`);
+
+  if (/translate live meeting transcripts/i.test(prompt)) {
+    const request = JSON.parse(messages[messages.length - 1].content);
+    const translations = Object.fromEntries(request.targetLanguages.map(target => {
+      const code = target.split(' ')[0];
+      return [code, request.lines.map(line => `[${code}] ${line}`)];
+    }));
+    const content = JSON.stringify({ translations });
+    return stream
+      ? streamChatCompletion(res, model, prompt, content, streamOptions?.include_usage)
+      : res.json(chatCompletion(model, prompt, content));
+  }
+
+  // Rolling meeting summary: previous summary plus the start of each new batch
+  if (/running summary of a live meeting/i.test(prompt)) {
+    const [, previous, transcript] = /Summary so far:\n([\s\S]*?)\n\nNew transcript:\n([\s\S]*)$/.exec(messages[messages.length - 1].content) || [];
+    const lines = [previous !== '(nothing yet)' ? previous : null, ...(transcript || '').split('\n').map(line => `- ${line.slice(0, 60)}`)];
+    const content = lines.filter(Boolean).join('\n');
+    return stream
+      ? streamChatCompletion(res, model, prompt, content, streamOptions?.include_usage)
+      : res.json(chatCompletion(model, prompt, content));
+  }
+
+  // Meeting questions: quote the transcript line sharing the most words with the question
+  if (/answer questions about a meeting/i.test(prompt)) {
+    const request = messages[messages.length - 1].content;
+    const question = new Set((/Question: (.*)$/.exec(request)?.[1] || '').toLowerCase().match(/[a-z]{4,}/g) || []);
+    let best = null;
+    for (const [, time, text] of request.matchAll(/^\[([\d:]+)\] (.+)$/gm)) {
+      const shared = (text.toLowerCase().match(/[a-z]{4,}/g) || []).filter(word => question.has(word)).length;
+      if (shared > 0 && (!best || shared > best.shared)) {
+        best = { time, text, shared };
+      }
+    }
+    const content = JSON.stringify(best
+      ? { answer: `At [${best.time}]: "${best.text}"`, quotes: [{ time: best.time, text: best.text }] }
+      : { answer: 'The transcript does not say.', quotes: [] });
+    return stream
+      ? streamChatCompletion(res, model, prompt, content, streamOptions?.include_usage)
+      : res.json(chatCompletion(model, prompt, content));
+  }
+
+  // Agenda tracking: the item sharing the most words with the transcript
+  if (/which agenda item/i.test(prompt)) {
+    const words = new Set(messages[messages.length - 1].content.toLowerCase().match(/[a-z]{4,}/g) || []);
+    const items = [...messages[0].content.matchAll(/^(\d+)\. (.+)$/gm)];
+    let best = { item: 0, shared: 0 };
+    for (const [, number, title] of items) {
+      const shared = (title.toLowerCase().match(/[a-z]{4,}/g) || []).filter(word => words.has(word)).length;
+      if (shared > best.shared) {
+        best = { item: Number(number), shared };
+      }
+    }
+    const content = JSON.stringify({ item: best.item });
+    return stream
+      ? streamChatCompletion(res, model, prompt, content, streamOptions?.include_usage)
+      : res.json(chatCompletion(model, prompt, content));
+  }
+
+  const content = JSON.stringify(/meeting summarizer/i.test(prompt)
+    ? {
+      executiveSummary: 'The team reviewed the release plan and open blockers.',
+      keyPoints: ['Release plan for next week', 'API migration blocked on database upgrade'],
+      decisions: ['Document the rollback procedure before release'],
+      actionItems: ['Follow up with the infrastructure team'],
+      resources: [],
+      nextSteps: ['Reconvene after the database upgrade']
+    }
+    : templateSuggestions(messages[0]?.content || '', {
+      questions: ['What is the deadline for this?', 'Who else needs to be involved?'],
+      resources: [{ title: 'OpenAI API Reference', url: 'https://platform.openai.com/docs/api-reference', description: 'API documentation' }],
+      actionItems: ['Follow up on the discussed blockers'],
+      insights: ['The team is converging on a release plan']
+    }));
+
+  if (stream) {
+    return streamChatCompletion(res, model, prompt, content, streamOptions?.include_usage);
+  }
+
+  res.json(chatCompletion(model, prompt, content));
+});
+
+// Hashed bag of words - texts sharing words get similar vectors, which is enough to exercise retrieval
+app.post('/v1/embeddings', express.json({ limit: '5mb' }), (req, res) => {
+  const { model = 'mock-embedding', input = [] } = req.body || {};
+  const texts = Array.isArray(input) ? input : [input];
+
+  console.log(`[mock] embeddings (${model}, ${texts.length} inputs)`);
+
+  const data = texts.map((text, index) => {
+    const vector = new Array(64).fill(0);
+    for (const word of String(text).toLowerCase().match(/[a-z0-9]{3,}/g) || []) {
+      let hash = 0;
+      for (const char of word) {
+        hash = (hash * 31 + char.charCodeAt(0)) % 64;
+      }
+      vector[hash] += 1;
+    }
+    return { object: 'embedding', index, embedding: vector };
+  });
+  const tokens = texts.reduce((sum, text) => sum + Math.ceil(String(text).length / 4), 0);
+
+  res.json({ object: 'list', model, data, usage: { prompt_tokens: tokens, total_tokens: tokens } });
+});
+
+app.use((req, res) => {
+  console.log(`[mock] unhandled ${req.method} ${req.path}`);
+  res.status(404).json({ error: { message: `Mock server does not implement ${req.path}`, type: 'invalid_request_error' } });
+});
+
+app.listen(port, () => {
+  console.log(`Mock OpenAI server listening on http://localhost:${port}/v1`);
+});
@@ -42,8 +42,26 @@ if (process.env.NODE_ENV === 'production') {
   });
 }
 
+// Parse extra request headers from JSON ('{"X-Team": "audio"}') or "Name: value; Name2: value2"
+const parseHeaders = (value) => {
+  if (!value) {
+    return {};
+  }
+  try {
+    return JSON.parse(value);
+  } catch {
+    return Object.fromEntries(
+      value.split(';')
+        .map(pair => pair.split(':'))
+        .filter(parts => parts.length >= 2)
+        .map(([name, ...rest]) => [name.trim(), rest.join(':').trim()])
+    );
+  }
+};
+
 // Check if OpenAI API key is provided (optional for audio testing)
-const hasOpenAIKey = !!process.env.OPENAI_API_KEY;
+// A custom base URL counts too - local OpenAI-compatible servers usually need no key
+const hasOpenAIKey = !!process.env.OPENAI_API_KEY || !!process.env.OPENAI_BASE_URL;
 if (!hasOpenAIKey) {
   console.warn('OPENAI_API_KEY not set - Running in AUDIO TEST MODE (no transcription/AI)');
 }
@@ -57,18 +75,179 @@ const config = {
   openai: {
     apiKey: process.env.OPENAI_API_KEY || null,
     enabled: hasOpenAIKey,
+    // Endpoint - leave unset for api.openai.com; set for Azure OpenAI, a gateway or a local server
+    baseURL: process.env.OPENAI_BASE_URL || null,
+    organization: process.env.OPENAI_ORGANIZATION || null,
+    apiVersion: process.env.OPENAI_API_VERSION || null, // Sent as ?api-version= (Azure OpenAI)
+    headers: parseHeaders(process.env.OPENAI_EXTRA_HEADERS),
+    maxRetries: parseInt(process.env.OPENAI_MAX_RETRIES || '3', 10),
+    // Per-request timeouts (ms)
+    timeouts: {
+      transcription: parseInt(process.env.OPENAI_TRANSCRIPTION_TIMEOUT || '30000', 10),
+      suggestions: parseInt(process.env.OPENAI_SUGGESTION_TIMEOUT || '20000', 10),
+      summary: parseInt(process.env.OPENAI_SUMMARY_TIMEOUT || '60000', 10),
+      translation: parseInt(process.env.OPENAI_TRANSLATION_TIMEOUT || '20000', 10)
+    },
     whisperModel: process.env.WHISPER_MODEL || 'whisper-1',
     gptModel: process.env.GPT_MODEL || 'gpt-4o-mini',
     maxContextLength: parseInt(process.env.MAX_CONTEXT_LENGTH || '10', 10)
   },
   
+  // Transcription backend
+  transcription: {
+    provider: process.env.TRANSCRIPTION_PROVIDER || 'openai', // 'openai', 'openai-compatible', 'whisper-cpp' or 'faster-whisper'
+    language: process.env.TRANSCRIPTION_LANGUAGE || 'en', // ISO-639-1 code or 'auto' to detect
+    // Any server exposing the OpenAI /audio/transcriptions API (faster-whisper-server, LocalAI, etc.)
+    endpoint: {
+      baseURL: process.env.TRANSCRIPTION_BASE_URL || null,
+      apiKey: process.env.TRANSCRIPTION_API_KEY || null,
+      model: process.env.TRANSCRIPTION_MODEL || 'whisper-1'
+    },
+    // Local whisper.cpp binary - audio never leaves the machine
+    whisperCpp: {
+      binaryPath: process.env.WHISPER_CPP_BINARY || 'whisper-cli',
+      modelPath: process.env.WHISPER_CPP_MODEL || null,
+      threads: parseInt(process.env.WHISPER_CPP_THREADS || '4', 10),
+      timeout: parseInt(process.env.WHISPER_CPP_TIMEOUT || '60000', 10)
+    },
+    // Local faster-whisper via the whisper-ctranslate2 CLI
+    fasterWhisper: {
+      binaryPath: process.env.FASTER_WHISPER_BINARY || 'whisper-ctranslate2',
+      model: process.env.FASTER_WHISPER_MODEL || 'base', // Model name or path to a converted model directory
+      device: process.env.FASTER_WHISPER_DEVICE || 'cpu',
+      computeType: process.env.FASTER_WHISPER_COMPUTE_TYPE || 'int8',
+      threads: parseInt(process.env.FASTER_WHISPER_THREADS || '4', 10),
+      timeout: parseInt(process.env.FASTER_WHISPER_TIMEOUT || '60000', 10)
+    },
+    // Output format requested from local executables ('json' or 'srt')
+    localOutputFormat: process.env.LOCAL_TRANSCRIPTION_FORMAT || 'json',
+    // Request word-level timings from OpenAI-style endpoints (adds latency)
+    wordTimestamps: process.env.TRANSCRIPTION_WORD_TIMESTAMPS === 'true',
+    // Entries scoring below this (0-1) are marked for review
+    lowConfidenceThreshold: parseFloat(process.env.TRANSCRIPTION_LOW_CONFIDENCE || '0.5'),
+    // Prompt context: glossary terms + tail of the previous chunk, so names are
+    // spelled consistently and words cut at chunk boundaries are recovered
+    prompt: {
+      enabled: process.env.TRANSCRIPTION_PROMPT_ENABLED !== 'false',
+      previousTextLength: parseInt(process.env.TRANSCRIPTION_PROMPT_TAIL || '200', 10), // characters
+      maxLength: parseInt(process.env.TRANSCRIPTION_PROMPT_MAX || '800', 10) // Whisper reads ~224 tokens
+    }
+  },
+  
+  // Chat model used for AI suggestions
+  llm: {
+    provider: process.env.LLM_PROVIDER || 'openai', // 'openai', 'anthropic', 'ollama' or 'llama-cpp'
+    model: process.env.LLM_MODEL || null, // Empty = the provider's default (GPT_MODEL for OpenAI)
+    temperature: parseFloat(process.env.LLM_TEMPERATURE || '0.7'),
+    maxTokens: parseInt(process.env.LLM_MAX_TOKENS || '500', 10),
+    // Send suggestion-partial events while the model is still writing
+    stream: process.env.LLM_STREAM !== 'false',
+    // Suggestion template used when a recording starts without choosing one
+    template: process.env.SUGGESTION_TEMPLATE || 'general',
+    // Rolling summary of the meeting so far, sent with the most recent batches
+    memory: {
+      enabled: process.env.CONVERSATION_SUMMARY !== 'false',
+      recentBatches: parseInt(process.env.SUMMARY_RECENT_BATCHES || '3', 10), // Sent word for word
+      refreshEvery: parseInt(process.env.SUMMARY_REFRESH_BATCHES || '3', 10), // Older batches folded in per refresh
+      maxLength: parseInt(process.env.SUMMARY_MAX_LENGTH || '1500', 10) // characters
+    },
+    anthropic: {
+      apiKey: process.env.ANTHROPIC_API_KEY || null,
+      baseURL: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com',
+      model: process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest'
+    },
+    // Local Ollama server - prompts never leave the machine
+    ollama: {
+      baseURL: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+      model: process.env.OLLAMA_MODEL || 'llama3.1'
+    },
+    // Local llama.cpp llama-server
+    llamaCpp: {
+      baseURL: process.env.LLAMA_CPP_BASE_URL || 'http://localhost:8080',
+      model: process.env.LLAMA_CPP_MODEL || 'local' // llama-server serves whatever model it loaded
+    }
+  },
+
+  // Links in AI suggestions: only allowlisted domains or documents from the
+  // resource index count as verified; other URLs are removed
+  resources: {
+    verify: process.env.RESOURCE_VERIFICATION !== 'false',
+    allowedDomains: (process.env.RESOURCE_ALLOWED_DOMAINS || '').split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean), // e.g. "docs.python.org,wiki.example-corp.com"
+    minTitleMatch: parseFloat(process.env.RESOURCE_MIN_TITLE_MATCH || '0.6') // Word overlap needed to match an index document
+  },
+
+  // Snippets from saved meetings added to the suggestion prompt
+  retrieval: {
+    enabled: process.env.MEETING_RETRIEVAL !== 'false',
+    // Use the suggestion provider's embeddings when it has them; keyword (BM25) search otherwise
+    embeddings: process.env.RETRIEVAL_EMBEDDINGS !== 'false',
+    embeddingModel: process.env.RETRIEVAL_EMBEDDING_MODEL || null, // Empty = the provider's default
+    maxSnippets: parseInt(process.env.RETRIEVAL_MAX_SNIPPETS || '4', 10),
+    minSimilarity: parseFloat(process.env.RETRIEVAL_MIN_SIMILARITY || '0.35'), // Cosine similarity, embeddings only
+    timeout: parseInt(process.env.RETRIEVAL_TIMEOUT || '3000', 10) // Query embedding budget (ms) before falling back to keywords
+  },
+
+  // Team documents (Markdown, text, PDF) quoted in suggestions and cited as resources
+  knowledgeBase: {
+    enabled: process.env.KNOWLEDGE_BASE !== 'false',
+    sources: (process.env.KNOWLEDGE_BASE_DIRS || '').split(',').map(dir => dir.trim()).filter(Boolean), // Added on first start
+    watch: process.env.KNOWLEDGE_BASE_WATCH !== 'false', // Re-index when files change
+    chunkSize: parseInt(process.env.KNOWLEDGE_BASE_CHUNK_SIZE || '1200', 10), // characters per passage
+    chunkOverlap: parseInt(process.env.KNOWLEDGE_BASE_CHUNK_OVERLAP || '150', 10),
+    maxFileSize: parseInt(process.env.KNOWLEDGE_BASE_MAX_FILE_SIZE || '20971520', 10), // 20MB
+    maxPassages: parseInt(process.env.KNOWLEDGE_BASE_MAX_PASSAGES || '3', 10), // Per suggestion
+    minSimilarity: parseFloat(process.env.KNOWLEDGE_BASE_MIN_SIMILARITY || '0.4'), // Cosine similarity, embeddings only
+    pdfToText: process.env.PDFTOTEXT_BINARY || 'pdftotext' // From poppler-utils
+  },
+
+  // "Ask the meeting" questions about the live transcript
+  qa: {
+    maxTranscriptChars: parseInt(process.env.QA_MAX_TRANSCRIPT_CHARS || '24000', 10), // Longer transcripts are cut to the lines matching the question
+    maxTokens: parseInt(process.env.QA_MAX_TOKENS || '400', 10)
+  },
+
+  // Who spoke: voiceprints of the chunk audio clustered into stable speakers,
+  // combined with speaker labels when the transcription backend returns them
+  diarization: {
+    enabled: process.env.DIARIZATION !== 'false',
+    threshold: parseFloat(process.env.DIARIZATION_THRESHOLD || '0.25'), // Voice distance above which a new speaker is started
+    maxSpeakers: parseInt(process.env.DIARIZATION_MAX_SPEAKERS || '8', 10),
+    minSegmentSeconds: parseFloat(process.env.DIARIZATION_MIN_SEGMENT || '1') // Shorter segments take their neighbour's speaker
+  },
+
+  // Live agenda tracking
+  agenda: {
+    // 'model' asks the suggestion provider which item a batch belongs to; 'keywords' never calls it
+    classifier: process.env.AGENDA_CLASSIFIER || 'model',
+    warnAt: parseFloat(process.env.AGENDA_WARN_AT || '0.8') // Share of an item's (or the meeting's) time before warning
+  },
+
+  // Live translation of transcript entries
+  translation: {
+    enabled: process.env.TRANSLATION_ENABLED === 'true',
+    targetLanguages: (process.env.TRANSLATION_TARGETS || '').split(',').map(code => code.trim()).filter(Boolean), // e.g. "de,ur"
+    model: process.env.TRANSLATION_MODEL || null // Defaults to GPT_MODEL
+  },
+  
   // Audio
   audio: {
-    chunkDuration: parseInt(process.env.AUDIO_CHUNK_DURATION || '5000', 10),
+    // Capture sends one utterance per chunk, found by VAD
+    segmentation: {
+      minDuration: parseInt(process.env.AUDIO_MIN_SEGMENT_DURATION || '1000', 10), // Pauses don't end shorter segments
+      maxDuration: parseInt(process.env.AUDIO_MAX_SEGMENT_DURATION || '12000', 10), // Longer speech is cut at its quietest moment
+      trailingSilence: parseInt(process.env.AUDIO_TRAILING_SILENCE || '700', 10), // Silence that ends an utterance
+      preRoll: parseInt(process.env.AUDIO_SEGMENT_PRE_ROLL || '300', 10) // Audio kept from before speech onset
+    },
+    // Each chunk repeats the last N ms of the previous one (0 = back-to-back chunks)
+    chunkOverlap: parseInt(process.env.AUDIO_CHUNK_OVERLAP || '0', 10),
     sampleRate: parseInt(process.env.AUDIO_SAMPLE_RATE || '16000', 10),
     channels: 1,
     format: 'wav',
     device: process.env.AUDIO_DEVICE || 'default',
+    // 'microphone', 'system' or 'both' (microphone and system audio recorded as separate streams)
+    captureMode: process.env.AUDIO_CAPTURE_MODE || 'microphone',
+    // System audio source for 'both' mode (default: PulseAudio's default monitor / Windows "Stereo Mix")
+    systemDevice: process.env.AUDIO_SYSTEM_DEVICE || null,
     // Cleanup settings
     cleanup: {
       deleteAfterTranscription: process.env.DELETE_AUDIO_AFTER_TRANSCRIPTION !== 'false', // Default: true (delete after processing)
@@ -98,6 +277,12 @@ const config = {
     logs: path.join(dataDir, 'logs'),
     meetings: path.join(dataDir, 'meetings'),
     exports: path.join(dataDir, 'exports'),
+    glossary: path.join(dataDir, 'glossary.json'),
+    hallucinationRules: path.join(dataDir, 'hallucination-rules.json'),
+    suggestionTemplates: path.join(dataDir, 'suggestion-templates.json'),
+    resourceIndex: path.join(dataDir, 'resource-index.json'),
+    meetingIndex: path.join(dataDir, 'meeting-index.json'),
+    knowledgeBase: path.join(dataDir, 'knowledge-base.json'),
     public: publicDir
   }
 };
@@ -0,0 +1,63 @@
+import OpenAI from 'openai';
+import config from './config.js';
+import logger from './logger.js';
+
+/**
+ * Shared OpenAI client factory
+ * Every service builds its client here so base URL, organization, headers and
+ * timeouts are configured once (api.openai.com, Azure OpenAI, a gateway or a local server)
+ */
+
+/**
+ * Create an OpenAI SDK client
+ * @param {Object} overrides - Values replacing the config.openai defaults
+ * @param {string} [overrides.apiKey]
+ * @param {string} [overrides.baseURL]
+ * @param {string} [overrides.organization]
+ * @param {string} [overrides.apiVersion]
+ * @param {Object} [overrides.headers] - Merged over the configured extra headers
+ * @param {number} [overrides.timeout] - Default timeout for requests made by this client
+ * @param {number} [overrides.maxRetries]
+ * @returns {OpenAI|null} - null when neither an API key nor a base URL is available
+ */
+export function createOpenAIClient(overrides = {}) {
+  const defaults = config.openai;
+  const baseURL = overrides.baseURL !== undefined ? overrides.baseURL : defaults.baseURL;
+  // Self-hosted servers usually ignore the key, but the SDK requires one
+  const apiKey = overrides.apiKey || defaults.apiKey || (baseURL ? 'not-required' : null);
+
+  if (!apiKey) {
+    return null;
+  }
+
+  const apiVersion = overrides.apiVersion !== undefined ? overrides.apiVersion : defaults.apiVersion;
+  const headers = { ...defaults.headers, ...overrides.headers };
+
+  const client = new OpenAI({
+    apiKey,
+    baseURL: baseURL || undefined,
+    organization: (overrides.organization !== undefined ? overrides.organization : defaults.organization) || undefined,
+    defaultHeaders: Object.keys(headers).length > 0 ? headers : undefined,
+    defaultQuery: apiVersion ? { 'api-version': apiVersion } : undefined,
+    timeout: overrides.timeout || defaults.timeouts.transcription,
+    maxRetries: overrides.maxRetries !== undefined ? overrides.maxRetries : defaults.maxRetries
+  });
+
+  logger.debug('OpenAI client created', {
+    baseURL: baseURL || 'https://api.openai.com/v1',
+    organization: !!client.organization,
+    extraHeaders: Object.keys(headers)
+  });
+
+  return client;
+}
+
+/**
+ * Per-request options for a kind of call
+ * @param {string} kind - 'transcription', 'suggestions', 'summary' or 'translation'
+ * @returns {Object} - Request options accepted by SDK methods
+ */
+export function requestOptions(kind) {
+  const timeout = config.openai.timeouts[kind];
+  return timeout ? { timeout } : {};
+}
@@ -9,7 +9,8 @@ export const HTTP_STATUS = {
   CREATED: 201,
   BAD_REQUEST: 400,
   NOT_FOUND: 404,
-  INTERNAL_SERVER_ERROR: 500
+  INTERNAL_SERVER_ERROR: 500,
+  SERVICE_UNAVAILABLE: 503
 };
 
 // Socket Events
@@ -19,11 +20,20 @@ export const SOCKET_EVENTS = {
   STOP_RECORDING: 'stop-recording',
   UPDATE_SETTINGS: 'update-settings',
   CLEAR_CONTEXT: 'clear-context',
+  FLAG_HALLUCINATION: 'flag-hallucination',
+  ASK_MEETING: 'ask-meeting',
+  RENAME_SPEAKER: 'rename-speaker',
   
   // Server -> Client
   STATS: 'stats',
   TRANSCRIPTION: 'transcription',
   SUGGESTION: 'suggestion',
+  SUGGESTION_PARTIAL: 'suggestion-partial',
+  TRANSLATION: 'translation',
+  AGENDA_PROGRESS: 'agenda-progress',
+  MEETING_ANSWER: 'meeting-answer',
+  SPEAKERS: 'speakers',
+  HALLUCINATION_FLAGGED: 'hallucination-flagged',
   MEETING_STARTED: 'meeting-started',
   MEETING_ENDED: 'meeting-ended',
   RECORDING_STOPPED: 'recording-stopped',
@@ -35,12 +45,48 @@ export const SOCKET_EVENTS = {
 export const AUDIO_CONSTANTS = {
   DEFAULT_SAMPLE_RATE: 16000,
   DEFAULT_CHANNELS: 1,
-  DEFAULT_CHUNK_DURATION: 5000, // milliseconds
   MIN_SPEECH_DURATION: 300, // milliseconds
   SILENCE_THRESHOLD: 0.003,
   ENERGY_THRESHOLD: 0.005
 };
 
+// Capture modes - 'both' records the microphone and system audio as separate streams
+export const CAPTURE_MODES = {
+  MICROPHONE: 'microphone',
+  SYSTEM: 'system',
+  BOTH: 'both'
+};
+
+// Streams recorded in 'both' mode; transcript lines carry the stream they came from
+export const CAPTURE_STREAMS = {
+  ME: 'me',
+  REMOTE: 'remote'
+};
+
+export const CAPTURE_STREAM_LABELS = {
+  [CAPTURE_STREAMS.ME]: 'Me',
+  [CAPTURE_STREAMS.REMOTE]: 'Remote'
+};
+
+// Transcription Providers
+export const TRANSCRIPTION_PROVIDERS = {
+  OPENAI: 'openai',
+  OPENAI_COMPATIBLE: 'openai-compatible',
+  WHISPER_CPP: 'whisper-cpp',
+  FASTER_WHISPER: 'faster-whisper'
+};
+
+// Chat model providers for AI suggestions
+export const LLM_PROVIDERS = {
+  OPENAI: 'openai',
+  ANTHROPIC: 'anthropic',
+  OLLAMA: 'ollama',
+  LLAMA_CPP: 'llama-cpp'
+};
+
+// Transcription language value that lets the backend detect the spoken language
+export const AUTO_DETECT_LANGUAGE = 'auto';
+
 // Meeting States
 export const MEETING_STATE = {
   IDLE: 'idle',
@@ -62,7 +108,16 @@ export const API_ROUTES = {
   HEALTH: '/health',
   INFO: '/api/info',
   SYSTEM_CHECK: '/api/system/check',
+  SYSTEM_TRANSCRIPTION: '/api/system/transcription',
   MEETINGS: '/api/meetings',
+  ASK_MEETING: '/api/meetings/current/ask',
+  MEETING_SPEAKER: '/api/meetings/:id/speakers/:speakerId',
+  GLOSSARY: '/api/glossary',
+  HALLUCINATION_FILTER: '/api/hallucination-filter',
+  SUGGESTION_TEMPLATES: '/api/suggestion-templates',
+  RESOURCE_INDEX: '/api/resource-index',
+  KNOWLEDGE_BASE: '/api/knowledge-base',
+  AGENDA: '/api/agenda',
   AUDIO_DEVICES: '/api/audio/devices',
   EXPORT_TRANSCRIPT: '/api/export/transcript',
   EXPORT_SUGGESTIONS: '/api/export/suggestions',
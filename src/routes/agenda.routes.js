@@ -0,0 +1,41 @@
+/**
+ * Agenda Routes
+ * Set the agenda of the next (or running) meeting and follow its progress
+ */
+
+import express from 'express';
+import { asyncHandler } from '../utils/errorHandler.js';
+import { sendJSON } from '../utils/responseHelper.js';
+import { API_ROUTES } from '../constants/index.js';
+import { agendaTracker } from '../services/AgendaService.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/agenda
+ * Agenda waiting for the next meeting and progress of the running one
+ */
+router.get(API_ROUTES.AGENDA, asyncHandler(async (req, res) => {
+  sendJSON(res, agendaTracker.getAgenda());
+}));
+
+/**
+ * PUT /api/agenda
+ * Set the agenda ({ items: [{ title, minutes?, description? }] or "one item per line", durationMinutes? })
+ * Used by the next meeting that starts without one; replaces the running meeting's agenda.
+ */
+router.put(API_ROUTES.AGENDA, asyncHandler(async (req, res) => {
+  const agenda = agendaTracker.setAgenda(req.body);
+  sendJSON(res, { agenda, ...agendaTracker.getAgenda() });
+}));
+
+/**
+ * DELETE /api/agenda
+ * Drop the agenda waiting for the next meeting
+ */
+router.delete(API_ROUTES.AGENDA, asyncHandler(async (req, res) => {
+  agendaTracker.clearAgenda();
+  sendJSON(res, agendaTracker.getAgenda());
+}));
+
+export default router;
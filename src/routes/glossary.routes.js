@@ -0,0 +1,53 @@
+/**
+ * Glossary Routes
+ * Manage the terms passed to the speech-to-text backend as prompt context
+ */
+
+import express from 'express';
+import { asyncHandler, NotFoundError } from '../utils/errorHandler.js';
+import { sendJSON } from '../utils/responseHelper.js';
+import { API_ROUTES } from '../constants/index.js';
+import GlossaryService from '../services/GlossaryService.js';
+
+const router = express.Router();
+const glossaryService = new GlossaryService();
+
+/**
+ * GET /api/glossary
+ * List glossary terms
+ */
+router.get(API_ROUTES.GLOSSARY, asyncHandler(async (req, res) => {
+  sendJSON(res, { terms: glossaryService.getTerms() });
+}));
+
+/**
+ * PUT /api/glossary
+ * Replace the glossary ({ terms: [...] })
+ */
+router.put(API_ROUTES.GLOSSARY, asyncHandler(async (req, res) => {
+  const terms = glossaryService.setTerms(req.body?.terms);
+  sendJSON(res, { terms });
+}));
+
+/**
+ * POST /api/glossary
+ * Add a single term ({ term })
+ */
+router.post(API_ROUTES.GLOSSARY, asyncHandler(async (req, res) => {
+  const terms = glossaryService.addTerm(req.body?.term);
+  sendJSON(res, { terms });
+}));
+
+/**
+ * DELETE /api/glossary/:term
+ * Remove a term
+ */
+router.delete(`${API_ROUTES.GLOSSARY}/:term`, asyncHandler(async (req, res) => {
+  if (!glossaryService.removeTerm(req.params.term)) {
+    throw new NotFoundError('Glossary term');
+  }
+
+  sendJSON(res, { terms: glossaryService.getTerms() });
+}));
+
+export default router;
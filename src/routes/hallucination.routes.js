@@ -0,0 +1,40 @@
+/**
+ * Hallucination Filter Routes
+ * View and edit the rules used to drop invented transcript lines
+ */
+
+import express from 'express';
+import { asyncHandler } from '../utils/errorHandler.js';
+import { sendJSON } from '../utils/responseHelper.js';
+import { API_ROUTES } from '../constants/index.js';
+import HallucinationFilterService from '../services/HallucinationFilterService.js';
+
+const router = express.Router();
+const filterService = new HallucinationFilterService();
+
+/**
+ * GET /api/hallucination-filter
+ * Get rules and detector settings
+ */
+router.get(API_ROUTES.HALLUCINATION_FILTER, asyncHandler(async (req, res) => {
+  sendJSON(res, filterService.getFilter());
+}));
+
+/**
+ * PUT /api/hallucination-filter
+ * Replace the filter ({ rules: [{ type, pattern, flags }], repeatedPhrase, lowEnergy })
+ */
+router.put(API_ROUTES.HALLUCINATION_FILTER, asyncHandler(async (req, res) => {
+  sendJSON(res, filterService.setFilter(req.body));
+}));
+
+/**
+ * POST /api/hallucination-filter/flag
+ * Add a transcript line to the blocklist ({ text })
+ */
+router.post(`${API_ROUTES.HALLUCINATION_FILTER}/flag`, asyncHandler(async (req, res) => {
+  const rule = filterService.flag(req.body?.text);
+  sendJSON(res, { rule });
+}));
+
+export default router;
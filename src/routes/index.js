@@ -9,6 +9,12 @@ import systemRoutes from './system.routes.js';
 import audioRoutes from './audio.routes.js';
 import exportRoutes from './export.routes.js';
 import devicesRoutes from './devices.routes.js';
+import glossaryRoutes from './glossary.routes.js';
+import hallucinationRoutes from './hallucination.routes.js';
+import suggestionTemplateRoutes from './suggestionTemplates.routes.js';
+import resourceIndexRoutes from './resourceIndex.routes.js';
+import knowledgeBaseRoutes from './knowledgeBase.routes.js';
+import agendaRoutes from './agenda.routes.js';
 
 /**
  * Configure all application routes
@@ -32,6 +38,24 @@ export function configureRoutes(app) {
   
   // PDF export routes
   app.use(exportRoutes);
+  
+  // Transcription glossary routes
+  app.use(glossaryRoutes);
+  
+  // Hallucination filter rules
+  app.use(hallucinationRoutes);
+  
+  // Suggestion templates
+  app.use(suggestionTemplateRoutes);
+  
+  // Documents used to verify suggested resources
+  app.use(resourceIndexRoutes);
+  
+  // Team documents suggestions are grounded in
+  app.use(knowledgeBaseRoutes);
+  
+  // Meeting agenda and live progress
+  app.use(agendaRoutes);
 }
 
 export default {
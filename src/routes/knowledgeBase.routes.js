@@ -0,0 +1,84 @@
+/**
+ * Knowledge Base Routes
+ * Manage the document folders suggestions are grounded in
+ */
+
+import express from 'express';
+import { asyncHandler, NotFoundError, ValidationError } from '../utils/errorHandler.js';
+import { sendJSON } from '../utils/responseHelper.js';
+import { API_ROUTES } from '../constants/index.js';
+import { knowledgeBase } from '../services/KnowledgeBaseService.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/knowledge-base
+ * Indexing status and sources
+ */
+router.get(API_ROUTES.KNOWLEDGE_BASE, asyncHandler(async (req, res) => {
+  sendJSON(res, { status: knowledgeBase.getStatus(), sources: knowledgeBase.listSources() });
+}));
+
+/**
+ * GET /api/knowledge-base/search?q=...
+ * Passages matching a query (what a suggestion would be grounded in)
+ */
+router.get(`${API_ROUTES.KNOWLEDGE_BASE}/search`, asyncHandler(async (req, res) => {
+  if (!req.query.q) {
+    throw new ValidationError('q is required');
+  }
+
+  const { passages, method } = await knowledgeBase.search(String(req.query.q), {
+    limit: Math.min(parseInt(req.query.limit, 10) || 5, 20)
+  });
+  sendJSON(res, { passages, method });
+}));
+
+/**
+ * POST /api/knowledge-base/sources
+ * Add a folder ({ path }); indexing runs in the background
+ */
+router.post(`${API_ROUTES.KNOWLEDGE_BASE}/sources`, asyncHandler(async (req, res) => {
+  const source = knowledgeBase.addSource(req.body?.path);
+  sendJSON(res, { source });
+}));
+
+/**
+ * DELETE /api/knowledge-base/sources/:id
+ * Remove a folder and its passages
+ */
+router.delete(`${API_ROUTES.KNOWLEDGE_BASE}/sources/:id`, asyncHandler(async (req, res) => {
+  if (!knowledgeBase.removeSource(req.params.id)) {
+    throw new NotFoundError('Knowledge base source');
+  }
+
+  sendJSON(res, { sources: knowledgeBase.listSources() });
+}));
+
+/**
+ * POST /api/knowledge-base/sources/:id/reindex
+ * Re-read every file of a folder
+ */
+router.post(`${API_ROUTES.KNOWLEDGE_BASE}/sources/:id/reindex`, asyncHandler(async (req, res) => {
+  const source = knowledgeBase.reindexSource(req.params.id);
+  if (!source) {
+    throw new NotFoundError('Knowledge base source');
+  }
+
+  sendJSON(res, { source });
+}));
+
+/**
+ * GET /api/knowledge-base/sources/:id/file?path=...
+ * Open an indexed document (the link cited in suggestions)
+ */
+router.get(`${API_ROUTES.KNOWLEDGE_BASE}/sources/:id/file`, asyncHandler(async (req, res) => {
+  const filePath = knowledgeBase.resolveFile(req.params.id, req.query.path);
+  if (!filePath) {
+    throw new NotFoundError('Document');
+  }
+
+  res.sendFile(filePath);
+}));
+
+export default router;
@@ -7,9 +7,10 @@ import express from 'express';
 import path from 'path';
 import { asyncHandler, NotFoundError } from '../utils/errorHandler.js';
 import { sendJSON, sendError } from '../utils/responseHelper.js';
-import { HTTP_STATUS } from '../constants/index.js';
+import { HTTP_STATUS, API_ROUTES } from '../constants/index.js';
 import logger from '../config/logger.js';
 import MeetingHistoryService from '../services/MeetingHistoryService.js';
+import { meetingQA } from '../services/MeetingQAService.js';
 
 const router = express.Router();
 const meetingHistoryService = new MeetingHistoryService();
@@ -23,6 +24,15 @@ router.get('/api/meetings', asyncHandler(async (req, res) => {
   sendJSON(res, { meetings });
 }));
 
+/**
+ * POST /api/meetings/current/ask
+ * Answer a question about the meeting in progress ({ question }), quoting the transcript
+ */
+router.post(API_ROUTES.ASK_MEETING, asyncHandler(async (req, res) => {
+  const answer = await meetingQA.ask(req.body?.question);
+  sendJSON(res, answer);
+}));
+
 /**
  * GET /api/meetings/:id
  * Get specific meeting details
@@ -37,6 +47,16 @@ router.get('/api/meetings/:id', asyncHandler(async (req, res) => {
   sendJSON(res, meeting);
 }));
 
+/**
+ * PUT /api/meetings/:id/speakers/:speakerId
+ * Rename a speaker of a saved meeting ({ name }, empty restores "Speaker N"); the PDF is regenerated
+ * Speakers of the meeting in progress are renamed over the socket ('rename-speaker').
+ */
+router.put(API_ROUTES.MEETING_SPEAKER, asyncHandler(async (req, res) => {
+  const speakers = await meetingHistoryService.renameSpeaker(req.params.id, req.params.speakerId, req.body?.name);
+  sendJSON(res, { speakers });
+}));
+
 /**
  * GET /api/meetings/:id/pdf
  * Download meeting PDF
@@ -0,0 +1,56 @@
+/**
+ * Resource Index Routes
+ * Manage the team documents that suggested resources are verified against
+ */
+
+import express from 'express';
+import { asyncHandler, NotFoundError, ValidationError } from '../utils/errorHandler.js';
+import { sendJSON } from '../utils/responseHelper.js';
+import { API_ROUTES } from '../constants/index.js';
+import ResourceResolverService from '../services/ResourceResolverService.js';
+
+const router = express.Router();
+const resolverService = new ResourceResolverService();
+
+/**
+ * GET /api/resource-index
+ * List indexed documents
+ */
+router.get(API_ROUTES.RESOURCE_INDEX, asyncHandler(async (req, res) => {
+  sendJSON(res, { documents: resolverService.getDocuments() });
+}));
+
+/**
+ * PUT /api/resource-index
+ * Replace the index ({ documents: [{ title, url, description?, aliases? }] })
+ */
+router.put(API_ROUTES.RESOURCE_INDEX, asyncHandler(async (req, res) => {
+  const documents = resolverService.setDocuments(req.body?.documents);
+  sendJSON(res, { documents });
+}));
+
+/**
+ * POST /api/resource-index
+ * Add or replace a single document ({ title, url, description?, aliases? })
+ */
+router.post(API_ROUTES.RESOURCE_INDEX, asyncHandler(async (req, res) => {
+  const documents = resolverService.addDocument(req.body);
+  sendJSON(res, { documents });
+}));
+
+/**
+ * DELETE /api/resource-index?url=...
+ * Remove a document
+ */
+router.delete(API_ROUTES.RESOURCE_INDEX, asyncHandler(async (req, res) => {
+  if (!req.query.url) {
+    throw new ValidationError('url is required');
+  }
+  if (!resolverService.removeDocument(String(req.query.url))) {
+    throw new NotFoundError('Document');
+  }
+
+  sendJSON(res, { documents: resolverService.getDocuments() });
+}));
+
+export default router;
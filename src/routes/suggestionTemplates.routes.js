@@ -0,0 +1,57 @@
+/**
+ * Suggestion Template Routes
+ * Manage the templates that shape AI suggestions for a meeting
+ */
+
+import express from 'express';
+import { asyncHandler, NotFoundError } from '../utils/errorHandler.js';
+import { sendJSON } from '../utils/responseHelper.js';
+import { API_ROUTES } from '../constants/index.js';
+import SuggestionTemplateService from '../services/SuggestionTemplateService.js';
+
+const router = express.Router();
+const templateService = new SuggestionTemplateService();
+
+/**
+ * GET /api/suggestion-templates
+ * List templates
+ */
+router.get(API_ROUTES.SUGGESTION_TEMPLATES, asyncHandler(async (req, res) => {
+  sendJSON(res, { templates: templateService.listTemplates() });
+}));
+
+/**
+ * GET /api/suggestion-templates/:id
+ * Get one template with its JSON schema
+ */
+router.get(`${API_ROUTES.SUGGESTION_TEMPLATES}/:id`, asyncHandler(async (req, res) => {
+  const template = templateService.getTemplate(req.params.id);
+  if (!template) {
+    throw new NotFoundError('Suggestion template');
+  }
+
+  sendJSON(res, { template });
+}));
+
+/**
+ * PUT /api/suggestion-templates/:id
+ * Create or replace a template ({ name, description, prompt, sections })
+ */
+router.put(`${API_ROUTES.SUGGESTION_TEMPLATES}/:id`, asyncHandler(async (req, res) => {
+  const template = templateService.saveTemplate({ ...req.body, id: req.params.id });
+  sendJSON(res, { template });
+}));
+
+/**
+ * DELETE /api/suggestion-templates/:id
+ * Remove a template
+ */
+router.delete(`${API_ROUTES.SUGGESTION_TEMPLATES}/:id`, asyncHandler(async (req, res) => {
+  if (!templateService.removeTemplate(req.params.id)) {
+    throw new NotFoundError('Suggestion template');
+  }
+
+  sendJSON(res, { templates: templateService.listTemplates() });
+}));
+
+export default router;
@@ -18,7 +18,16 @@ const systemCheck = new SystemCheckService();
  * Check system dependencies
  */
 router.post('/api/system/check', asyncHandler(async (req, res) => {
-  const result = await SystemCheckService.checkDependencies();
+  const result = await systemCheck.checkAllDependencies();
+  sendJSON(res, result);
+}));
+
+/**
+ * GET /api/system/transcription
+ * Check the configured transcription backend (local binary and model file)
+ */
+router.get('/api/system/transcription', asyncHandler(async (req, res) => {
+  const result = await systemCheck.checkTranscriptionBackend();
   sendJSON(res, result);
 }));
 
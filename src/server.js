@@ -10,6 +10,7 @@ import compression from 'compression';
 import config from './config/config.js';
 import logger from './config/logger.js';
 import SocketHandler from './websocket/socketHandler.js';
+import { knowledgeBase } from './services/KnowledgeBaseService.js';
 import { configureRoutes } from './routes/index.js';
 import { configureHelmet, configureCORS } from './middleware/security.middleware.js';
 import { configureStaticFiles, configureFloatingWindow } from './middleware/static.middleware.js';
@@ -73,6 +74,9 @@ const gracefulShutdown = () => {
   
   // Cleanup WebSocket connections
   socketHandler.cleanup();
+
+  // Stop watching knowledge base folders
+  knowledgeBase.stop();
   
   // Close HTTP server
   httpServer.close(() => {
@@ -103,6 +107,9 @@ function startServer(port) {
       nodeVersion: process.version,
       url: `http://localhost:${port}`
     });
+
+    // Cited documents link back to this server, so it needs the port actually in use
+    knowledgeBase.start({ port });
   }).on('error', (err) => {
     if (err.code === 'EADDRINUSE') {
       const nextPort = port + 1;
@@ -0,0 +1,386 @@
+import config from '../config/config.js';
+import logger from '../config/logger.js';
+import { ValidationError } from '../utils/errorHandler.js';
+import { tokenize } from '../utils/textSearch.js';
+
+const MAX_ITEMS = 30;
+const MAX_TITLE_LENGTH = 200;
+
+export const ITEM_STATUS = {
+  PENDING: 'pending',
+  CURRENT: 'current',
+  DISCUSSED: 'discussed'
+};
+
+// "Budget review - 10 min", "Hiring (15m)", "Roadmap: 20 minutes"
+const TIMED_LINE = /^(.*?)[\s:(–-]+(\d+(?:\.\d+)?)\s*(?:m|min|mins|minutes?)\)?\s*$/i;
+
+/**
+ * Parse an agenda from the recording payload or the REST route
+ * @param {Object|Object[]|string} input - { items, durationMinutes }, an array of
+ *   items ({ title, minutes?, description? } or strings) or one item per line
+ * @returns {Object|null} - { items: [{ title, minutes, description }], durationMinutes }; null for an empty agenda
+ * @throws {ValidationError}
+ */
+export function parseAgenda(input) {
+  if (input === undefined || input === null || input === '') {
+    return null;
+  }
+
+  const source = typeof input === 'object' && !Array.isArray(input) ? input : { items: input };
+  const rawItems = typeof source.items === 'string' ? source.items.split(/\r?\n/) : source.items;
+  if (!Array.isArray(rawItems)) {
+    throw new ValidationError('Agenda items must be an array or one item per line');
+  }
+
+  const items = rawItems
+    .map(item => {
+      if (typeof item === 'string') {
+        const line = item.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim(); // List markers
+        const match = TIMED_LINE.exec(line);
+        return match ? { title: match[1].trim(), minutes: parseFloat(match[2]) } : { title: line };
+      }
+      return item && typeof item === 'object' ? item : null;
+    })
+    .filter(item => item && typeof item.title === 'string' && item.title.trim())
+    .map(item => ({
+      title: item.title.trim().slice(0, MAX_TITLE_LENGTH),
+      minutes: Number(item.minutes) > 0 ? Number(item.minutes) : null,
+      description: typeof item.description === 'string' && item.description.trim() ? item.description.trim() : null
+    }));
+
+  if (items.length === 0) {
+    return null;
+  }
+  if (items.length > MAX_ITEMS) {
+    throw new ValidationError(`Agendas are limited to ${MAX_ITEMS} items`);
+  }
+
+  const durationMinutes = Number(source.durationMinutes) > 0 ? Number(source.durationMinutes) : null;
+  return { items, durationMinutes };
+}
+
+/**
+ * Agenda Service
+ * Follows a meeting through its agenda: each transcript batch is matched to an
+ * agenda item, the time since the previous batch is booked to it, and
+ * progress (current item, time spent, items not covered yet) is reported with
+ * a warning when an item or the whole meeting is running out of time.
+ */
+class AgendaService {
+  constructor() {
+    this.pending = null; // Set over REST for the next meeting
+    this.active = null;
+  }
+
+  /**
+   * Agenda for the next meeting (used when start-system-recording brings none)
+   * Applied to the running meeting as well, if there is one.
+   * @param {Object|Object[]|string} input - See parseAgenda()
+   * @returns {Object|null} - Parsed agenda
+   */
+  setAgenda(input) {
+    const agenda = parseAgenda(input);
+    if (!agenda) {
+      throw new ValidationError('The agenda needs at least one item');
+    }
+
+    if (this.active) {
+      // Keep time already booked to items that are still on the agenda
+      const previous = new Map(this.active.items.map(item => [item.title.toLowerCase(), item]));
+      this.active.items = agenda.items.map(item => ({ ...this._newItem(item), ...this._tracked(previous.get(item.title.toLowerCase())) }));
+      this.active.durationMinutes = agenda.durationMinutes;
+      this.active.currentIndex = this.active.items.findIndex(item => item.status === ITEM_STATUS.CURRENT);
+      this.active.currentIndex = this.active.currentIndex === -1 ? null : this.active.currentIndex;
+      logger.info('Agenda of the running meeting replaced', { items: agenda.items.length });
+    } else {
+      this.pending = agenda;
+      logger.info('Agenda set for the next meeting', { items: agenda.items.length });
+    }
+
+    return agenda;
+  }
+
+  clearAgenda() {
+    this.pending = null;
+  }
+
+  /**
+   * Pending agenda and progress of the running meeting
+   * @returns {Object} - { pending, progress }
+   */
+  getAgenda() {
+    return { pending: this.pending, progress: this.active ? this.getProgress() : null };
+  }
+
+  /**
+   * Begin tracking a meeting
+   * @param {Object|Object[]|string} [input] - Agenda from the recording payload; the pending one otherwise
+   * @returns {Object|null} - Agenda in use
+   */
+  start(input) {
+    const agenda = parseAgenda(input) || this.pending;
+    this.pending = null;
+    this.active = null;
+
+    if (!agenda) {
+      return null;
+    }
+
+    const now = Date.now();
+    this.active = {
+      items: agenda.items.map(item => this._newItem(item)),
+      durationMinutes: agenda.durationMinutes,
+      startedAt: now,
+      lastBatchAt: now,
+      currentIndex: null,
+      offAgendaMs: 0,
+      warned: new Set()
+    };
+
+    logger.info('Agenda tracking started', { items: agenda.items.length, durationMinutes: this._plannedMinutes() });
+    return agenda;
+  }
+
+  /**
+   * Match a transcript batch to an agenda item and book the elapsed time
+   * @param {string} text - Transcript batch
+   * @param {Object} options
+   * @param {Function} [options.classify] - async (text, items) => index | null, e.g. a chat model;
+   *   keyword matching is used without it or when it fails
+   * @returns {Promise<Object|null>} - Progress (with new warnings), null without an agenda
+   */
+  async track(text, options = {}) {
+    if (!this.active || !text?.trim()) {
+      return null;
+    }
+
+    const active = this.active;
+    let index = null;
+    let method = 'keywords';
+
+    if (typeof options.classify === 'function') {
+      try {
+        index = await options.classify(text, active.items.map(({ title, description }) => ({ title, description })));
+        method = 'model';
+      } catch (error) {
+        logger.warn('Agenda classification failed, using keywords', { error: error.message });
+        index = this._classifyByKeywords(text);
+      }
+    } else {
+      index = this._classifyByKeywords(text);
+    }
+
+    if (this.active !== active) {
+      return null; // Meeting ended while classifying
+    }
+
+    const now = Date.now();
+    const elapsed = now - active.lastBatchAt;
+    active.lastBatchAt = now;
+
+    // Talk that matches no item continues the current one
+    const target = Number.isInteger(index) && active.items[index] ? index : active.currentIndex;
+    if (target === null) {
+      active.offAgendaMs += elapsed;
+    } else {
+      const item = active.items[target];
+      item.spentMs += elapsed;
+      item.batches++;
+      item.firstDiscussedAt = item.firstDiscussedAt || new Date(now - elapsed).toISOString();
+      item.lastDiscussedAt = new Date(now).toISOString();
+
+      if (target !== active.currentIndex) {
+        if (active.currentIndex !== null) {
+          active.items[active.currentIndex].status = ITEM_STATUS.DISCUSSED;
+        }
+        item.status = ITEM_STATUS.CURRENT;
+        active.currentIndex = target;
+        logger.info('Agenda item started', { item: item.title, method });
+      }
+    }
+
+    return this.getProgress(this._checkTime());
+  }
+
+  /**
+   * Current progress
+   * @param {Object[]} [warnings] - Warnings raised by this update
+   * @returns {Object} - { items, current, notCovered, elapsedSeconds, plannedMinutes, offAgendaSeconds, warnings }
+   */
+  getProgress(warnings = []) {
+    const { items, currentIndex, startedAt, offAgendaMs } = this.active;
+    return {
+      items: items.map((item, index) => ({
+        index,
+        title: item.title,
+        minutes: item.minutes,
+        status: item.status,
+        spentSeconds: Math.round(item.spentMs / 1000)
+      })),
+      current: currentIndex,
+      notCovered: items.filter(item => item.batches === 0).map(item => item.title),
+      elapsedSeconds: Math.round((Date.now() - startedAt) / 1000),
+      plannedMinutes: this._plannedMinutes(),
+      offAgendaSeconds: Math.round(offAgendaMs / 1000),
+      warnings
+    };
+  }
+
+  /**
+   * Stop tracking and return per-item coverage for the meeting record
+   * @returns {Object|null} - { items, notDiscussed, plannedMinutes, offAgendaMinutes }
+   */
+  finish() {
+    if (!this.active) {
+      return null;
+    }
+
+    const { items, offAgendaMs } = this.active;
+    const coverage = {
+      items: items.map(item => ({
+        title: item.title,
+        ...(item.description ? { description: item.description } : {}),
+        plannedMinutes: item.minutes,
+        spentMinutes: Math.round(item.spentMs / 6000) / 10,
+        status: item.batches > 0 ? ITEM_STATUS.DISCUSSED : 'not-discussed',
+        batches: item.batches,
+        firstDiscussedAt: item.firstDiscussedAt,
+        lastDiscussedAt: item.lastDiscussedAt
+      })),
+      notDiscussed: items.filter(item => item.batches === 0).map(item => item.title),
+      plannedMinutes: this._plannedMinutes(),
+      offAgendaMinutes: Math.round(offAgendaMs / 6000) / 10
+    };
+
+    this.active = null;
+    logger.info('Agenda tracking finished', {
+      items: coverage.items.length,
+      notDiscussed: coverage.notDiscussed.length
+    });
+    return coverage;
+  }
+
+  /**
+   * Score items by the words they share with the text, rarer words counting more
+   * @private
+   * @returns {number|null} - Best item, null when nothing matches
+   */
+  _classifyByKeywords(text) {
+    const words = new Set(tokenize(text));
+    const itemWords = this.active.items.map(item => new Set(tokenize(`${item.title} ${item.description || ''}`)));
+
+    let best = null;
+    let bestScore = 0;
+    itemWords.forEach((terms, index) => {
+      let score = 0;
+      for (const term of terms) {
+        if (words.has(term)) {
+          // A word in every item says nothing about which one is being discussed
+          const spread = itemWords.filter(other => other.has(term)).length;
+          score += Math.log(1 + itemWords.length / spread);
+        }
+      }
+      if (score > bestScore) {
+        best = index;
+        bestScore = score;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Raise each time warning once per meeting
+   * @private
+   */
+  _checkTime() {
+    const { items, startedAt, warned } = this.active;
+    const warnAt = config.agenda.warnAt;
+    const warnings = [];
+    const warn = (key, warning) => {
+      if (!warned.has(key)) {
+        warned.add(key);
+        warnings.push(warning);
+      }
+    };
+
+    items.forEach((item, index) => {
+      if (!item.minutes || item.status !== ITEM_STATUS.CURRENT) {
+        return;
+      }
+      const spentMinutes = item.spentMs / 60000;
+      if (spentMinutes >= item.minutes) {
+        warn(`item-over-${index}`, {
+          type: 'item-over',
+          item: index,
+          message: `"${item.title}" has used its ${item.minutes} min`
+        });
+      } else if (spentMinutes >= item.minutes * warnAt) {
+        warn(`item-time-${index}`, {
+          type: 'item-time',
+          item: index,
+          message: `About ${Math.max(1, Math.round(item.minutes - spentMinutes))} min left for "${item.title}"`
+        });
+      }
+    });
+
+    const planned = this._plannedMinutes();
+    const remainingItems = items.filter(item => item.batches === 0).length;
+    if (planned) {
+      const elapsedMinutes = (Date.now() - startedAt) / 60000;
+      if (elapsedMinutes >= planned) {
+        warn('meeting-over', {
+          type: 'meeting-over',
+          message: remainingItems > 0
+            ? `Meeting time is up with ${remainingItems} agenda item${remainingItems === 1 ? '' : 's'} not discussed`
+            : 'Meeting time is up'
+        });
+      } else if (elapsedMinutes >= planned * warnAt && remainingItems > 0) {
+        warn('meeting-time', {
+          type: 'meeting-time',
+          message: `About ${Math.max(1, Math.round(planned - elapsedMinutes))} min left, ` +
+            `${remainingItems} agenda item${remainingItems === 1 ? '' : 's'} not discussed yet`
+        });
+      }
+    }
+
+    warnings.forEach(warning => logger.info('Agenda warning', warning));
+    return warnings;
+  }
+
+  _plannedMinutes() {
+    const { items, durationMinutes } = this.active;
+    if (durationMinutes) {
+      return durationMinutes;
+    }
+    const total = items.reduce((sum, item) => sum + (item.minutes || 0), 0);
+    return total > 0 ? total : null;
+  }
+
+  _newItem({ title, minutes, description }) {
+    return {
+      title,
+      minutes,
+      description,
+      status: ITEM_STATUS.PENDING,
+      spentMs: 0,
+      batches: 0,
+      firstDiscussedAt: null,
+      lastDiscussedAt: null
+    };
+  }
+
+  _tracked(item) {
+    if (!item) {
+      return {};
+    }
+    const { status, spentMs, batches, firstDiscussedAt, lastDiscussedAt } = item;
+    return { status, spentMs, batches, firstDiscussedAt, lastDiscussedAt };
+  }
+}
+
+// Shared by the REST route and the recording handlers - one meeting runs at a time
+export const agendaTracker = new AgendaService();
+
+export default AgendaService;
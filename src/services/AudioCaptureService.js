@@ -3,23 +3,54 @@ import fs from 'fs';
 import path from 'path';
 import config from '../config/config.js';
 import logger from '../config/logger.js';
+import { CAPTURE_MODES, CAPTURE_STREAMS } from '../constants/index.js';
+import { buildWav } from '../utils/wav.js';
+import { StreamSegmenter } from '../utils/StreamSegmenter.js';
+import VADService from './VADService.js';
 
+// PulseAudio's name for the monitor of the default output device
+const DEFAULT_MONITOR = '@DEFAULT_MONITOR@';
+
+// A recorder that dies mid-meeting is started again after this long
+const RESTART_DELAY = 1000;
+// ...or after this long when it exited without recording anything (missing device)
+const ERROR_RETRY_DELAY = 2000;
+
+/**
+ * Audio Capture Service (Linux)
+ * Runs one long-lived recorder per stream for the whole recording - arecord
+ * for the microphone, parec for the system audio monitor in 'both' mode -
+ * reading raw PCM from its stdout. A StreamSegmenter buffers the audio and
+ * cuts out utterances with VADService; each is written as
+ * chunk_<start of its audio>[_<stream>].wav and passed to the callback.
+ * WindowsAudioServiceSoX reuses all of this with SoX as the recorder.
+ */
 class AudioCaptureService {
-  constructor() {
-    this.chunkDuration = config.audio.chunkDuration;
+  /**
+   * @param {Object} options
+   * @param {Object} options.vad - VADService that finds utterances in the live audio
+   */
+  constructor({ vad } = {}) {
+    this.vad = vad || new VADService(config.audio.vad);
     this.isRecording = false;
-    this.micInstance = null;
-    this.micInputStream = null;
-    this.currentChunkPath = null;
     this.tempDir = config.paths.tempAudio;
     this.chunkCount = 0;
-    this.audioBuffer = [];
-    this.chunkTimer = null;
-    
+    this.captureMode = config.audio.captureMode;
+    this.systemDevice = null;
+    this.streams = [];
+
     // Create temp directory
     this._ensureTempDirectory();
   }
 
+  /**
+   * System audio source for 'both' mode when none is configured
+   * @returns {string}
+   */
+  get defaultSystemDevice() {
+    return DEFAULT_MONITOR;
+  }
+
   _ensureTempDirectory() {
     if (!fs.existsSync(this.tempDir)) {
       fs.mkdirSync(this.tempDir, { recursive: true });
@@ -29,7 +60,7 @@ class AudioCaptureService {
     }
   }
 
-  startRecording(callback) {
+  startRecording(callback, userSettings = null) {
     if (this.isRecording) {
       logger.warn('Recording already in progress');
       return false;
@@ -37,164 +68,223 @@ class AudioCaptureService {
 
     this.isRecording = true;
     this.chunkCount = 0;
+    this.chunkCallback = callback; // stopRecording() hands over the last chunks
+    this.captureMode = userSettings?.audio?.captureMode || config.audio.captureMode;
+    this.systemDevice = userSettings?.audio?.systemDevice || config.audio.systemDevice || this.defaultSystemDevice;
+
+    // Without VAD every frame counts as speech and segments run to the maximum length
+    const gate = (userSettings?.audio?.vad?.enabled ?? config.audio.vad.enabled) !== false;
+    const segmentation = config.audio.segmentation;
     logger.info('Audio capture started', {
       sampleRate: config.audio.sampleRate,
-      chunkDuration: this.chunkDuration
+      segmentation,
+      vad: gate,
+      chunkOverlap: config.audio.chunkOverlap,
+      captureMode: this.captureMode
     });
-    
-    this._recordChunks(callback);
+
+    this.streams = this._getRecorders().map(recorder => ({
+      ...recorder,
+      process: null,
+      restartTimer: null,
+      received: false,
+      stderr: '',
+      startTime: null,
+      remainder: Buffer.alloc(0),
+      segmenter: new StreamSegmenter({
+        vad: this.vad,
+        sampleRate: config.audio.sampleRate,
+        channels: config.audio.channels,
+        minMs: segmentation.minDuration,
+        maxMs: segmentation.maxDuration,
+        trailingSilenceMs: segmentation.trailingSilence,
+        preRollMs: segmentation.preRoll,
+        overlapMs: config.audio.chunkOverlap,
+        gate
+      })
+    }));
+    this.streams.forEach(stream => this._startStream(stream, callback));
     return true;
   }
 
-  _recordChunks(callback) {
+  /**
+   * Recorders for the capture mode; each writes raw 16-bit little-endian PCM to stdout
+   * @protected
+   * @returns {Array<Object>} - [{ name, command, args, options }] - name is the stream tag, null
+   *   for a single stream; options go to spawn()
+   */
+  _getRecorders() {
+    const rate = config.audio.sampleRate.toString();
+    const channels = config.audio.channels.toString();
+    const microphone = {
+      command: 'arecord',
+      args: ['-D', config.audio.device, '-t', 'raw', '-f', 'S16_LE', '-c', channels, '-r', rate, '-q']
+    };
+
+    if (this.captureMode !== CAPTURE_MODES.BOTH) {
+      return [{ name: null, ...microphone }];
+    }
+
+    return [
+      { name: CAPTURE_STREAMS.ME, ...microphone },
+      {
+        name: CAPTURE_STREAMS.REMOTE,
+        command: 'parec',
+        args: [
+          `--device=${this.systemDevice}`,
+          `--rate=${rate}`,
+          `--channels=${channels}`,
+          '--format=s16le',
+          '--latency-msec=100'
+        ]
+      }
+    ];
+  }
+
+  /**
+   * Spawn a stream's recorder and feed its output to the segmenter
+   * @private
+   */
+  _startStream(stream, callback) {
     if (!this.isRecording) return;
 
-    try {
-      this.chunkCount++;
-      const timestamp = Date.now();
-      this.currentChunkPath = path.join(this.tempDir, `chunk_${timestamp}.wav`);
+    stream.segmenter.reset();
+    stream.remainder = Buffer.alloc(0);
+    stream.startTime = null;
+    stream.received = false;
+    stream.stderr = '';
 
-      logger.debug('Recording chunk', { 
-        chunk: this.chunkCount, 
-        path: this.currentChunkPath 
-      });
+    const recorder = spawn(stream.command, stream.args, stream.options);
+    stream.process = recorder;
+    logger.info(`${stream.command} started`, { stream: stream.name, pid: recorder.pid, args: stream.args });
 
-      // Use arecord (ALSA) for high-quality audio recording
-      // Don't use -d flag, we'll kill it manually after duration
-      
-      const args = [
-        '-D', config.audio.device,
-        '-f', 'S16_LE',  // Signed 16-bit little-endian
-        '-c', config.audio.channels.toString(),
-        '-r', config.audio.sampleRate.toString(),
-        this.currentChunkPath
-      ];
-
-      logger.info('Starting arecord', { args, duration: this.chunkDuration });
-
-      this.micInstance = spawn('arecord', args);
-      
-      logger.info('arecord spawned', { pid: this.micInstance.pid });
-      
-      // Kill arecord after chunk duration and process chunk
-      const killTimer = setTimeout(() => {
-        logger.info('Timer fired! Attempting to kill arecord', { 
-          duration: this.chunkDuration,
-          pid: this.micInstance?.pid,
-          killed: this.micInstance?.killed 
-        });
-        
-        if (this.micInstance && !this.micInstance.killed) {
-          logger.info('Killing arecord with SIGINT (Ctrl+C)', { pid: this.micInstance.pid });
-          this.micInstance.kill('SIGINT');
-          logger.info('Kill signal sent');
-          
-          // Exit event will handle processing - no need for manual timeout
-          // (Keeping this comment for reference - manual processing disabled since EXIT event works)
-        } else {
-          logger.warn('Cannot kill - instance null or already killed');
-        }
-      }, this.chunkDuration);
-      
-      logger.info('Kill timer set', { duration: this.chunkDuration });
+    recorder.stdout.on('data', (data) => {
+      stream.received = true;
+      this._handleAudio(stream, data, callback);
+    });
 
-      this.micInstance.on('error', (err) => {
-        logger.error('arecord error event', { error: err.message });
-      });
+    recorder.stderr.on('data', (data) => {
+      const message = data.toString();
+      stream.stderr = (stream.stderr + message).slice(-2000);
+      if (/error|failed/i.test(message)) {
+        logger.error(`${stream.command} error`, { stream: stream.name, error: message.trim() });
+      } else {
+        logger.debug(`${stream.command} status`, { message: message.trim() });
+      }
+    });
 
-      this.micInstance.stderr.on('data', (data) => {
-        const message = data.toString();
-        // arecord writes normal status to stderr, only log actual errors
-        if (message.includes('Error') || message.includes('error') || message.includes('failed')) {
-          logger.error('arecord error', { error: message });
-        } else {
-          logger.debug('arecord status', { message: message.trim() });
-        }
-      });
+    recorder.on('error', (err) => {
+      logger.error(`${stream.command} error event`, { stream: stream.name, error: err.message });
+      if (err.code === 'ENOENT' && this.isRecording) {
+        this.stopRecording();
+        callback(null, 0, new Error(this._missingRecorderMessage(stream)));
+      }
+    });
 
-      this.micInstance.on('exit', (code, signal) => {
-        logger.info('arecord EXIT event', { code, signal });
-        
-        // Process chunk on exit since close event may not fire
-        if (this.isRecording && fs.existsSync(this.currentChunkPath)) {
-          logger.info('Processing audio chunk from EXIT event', { code, path: this.currentChunkPath });
-          this._processChunk(callback);
-          
-          // Record next chunk
-          logger.info('Recording next chunk from EXIT...');
-          this._recordChunks(callback);
-        }
-      });
+    recorder.on('close', (code, signal) => {
+      if (stream.process !== recorder) return;
+      stream.process = null;
 
-      this.micInstance.on('close', (code, signal) => {
-        logger.info('arecord process CLOSED!', { 
-          code, 
-          signal,
-          isRecording: this.isRecording,
-          chunkPath: this.currentChunkPath,
-          fileExists: fs.existsSync(this.currentChunkPath)
-        });
-        
-        // Process chunk if recording is still active and file exists
-        // Note: arecord may exit with code 1 when terminated after duration, but file is valid
-        if (this.isRecording && fs.existsSync(this.currentChunkPath)) {
-          logger.info('Processing audio chunk', { code, path: this.currentChunkPath });
-          this._processChunk(callback);
-          
-          // Record next chunk
-          logger.info('Recording next chunk...');
-          this._recordChunks(callback);
-        } else if (code !== 0 && !this.isRecording) {
-          logger.info('arecord terminated (recording stopped)', { code });
-        } else if (code !== 0) {
-          logger.warn('arecord exited with non-zero code', { 
-            code,
-            chunkPath: this.currentChunkPath,
-            fileExists: fs.existsSync(this.currentChunkPath)
-          });
-        } else {
-          logger.warn('Unexpected close state', {
-            code,
-            isRecording: this.isRecording,
-            fileExists: fs.existsSync(this.currentChunkPath)
-          });
-        }
-      });
+      if (!this.isRecording) {
+        logger.info(`${stream.command} stopped`, { stream: stream.name, code, signal });
+        return;
+      }
 
-    } catch (error) {
-      logger.error('Error starting recording', { error: error.message });
-      this.isRecording = false;
-      throw error;
+      // Nothing was recorded - usually the device can't be opened
+      if (!stream.received) {
+        logger.error(`${stream.command} exited without recording audio`, { stream: stream.name, code, stderr: stream.stderr.trim() });
+        callback(null, 0, new Error(this._captureErrorMessage(stream)));
+        stream.restartTimer = setTimeout(() => this._startStream(stream, callback), ERROR_RETRY_DELAY);
+        return;
+      }
+
+      // Keep what was captured, then carry on with a fresh recorder
+      logger.warn(`${stream.command} exited during recording - restarting`, { stream: stream.name, code, signal });
+      const chunk = stream.segmenter.flush();
+      if (chunk) {
+        this._saveChunk(stream, chunk, callback);
+      }
+      stream.restartTimer = setTimeout(() => this._startStream(stream, callback), RESTART_DELAY);
+    });
+  }
+
+  /**
+   * Error reported when a stream's recorder isn't installed
+   * @protected
+   */
+  _missingRecorderMessage(stream) {
+    return `${stream.command} not found - install ${stream.command === 'parec' ? 'pulseaudio-utils' : 'alsa-utils'} to record audio`;
+  }
+
+  /**
+   * Error reported when a stream's recorder exits before recording anything
+   * @protected
+   */
+  _captureErrorMessage(stream) {
+    const detail = stream.stderr.trim();
+    return `Audio capture error: ${stream.command} could not record${stream.name ? ` the ${stream.name} stream` : ''}${detail ? ` - ${detail}` : ''}`;
+  }
+
+  /**
+   * Buffer raw PCM from a recorder and save the chunks the segmenter cuts
+   * @private
+   */
+  _handleAudio(stream, data, callback) {
+    const frameBytes = 2 * config.audio.channels;
+    const bytes = stream.remainder.length > 0 ? Buffer.concat([stream.remainder, data]) : data;
+    const usable = bytes.length - (bytes.length % frameBytes);
+    stream.remainder = Buffer.from(bytes.subarray(usable));
+    if (usable === 0) return;
+
+    // Wall-clock time of the stream's first frame - chunk names are derived from it
+    if (stream.startTime === null) {
+      stream.startTime = Date.now() - (usable / frameBytes / config.audio.sampleRate) * 1000;
+    }
+
+    const samples = new Int16Array(usable / 2);
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = bytes.readInt16LE(i * 2);
+    }
+
+    for (const chunk of stream.segmenter.push(samples)) {
+      this._saveChunk(stream, chunk, callback);
     }
   }
 
-  _processChunk(callback) {
-    if (!fs.existsSync(this.currentChunkPath)) {
-      logger.warn('Chunk file not found', { path: this.currentChunkPath });
+  /**
+   * Write a chunk as WAV and hand it to the processing callback
+   * @private
+   */
+  _saveChunk(stream, chunk, callback) {
+    const startTime = Math.round(stream.startTime + (chunk.start / config.audio.sampleRate) * 1000);
+    const chunkPath = path.join(this.tempDir, `chunk_${startTime}${stream.name ? `_${stream.name}` : ''}.wav`);
+    const pcm = Buffer.from(chunk.pcm.buffer, chunk.pcm.byteOffset, chunk.pcm.byteLength);
+
+    // Only process if the chunk has content (more than just the WAV header)
+    if (pcm.length <= 1000) {
+      logger.debug('Skipping empty chunk', { size: pcm.length });
       return;
     }
 
-    const fileSize = fs.statSync(this.currentChunkPath).size;
-    
-    // Only process if file has content (more than just WAV header ~44 bytes)
-    if (fileSize > 1000) {
-      logger.info('Audio chunk saved', { 
-        size: `${(fileSize / 1024).toFixed(2)} KB`,
+    try {
+      const wav = buildWav(pcm, {
+        sampleRate: config.audio.sampleRate,
+        channels: config.audio.channels,
+        bitsPerSample: 16
+      });
+      fs.writeFileSync(chunkPath, wav);
+      this.chunkCount++;
+
+      logger.info('Audio chunk saved', {
+        size: `${(wav.length / 1024).toFixed(2)} KB`,
+        duration: `${((chunk.end - chunk.start) / config.audio.sampleRate).toFixed(2)}s`,
         chunk: this.chunkCount,
-        path: this.currentChunkPath
+        path: chunkPath
       });
-      
-      // Keep audio chunks for testing - they will NOT be deleted
-      
-      callback(this.currentChunkPath, fileSize);
-    } else {
-      logger.debug('Skipping empty chunk', { size: fileSize });
-      // Delete empty file
-      try {
-        fs.unlinkSync(this.currentChunkPath);
-      } catch (err) {
-        logger.error('Error deleting empty chunk', { error: err.message });
-      }
+
+      callback(chunkPath, wav.length);
+    } catch (err) {
+      logger.error('Error saving audio chunk', { error: err.message, path: chunkPath });
     }
   }
 
@@ -205,30 +295,38 @@ class AudioCaptureService {
     }
 
     this.isRecording = false;
-    
-    // Stop arecord process
-    if (this.micInstance) {
-      try {
-        this.micInstance.kill('SIGTERM');
-      } catch (err) {
-        logger.error('Error stopping arecord', { error: err.message });
+
+    // Save the utterance in progress, then stop the recorders
+    this.streams.forEach(stream => {
+      clearTimeout(stream.restartTimer);
+      const chunk = stream.segmenter.flush();
+      if (chunk) {
+        this._saveChunk(stream, chunk, this.chunkCallback);
       }
-      this.micInstance = null;
-    }
-    
+      if (stream.process) {
+        try {
+          stream.process.kill('SIGTERM');
+        } catch (err) {
+          logger.error(`Error stopping ${stream.command}`, { error: err.message });
+        }
+      }
+    });
+
     logger.info('Audio capture stopped', { totalChunks: this.chunkCount });
     return true;
   }
 
   cleanup() {
-    this.stopRecording();
-    
+    if (this.isRecording) {
+      this.stopRecording();
+    }
+
     // KEEP audio files for testing - do NOT delete
     if (fs.existsSync(this.tempDir)) {
       const files = fs.readdirSync(this.tempDir);
-      logger.info('Audio files preserved for testing', { 
+      logger.info('Audio files preserved for testing', {
         count: files.length,
-        location: this.tempDir 
+        location: this.tempDir
       });
       logger.info('To clean up manually, delete files in: ' + this.tempDir);
     }
@@ -238,7 +336,7 @@ class AudioCaptureService {
     return {
       isRecording: this.isRecording,
       chunkCount: this.chunkCount,
-      chunkDuration: this.chunkDuration
+      captureMode: this.captureMode
     };
   }
 }
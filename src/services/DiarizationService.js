@@ -0,0 +1,416 @@
+import config from '../config/config.js';
+import logger from '../config/logger.js';
+import { CAPTURE_STREAMS, CAPTURE_STREAM_LABELS } from '../constants/index.js';
+import { NotFoundError, ValidationError } from '../utils/errorHandler.js';
+import { hannWindow, powerSpectrum } from '../utils/fft.js';
+
+const MAX_NAME_LENGTH = 60;
+
+// Everything on the microphone stream of 'both' capture mode is the local user
+export const LOCAL_SPEAKER = 'ME';
+
+// Voiceprint: mean and spread of MFCCs over the louder frames of a stretch of speech
+const FRAME_SECONDS = 0.025;
+const HOP_SECONDS = 0.02; // Half-overlapping frames are plenty for averages
+const MEL_BANDS = 24;
+const CEPSTRA = 12; // c1-c12; c0 only measures loudness
+const VOICED_SHARE = 0.6; // Loudest share of frames used, the rest is pauses and breath
+const MIN_VOICED_FRAMES = 15;
+
+const CENTROID_MEMORY = 20; // Voiceprints a speaker's centroid averages over before it starts to drift
+const VARIANCE_FLOOR = 1e-3;
+
+const filterbanks = new Map();
+
+/**
+ * Triangular mel filters for an FFT size and sample rate (cached)
+ * @private
+ */
+function melFilterbank(fftSize, sampleRate) {
+  const key = `${fftSize}:${sampleRate}`;
+  if (filterbanks.has(key)) {
+    return filterbanks.get(key);
+  }
+
+  const toMel = (hz) => 2595 * Math.log10(1 + hz / 700);
+  const toHz = (mel) => 700 * (10 ** (mel / 2595) - 1);
+  const low = toMel(80);
+  const high = toMel(Math.min(7600, sampleRate / 2));
+  const bins = Array.from({ length: MEL_BANDS + 2 }, (_, i) =>
+    Math.floor((fftSize + 1) * toHz(low + (high - low) * i / (MEL_BANDS + 1)) / sampleRate));
+
+  const filters = [];
+  for (let band = 1; band <= MEL_BANDS; band++) {
+    const [from, peak, to] = [bins[band - 1], bins[band], bins[band + 1]];
+    const weights = [];
+    for (let bin = from; bin <= to; bin++) {
+      const weight = bin <= peak
+        ? (bin - from) / Math.max(1, peak - from)
+        : (to - bin) / Math.max(1, to - peak);
+      if (weight > 0) {
+        weights.push([bin, weight]);
+      }
+    }
+    filters.push(weights);
+  }
+
+  filterbanks.set(key, filters);
+  return filters;
+}
+
+/**
+ * Voiceprint of the speech in one or more stretches of audio
+ * @param {Float32Array} samples - Mono samples in [-1, 1]
+ * @param {number} sampleRate
+ * @param {Array<Array<number>>} ranges - [startSeconds, endSeconds] pairs
+ * @returns {Float64Array|null} - Mean and standard deviation of c1-c12, null if there is too little speech
+ */
+export function computeVoiceprint(samples, sampleRate, ranges) {
+  const frameLength = Math.round(sampleRate * FRAME_SECONDS);
+  const hop = Math.round(sampleRate * HOP_SECONDS);
+  let fftSize = 1;
+  while (fftSize < frameLength) {
+    fftSize <<= 1;
+  }
+
+  // Frame positions and energies across all ranges
+  const frames = [];
+  for (const [from, to] of ranges) {
+    const end = Math.min(samples.length, Math.round(to * sampleRate));
+    for (let start = Math.max(0, Math.round(from * sampleRate)); start + frameLength <= end; start += hop) {
+      let energy = 0;
+      for (let i = start; i < start + frameLength; i++) {
+        energy += samples[i] * samples[i];
+      }
+      if (energy > 1e-6) {
+        frames.push({ start, energy });
+      }
+    }
+  }
+
+  const voiced = frames
+    .sort((a, b) => b.energy - a.energy)
+    .slice(0, Math.floor(frames.length * VOICED_SHARE));
+  if (voiced.length < MIN_VOICED_FRAMES) {
+    return null;
+  }
+
+  const window = hannWindow(frameLength);
+  const filters = melFilterbank(fftSize, sampleRate);
+  const sums = new Float64Array(CEPSTRA);
+  const squares = new Float64Array(CEPSTRA);
+  const logMel = new Float64Array(MEL_BANDS);
+
+  for (const { start } of voiced) {
+    const power = powerSpectrum(samples, start, window, fftSize);
+    filters.forEach((weights, band) => {
+      let energy = 0;
+      for (const [bin, weight] of weights) {
+        energy += power[bin] * weight;
+      }
+      logMel[band] = Math.log(energy + 1e-10);
+    });
+
+    // DCT-II of the log mel energies
+    for (let c = 1; c <= CEPSTRA; c++) {
+      let value = 0;
+      for (let band = 0; band < MEL_BANDS; band++) {
+        value += logMel[band] * Math.cos(Math.PI * c * (band + 0.5) / MEL_BANDS);
+      }
+      sums[c - 1] += value;
+      squares[c - 1] += value * value;
+    }
+  }
+
+  const voiceprint = new Float64Array(CEPSTRA * 2);
+  for (let c = 0; c < CEPSTRA; c++) {
+    const mean = sums[c] / voiced.length;
+    voiceprint[c] = mean;
+    voiceprint[CEPSTRA + c] = Math.sqrt(Math.max(0, squares[c] / voiced.length - mean * mean));
+  }
+  return voiceprint;
+}
+
+/**
+ * Distance between two voiceprints: symmetric KL divergence of the
+ * per-coefficient Gaussians, averaged over coefficients. Around 0.01 for the
+ * same voice, 1 and more for clearly different voices.
+ * @param {Float64Array} a - Voiceprint
+ * @param {Float64Array} b - Voiceprint
+ * @returns {number}
+ */
+export function voiceDistance(a, b) {
+  let sum = 0;
+  for (let c = 0; c < CEPSTRA; c++) {
+    const varianceA = a[CEPSTRA + c] ** 2 + VARIANCE_FLOOR;
+    const varianceB = b[CEPSTRA + c] ** 2 + VARIANCE_FLOOR;
+    const meanGap = (a[c] - b[c]) ** 2;
+    sum += 0.5 * (varianceA / varianceB + varianceB / varianceA - 2 + meanGap * (1 / varianceA + 1 / varianceB));
+  }
+  return sum / CEPSTRA;
+}
+
+/**
+ * Validate a speaker name; empty restores the default ("Speaker 2")
+ * @param {string} id - Speaker ID ("S2")
+ * @param {string} name
+ * @returns {string}
+ * @throws {ValidationError}
+ */
+export function speakerName(id, name) {
+  if (name !== undefined && name !== null && typeof name !== 'string') {
+    throw new ValidationError('name must be a string');
+  }
+  const trimmed = (name || '').trim();
+  if (trimmed.length > MAX_NAME_LENGTH) {
+    throw new ValidationError(`Speaker names are limited to ${MAX_NAME_LENGTH} characters`);
+  }
+  if (trimmed) {
+    return trimmed;
+  }
+  return id === LOCAL_SPEAKER ? CAPTURE_STREAM_LABELS[CAPTURE_STREAMS.ME] : `Speaker ${String(id).replace(/^S/, '')}`;
+}
+
+/**
+ * Diarization Service
+ * Works out who spoke each transcript segment and keeps speaker IDs stable
+ * for the whole meeting. Segments are matched to known speakers by
+ * voiceprint; speaker labels returned by the transcription backend keep
+ * its segments apart within a chunk. Speakers can be renamed at any time.
+ */
+class DiarizationService {
+  constructor(options = {}) {
+    const settings = { ...config.diarization, ...options };
+    this.enabled = settings.enabled;
+    this.threshold = settings.threshold;
+    this.maxSpeakers = settings.maxSpeakers;
+    this.minSegmentSeconds = settings.minSegmentSeconds;
+    this.reset();
+  }
+
+  /**
+   * Forget all speakers (call when a new meeting starts)
+   */
+  reset() {
+    this.speakers = [];
+    this.lastSpeaker = null;
+  }
+
+  isEnabled() {
+    return this.enabled;
+  }
+
+  /**
+   * Attach speaker IDs to a transcription
+   * Sets segments[].speaker and the entry's main speaker (most speaking time).
+   * Segment timings must still be relative to the chunk.
+   * @param {Object} transcriptionResult - { segments, audioDuration }
+   * @param {Object|null} audio - Decoded chunk audio ({ samples, sampleRate }), null if unavailable
+   * @param {string} [stream] - Capture stream; microphone chunks are the local user
+   * @returns {string|null} - Main speaker ID, null if nothing identified a speaker
+   */
+  assign(transcriptionResult, audio, stream = null) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const duration = audio ? audio.samples.length / audio.sampleRate : transcriptionResult.audioDuration || 0;
+    const segments = transcriptionResult.segments?.length > 0
+      ? transcriptionResult.segments
+      : [{ start: 0, end: duration }];
+
+    if (stream === CAPTURE_STREAMS.ME) {
+      return this._assignLocal(transcriptionResult, segments);
+    }
+
+    // Backend labels split the chunk into speakers; without them every segment stands alone
+    const groups = new Map();
+    segments.forEach((segment, index) => {
+      const key = segment.speaker !== undefined && segment.speaker !== null ? `label:${segment.speaker}` : `segment:${index}`;
+      if (!groups.has(key)) {
+        groups.set(key, { label: segment.speaker ?? null, segments: [] });
+      }
+      groups.get(key).segments.push(segment);
+    });
+
+    const assigned = new Map();
+    const taken = new Set();
+    for (const group of groups.values()) {
+      const seconds = group.segments.reduce((sum, segment) => sum + Math.max(0, segment.end - segment.start), 0);
+      const voiceprint = audio && seconds >= this.minSegmentSeconds
+        ? computeVoiceprint(audio.samples, audio.sampleRate, group.segments.map(segment => [segment.start, segment.end]))
+        : null;
+
+      let speaker = null;
+      if (voiceprint) {
+        // Different backend labels in one chunk are different people
+        speaker = this._match(voiceprint, group.label !== null ? taken : new Set());
+      } else if (group.label !== null) {
+        speaker = this._labelledSpeaker(taken);
+      }
+
+      if (speaker) {
+        taken.add(speaker);
+        group.segments.forEach(segment => assigned.set(segment, speaker));
+      }
+    }
+
+    // Short unlabelled segments continue the previous speaker
+    let previous = this.lastSpeaker;
+    for (const segment of segments) {
+      previous = assigned.get(segment) || previous;
+      assigned.set(segment, previous);
+    }
+    const first = segments.map(segment => assigned.get(segment)).find(Boolean) || null;
+
+    const time = new Map();
+    for (const segment of segments) {
+      segment.speaker = assigned.get(segment) || first;
+      if (segment.speaker) {
+        time.set(segment.speaker, (time.get(segment.speaker) || 0) + Math.max(0, segment.end - segment.start));
+      }
+    }
+    for (const [id, seconds] of time) {
+      this.speakers.find(speaker => speaker.id === id).seconds += seconds;
+    }
+
+    const main = [...time.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+    this.lastSpeaker = segments[segments.length - 1].speaker || this.lastSpeaker;
+    transcriptionResult.speaker = main;
+
+    logger.debug('Speakers assigned', { main, segments: segments.map(segment => segment.speaker) });
+    return main;
+  }
+
+  /**
+   * Give a microphone-stream chunk to the local user; it never enters
+   * voiceprint matching, so remote voices can't be mistaken for them
+   * @private
+   */
+  _assignLocal(transcriptionResult, segments) {
+    let local = this.speakers.find(speaker => speaker.id === LOCAL_SPEAKER);
+    if (!local) {
+      local = { id: LOCAL_SPEAKER, name: speakerName(LOCAL_SPEAKER), seconds: 0, centroid: null, voiceprints: 0 };
+      this.speakers.push(local);
+      logger.info('New speaker', { id: LOCAL_SPEAKER });
+    }
+
+    for (const segment of segments) {
+      segment.speaker = LOCAL_SPEAKER;
+      local.seconds += Math.max(0, segment.end - segment.start);
+    }
+    transcriptionResult.speaker = LOCAL_SPEAKER;
+    return LOCAL_SPEAKER;
+  }
+
+  /**
+   * Rename a speaker of the meeting in progress
+   * @param {string} id - Speaker ID ("S2")
+   * @param {string} name - New name; empty restores "Speaker 2"
+   * @returns {Object} - { id, name, seconds }
+   * @throws {NotFoundError|ValidationError}
+   */
+  renameSpeaker(id, name) {
+    const speaker = this.speakers.find(s => s.id === id);
+    if (!speaker) {
+      throw new NotFoundError('Speaker');
+    }
+
+    speaker.name = speakerName(id, name);
+    logger.info('Speaker renamed', { id, name: speaker.name });
+    return this._describe(speaker);
+  }
+
+  /**
+   * Speakers heard so far
+   * @returns {Array<Object>} - [{ id, name, seconds }]
+   */
+  getSpeakers() {
+    return this.speakers.map(speaker => this._describe(speaker));
+  }
+
+  /**
+   * Display name of a speaker
+   * @param {string|null} id
+   * @returns {string|null}
+   */
+  getName(id) {
+    return this.speakers.find(speaker => speaker.id === id)?.name || null;
+  }
+
+  /**
+   * Best matching known speaker, or a new one when nobody is similar enough
+   * @private
+   * @returns {string|null} - Speaker ID, null when the room is full and no speaker can be compared
+   */
+  _match(voiceprint, exclude) {
+    let best = null;
+    let bestDistance = Infinity;
+    for (const speaker of this.speakers) {
+      if (exclude.has(speaker.id) || !speaker.centroid) {
+        continue;
+      }
+      const distance = voiceDistance(voiceprint, speaker.centroid);
+      if (distance < bestDistance) {
+        best = speaker;
+        bestDistance = distance;
+      }
+    }
+
+    // Once the room is full, the closest speaker is the best guess
+    const full = this.speakers.length >= this.maxSpeakers;
+    if (full && !best) {
+      return null;
+    }
+    if (!best || (bestDistance > this.threshold && !full)) {
+      const id = this._addSpeaker();
+      best = this.speakers.find(speaker => speaker.id === id);
+      best.centroid = Float64Array.from(voiceprint);
+      best.voiceprints = 1;
+      return best.id;
+    }
+
+    best.voiceprints++;
+    const weight = Math.min(best.voiceprints, CENTROID_MEMORY);
+    for (let i = 0; i < voiceprint.length; i++) {
+      best.centroid[i] += (voiceprint[i] - best.centroid[i]) / weight;
+    }
+    return best.id;
+  }
+
+  /**
+   * Speaker for a backend label with no voiceprint to compare. Labels only
+   * tell speakers apart within one chunk ("A" may be someone else in the
+   * next), so the first continues the previous speaker and the others get
+   * new speakers while there is room
+   * @private
+   * @param {Set<string>} taken - Speakers already given to other labels of the chunk
+   * @returns {string|null} - Speaker ID, null when the room is full
+   */
+  _labelledSpeaker(taken) {
+    if (this.lastSpeaker && this.lastSpeaker !== LOCAL_SPEAKER && !taken.has(this.lastSpeaker)) {
+      return this.lastSpeaker;
+    }
+    return this.speakers.length < this.maxSpeakers ? this._addSpeaker() : null;
+  }
+
+  /**
+   * @private
+   * @returns {string} - New speaker ID
+   */
+  _addSpeaker() {
+    const id = `S${this.speakers.filter(speaker => speaker.id !== LOCAL_SPEAKER).length + 1}`;
+    this.speakers.push({ id, name: speakerName(id), seconds: 0, centroid: null, voiceprints: 0 });
+    logger.info('New speaker', { id });
+    return id;
+  }
+
+  /**
+   * @private
+   */
+  _describe(speaker) {
+    return { id: speaker.id, name: speaker.name, seconds: Math.round(speaker.seconds) };
+  }
+}
+
+export default DiarizationService;
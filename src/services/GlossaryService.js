@@ -0,0 +1,115 @@
+import config from '../config/config.js';
+import logger from '../config/logger.js';
+import { ValidationError } from '../utils/errorHandler.js';
+import JsonFileStore from '../utils/JsonFileStore.js';
+
+const MAX_TERM_LENGTH = 100;
+const MAX_TERMS = 500;
+
+/**
+ * Glossary Service
+ * User-managed list of product names, people and acronyms that is fed to
+ * the speech-to-text backend as prompt context. Stored as JSON on disk so
+ * the REST routes and the recording pipeline always see the same list.
+ */
+class GlossaryService {
+  constructor(filePath = config.paths.glossary) {
+    this.store = new JsonFileStore({
+      filePath,
+      label: 'glossary',
+      parse: data => (Array.isArray(data.terms) ? data.terms : []),
+      serialize: terms => ({ terms }),
+      fallback: []
+    });
+  }
+
+  /**
+   * Get all glossary terms
+   * @returns {string[]}
+   */
+  getTerms() {
+    return [...this.store.load()];
+  }
+
+  /**
+   * Replace the whole glossary
+   * @param {string[]} terms - New terms
+   * @returns {string[]} - Saved terms (trimmed, de-duplicated)
+   */
+  setTerms(terms) {
+    if (!Array.isArray(terms)) {
+      throw new ValidationError('terms must be an array of strings');
+    }
+
+    const cleaned = [];
+    const seen = new Set();
+
+    for (const term of terms) {
+      const value = this._validateTerm(term);
+      if (!seen.has(value.toLowerCase())) {
+        seen.add(value.toLowerCase());
+        cleaned.push(value);
+      }
+    }
+
+    if (cleaned.length > MAX_TERMS) {
+      throw new ValidationError(`Glossary is limited to ${MAX_TERMS} terms`);
+    }
+
+    this._save(cleaned);
+    return cleaned;
+  }
+
+  /**
+   * Add a single term (no-op if it already exists)
+   * @param {string} term
+   * @returns {string[]} - Updated terms
+   */
+  addTerm(term) {
+    const value = this._validateTerm(term);
+    const terms = this.getTerms();
+
+    if (terms.some(t => t.toLowerCase() === value.toLowerCase())) {
+      return terms;
+    }
+
+    return this.setTerms([...terms, value]);
+  }
+
+  /**
+   * Remove a term (case-insensitive)
+   * @param {string} term
+   * @returns {boolean} - True if the term existed
+   */
+  removeTerm(term) {
+    const terms = this.getTerms();
+    const remaining = terms.filter(t => t.toLowerCase() !== String(term).trim().toLowerCase());
+
+    if (remaining.length === terms.length) {
+      return false;
+    }
+
+    this._save(remaining);
+    return true;
+  }
+
+  _validateTerm(term) {
+    if (typeof term !== 'string' || !term.trim()) {
+      throw new ValidationError('Glossary terms must be non-empty strings');
+    }
+
+    const value = term.trim();
+    if (value.length > MAX_TERM_LENGTH) {
+      throw new ValidationError(`Glossary terms are limited to ${MAX_TERM_LENGTH} characters`);
+    }
+
+    return value;
+  }
+
+  _save(terms) {
+    this.store.save(terms);
+    logger.info('Glossary saved', { count: terms.length });
+  }
+}
+
+export default GlossaryService;
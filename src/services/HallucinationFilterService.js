@@ -0,0 +1,257 @@
+import config from '../config/config.js';
+import logger from '../config/logger.js';
+import { ValidationError } from '../utils/errorHandler.js';
+import JsonFileStore from '../utils/JsonFileStore.js';
+
+export const RULE_TYPES = ['exact', 'substring', 'regex'];
+
+const MAX_RULES = 1000;
+const MAX_PATTERN_LENGTH = 300;
+
+// Seeded into the rules file the first time it is created
+const DEFAULT_FILTER = {
+  rules: [
+    ...[
+      'thank you', 'thanks', 'thanks for watching', 'thank you for watching',
+      'thank you very much', 'you', 'bye', 'goodbye', 'music', 'applause'
+    ].map(pattern => ({ type: 'exact', pattern, source: 'default' })),
+    { type: 'substring', pattern: 'subtitles by', source: 'default' },
+    { type: 'substring', pattern: 'please subscribe', source: 'default' },
+    // Lines made only of music notes and punctuation
+    { type: 'regex', pattern: '^[\\s♪♫*.,-]+$', source: 'default' }
+  ],
+  // "thank you thank you thank you" - the same short phrase looping
+  repeatedPhrase: { enabled: true, minRepeats: 3, maxPhraseWords: 4 },
+  // Short text from a chunk that barely passed VAD is usually invented
+  lowEnergy: { enabled: true, energyThreshold: 0.01, maxWords: 3 }
+};
+
+// Lowercase, drop punctuation and collapse whitespace so "Thank you." matches "thank you"
+const normalizeText = (text) => String(text)
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}\s']/gu, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Hallucination Filter Service
+ * Decides whether a transcription is something Whisper invented for silence
+ * or noise. Rules live in a user-editable JSON file in the data dir; lines
+ * flagged from the UI are appended to it as exact rules.
+ */
+class HallucinationFilterService {
+  constructor(filePath = config.paths.hallucinationRules) {
+    this.store = new JsonFileStore({
+      filePath,
+      label: 'hallucination rules',
+      parse: data => ({
+        rules: Array.isArray(data.rules) ? data.rules : [],
+        repeatedPhrase: { ...DEFAULT_FILTER.repeatedPhrase, ...data.repeatedPhrase },
+        lowEnergy: { ...DEFAULT_FILTER.lowEnergy, ...data.lowEnergy }
+      }),
+      fallback: DEFAULT_FILTER,
+      seed: true
+    });
+    this.filter = null;
+    this.compiled = [];
+  }
+
+  /**
+   * Get the filter configuration
+   * @returns {Object} - { rules, repeatedPhrase, lowEnergy }
+   */
+  getFilter() {
+    return JSON.parse(JSON.stringify(this._load()));
+  }
+
+  /**
+   * Replace the filter configuration
+   * @param {Object} filter - { rules, repeatedPhrase, lowEnergy }
+   * @returns {Object} - Saved configuration
+   */
+  setFilter(filter) {
+    if (!filter || !Array.isArray(filter.rules)) {
+      throw new ValidationError('rules must be an array');
+    }
+    if (filter.rules.length > MAX_RULES) {
+      throw new ValidationError(`The filter is limited to ${MAX_RULES} rules`);
+    }
+
+    const current = this.getFilter();
+    const saved = {
+      rules: filter.rules.map(rule => this._validateRule(rule)),
+      repeatedPhrase: { ...current.repeatedPhrase, ...filter.repeatedPhrase },
+      lowEnergy: { ...current.lowEnergy, ...filter.lowEnergy }
+    };
+
+    this._save(saved);
+    return this.getFilter();
+  }
+
+  /**
+   * Add a blocklist entry for a transcript line the user flagged
+   * @param {string} text - Transcript text
+   * @returns {Object} - The exact rule now matching the text
+   */
+  flag(text) {
+    const pattern = normalizeText(text || '');
+    if (!pattern) {
+      throw new ValidationError('text is required');
+    }
+
+    const filter = this.getFilter();
+    const existing = filter.rules.find(rule => rule.type === 'exact' && normalizeText(rule.pattern) === pattern);
+    if (existing) {
+      return existing;
+    }
+
+    const rule = this._validateRule({ type: 'exact', pattern, source: 'flagged' });
+    rule.addedAt = new Date().toISOString();
+    filter.rules.push(rule);
+    this.setFilter(filter);
+
+    logger.info('Transcript line flagged as hallucination', { pattern });
+    return rule;
+  }
+
+  /**
+   * Check a transcription
+   * @param {string} text - Transcribed text
+   * @param {Object} context - { energy } from VAD, when available
+   * @returns {Object} - { isHallucination, reason, rule }
+   */
+  check(text, context = {}) {
+    const { repeatedPhrase, lowEnergy } = this._load();
+    if (!text || !String(text).trim()) {
+      return { isHallucination: false };
+    }
+    const normalized = normalizeText(text);
+
+    for (const { rule, test } of this.compiled) {
+      if (test(normalized, text)) {
+        return { isHallucination: true, reason: 'rule', rule: `${rule.type}:${rule.pattern}` };
+      }
+    }
+
+    const words = normalized.split(' ');
+
+    if (repeatedPhrase?.enabled && this._isRepeatedPhrase(words, repeatedPhrase)) {
+      return { isHallucination: true, reason: 'repeated_phrase' };
+    }
+
+    if (lowEnergy?.enabled && typeof context.energy === 'number' &&
+        context.energy < lowEnergy.energyThreshold && words.length <= lowEnergy.maxWords) {
+      return { isHallucination: true, reason: 'low_energy' };
+    }
+
+    return { isHallucination: false };
+  }
+
+  /**
+   * Whether the text is one short phrase looped at least minRepeats times
+   * @private
+   */
+  _isRepeatedPhrase(words, { minRepeats = 3, maxPhraseWords = 4 }) {
+    for (let size = 1; size <= maxPhraseWords; size++) {
+      const repeats = Math.floor(words.length / size);
+      if (repeats < minRepeats) {
+        break;
+      }
+
+      const phrase = words.slice(0, size).join(' ');
+      let matched = 0;
+      while (matched < repeats && words.slice(matched * size, (matched + 1) * size).join(' ') === phrase) {
+        matched++;
+      }
+
+      // Allow a cut-off partial repeat at the end ("thank you thank you thank")
+      const rest = words.slice(matched * size).join(' ');
+      if (matched >= minRepeats && phrase.startsWith(rest)) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  _validateRule(rule) {
+    if (!rule || !RULE_TYPES.includes(rule.type)) {
+      throw new ValidationError(`Rule type must be one of: ${RULE_TYPES.join(', ')}`);
+    }
+    if (typeof rule.pattern !== 'string' || !rule.pattern.trim()) {
+      throw new ValidationError('Rule pattern must be a non-empty string');
+    }
+    if (rule.pattern.length > MAX_PATTERN_LENGTH) {
+      throw new ValidationError(`Rule patterns are limited to ${MAX_PATTERN_LENGTH} characters`);
+    }
+
+    // Exact and substring rules compare normalized text; an empty pattern would match every line
+    if (rule.type !== 'regex' && !normalizeText(rule.pattern)) {
+      throw new ValidationError(`"${rule.pattern}" has no letters or digits - use a regex rule for punctuation`);
+    }
+
+    if (rule.type === 'regex') {
+      try {
+        new RegExp(rule.pattern, rule.flags || '');
+      } catch (error) {
+        throw new ValidationError(`Invalid regex "${rule.pattern}": ${error.message}`);
+      }
+    }
+
+    return {
+      type: rule.type,
+      pattern: rule.pattern,
+      ...(rule.flags ? { flags: rule.flags } : {}),
+      source: rule.source || 'user',
+      ...(rule.addedAt ? { addedAt: rule.addedAt } : {})
+    };
+  }
+
+  /**
+   * Build matchers for the rules
+   * Exact and substring rules compare normalized text, regex rules see the raw text
+   * @private
+   */
+  _compile(rules) {
+    return rules.flatMap(rule => {
+      try {
+        if (rule.type !== 'regex') {
+          const pattern = normalizeText(rule.pattern);
+          if (!pattern) {
+            throw new Error('Pattern has no letters or digits');
+          }
+          return rule.type === 'exact'
+            ? [{ rule, test: (normalized) => normalized === pattern }]
+            : [{ rule, test: (normalized) => normalized.includes(pattern) }];
+        }
+        // Stateful flags would make .test() alternate between calls
+        const regex = new RegExp(rule.pattern, (rule.flags || '').replace(/[gy]/g, ''));
+        return [{ rule, test: (normalized, raw) => regex.test(String(raw).trim()) }];
+      } catch (error) {
+        // Hand-edited file with a bad regex or empty pattern - skip the rule, keep the rest
+        logger.warn('Ignoring invalid hallucination rule', { pattern: rule.pattern, error: error.message });
+        return [];
+      }
+    });
+  }
+
+  /**
+   * Current filter, recompiling the rules when the file changed
+   * @private
+   */
+  _load() {
+    const filter = this.store.load();
+    if (filter !== this.filter) {
+      this.filter = filter;
+      this.compiled = this._compile(filter.rules);
+    }
+    return filter;
+  }
+
+  _save(filter) {
+    this.store.save(filter);
+    logger.info('Hallucination rules saved', { count: filter.rules.length });
+  }
+}
+
+export default HallucinationFilterService;
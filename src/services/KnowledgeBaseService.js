@@ -0,0 +1,503 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import config from '../config/config.js';
+import logger from '../config/logger.js';
+import { API_ROUTES } from '../constants/index.js';
+import { ValidationError } from '../utils/errorHandler.js';
+import { SUPPORTED_EXTENSIONS, chunkSections, readDocument } from '../utils/documentText.js';
+import { EmbeddingIndex } from '../utils/EmbeddingIndex.js';
+import { buildKeywordIndex, rankByKeywords, rankByVector } from '../utils/textSearch.js';
+
+const WATCH_DEBOUNCE_MS = 1500; // Editors save in several steps
+const SKIPPED_DIRS = new Set(['node_modules', '.git']);
+
+const sourceId = (dirPath) => crypto.createHash('sha1').update(dirPath).digest('hex').slice(0, 10);
+
+/**
+ * Knowledge Base Service
+ * Indexes folders of team documents (Markdown, text, PDF) so suggestions can
+ * quote them and cite them as resources instead of inventing links. Files are
+ * split into passages, embedded with the suggestion provider when it supports
+ * embeddings (BM25 keyword search otherwise) and re-indexed when they change.
+ * Sources, passages and vectors are kept in knowledge-base.json.
+ */
+class KnowledgeBaseService {
+  constructor(options = {}) {
+    const defaults = config.knowledgeBase;
+    this.filePath = options.filePath || config.paths.knowledgeBase;
+    this.enabled = options.enabled ?? defaults.enabled;
+    this.watchEnabled = options.watch ?? defaults.watch;
+    this.chunkSize = options.chunkSize || defaults.chunkSize;
+    this.chunkOverlap = options.chunkOverlap ?? defaults.chunkOverlap;
+    this.maxFileSize = options.maxFileSize || defaults.maxFileSize;
+    this.maxPassages = options.maxPassages || defaults.maxPassages;
+    this.minSimilarity = options.minSimilarity ?? defaults.minSimilarity;
+    this.pdfToText = options.pdfToText || defaults.pdfToText;
+    this.timeout = options.timeout || config.retrieval.timeout;
+
+    // { sources, files: { [path]: { sourceId, mtime, size, title, passages, error } }, chunks, embeddingModel }
+    this.store = new EmbeddingIndex({
+      filePath: this.filePath,
+      label: 'knowledge base passages',
+      embeddings: options.embeddings ?? config.retrieval.embeddings,
+      empty: () => ({ sources: [], files: {} }),
+      parse: (data) => ({
+        sources: Array.isArray(data.sources) ? data.sources : [],
+        files: data.files || {},
+        chunks: Array.isArray(data.chunks) ? data.chunks : []
+      }),
+      textOf: (chunk) => chunk.heading ? `${chunk.heading}\n${chunk.text}` : chunk.text
+    });
+    this.lexical = null;
+    this.watchers = new Map(); // sourceId -> fs.FSWatcher
+    this.timers = new Map(); // sourceId -> pending re-index
+    this.indexing = new Set(); // sourceIds being indexed
+    this.queue = Promise.resolve(); // One indexing run at a time
+    this.started = false;
+    this.port = null;
+  }
+
+  /**
+   * Add sources from KNOWLEDGE_BASE_DIRS, start watching and bring the index up to date
+   * @param {Object} options - { port } the server listens on (for document links)
+   */
+  start(options = {}) {
+    this.port = options.port || this.port;
+    if (!this.enabled || this.started) {
+      return;
+    }
+    this.started = true;
+    this._load();
+
+    for (const dir of config.knowledgeBase.sources) {
+      const resolved = path.resolve(dir);
+      if (!this.data.sources.some(source => source.path === resolved)) {
+        try {
+          this.addSource(resolved);
+        } catch (error) {
+          logger.warn('Ignoring knowledge base folder from KNOWLEDGE_BASE_DIRS', { path: dir, error: error.message });
+        }
+      }
+    }
+
+    for (const source of this.data.sources) {
+      this._watch(source);
+      this._schedule(source.id, 0);
+    }
+
+    logger.info('Knowledge base started', { sources: this.data.sources.length, watching: this.watchers.size });
+  }
+
+  /**
+   * Stop watching folders (indexing already in progress finishes)
+   */
+  stop() {
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers.clear();
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    this.started = false;
+  }
+
+  /**
+   * Use a provider's embeddings (null or a provider without them = keyword search)
+   * @param {LLMProvider|null} provider
+   */
+  setEmbedder(provider) {
+    if (this.store.setEmbedder(provider) && this.started && this.store.embedder) {
+      this.queue = this.queue.then(() => this.store.embedMissing()).then(count => count > 0 && this._save());
+    }
+  }
+
+  /**
+   * Sources, files and passages (loaded on first use)
+   * @returns {Object}
+   */
+  get data() {
+    return this.store.load();
+  }
+
+  /**
+   * Sources with their indexing status
+   * @returns {Object[]} - [{ id, path, addedAt, state, files, passages, errors, lastIndexedAt, watching }]
+   */
+  listSources() {
+    this._load();
+    return this.data.sources.map(source => this._describeSource(source));
+  }
+
+  /**
+   * Overall index status
+   * @returns {Object} - { enabled, indexing, sources, files, passages, embeddingModel, embedded }
+   */
+  getStatus() {
+    this._load();
+    const { sources, files, chunks, embeddingModel } = this.data;
+    return {
+      enabled: this.enabled,
+      indexing: this.indexing.size > 0,
+      sources: sources.length,
+      files: Object.keys(files).length,
+      passages: chunks.length,
+      embeddingModel,
+      embedded: chunks.length > 0 && chunks.every(chunk => chunk.vector)
+    };
+  }
+
+  /**
+   * Add a folder; indexing runs in the background
+   * @param {string} dirPath - Absolute folder path
+   * @returns {Object} - The source with its status
+   */
+  addSource(dirPath) {
+    if (typeof dirPath !== 'string' || !dirPath.trim()) {
+      throw new ValidationError('path is required');
+    }
+    if (!path.isAbsolute(dirPath.trim())) {
+      throw new ValidationError('path must be absolute');
+    }
+
+    const resolved = path.resolve(dirPath.trim());
+    if (!fs.existsSync(resolved) || !fs.statSync(resolved).isDirectory()) {
+      throw new ValidationError(`Not a folder: ${resolved}`);
+    }
+
+    this._load();
+    let source = this.data.sources.find(existing => existing.path === resolved);
+    if (!source) {
+      source = { id: sourceId(resolved), path: resolved, addedAt: new Date().toISOString(), lastIndexedAt: null };
+      this.data.sources.push(source);
+      this._save();
+      logger.info('Knowledge base folder added', { id: source.id, path: resolved });
+    }
+
+    if (this.started) {
+      this._watch(source);
+    }
+    this._schedule(source.id, 0);
+
+    return this._describeSource(source);
+  }
+
+  /**
+   * Remove a folder and its passages
+   * @param {string} id - Source ID
+   * @returns {boolean} - True if the source existed
+   */
+  removeSource(id) {
+    this._load();
+    const source = this.data.sources.find(existing => existing.id === id);
+    if (!source) {
+      return false;
+    }
+
+    this.watchers.get(id)?.close();
+    this.watchers.delete(id);
+    clearTimeout(this.timers.get(id));
+    this.timers.delete(id);
+
+    this.data.sources = this.data.sources.filter(existing => existing.id !== id);
+    this._dropFiles(file => this.data.files[file].sourceId === id);
+    this._save();
+
+    logger.info('Knowledge base folder removed', { id, path: source.path });
+    return true;
+  }
+
+  /**
+   * Re-read every file of a source, changed or not
+   * @param {string} id - Source ID
+   * @returns {Object|null} - The source, or null if unknown
+   */
+  reindexSource(id) {
+    this._load();
+    const source = this.data.sources.find(existing => existing.id === id);
+    if (!source) {
+      return null;
+    }
+
+    Object.values(this.data.files)
+      .filter(file => file.sourceId === id)
+      .forEach(file => { file.mtime = null; });
+    this._schedule(id, 0);
+
+    return this._describeSource(source);
+  }
+
+  /**
+   * Absolute path of an indexed file, if it belongs to the source
+   * Used to serve cited documents - anything outside the source folder is refused.
+   * @param {string} id - Source ID
+   * @param {string} relativePath - Path inside the source folder
+   * @returns {string|null}
+   */
+  resolveFile(id, relativePath) {
+    this._load();
+    const source = this.data.sources.find(existing => existing.id === id);
+    if (!source || typeof relativePath !== 'string') {
+      return null;
+    }
+
+    const absolute = path.resolve(source.path, relativePath);
+    const inside = path.relative(source.path, absolute);
+    if (!inside || inside.startsWith('..') || path.isAbsolute(inside)) {
+      return null;
+    }
+
+    return this.data.files[absolute] && fs.existsSync(absolute) ? absolute : null;
+  }
+
+  /**
+   * Find passages related to the text
+   * @param {string} text - Current transcript
+   * @param {Object} options - { limit }
+   * @returns {Promise<Object>} - { passages: [{ sourceId, file, title, heading, page, text, url, score }], method, cost }
+   */
+  async search(text, options = {}) {
+    const limit = options.limit || this.maxPassages;
+    if (!this.enabled || !text?.trim()) {
+      return { passages: [], method: null, cost: 0 };
+    }
+
+    this._load();
+    const chunks = this.data.chunks;
+    if (chunks.length === 0) {
+      return { passages: [], method: null, cost: 0 };
+    }
+
+    if (this.store.embedder && chunks.every(chunk => chunk.vector)) {
+      try {
+        const { vectors, cost } = await this.store.embedder.embed([text], { timeout: this.timeout });
+        const passages = rankByVector(chunks, vectors[0], { limit, minSimilarity: this.minSimilarity })
+          .map(({ item, score }) => this._toPassage(item, score));
+        return { passages, method: 'embeddings', cost };
+      } catch (error) {
+        logger.warn('Query embedding failed, using keyword search', { error: error.message });
+      }
+    }
+
+    if (!this.lexical) {
+      this.lexical = buildKeywordIndex(chunks);
+    }
+    const passages = rankByKeywords(this.lexical, text, limit).map(({ item, score }) => this._toPassage(item, score));
+    return { passages, method: 'keywords', cost: 0 };
+  }
+
+  /**
+   * Queue an indexing run for a source
+   * @private
+   */
+  _schedule(id, delay = WATCH_DEBOUNCE_MS) {
+    clearTimeout(this.timers.get(id));
+    this.timers.set(id, setTimeout(() => {
+      this.timers.delete(id);
+      this.queue = this.queue.then(() => this._indexSource(id));
+    }, delay));
+  }
+
+  _watch(source) {
+    if (!this.watchEnabled || this.watchers.has(source.id)) {
+      return;
+    }
+
+    try {
+      const watcher = fs.watch(source.path, { recursive: true }, (event, filename) => {
+        if (!filename || SUPPORTED_EXTENSIONS.includes(path.extname(String(filename)).toLowerCase()) ||
+            !path.extname(String(filename))) {
+          this._schedule(source.id);
+        }
+      });
+      watcher.on('error', (error) => {
+        logger.warn('Knowledge base watcher stopped', { path: source.path, error: error.message });
+        watcher.close();
+        this.watchers.delete(source.id);
+      });
+      this.watchers.set(source.id, watcher);
+    } catch (error) {
+      // Changes are then picked up on the next start or re-index
+      logger.warn('Cannot watch knowledge base folder', { path: source.path, error: error.message });
+    }
+  }
+
+  /**
+   * Bring one source up to date: read new and changed files, drop deleted ones
+   * @private
+   */
+  async _indexSource(id) {
+    const source = this.data.sources.find(existing => existing.id === id);
+    if (!source) {
+      return;
+    }
+
+    this.indexing.add(id);
+    const startTime = Date.now();
+    let changed = 0;
+
+    try {
+      source.error = null;
+      const present = fs.existsSync(source.path) ? this._listFiles(source.path) : null;
+      if (!present) {
+        source.error = 'Folder not found';
+      }
+
+      const found = new Set(present || []);
+      changed += this._dropFiles(file => this.data.files[file].sourceId === id && !found.has(file));
+
+      for (const file of present || []) {
+        const stat = fs.statSync(file);
+        const known = this.data.files[file];
+        if (known && known.mtime === stat.mtimeMs && known.size === stat.size) {
+          continue;
+        }
+
+        await this._indexFile(source, file, stat);
+        changed++;
+
+        if (!this.data.sources.includes(source)) {
+          // Removed while a file was being read
+          this._dropFiles(existing => this.data.files[existing].sourceId === id);
+          return;
+        }
+      }
+
+      const embedded = await this.store.embedMissing();
+      source.lastIndexedAt = new Date().toISOString();
+      this._save();
+
+      if (changed > 0 || embedded > 0) {
+        logger.info('Knowledge base folder indexed', {
+          path: source.path,
+          changedFiles: changed,
+          embedded,
+          duration: `${Date.now() - startTime}ms`
+        });
+      }
+    } catch (error) {
+      source.error = error.message;
+      logger.error('Knowledge base indexing failed', { path: source.path, error: error.message });
+    } finally {
+      this.indexing.delete(id);
+    }
+  }
+
+  async _indexFile(source, file, stat) {
+    const entry = { sourceId: source.id, mtime: stat.mtimeMs, size: stat.size, title: path.basename(file), passages: 0, error: null };
+    this.data.chunks = this.data.chunks.filter(chunk => chunk.file !== file);
+    this.lexical = null;
+
+    if (stat.size > this.maxFileSize) {
+      entry.error = `File is larger than ${Math.round(this.maxFileSize / 1048576)}MB`;
+    } else {
+      try {
+        const document = await readDocument(file, { pdfToText: this.pdfToText });
+        const passages = chunkSections(document.sections, { size: this.chunkSize, overlap: this.chunkOverlap });
+        entry.title = document.title;
+        entry.passages = passages.length;
+        this.data.chunks.push(...passages.map(passage => ({
+          sourceId: source.id,
+          file,
+          title: document.title,
+          ...passage
+        })));
+      } catch (error) {
+        entry.error = error.message;
+        logger.warn('Cannot read knowledge base file', { file, error: error.message });
+      }
+    }
+
+    this.data.files[file] = entry;
+  }
+
+  _listFiles(dir) {
+    const files = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (entry.name.startsWith('.') || SKIPPED_DIRS.has(entry.name)) {
+        continue;
+      }
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...this._listFiles(fullPath));
+      } else if (entry.isFile() && SUPPORTED_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+        files.push(fullPath);
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Forget files (and their passages) matching a predicate
+   * @private
+   * @returns {number} - Number of files dropped
+   */
+  _dropFiles(predicate) {
+    const dropped = Object.keys(this.data.files).filter(predicate);
+    if (dropped.length === 0) {
+      return 0;
+    }
+
+    const droppedSet = new Set(dropped);
+    dropped.forEach(file => delete this.data.files[file]);
+    this.data.chunks = this.data.chunks.filter(chunk => !droppedSet.has(chunk.file));
+    this.lexical = null;
+    return dropped.length;
+  }
+
+  _describeSource(source) {
+    const files = Object.entries(this.data.files).filter(([, file]) => file.sourceId === source.id);
+    let state = 'ready';
+    if (this.indexing.has(source.id) || this.timers.has(source.id)) {
+      state = 'indexing';
+    } else if (source.error) {
+      state = 'error';
+    } else if (!source.lastIndexedAt) {
+      state = 'pending';
+    }
+
+    return {
+      id: source.id,
+      path: source.path,
+      addedAt: source.addedAt,
+      lastIndexedAt: source.lastIndexedAt,
+      state,
+      error: source.error || null,
+      watching: this.watchers.has(source.id),
+      files: files.length,
+      passages: files.reduce((sum, [, file]) => sum + file.passages, 0),
+      errors: files
+        .filter(([, file]) => file.error)
+        .map(([filePath, file]) => ({ file: path.relative(source.path, filePath), error: file.error }))
+    };
+  }
+
+  _toPassage(chunk, score) {
+    const source = this.data.sources.find(existing => existing.id === chunk.sourceId);
+    const relativePath = source ? path.relative(source.path, chunk.file) : path.basename(chunk.file);
+    const url = `http://localhost:${this.port || config.port}${API_ROUTES.KNOWLEDGE_BASE}/sources/${chunk.sourceId}/file` +
+      `?path=${encodeURIComponent(relativePath)}${chunk.page ? `#page=${chunk.page}` : ''}`;
+
+    return {
+      sourceId: chunk.sourceId,
+      file: relativePath,
+      title: chunk.title,
+      heading: chunk.heading,
+      page: chunk.page,
+      text: chunk.text,
+      url,
+      score: Math.round(score * 1000) / 1000
+    };
+  }
+
+  _load() {
+    this.store.load();
+  }
+
+  _save() {
+    this.store.save();
+  }
+}
+
+// Shared by the REST routes and SuggestionService - one set of folder watchers per process
+export const knowledgeBase = new KnowledgeBaseService();
+
+export default KnowledgeBaseService;
@@ -3,6 +3,11 @@ import path from 'path';
 import PDFDocument from 'pdfkit';
 import logger from '../config/logger.js';
 import config from '../config/config.js';
+import { CAPTURE_STREAM_LABELS } from '../constants/index.js';
+import { getSuggestionSections } from './SuggestionTemplateService.js';
+import { normalizeSuggestion } from '../utils/suggestionValidator.js';
+import { NotFoundError } from '../utils/errorHandler.js';
+import { speakerName } from './DiarizationService.js';
 
 class MeetingHistoryService {
   constructor() {
@@ -18,11 +23,22 @@ class MeetingHistoryService {
     }
   }
 
-  startMeeting() {
+  /**
+   * Start a new meeting
+   * @param {Object} options - Meeting options
+   * @param {string} [options.language] - Transcription language for this meeting ('auto' = detect)
+   * @param {Object} [options.template] - Suggestion template ({ id, name, sections })
+   * @param {Object} [options.agenda] - Planned agenda ({ items, durationMinutes })
+   */
+  startMeeting(options = {}) {
     const timestamp = new Date();
     this.currentMeeting = {
       id: Date.now(),
       startTime: timestamp.toISOString(),
+      language: options.language || null,
+      template: options.template || null,
+      agenda: options.agenda || null,
+      speakers: [],
       transcriptions: [],
       suggestions: [],
       metadata: {
@@ -36,15 +52,63 @@ class MeetingHistoryService {
     return this.currentMeeting.id;
   }
 
-  addTranscription(text, timestamp) {
+  /**
+   * Add a transcription entry
+   * @param {string} text - Transcribed text
+   * @param {string} timestamp - ISO time the transcription finished
+   * @param {Object} details - Extra fields stored on the entry
+   *   (offset, segments and words use seconds since the meeting started)
+   */
+  addTranscription(text, timestamp, details = {}) {
     if (!this.currentMeeting) return;
     
     this.currentMeeting.transcriptions.push({
       text,
-      timestamp: timestamp || new Date().toISOString()
+      timestamp: timestamp || new Date().toISOString(),
+      ...details
     });
   }
 
+  /**
+   * Get a transcription entry of the meeting in progress
+   * @param {string} transcriptionId - Entry ID (chunk ID)
+   * @returns {Object|null}
+   */
+  getTranscription(transcriptionId) {
+    return this.currentMeeting?.transcriptions.find(t => t.id === transcriptionId) || null;
+  }
+
+  /**
+   * Remove a transcription entry (e.g. flagged as a hallucination)
+   * @param {string} transcriptionId - Entry ID (chunk ID)
+   * @returns {Object|null} - The removed entry
+   */
+  removeTranscription(transcriptionId) {
+    if (!this.currentMeeting) return null;
+
+    const index = this.currentMeeting.transcriptions.findIndex(t => t.id === transcriptionId);
+    if (index === -1) return null;
+
+    return this.currentMeeting.transcriptions.splice(index, 1)[0];
+  }
+
+  /**
+   * Attach translations to a transcription entry
+   * @param {string} transcriptionId - Entry ID (chunk ID)
+   * @param {Object} translations - { de: { text, segments }, ... }
+   */
+  addTranslation(transcriptionId, translations) {
+    if (!this.currentMeeting) return;
+
+    const entry = this.currentMeeting.transcriptions.find(t => t.id === transcriptionId);
+    if (!entry) {
+      logger.warn('Transcription not found for translation', { transcriptionId });
+      return;
+    }
+
+    entry.translations = { ...entry.translations, ...translations };
+  }
+
   addSuggestion(suggestion) {
     if (!this.currentMeeting) return;
     
@@ -63,6 +127,53 @@ class MeetingHistoryService {
     };
   }
 
+  /**
+   * Replace the planned agenda with what the meeting actually covered
+   * @param {Object|null} coverage - From AgendaService.finish() (null = no agenda)
+   */
+  setAgendaCoverage(coverage) {
+    if (!this.currentMeeting || !coverage) return;
+
+    this.currentMeeting.agenda = coverage;
+  }
+
+  /**
+   * Store the speakers heard so far (entries refer to them by ID)
+   * @param {Array<Object>} speakers - From DiarizationService.getSpeakers()
+   */
+  setSpeakers(speakers) {
+    if (!this.currentMeeting) return;
+
+    this.currentMeeting.speakers = speakers;
+  }
+
+  /**
+   * Rename a speaker of a saved meeting and regenerate its PDF
+   * @param {string|number} meetingId
+   * @param {string} speakerId - e.g. "S2"
+   * @param {string} name - New name; empty restores "Speaker 2"
+   * @returns {Promise<Array<Object>>} - The meeting's speakers
+   * @throws {NotFoundError|ValidationError}
+   */
+  async renameSpeaker(meetingId, speakerId, name) {
+    const meeting = this.getMeeting(meetingId);
+    if (!meeting) {
+      throw new NotFoundError('Meeting');
+    }
+
+    const speaker = (meeting.speakers || []).find(s => s.id === speakerId);
+    if (!speaker) {
+      throw new NotFoundError('Speaker');
+    }
+
+    speaker.name = speakerName(speakerId, name);
+    fs.writeFileSync(path.join(this.meetingsDir, `meeting_${meeting.id}.json`), JSON.stringify(meeting, null, 2));
+    await this.generatePDF(meeting);
+
+    logger.info('Speaker renamed', { meetingId: meeting.id, speakerId, name: speaker.name });
+    return meeting.speakers;
+  }
+
   async endMeeting() {
     if (!this.currentMeeting) {
       logger.warn('No active meeting to end');
@@ -125,9 +236,18 @@ class MeetingHistoryService {
       doc.text(`Date: ${new Date(meeting.startTime).toLocaleString()}`);
       doc.text(`Duration: ${this._formatDuration(meeting.metadata.duration)}`);
       doc.text(`Total Cost: $${meeting.metadata.totalCost.toFixed(4)}`);
+      if (meeting.template) {
+        doc.text(`Suggestion Template: ${meeting.template.name}`);
+      }
       
       doc.moveDown(2);
 
+      // Agenda coverage (only once the meeting was tracked against its agenda)
+      if (meeting.agenda?.notDiscussed) {
+        this._writeAgenda(doc, meeting.agenda);
+        doc.moveDown(2);
+      }
+
       // Transcription Section
       doc.fontSize(18)
          .fillColor('#6366f1')
@@ -139,14 +259,16 @@ class MeetingHistoryService {
         doc.fontSize(11)
            .fillColor('#000000');
         
+        const speakers = new Map((meeting.speakers || []).map(speaker => [speaker.id, speaker.name]));
         meeting.transcriptions.forEach((trans, index) => {
           const time = new Date(trans.timestamp).toLocaleTimeString();
+          const speaker = speakers.get(trans.speaker) || CAPTURE_STREAM_LABELS[trans.stream];
           doc.fontSize(9)
              .fillColor('#666666')
              .text(`[${time}]`, { continued: true })
              .fontSize(11)
              .fillColor('#000000')
-             .text(` ${trans.text}`);
+             .text(speaker ? ` ${speaker}: ${trans.text}` : ` ${trans.text}`);
           doc.moveDown(0.5);
         });
       } else {
@@ -166,65 +288,32 @@ class MeetingHistoryService {
 
       if (meeting.suggestions.length > 0) {
         meeting.suggestions.forEach((suggestion, index) => {
-          // Questions
-          if (suggestion.questions && suggestion.questions.length > 0) {
-            doc.fontSize(14)
-               .fillColor('#000000')
-               .text('Questions to Consider:');
-            doc.moveDown(0.3);
-            
-            suggestion.questions.forEach(q => {
-              doc.fontSize(11)
-                 .fillColor('#333333')
-                 .text(`• ${q}`, { indent: 20 });
-            });
-            doc.moveDown();
-          }
-
-          // Resources
-          if (suggestion.resources && suggestion.resources.length > 0) {
-            doc.fontSize(14)
-               .fillColor('#000000')
-               .text('Relevant Resources:');
-            doc.moveDown(0.3);
-            
-            suggestion.resources.forEach(r => {
-              doc.fontSize(11)
-                 .fillColor('#333333')
-                 .text(`• ${r}`, { indent: 20 });
-            });
-            doc.moveDown();
-          }
+          // Older or hand-edited files may use other field names ("keyInsights") or shapes
+          const sections = getSuggestionSections(suggestion, meeting.template?.sections);
+          const normalized = normalizeSuggestion(suggestion, sections).suggestion;
 
-          // Action Items
-          if (suggestion.actionItems && suggestion.actionItems.length > 0) {
-            doc.fontSize(14)
-               .fillColor('#000000')
-               .text('Action Items:');
-            doc.moveDown(0.3);
-            
-            suggestion.actionItems.forEach(a => {
-              doc.fontSize(11)
-                 .fillColor('#333333')
-                 .text(`• ${a}`, { indent: 20 });
-            });
-            doc.moveDown();
-          }
+          sections.forEach(section => {
+            const items = normalized[section.key];
+            if (items.length === 0) {
+              return;
+            }
 
-          // Key Insights
-          if (suggestion.keyInsights && suggestion.keyInsights.length > 0) {
             doc.fontSize(14)
                .fillColor('#000000')
-               .text('💭 Key Insights:');
+               .text(`${section.title}:`);
             doc.moveDown(0.3);
             
-            suggestion.keyInsights.forEach(k => {
+            items.forEach(item => {
+              const text = section.type === 'resources'
+                ? [item.title, item.url].filter(Boolean).join(' - ') +
+                  (item.verified === true ? ' (verified)' : item.verified === false ? ' (unverified)' : '')
+                : String(item);
               doc.fontSize(11)
                  .fillColor('#333333')
-                 .text(`• ${k}`, { indent: 20 });
+                 .text(`• ${text}`, { indent: 20 });
             });
             doc.moveDown();
-          }
+          });
 
           doc.moveDown();
         });
@@ -257,6 +346,41 @@ class MeetingHistoryService {
     });
   }
 
+  /**
+   * Per-item coverage: time spent against the plan, undiscussed items highlighted
+   * @private
+   */
+  _writeAgenda(doc, agenda) {
+    doc.fontSize(18)
+       .fillColor('#6366f1')
+       .text('Agenda', { underline: true });
+
+    doc.moveDown();
+
+    agenda.items.forEach((item, index) => {
+      const planned = item.plannedMinutes ? ` of ${item.plannedMinutes} min` : ' min';
+      const discussed = item.status !== 'not-discussed';
+      doc.fontSize(11)
+         .fillColor(discussed ? '#000000' : '#b91c1c')
+         .text(`${index + 1}. ${item.title}`, { continued: true })
+         .fillColor('#666666')
+         .text(discussed ? ` - ${item.spentMinutes}${planned}` : ' - not discussed');
+      doc.moveDown(0.3);
+    });
+
+    if (agenda.notDiscussed.length > 0) {
+      doc.moveDown(0.5);
+      doc.fontSize(11)
+         .fillColor('#b91c1c')
+         .text(`Not discussed: ${agenda.notDiscussed.join(', ')}`);
+    }
+    if (agenda.offAgendaMinutes > 0) {
+      doc.fontSize(11)
+         .fillColor('#666666')
+         .text(`Off-agenda discussion: ${agenda.offAgendaMinutes} min`);
+    }
+  }
+
   _formatDuration(seconds) {
     const hours = Math.floor(seconds / 3600);
     const minutes = Math.floor((seconds % 3600) / 60);
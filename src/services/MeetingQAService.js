@@ -0,0 +1,209 @@
+import config from '../config/config.js';
+import logger from '../config/logger.js';
+import { HTTP_STATUS, CAPTURE_STREAM_LABELS } from '../constants/index.js';
+import { AppError, ValidationError } from '../utils/errorHandler.js';
+import { buildKeywordIndex, rankByKeywords } from '../utils/textSearch.js';
+
+const MAX_QUESTION_LENGTH = 500;
+const RECENT_ENTRIES = 20; // Always sent when a long transcript is trimmed to what matches the question
+
+/**
+ * Meeting time as "12:34" (or "1:02:03" past the hour)
+ * @param {number} seconds - Seconds since the meeting started
+ * @returns {string}
+ */
+export function formatMeetingTime(seconds) {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = String(Math.floor((total % 3600) / 60)).padStart(hours > 0 ? 2 : 1, '0');
+  const rest = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${minutes}:${rest}` : `${minutes}:${rest}`;
+}
+
+// Compare quotes with transcript lines regardless of case, punctuation and spacing
+const normalize = (text) => String(text).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+/**
+ * Meeting Q&A Service
+ * Answers questions about the meeting in progress ("what did Sam say the
+ * deadline was?") from its transcript with the suggestion model. Answers
+ * quote transcript lines with their meeting time; quotes that can't be found
+ * in the transcript are dropped.
+ */
+class MeetingQAService {
+  constructor() {
+    this.meetingHistory = null;
+    this.suggestion = null;
+  }
+
+  /**
+   * Answer from this meeting history and suggestion model (set by SocketHandler)
+   * @param {Object} services - { meetingHistory, suggestion }
+   */
+  attach({ meetingHistory, suggestion }) {
+    this.meetingHistory = meetingHistory;
+    this.suggestion = suggestion;
+  }
+
+  /**
+   * Answer a question about the meeting in progress
+   * @param {string} question
+   * @returns {Promise<Object>} - { id, question, answer, quotes: [{ id, time, offset, timestamp, speaker, text }], grounded, metadata }
+   * @throws {ValidationError} - Empty question, no meeting in progress or nothing transcribed yet
+   * @throws {AppError} - No chat model available (503)
+   */
+  async ask(question) {
+    const text = typeof question === 'string' ? question.trim() : '';
+    if (!text) {
+      throw new ValidationError('question is required');
+    }
+    if (text.length > MAX_QUESTION_LENGTH) {
+      throw new ValidationError(`Questions are limited to ${MAX_QUESTION_LENGTH} characters`);
+    }
+
+    const meeting = this.meetingHistory?.getCurrentMeeting();
+    if (!meeting) {
+      throw new ValidationError('No meeting in progress');
+    }
+    if (!this.suggestion?.enabled) {
+      throw new AppError('No chat model available - add an API key or choose a local model in settings', HTTP_STATUS.SERVICE_UNAVAILABLE);
+    }
+
+    const speakers = new Map((meeting.speakers || []).map(speaker => [speaker.id, speaker.name]));
+    const entries = meeting.transcriptions
+      .filter(entry => entry?.text)
+      .map(entry => ({ ...entry, offset: this._offsetOf(entry, meeting), speakerName: speakers.get(entry.speaker) || CAPTURE_STREAM_LABELS[entry.stream] || null }));
+    if (entries.length === 0) {
+      throw new ValidationError('Nothing has been transcribed yet');
+    }
+
+    const startTime = Date.now();
+    const { lines, trimmed } = this._selectEntries(entries, text);
+    const transcript = lines.map(entry => `[${formatMeetingTime(entry.offset)}] ${this._lineText(entry)}`).join('\n');
+
+    const response = await this.suggestion.answerQuestion(text, {
+      transcript,
+      // What the excerpt leaves out is still covered by the rolling summary
+      summary: trimmed ? this.suggestion.summary : ''
+    });
+
+    const quotes = this._verifyQuotes(response.quotes, lines);
+    const result = {
+      id: `answer_${startTime}_${Math.random().toString(36).slice(2, 8)}`,
+      question: text,
+      answer: response.answer,
+      quotes,
+      grounded: quotes.length > 0,
+      metadata: {
+        timestamp: new Date().toISOString(),
+        duration: Date.now() - startTime,
+        cost: response.cost,
+        tokens: response.usage,
+        lines: lines.length,
+        trimmed
+      }
+    };
+
+    logger.info('Meeting question answered', {
+      duration: `${result.metadata.duration}ms`,
+      quotes: quotes.length,
+      droppedQuotes: response.quotes.length - quotes.length,
+      lines: lines.length,
+      trimmed,
+      cost: `$${response.cost.toFixed(6)}`
+    });
+    return result;
+  }
+
+  /**
+   * Seconds since the meeting started (older entries have no offset)
+   * @private
+   */
+  _offsetOf(entry, meeting) {
+    if (typeof entry.offset === 'number') {
+      return entry.offset;
+    }
+    return Math.max(0, (new Date(entry.timestamp) - new Date(meeting.startTime)) / 1000) || 0;
+  }
+
+  /**
+   * Entry text as sent to the model, with the speaker's current name (or "Me" / "Remote")
+   * @private
+   */
+  _lineText(entry) {
+    return entry.speakerName ? `${entry.speakerName}: ${entry.text}` : entry.text;
+  }
+
+  /**
+   * The whole transcript when it fits QA_MAX_TRANSCRIPT_CHARS; otherwise the
+   * latest lines plus the lines that best match the question, in meeting order
+   * @private
+   */
+  _selectEntries(entries, question) {
+    const budget = config.qa.maxTranscriptChars;
+    const size = (entry) => this._lineText(entry).length + 10; // Time prefix and newline
+    if (entries.reduce((sum, entry) => sum + size(entry), 0) <= budget) {
+      return { lines: entries, trimmed: false };
+    }
+
+    const chosen = new Set();
+    let used = 0;
+    const take = (limit) => (entry) => {
+      if (!chosen.has(entry) && used + size(entry) <= limit) {
+        chosen.add(entry);
+        used += size(entry);
+      }
+    };
+
+    // Half the budget for the best matches, then the latest lines, then further matches
+    const ranked = rankByKeywords(buildKeywordIndex(entries), question, entries.length).map(({ item }) => item);
+    ranked.forEach(take(budget / 2));
+    entries.slice(-RECENT_ENTRIES).reverse().forEach(take(budget));
+    ranked.forEach(take(budget));
+
+    return { lines: entries.filter(entry => chosen.has(entry)), trimmed: true };
+  }
+
+  /**
+   * Keep quotes that appear in the transcript, tied to the line they come from
+   * A line at the quoted time wins over an identical line elsewhere.
+   * @private
+   */
+  _verifyQuotes(quotes, lines) {
+    const verified = [];
+    for (const quote of quotes) {
+      const words = normalize(quote.text);
+      if (!words) {
+        continue;
+      }
+
+      // Quotes may repeat the speaker's name from the start of the line
+      const matches = lines.filter(entry => normalize(this._lineText(entry)).includes(words));
+      const entry = matches.find(match => formatMeetingTime(match.offset) === quote.time) || matches[0];
+      if (!entry) {
+        logger.debug('Dropping quote not found in the transcript', { quote });
+        continue;
+      }
+      if (verified.some(existing => existing.id === entry.id && existing.text === quote.text)) {
+        continue;
+      }
+
+      verified.push({
+        id: entry.id || null,
+        time: formatMeetingTime(entry.offset),
+        offset: entry.offset,
+        timestamp: entry.timestamp,
+        speaker: entry.speakerName,
+        text: entry.speakerName && quote.text.trim().startsWith(`${entry.speakerName}:`)
+          ? quote.text.trim().slice(entry.speakerName.length + 1).trim()
+          : quote.text.trim()
+      });
+    }
+    return verified;
+  }
+}
+
+// Shared by the REST route and the socket handlers; SocketHandler attaches the live meeting
+export const meetingQA = new MeetingQAService();
+
+export default MeetingQAService;
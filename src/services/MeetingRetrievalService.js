@@ -0,0 +1,257 @@
+import fs from 'fs';
+import path from 'path';
+import config from '../config/config.js';
+import logger from '../config/logger.js';
+import { EmbeddingIndex } from '../utils/EmbeddingIndex.js';
+import { buildKeywordIndex, rankByKeywords, rankByVector } from '../utils/textSearch.js';
+
+const MEETING_FILE = /^meeting_.+\.json$/;
+const CHUNK_CHARS = 600; // Transcript text per snippet
+
+// Suggestion sections carried over as follow-ups instead of transcript text
+const TRACKED_SECTIONS = {
+  actionItems: 'action item',
+  nextSteps: 'action item',
+  decisions: 'decision'
+};
+
+/**
+ * Meeting Retrieval Service
+ * Searches saved meetings (meeting_*.json) for passages related to what is
+ * being said now, so suggestions can refer back to earlier decisions and open
+ * action items. Snippets are embedded with the suggestion provider when it
+ * supports embeddings and ranked with BM25 keyword search otherwise. The index
+ * is cached in meeting-index.json and only changed meeting files are re-read.
+ */
+class MeetingRetrievalService {
+  constructor(options = {}) {
+    this.meetingsDir = options.meetingsDir || config.paths.meetings;
+    this.indexPath = options.indexPath || config.paths.meetingIndex;
+    this.enabled = options.enabled ?? config.retrieval.enabled;
+    this.maxSnippets = options.maxSnippets || config.retrieval.maxSnippets;
+    this.minSimilarity = options.minSimilarity ?? config.retrieval.minSimilarity;
+    this.timeout = options.timeout || config.retrieval.timeout;
+
+    // { embeddingModel, meetings: { [file]: { mtime, meetingId } }, chunks }
+    this.store = new EmbeddingIndex({
+      filePath: this.indexPath,
+      label: 'meeting snippets',
+      embeddings: options.embeddings ?? config.retrieval.embeddings,
+      empty: () => ({ meetings: {} }),
+      parse: (data) => data.meetings && Array.isArray(data.chunks) ? { meetings: data.meetings, chunks: data.chunks } : null
+    });
+    this.lexical = null; // BM25 statistics, rebuilt when the chunks change
+    this.refreshing = null;
+  }
+
+  /**
+   * Use a provider's embeddings (null or a provider without them = keyword search)
+   * @param {LLMProvider|null} provider
+   */
+  setEmbedder(provider) {
+    // Vectors from another model are dropped - the next refresh re-embeds
+    this.store.setEmbedder(provider);
+  }
+
+  /**
+   * Meetings and snippets (loaded on first use)
+   * @returns {Object}
+   */
+  get index() {
+    return this.store.load();
+  }
+
+  /**
+   * Index meetings saved since the last refresh and drop deleted ones
+   * Concurrent calls share one run; errors are logged, never thrown.
+   * @returns {Promise<Object>} - { meetings, chunks, embedded }
+   */
+  refresh() {
+    if (!this.enabled) {
+      return Promise.resolve({ meetings: 0, chunks: 0, embedded: false });
+    }
+    if (!this.refreshing) {
+      this.refreshing = this._refresh()
+        .catch(error => {
+          logger.error('Meeting index refresh failed', { error: error.message });
+          return { meetings: 0, chunks: 0, embedded: false };
+        })
+        .finally(() => {
+          this.refreshing = null;
+        });
+    }
+    return this.refreshing;
+  }
+
+  /**
+   * Find passages from earlier meetings related to the text
+   * Embeddings are only used once every snippet has a vector (i.e. after a
+   * refresh finished); until then, and when the query embedding fails, the
+   * keyword ranking is used.
+   * @param {string} text - Current transcript batch
+   * @param {Object} options - { limit }
+   * @returns {Promise<Object>} - { snippets: [{ meetingId, date, template, kind, text, timestamp, score }], method, cost }
+   */
+  async search(text, options = {}) {
+    const limit = options.limit || this.maxSnippets;
+    if (!this.enabled || !text?.trim()) {
+      return { snippets: [], method: null, cost: 0 };
+    }
+
+    const chunks = this.index.chunks;
+    if (chunks.length === 0) {
+      return { snippets: [], method: null, cost: 0 };
+    }
+
+    if (this.store.embedder && chunks.every(chunk => chunk.vector)) {
+      try {
+        const { vectors, cost } = await this.store.embedder.embed([text], { timeout: this.timeout });
+        const snippets = rankByVector(chunks, vectors[0], { limit, minSimilarity: this.minSimilarity })
+          .map(({ item, score }) => this._toSnippet(item, score));
+        return { snippets, method: 'embeddings', cost };
+      } catch (error) {
+        logger.warn('Query embedding failed, using keyword search', { error: error.message });
+      }
+    }
+
+    return { snippets: this._searchLexical(text, limit), method: 'keywords', cost: 0 };
+  }
+
+  /**
+   * Index status
+   * @returns {Object} - { enabled, meetings, chunks, embeddingModel, embedded }
+   */
+  getStatus() {
+    const { chunks, meetings, embeddingModel } = this.index;
+    return {
+      enabled: this.enabled,
+      meetings: Object.keys(meetings).length,
+      chunks: chunks.length,
+      embeddingModel,
+      embedded: chunks.length > 0 && chunks.every(chunk => chunk.vector)
+    };
+  }
+
+  async _refresh() {
+    const files = fs.existsSync(this.meetingsDir)
+      ? fs.readdirSync(this.meetingsDir).filter(file => MEETING_FILE.test(file))
+      : [];
+
+    const known = this.index.meetings;
+    let changed = false;
+
+    for (const file of Object.keys(known)) {
+      if (!files.includes(file)) {
+        delete known[file];
+        this.index.chunks = this.index.chunks.filter(chunk => chunk.file !== file);
+        changed = true;
+      }
+    }
+
+    for (const file of files) {
+      const mtime = fs.statSync(path.join(this.meetingsDir, file)).mtimeMs;
+      if (known[file]?.mtime === mtime) {
+        continue;
+      }
+
+      try {
+        const meeting = JSON.parse(fs.readFileSync(path.join(this.meetingsDir, file), 'utf8'));
+        this.index.chunks = [
+          ...this.index.chunks.filter(chunk => chunk.file !== file),
+          ...this._chunkMeeting(file, meeting)
+        ];
+        known[file] = { mtime, meetingId: meeting.id };
+      } catch (error) {
+        // Half-written or hand-edited file - try again on the next refresh
+        logger.warn('Skipping unreadable meeting file', { file, error: error.message });
+        continue;
+      }
+      changed = true;
+    }
+
+    const embedded = await this.store.embedMissing();
+
+    if (changed || embedded > 0) {
+      this.lexical = null;
+      this.store.save();
+    }
+
+    const status = {
+      meetings: Object.keys(known).length,
+      chunks: this.index.chunks.length,
+      embedded: this.index.chunks.every(chunk => chunk.vector)
+    };
+    logger.info('Meeting index refreshed', { ...status, newlyEmbedded: embedded });
+    return status;
+  }
+
+  /**
+   * Split a saved meeting into searchable snippets
+   * @private
+   */
+  _chunkMeeting(file, meeting) {
+    const base = {
+      file,
+      meetingId: meeting.id,
+      date: meeting.startTime,
+      template: meeting.template?.name || null
+    };
+    const chunks = [];
+
+    let text = '';
+    let timestamp = null;
+    const flush = () => {
+      if (text.trim()) {
+        chunks.push({ ...base, kind: 'transcript', text: text.trim(), timestamp });
+      }
+      text = '';
+      timestamp = null;
+    };
+
+    for (const entry of meeting.transcriptions || []) {
+      if (!entry?.text) {
+        continue;
+      }
+      timestamp = timestamp || entry.timestamp || null;
+      text += `${entry.text} `;
+      if (text.length >= CHUNK_CHARS) {
+        flush();
+      }
+    }
+    flush();
+
+    // Suggestions repeat items across batches - keep each once per meeting
+    const seen = new Set();
+    for (const suggestion of meeting.suggestions || []) {
+      for (const [key, kind] of Object.entries(TRACKED_SECTIONS)) {
+        for (const item of Array.isArray(suggestion?.[key]) ? suggestion[key] : []) {
+          const itemText = typeof item === 'string' ? item.trim() : '';
+          if (itemText && !seen.has(`${kind}:${itemText.toLowerCase()}`)) {
+            seen.add(`${kind}:${itemText.toLowerCase()}`);
+            chunks.push({ ...base, kind, text: itemText, timestamp: suggestion.timestamp || null });
+          }
+        }
+      }
+    }
+
+    return chunks;
+  }
+
+  /**
+   * BM25 ranking
+   * @private
+   */
+  _searchLexical(text, limit) {
+    if (!this.lexical) {
+      this.lexical = buildKeywordIndex(this.index.chunks);
+    }
+    return rankByKeywords(this.lexical, text, limit).map(({ item, score }) => this._toSnippet(item, score));
+  }
+
+  _toSnippet(chunk, score) {
+    const { meetingId, date, template, kind, text, timestamp } = chunk;
+    return { meetingId, date, template, kind, text, timestamp, score: Math.round(score * 1000) / 1000 };
+  }
+}
+
+export default MeetingRetrievalService;
@@ -3,13 +3,19 @@ import fs from 'fs';
 import path from 'path';
 import logger from '../config/logger.js';
 import config from '../config/config.js';
-import OpenAI from 'openai';
+import { CAPTURE_STREAM_LABELS } from '../constants/index.js';
+import { createOpenAIClient, requestOptions } from '../config/openaiClient.js';
+import { getSuggestionSections } from './SuggestionTemplateService.js';
+import { normalizeSuggestion } from '../utils/suggestionValidator.js';
+
+// Speaker name, else the capture stream ("Me" / "Remote") the line came from
+const speakerLabel = (item) => item.speakerName || CAPTURE_STREAM_LABELS[item.stream] || null;
 
 class PDFExportService {
   constructor() {
     this.exportDir = config.paths.exports;
     this._ensureExportDir();
-    this.openai = new OpenAI({ apiKey: config.openai.apiKey });
+    this.openai = createOpenAIClient({ timeout: config.openai.timeouts.summary });
   }
 
   _ensureExportDir() {
@@ -56,10 +62,10 @@ class PDFExportService {
               doc.addPage();
             }
 
-            // Timestamp
+            // Timestamp and speaker
             doc.fontSize(10)
                .fillColor('#94a3b8')
-               .text(timestamp, { continued: false });
+               .text(speakerLabel(item) ? `${timestamp} - ${speakerLabel(item)}` : timestamp, { continued: false });
             
             // Text
             doc.fontSize(12)
@@ -138,92 +144,7 @@ class PDFExportService {
             
             doc.moveDown(0.5);
 
-            // Questions
-            if (suggestion.questions && suggestion.questions.length > 0) {
-              if (doc.y > 650) doc.addPage();
-              
-              doc.fontSize(14)
-                 .fillColor('#2563eb')
-                 .text('Questions to Consider', { underline: true });
-              
-              doc.moveDown(0.3);
-              
-              suggestion.questions.forEach(q => {
-                if (doc.y > 700) doc.addPage();
-                doc.fontSize(11)
-                   .fillColor('#0f172a')
-                   .list([q], { bulletRadius: 2 });
-              });
-              
-              doc.moveDown(0.8);
-            }
-
-            // Resources
-            if (suggestion.resources && suggestion.resources.length > 0) {
-              if (doc.y > 650) doc.addPage();
-              
-              doc.fontSize(14)
-                 .fillColor('#2563eb')
-                 .text('Relevant Resources', { underline: true });
-              
-              doc.moveDown(0.3);
-              
-              suggestion.resources.forEach(r => {
-                if (doc.y > 700) doc.addPage();
-                doc.fontSize(11)
-                   .fillColor('#2563eb')
-                   .text(r.title, { link: r.url, underline: true });
-                
-                if (r.description) {
-                  doc.fontSize(10)
-                     .fillColor('#64748b')
-                     .text(r.description, { indent: 15 });
-                }
-                doc.moveDown(0.3);
-              });
-              
-              doc.moveDown(0.5);
-            }
-
-            // Action Items
-            if (suggestion.actionItems && suggestion.actionItems.length > 0) {
-              if (doc.y > 650) doc.addPage();
-              
-              doc.fontSize(14)
-                 .fillColor('#2563eb')
-                 .text('Action Items', { underline: true });
-              
-              doc.moveDown(0.3);
-              
-              suggestion.actionItems.forEach(a => {
-                if (doc.y > 700) doc.addPage();
-                doc.fontSize(11)
-                   .fillColor('#0f172a')
-                   .list([a], { bulletRadius: 2 });
-              });
-              
-              doc.moveDown(0.8);
-            }
-
-            // Insights
-            if (suggestion.insights && suggestion.insights.length > 0) {
-              if (doc.y > 650) doc.addPage();
-              
-              doc.fontSize(14)
-                 .fillColor('#2563eb')
-                 .text('💭 Key Insights', { underline: true });
-              
-              doc.moveDown(0.3);
-              
-              suggestion.insights.forEach(i => {
-                if (doc.y > 700) doc.addPage();
-                doc.fontSize(11)
-                   .fillColor('#0f172a')
-                   .list([i], { bulletRadius: 2 });
-              });
-              
-              doc.moveDown(0.8);
-            }
+            this._writeSuggestionSections(doc, suggestion);
 
             // Separator between suggestions
             if (index < content.suggestions.length - 1) {
@@ -266,13 +187,17 @@ class PDFExportService {
     try {
       logger.info('Generating AI meeting summary', { transcriptionCount: transcriptions.length });
 
+      if (!this.openai) {
+        throw new Error('OpenAI is not configured - cannot generate meeting summary');
+      }
+
       // Combine all transcriptions
       const fullTranscript = transcriptions
-        .map(t => t.text)
+        .map(t => (speakerLabel(t) ? `${speakerLabel(t)}: ${t.text}` : t.text))
         .join(' ');
 
       const response = await this.openai.chat.completions.create({
-        model: 'gpt-4o-mini',
+        model: config.openai.gptModel,
         messages: [
           {
             role: 'system',
@@ -293,7 +218,7 @@ Format the response as JSON with these exact keys: executiveSummary, keyPoints (
         ],
         response_format: { type: "json_object" },
         temperature: 0.7
-      });
+      }, requestOptions('summary'));
 
       const summary = JSON.parse(response.choices[0].message.content);
       logger.info('Meeting summary generated successfully');
@@ -461,7 +386,7 @@ Format the response as JSON with these exact keys: executiveSummary, keyPoints (
 
             doc.fontSize(10)
                .fillColor('#94a3b8')
-               .text(String(timestamp), { continued: false });
+               .text(speakerLabel(item) ? `${timestamp} - ${speakerLabel(item)}` : String(timestamp), { continued: false });
             
             doc.fontSize(11)
                .fillColor('#0f172a')
@@ -493,43 +418,7 @@ Format the response as JSON with these exact keys: executiveSummary, keyPoints (
             
             doc.moveDown(0.5);
 
-            // Questions
-            if (suggestion.questions && suggestion.questions.length > 0) {
-              if (doc.y > 650) doc.addPage();
-              doc.fontSize(14)
-                 .fillColor('#2563eb')
-                 .text('Questions', { underline: true });
-              doc.moveDown(0.3);
-              suggestion.questions.forEach(q => {
-                if (doc.y > 700) doc.addPage();
-                doc.fontSize(11)
-                   .fillColor('#0f172a')
-                   .list([String(q)], { bulletRadius: 2 });
-              });
-              doc.moveDown(0.8);
-            }
-
-            // Resources
-            if (suggestion.resources && suggestion.resources.length > 0) {
-              if (doc.y > 650) doc.addPage();
-              doc.fontSize(14)
-                 .fillColor('#2563eb')
-                 .text('Resources', { underline: true });
-              doc.moveDown(0.3);
-              suggestion.resources.forEach(r => {
-                if (doc.y > 700) doc.addPage();
-                doc.fontSize(11)
-                   .fillColor('#2563eb')
-                   .text(String(r.title || 'Resource'), { link: r.url, underline: true });
-                if (r.description) {
-                  doc.fontSize(10)
-                     .fillColor('#64748b')
-                     .text(String(r.description), { indent: 15 });
-                }
-                doc.moveDown(0.3);
-              });
-              doc.moveDown(0.5);
-            }
+            this._writeSuggestionSections(doc, suggestion);
 
             if (index < content.suggestions.length - 1) {
               doc.moveDown(0.5);
@@ -560,6 +449,60 @@ Format the response as JSON with these exact keys: executiveSummary, keyPoints (
       }
     });
   }
+
+  /**
+   * Write one suggestion's sections in the order its template declares them
+   * @private
+   */
+  _writeSuggestionSections(doc, suggestion) {
+    // Exports are posted by the client - never trust their shape
+    const sections = getSuggestionSections(suggestion);
+    const normalized = normalizeSuggestion(suggestion, sections).suggestion;
+
+    sections.forEach(section => {
+      const items = normalized[section.key];
+      if (items.length === 0) {
+        return;
+      }
+
+      if (doc.y > 650) doc.addPage();
+      doc.fontSize(14)
+         .fillColor('#2563eb')
+         .text(String(section.title), { underline: true });
+      doc.moveDown(0.3);
+
+      if (section.type === 'resources') {
+        items.forEach(r => {
+          if (doc.y > 700) doc.addPage();
+          // Unverified resources have no URL - print them as plain text with a warning
+          doc.fontSize(11)
+             .fillColor(r.url ? '#2563eb' : '#0f172a')
+             .text(String(r.title || 'Resource'), { link: r.url, underline: !!r.url, continued: r.verified !== undefined });
+          if (r.verified !== undefined) {
+            doc.fontSize(9)
+               .fillColor(r.verified ? '#059669' : '#94a3b8')
+               .text(r.verified ? '  (verified)' : '  (unverified - check before use)', { link: null, underline: false });
+          }
+          if (r.description) {
+            doc.fontSize(10)
+               .fillColor('#64748b')
+               .text(String(r.description), { indent: 15 });
+          }
+          doc.moveDown(0.3);
+        });
+        doc.moveDown(0.5);
+        return;
+      }
+
+      items.forEach(item => {
+        if (doc.y > 700) doc.addPage();
+        doc.fontSize(11)
+           .fillColor('#0f172a')
+           .list([String(item)], { bulletRadius: 2 });
+      });
+      doc.moveDown(0.8);
+    });
+  }
 }
 
 export default PDFExportService;
@@ -0,0 +1,250 @@
+import config from '../config/config.js';
+import logger from '../config/logger.js';
+import { ValidationError } from '../utils/errorHandler.js';
+import JsonFileStore from '../utils/JsonFileStore.js';
+
+const MAX_DOCUMENTS = 2000;
+const MAX_FIELD_LENGTH = 500;
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'of', 'for', 'to', 'in', 'on', 'with', 'by', 'guide', 'documentation', 'docs']);
+
+// Lowercase content words, used to compare a suggested title with document titles
+const titleWords = (text) => new Set(String(text)
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(word => word.length > 1 && !STOP_WORDS.has(word)));
+
+/**
+ * Resource Resolver Service
+ * Models invent plausible-looking links, so every suggested resource is
+ * checked before it is shown: URLs on an allowlisted domain are kept, titles
+ * matching a document in the local resource index get that document's URL,
+ * and everything else keeps its title but loses its URL. Each resource is
+ * marked { verified, source } for the UI and exports.
+ */
+class ResourceResolverService {
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? config.resources.verify;
+    this.allowedDomains = options.allowedDomains || config.resources.allowedDomains;
+    this.minTitleMatch = options.minTitleMatch ?? config.resources.minTitleMatch;
+    this.store = new JsonFileStore({
+      filePath: options.filePath || config.paths.resourceIndex,
+      label: 'resource index',
+      parse: data => (Array.isArray(data.documents) ? data.documents : []),
+      serialize: documents => ({ documents }),
+      fallback: []
+    });
+  }
+
+  /**
+   * Update the domain allowlist (from settings)
+   * @param {string[]|string} domains - Array or comma-separated list
+   */
+  setAllowedDomains(domains) {
+    const list = Array.isArray(domains) ? domains : String(domains || '').split(',');
+    this.allowedDomains = list.map(domain => String(domain).trim().toLowerCase()).filter(Boolean);
+    logger.info('Resource allowlist updated', { domains: this.allowedDomains.length });
+  }
+
+  /**
+   * Get the documents in the resource index
+   * @returns {Object[]} - [{ title, url, description, aliases }]
+   */
+  getDocuments() {
+    return [...this.store.load()];
+  }
+
+  /**
+   * Replace the resource index
+   * @param {Object[]} documents - [{ title, url, description?, aliases? }]
+   * @returns {Object[]} - Saved documents
+   */
+  setDocuments(documents) {
+    if (!Array.isArray(documents)) {
+      throw new ValidationError('documents must be an array');
+    }
+    if (documents.length > MAX_DOCUMENTS) {
+      throw new ValidationError(`The resource index is limited to ${MAX_DOCUMENTS} documents`);
+    }
+
+    const cleaned = documents.map(doc => this._validateDocument(doc));
+    this._save(cleaned);
+    return cleaned;
+  }
+
+  /**
+   * Add or replace (by URL) a single document
+   * @param {Object} document - { title, url, description?, aliases? }
+   * @returns {Object[]} - Updated documents
+   */
+  addDocument(document) {
+    const doc = this._validateDocument(document);
+    const documents = this.getDocuments().filter(d => d.url !== doc.url);
+    return this.setDocuments([...documents, doc]);
+  }
+
+  /**
+   * Remove a document by URL
+   * @param {string} url
+   * @returns {boolean} - True if the document existed
+   */
+  removeDocument(url) {
+    let normalized = url;
+    try {
+      normalized = new URL(url).toString(); // Stored URLs are normalised the same way
+    } catch {
+      // Not a URL - cannot match anything, fall through to "not found"
+    }
+
+    const documents = this.getDocuments();
+    const remaining = documents.filter(d => d.url !== normalized);
+    if (remaining.length === documents.length) {
+      return false;
+    }
+
+    this._save(remaining);
+    return true;
+  }
+
+  /**
+   * Whether a URL is on an allowlisted domain (or one of its subdomains)
+   * @param {string} url
+   * @returns {boolean}
+   */
+  isAllowed(url) {
+    try {
+      const { protocol, hostname } = new URL(url);
+      if (protocol !== 'https:' && protocol !== 'http:') {
+        return false;
+      }
+      const host = hostname.toLowerCase();
+      return this.allowedDomains.some(domain => host === domain || host.endsWith(`.${domain}`));
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Find the index document a suggested title refers to
+   * @param {string} title
+   * @returns {Object|null} - Best matching document
+   */
+  findDocument(title) {
+    const words = titleWords(title);
+    if (words.size === 0) {
+      return null;
+    }
+
+    let best = null;
+    let bestScore = 0;
+
+    for (const doc of this.getDocuments()) {
+      for (const candidate of [doc.title, ...(doc.aliases || [])]) {
+        const docWords = titleWords(candidate);
+        const shared = [...words].filter(word => docWords.has(word)).length;
+        const score = shared / new Set([...words, ...docWords]).size;
+        if (score > bestScore) {
+          best = doc;
+          bestScore = score;
+        }
+      }
+    }
+
+    return bestScore >= this.minTitleMatch ? best : null;
+  }
+
+  /**
+   * Verify a list of resources
+   * @param {Object[]} resources - [{ title, url, description }]
+   * @returns {Object[]} - Resources with { verified, source }; unverified ones have no url
+   */
+  resolve(resources) {
+    if (!Array.isArray(resources)) {
+      return resources;
+    }
+    if (!this.enabled) {
+      // Never pass on a verified flag the model wrote itself
+      return resources.map(({ verified, source, ...resource }) => resource);
+    }
+
+    let removed = 0;
+    const resolved = resources.map(resource => {
+      if (resource.url && this.isAllowed(resource.url)) {
+        // Serialized by URL, so the href can't carry raw quotes or spaces
+        return { ...resource, url: new URL(resource.url).href, verified: true, source: 'allowlist' };
+      }
+
+      const doc = this.findDocument(resource.title);
+      if (doc) {
+        return {
+          ...resource,
+          url: doc.url,
+          description: resource.description || doc.description,
+          verified: true,
+          source: 'index'
+        };
+      }
+
+      const { url, ...rest } = resource;
+      if (url) {
+        removed++;
+      }
+      return { ...rest, verified: false, source: null };
+    });
+
+    if (removed > 0) {
+      logger.debug('Removed unverified resource URLs', { count: removed });
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Verify the resources sections of a suggestion
+   * @param {Object} suggestion - One array per section
+   * @param {Object[]} sections - Template sections ({ key, type })
+   * @returns {Object} - Suggestion with verified resources
+   */
+  resolveSuggestion(suggestion, sections) {
+    const result = { ...suggestion };
+    for (const section of sections) {
+      if (section.type === 'resources' && Array.isArray(result[section.key])) {
+        result[section.key] = this.resolve(result[section.key]);
+      }
+    }
+    return result;
+  }
+
+  _validateDocument(doc) {
+    if (!doc || typeof doc.title !== 'string' || !doc.title.trim()) {
+      throw new ValidationError('Each document needs a title');
+    }
+
+    let url;
+    try {
+      url = new URL(String(doc.url));
+    } catch {
+      throw new ValidationError(`Invalid URL for "${doc.title}"`);
+    }
+    // Index URLs become clickable links - no javascript:, data: or file:
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      throw new ValidationError(`"${doc.title}" needs an http or https URL`);
+    }
+
+    return {
+      title: doc.title.trim().slice(0, MAX_FIELD_LENGTH),
+      url: url.toString(),
+      ...(doc.description ? { description: String(doc.description).trim().slice(0, MAX_FIELD_LENGTH) } : {}),
+      ...(Array.isArray(doc.aliases) && doc.aliases.length > 0
+        ? { aliases: doc.aliases.map(alias => String(alias).trim()).filter(Boolean) }
+        : {})
+    };
+  }
+
+  _save(documents) {
+    this.store.save(documents);
+    logger.info('Resource index saved', { count: documents.length });
+  }
+}
+
+export default ResourceResolverService;
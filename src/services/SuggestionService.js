@@ -1,20 +1,59 @@
-import OpenAI from 'openai';
 import config from '../config/config.js';
 import logger from '../config/logger.js';
+import { LLM_PROVIDERS } from '../constants/index.js';
+import { createLLMProvider } from './llm/index.js';
+import { parsePartialJSON } from '../utils/partialJSON.js';
+import { normalizeSuggestion, parseSuggestionContent, validateSuggestionOutput } from '../utils/suggestionValidator.js';
+import ResourceResolverService from './ResourceResolverService.js';
+import MeetingRetrievalService from './MeetingRetrievalService.js';
+import { knowledgeBase } from './KnowledgeBaseService.js';
+import SuggestionTemplateService, {
+  DEFAULT_SECTIONS,
+  DEFAULT_TEMPLATE_ID,
+  buildSystemPrompt
+} from './SuggestionTemplateService.js';
+
+// Minimum gap between suggestion-partial updates while a reply streams in
+const PARTIAL_INTERVAL_MS = 150;
+
+// Knowledge-base passage length quoted in the prompt (the full passage is only searched)
+const PROMPT_PASSAGE_CHARS = 600;
+const MAX_RESOURCES = 10; // Same cap the validator applies to model output
+
+// Batches kept for the summary when refreshes keep failing, as a multiple of SUMMARY_REFRESH_BATCHES
+const MAX_PENDING_REFRESHES = 3;
+
+// What the renderers need to lay out a suggestion (the model-facing description stays server-side)
+const sectionLayout = (sections) => sections.map(({ key, title, icon, type }) => ({ key, title, icon, type }));
+
+// "Tue, 13 Oct 2026" - the model needs the weekday to say "last Tuesday's meeting"
+const formatMeetingDate = (iso) => new Date(iso).toLocaleDateString('en-GB', {
+  weekday: 'short', day: 'numeric', month: 'short', year: 'numeric'
+});
 
 class SuggestionService {
   constructor() {
-    this.enabled = config.openai.enabled;
-    
-    if (this.enabled) {
-      this.client = new OpenAI({
-        apiKey: config.openai.apiKey
-      });
-      this.model = config.openai.gptModel;
-    }
+    this.provider = null;
+    this.enabled = false;
+    this.temperature = config.llm.temperature;
+    this.maxTokens = config.llm.maxTokens;
+    this.streaming = config.llm.stream;
+    this.retrieval = new MeetingRetrievalService(); // Embeds with the provider chosen below
+    this.knowledgeBase = knowledgeBase;
+    this.configureProvider();
+
+    this.templates = new SuggestionTemplateService();
+    this.template = null; // Chosen per meeting by useTemplate()
+    this.resourceResolver = new ResourceResolverService();
     
     this.conversationContext = [];
     this.maxContextLength = config.openai.maxContextLength;
+    // Running summary of the batches that left the recent window (see _updateMemory)
+    this.summary = '';
+    this.summaryPending = [];
+    this.summarizedBatches = 0;
+    this.summarizing = null;
+    this.contextGeneration = 0; // Bumped by clearContext() so a late summary is dropped
     this.totalCost = 0;
     this.suggestionCount = 0;
     
@@ -26,6 +65,71 @@ class SuggestionService {
     this.pauseThreshold = 5000; // 5 seconds pause = end of thought
   }
 
+  /**
+   * Select the chat model backend
+   * @param {Object} settings - { provider, model, temperature, maxTokens, stream, anthropic, ollama, llamaCpp }
+   */
+  configureProvider(settings = {}) {
+    const name = settings.provider || config.llm.provider;
+    const providerOptions = {
+      [LLM_PROVIDERS.ANTHROPIC]: settings.anthropic,
+      [LLM_PROVIDERS.OLLAMA]: settings.ollama,
+      [LLM_PROVIDERS.LLAMA_CPP]: settings.llamaCpp
+    }[name] || {};
+    const model = settings.model || providerOptions.model || config.llm.model || undefined;
+
+    try {
+      this.provider = createLLMProvider(name, { ...providerOptions, model });
+    } catch (error) {
+      logger.error('Invalid LLM provider, falling back to OpenAI', {
+        provider: name,
+        error: error.message
+      });
+      this.provider = createLLMProvider(LLM_PROVIDERS.OPENAI, { model: config.llm.model || undefined });
+    }
+
+    if (typeof settings.temperature === 'number' && !Number.isNaN(settings.temperature)) {
+      this.temperature = settings.temperature;
+    }
+    if (settings.maxTokens > 0) {
+      this.maxTokens = settings.maxTokens;
+    }
+    if (settings.stream !== undefined) {
+      this.streaming = !!settings.stream;
+    }
+
+    this.enabled = this.provider.isAvailable();
+    this.retrieval.setEmbedder(this.provider);
+    this.knowledgeBase.setEmbedder(this.provider);
+
+    logger.info('Suggestion model configured', {
+      provider: this.provider.name,
+      model: this.provider.model,
+      available: this.enabled,
+      local: this.provider.isLocal,
+      streaming: this.streaming
+    });
+  }
+
+  /**
+   * Select the suggestion template for the next meeting
+   * @param {string} [templateId] - Template ID (defaults to SUGGESTION_TEMPLATE)
+   * @returns {Object} - Template in use; unknown IDs fall back to the general template
+   */
+  useTemplate(templateId) {
+    const id = templateId || config.llm.template;
+    let template = this.templates.getTemplate(id);
+
+    if (!template) {
+      logger.warn('Unknown suggestion template, using the general template', { template: id });
+      template = this.templates.getTemplate(DEFAULT_TEMPLATE_ID);
+    }
+
+    this.template = template;
+    logger.info('Suggestion template selected', { template: template.id });
+    return template;
+  }
+
   addTranscription(transcribedText) {
     if (!transcribedText || transcribedText.trim().length < 5) {
       return null;
@@ -109,12 +213,23 @@ class SuggestionService {
     return null;
   }
 
-  async generateSuggestions(transcribedText) {
+  /**
+   * Generate suggestions for a batch of transcript text
+   * @param {string} transcribedText - Batched transcript
+   * @param {Object} options
+   * @param {Function} [options.onPartial] - Receives { id, template, sections, ...section values }
+   *   as the reply streams in (when streaming is enabled)
+   * @returns {Promise<Object|null>} - Suggestions with the same id as the partial updates;
+   *   one array per template section plus `sections` describing how to render them
+   */
+  async generateSuggestions(transcribedText, options = {}) {
     if (!transcribedText || transcribedText.trim().length < 10) {
       return null;
     }
 
     const startTime = Date.now();
+    // Stable across suggestion-partial updates and the final suggestion event
+    const id = `suggestion_${startTime}_${Math.random().toString(36).slice(2, 8)}`;
 
     try {
       // TEST MODE: Return mock suggestions if API key not provided
@@ -126,6 +241,7 @@ class SuggestionService {
         });
 
         return {
+          id,
           questions: ['[TEST MODE] Audio capture is working!'],
           resources: [{
             title: 'Audio Test Successful',
@@ -134,6 +250,7 @@ class SuggestionService {
           }],
           actionItems: ['Add OPENAI_API_KEY to .env file to enable AI features'],
           insights: ['Audio capture system is functioning properly'],
+          sections: sectionLayout(DEFAULT_SECTIONS),
           metadata: {
             timestamp: new Date().toISOString(),
             duration,
@@ -145,72 +262,90 @@ class SuggestionService {
       
       // Add to context
       this.conversationContext.push(transcribedText);
+      this._updateMemory();
 
       // Keep only recent context
       if (this.conversationContext.length > this.maxContextLength) {
         this.conversationContext.shift();
       }
 
-      // Build context string (last 3 exchanges for speed)
-      const recentContext = this.conversationContext.slice(-3).join(' ');
+      // Batches not in the summary yet go word for word, older ones only through the summary
+      const recentContext = [
+        ...this.summaryPending,
+        ...this.conversationContext.slice(-config.llm.memory.recentBatches)
+      ].join(' ');
+      const memoryPrompt = this.summary ? `Earlier in this meeting:\n${this.summary}\n\n` : '';
+      const template = this.template || this.useTemplate();
+      // The latest batch plus the one before it, so a topic that spans batches still matches
+      const query = this.conversationContext.slice(-2).join(' ');
+      const [history, documents] = await Promise.all([
+        this._findRelatedHistory(query),
+        this._findDocuments(query)
+      ]);
 
-      const response = await this.client.chat.completions.create({
-        model: this.model,
-        temperature: 0.7,
-        max_tokens: 500, // Limit tokens for faster response
+      const request = {
+        system: buildSystemPrompt(template),
         messages: [
-          {
-            role: 'system',
-            content: `You are an AI assistant helping during a meeting. Provide CONCISE, ACTIONABLE suggestions:
-              1. 2-3 relevant questions to deepen discussion
-              2. 1-2 related resources (realistic URLs)
-              3. Action items if mentioned
-              4. 1-2 key insights
-
-              Keep it BRIEF and FAST. Format as JSON:
-              {
-                "questions": ["q1", "q2"],
-                "resources": [{"title": "Title", "url": "https://...", "description": "desc"}],
-                "actionItems": ["action1"],
-                "insights": ["insight1"]
-              }`
-          },
           {
             role: 'user',
-            content: `Context: ${recentContext}\n\nLatest: ${transcribedText}\n\nProvide quick suggestions.`
+            content: `${documents.prompt}${history.prompt}${memoryPrompt}Context: ${recentContext}\n\nLatest: ${transcribedText}\n\nProvide quick suggestions.`
           }
         ],
-        response_format: { type: "json_object" }
+        json: true,
+        temperature: this.temperature,
+        maxTokens: this.maxTokens, // Limit tokens for faster response
+        timeout: config.openai.timeouts.suggestions
+      };
+
+      const { suggestion, repairs, retried, usage, cost } = await this._completeValidated(id, template, request, {
+        onPartial: options.onPartial,
+        citations: documents.citations
       });
 
       const duration = Date.now() - startTime;
-      const suggestions = JSON.parse(response.choices[0].message.content);
 
-      // Calculate approximate cost (GPT-4o-mini: ~$0.15/1M input, ~$0.60/1M output tokens)
-      const inputTokens = response.usage.prompt_tokens;
-      const outputTokens = response.usage.completion_tokens;
-      const estimatedCost = (inputTokens * 0.15 / 1000000) + (outputTokens * 0.60 / 1000000);
+      // Each provider prices its own tokens (0 for local models)
+      const inputTokens = usage.input;
+      const outputTokens = usage.output;
+      const estimatedCost = cost + history.cost + documents.cost;
+      this.totalCost += history.cost + documents.cost;
       
-      this.totalCost += estimatedCost;
       this.suggestionCount++;
 
       logger.info('Suggestions generated', {
+        provider: this.provider.name,
+        template: template.id,
         duration: `${duration}ms`,
         tokens: `${inputTokens + outputTokens}`,
-        cost: `$${estimatedCost.toFixed(6)}`
+        cost: `$${estimatedCost.toFixed(6)}`,
+        ...(repairs.length > 0 ? { repairs: repairs.length } : {}),
+        ...(retried ? { retried } : {}),
+        ...(history.snippets.length > 0 ? { history: history.snippets.length } : {}),
+        ...(documents.citations.length > 0 ? { documents: documents.citations.length } : {})
       });
 
       return {
-        ...suggestions,
+        ...suggestion,
+        id,
+        template: { id: template.id, name: template.name },
+        sections: sectionLayout(template.sections),
         metadata: {
           timestamp: new Date().toISOString(),
           duration,
           cost: estimatedCost,
+          provider: this.provider.name,
+          model: this.provider.model,
           tokens: {
             input: inputTokens,
             output: outputTokens,
             total: inputTokens + outputTokens
-          }
+          },
+          ...(repairs.length > 0 ? { repairs } : {}),
+          ...(retried ? { retried } : {}),
+          // Earlier meetings the prompt drew on
+          ...(history.snippets.length > 0 ? {
+            history: history.snippets.map(({ meetingId, date, kind, score }) => ({ meetingId, date, kind, score }))
+          } : {})
         }
       };
 
@@ -222,6 +357,363 @@ class SuggestionService {
     }
   }
 
+  /**
+   * Look up related passages from saved meetings for the prompt
+   * Retrieval problems never block a suggestion - they just leave the history out.
+   * @private
+   * @returns {Promise<Object>} - { prompt, snippets, cost }
+   */
+  async _findRelatedHistory(query) {
+    let result;
+    try {
+      result = await this.retrieval.search(query);
+    } catch (error) {
+      logger.warn('Meeting history lookup failed', { error: error.message });
+      return { prompt: '', snippets: [], cost: 0 };
+    }
+
+    if (result.snippets.length === 0) {
+      return { prompt: '', snippets: [], cost: result.cost };
+    }
+
+    const lines = result.snippets.map(snippet => {
+      const label = [formatMeetingDate(snippet.date), snippet.template].filter(Boolean).join(', ');
+      return `- [${label}] ${snippet.kind}: ${snippet.text}`;
+    });
+
+    logger.debug('Related meeting history found', { method: result.method, snippets: lines.length });
+
+    return {
+      prompt: `From earlier meetings (today is ${formatMeetingDate(new Date().toISOString())}):\n${lines.join('\n')}\n` +
+        'Where it helps, say which meeting something was decided or raised in, and follow up on open action items from them.\n\n',
+      snippets: result.snippets,
+      cost: result.cost
+    };
+  }
+
+  /**
+   * Look up knowledge-base passages for the prompt and turn them into resources
+   * @private
+   * @returns {Promise<Object>} - { prompt, citations, cost }
+   */
+  async _findDocuments(query) {
+    let result;
+    try {
+      result = await this.knowledgeBase.search(query);
+    } catch (error) {
+      logger.warn('Knowledge base lookup failed', { error: error.message });
+      return { prompt: '', citations: [], cost: 0 };
+    }
+
+    if (result.passages.length === 0) {
+      return { prompt: '', citations: [], cost: result.cost };
+    }
+
+    const label = (passage) => [passage.title, passage.heading].filter(Boolean).join(' - ');
+    const lines = result.passages.map(passage => {
+      const text = passage.text.length > PROMPT_PASSAGE_CHARS
+        ? `${passage.text.slice(0, PROMPT_PASSAGE_CHARS)}...`
+        : passage.text;
+      return `- ${label(passage)}${passage.page ? ` (p. ${passage.page})` : ''}: ${text}`;
+    });
+
+    logger.debug('Knowledge base passages found', { method: result.method, passages: lines.length });
+
+    return {
+      prompt: `From the team's documents:\n${lines.join('\n')}\n` +
+        'Prefer these over general advice. They are linked as resources automatically - do not add resources for them.\n\n',
+      citations: result.passages.map(passage => ({
+        title: label(passage),
+        url: passage.url,
+        description: passage.text.length > 200 ? `${passage.text.slice(0, 200)}...` : passage.text,
+        verified: true,
+        source: 'knowledge-base'
+      })),
+      cost: result.cost
+    };
+  }
+
+  /**
+   * Run the completion and validate the reply against the template
+   * Invalid output (not JSON, or none of the declared sections) is retried
+   * once with the problem spelled out; a second failure throws.
+   * @private
+   * @param {Object} options - { onPartial, citations: knowledge-base resources to add }
+   * @returns {Promise<Object>} - { suggestion, repairs, retried, usage, cost }
+   */
+  async _completeValidated(id, template, request, { onPartial, citations = [] } = {}) {
+    const response = this.streaming && typeof onPartial === 'function'
+      ? await this._streamCompletion(id, template, request, onPartial, citations)
+      : await this.provider.complete(request);
+
+    const usage = { ...response.usage };
+    let cost = response.cost;
+    this.totalCost += response.cost;
+
+    let result = validateSuggestionOutput(response.content, template.sections);
+    if (result.valid) {
+      return { ...result, suggestion: this._resolveResources(result.suggestion, template, citations), retried: false, usage, cost };
+    }
+
+    logger.warn('Invalid suggestion output, retrying once', {
+      id,
+      errors: result.errors,
+      content: String(response.content).slice(0, 200)
+    });
+
+    const retry = await this.provider.complete({
+      ...request,
+      messages: [
+        ...request.messages,
+        { role: 'assistant', content: String(response.content) },
+        {
+          role: 'user',
+          content: `That reply was not usable: ${result.errors.join('; ')}. ` +
+            `Reply with only a JSON object with the keys ${template.sections.map(s => `"${s.key}"`).join(', ')}, each an array.`
+        }
+      ]
+    });
+
+    usage.input += retry.usage.input;
+    usage.output += retry.usage.output;
+    usage.total += retry.usage.total;
+    cost += retry.cost;
+    this.totalCost += retry.cost;
+
+    result = validateSuggestionOutput(retry.content, template.sections);
+    if (!result.valid) {
+      throw new Error(`Suggestion output invalid after retry: ${result.errors.join('; ')}`);
+    }
+
+    return { ...result, suggestion: this._resolveResources(result.suggestion, template, citations), retried: true, usage, cost };
+  }
+
+  /**
+   * Keep only verified resource links (allowlisted domain or resource index match)
+   * and put knowledge-base citations first in the template's resources section
+   * @private
+   */
+  _resolveResources(suggestion, template, citations = []) {
+    const resolved = this.resourceResolver.resolveSuggestion(suggestion, template.sections);
+    const section = template.sections.find(s => s.type === 'resources');
+    if (!section || citations.length === 0) {
+      return resolved;
+    }
+
+    const cited = new Set(citations.map(citation => citation.title.toLowerCase()));
+    const others = (resolved[section.key] || []).filter(resource => !cited.has(resource.title.toLowerCase()));
+    return { ...resolved, [section.key]: [...citations, ...others].slice(0, MAX_RESOURCES) };
+  }
+
+  /**
+   * Stream a completion, passing the suggestions parsed so far to onPartial
+   * @private
+   */
+  async _streamCompletion(id, template, request, onPartial, citations) {
+    let received = '';
+    let lastEmit = 0;
+    let lastSnapshot = '';
+
+    const emitPartial = () => {
+      const parsed = parsePartialJSON(received);
+      if (!parsed) {
+        return;
+      }
+
+      const partial = {
+        id,
+        template: { id: template.id, name: template.name },
+        sections: sectionLayout(template.sections),
+        // Same repairs and link checks as the final reply; resources without a title yet are skipped
+        ...this._resolveResources(normalizeSuggestion(parsed, template.sections).suggestion, template, citations)
+      };
+
+      const snapshot = JSON.stringify(partial);
+      if (snapshot !== lastSnapshot) {
+        lastSnapshot = snapshot;
+        onPartial(partial);
+      }
+    };
+
+    const response = await this.provider.stream(request, (delta) => {
+      received += delta;
+      const now = Date.now();
+      if (now - lastEmit >= PARTIAL_INTERVAL_MS) {
+        lastEmit = now;
+        emitPartial();
+      }
+    });
+
+    logger.debug('Suggestion stream finished', { id, length: received.length });
+    return response;
+  }
+
+  /**
+   * Queue the batch that just left the recent window and, every
+   * SUMMARY_REFRESH_BATCHES batches, fold the queue into the running summary.
+   * The refresh runs in the background; suggestions use the summary as it is.
+   * @private
+   */
+  _updateMemory() {
+    const { enabled, recentBatches, refreshEvery } = config.llm.memory;
+    if (!enabled) {
+      return;
+    }
+
+    // Called before the context is trimmed, so the batch is still there
+    const leaving = this.conversationContext[this.conversationContext.length - recentBatches - 1];
+    if (leaving) {
+      this.summaryPending.push(leaving);
+    }
+
+    if (this.summaryPending.length >= refreshEvery && !this.summarizing) {
+      this.summarizing = this._refreshSummary().finally(() => {
+        this.summarizing = null;
+      });
+    }
+  }
+
+  /**
+   * Merge the queued batches into the summary
+   * Failures are logged; the batches stay queued for the next refresh.
+   * @private
+   */
+  async _refreshSummary() {
+    const { maxLength, refreshEvery } = config.llm.memory;
+    const generation = this.contextGeneration;
+    const batches = this.summaryPending.slice();
+
+    try {
+      const response = await this.provider.complete({
+        system: 'You keep a running summary of a live meeting for an assistant that makes suggestions during it. ' +
+          'Merge the new transcript into the summary. Keep the topics in order, decisions, open questions, ' +
+          'action items with their owners, and names, numbers and dates. Leave out small talk. ' +
+          `Reply with only the updated summary as plain text, under ${maxLength} characters.`,
+        messages: [{
+          role: 'user',
+          content: `Summary so far:\n${this.summary || '(nothing yet)'}\n\nNew transcript:\n${batches.join('\n')}`
+        }],
+        temperature: 0.2,
+        maxTokens: Math.ceil(maxLength / 3), // ~3 characters per token, with room to spare
+        timeout: config.openai.timeouts.summary
+      });
+      this.totalCost += response.cost;
+
+      if (generation !== this.contextGeneration) {
+        return; // Context was cleared (new meeting) while summarising
+      }
+
+      const summary = String(response.content || '').trim();
+      if (!summary) {
+        throw new Error('Empty summary');
+      }
+
+      this.summary = summary.slice(0, maxLength);
+      this.summaryPending.splice(0, batches.length);
+      this.summarizedBatches += batches.length;
+
+      logger.info('Conversation summary refreshed', {
+        batches: batches.length,
+        summarizedBatches: this.summarizedBatches,
+        length: this.summary.length,
+        cost: `$${response.cost.toFixed(6)}`
+      });
+    } catch (error) {
+      logger.warn('Conversation summary refresh failed', { error: error.message });
+
+      if (generation !== this.contextGeneration) {
+        return;
+      }
+
+      // Don't let the queue (and the next refresh prompt) grow without bound
+      const overflow = this.summaryPending.length - refreshEvery * MAX_PENDING_REFRESHES;
+      if (overflow > 0) {
+        this.summaryPending.splice(0, overflow);
+        logger.warn('Dropped batches the summary could not take in', { count: overflow });
+      }
+    }
+  }
+
+  /**
+   * Answer a question about the meeting from (part of) its transcript
+   * @param {string} question
+   * @param {Object} context
+   * @param {string} context.transcript - Lines prefixed with their meeting time ("[12:34] ...")
+   * @param {string} [context.summary] - Summary of what the transcript leaves out
+   * @returns {Promise<Object>} - { answer, quotes: [{ time, text }], usage, cost }
+   * @throws {Error} - Without a model or when the reply can't be read
+   */
+  async answerQuestion(question, { transcript, summary = '' }) {
+    if (!this.enabled) {
+      throw new Error('No suggestion model available');
+    }
+
+    const response = await this.provider.complete({
+      system: 'You answer questions about a meeting that is still in progress, using only its transcript. ' +
+        'Each transcript line starts with its time in the meeting, like [12:34], followed by the speaker\'s name when it is known ("Me" is the person asking). ' +
+        'Answer briefly and cite the times you rely on in the same format. ' +
+        'If the transcript does not answer the question, say so instead of guessing.\n\n' +
+        'Reply with JSON: {"answer": "...", "quotes": [{"time": "12:34", "text": "exact words from that line"}]} ' +
+        'with at most 3 short quotes.',
+      messages: [{
+        role: 'user',
+        content: `${summary ? `Summary of the meeting so far:\n${summary}\n\n` : ''}` +
+          `Transcript:\n${transcript}\n\nQuestion: ${question}`
+      }],
+      json: true,
+      temperature: 0.2,
+      maxTokens: config.qa.maxTokens,
+      timeout: config.openai.timeouts.suggestions
+    });
+    this.totalCost += response.cost;
+
+    const data = parseSuggestionContent(response.content);
+    if (typeof data?.answer !== 'string' || !data.answer.trim()) {
+      throw new Error('The model did not return an answer');
+    }
+
+    const quotes = (Array.isArray(data.quotes) ? data.quotes : [])
+      .filter(quote => quote && typeof quote.text === 'string')
+      .map(quote => ({ time: String(quote.time || '').replace(/[[\]]/g, '').trim(), text: quote.text }));
+
+    return { answer: data.answer.trim(), quotes, usage: response.usage, cost: response.cost };
+  }
+
+  /**
+   * Ask the suggestion model which agenda item a transcript batch is about
+   * @param {string} text - Transcript batch
+   * @param {Object[]} items - [{ title, description }]
+   * @returns {Promise<number|null>} - Item index, null when the talk fits none of them
+   * @throws {Error} - Without a model or when the reply can't be read (callers fall back to keywords)
+   */
+  async classifyAgendaItem(text, items) {
+    if (!this.enabled) {
+      throw new Error('No suggestion model available');
+    }
+
+    const agenda = items
+      .map((item, index) => `${index + 1}. ${item.title}${item.description ? ` - ${item.description}` : ''}`)
+      .join('\n');
+    const response = await this.provider.complete({
+      system: 'You track which agenda item a meeting is discussing.\n\n' +
+        `Agenda:\n${agenda}\n\n` +
+        'Reply with JSON {"item": n}, where n is the number of the agenda item the transcript is about, ' +
+        'or 0 if it is about none of them.',
+      messages: [{ role: 'user', content: text }],
+      json: true,
+      temperature: 0,
+      maxTokens: 20,
+      timeout: config.openai.timeouts.suggestions
+    });
+    this.totalCost += response.cost;
+
+    const item = Number(parseSuggestionContent(response.content)?.item);
+    if (!Number.isInteger(item) || item < 0 || item > items.length) {
+      throw new Error(`Unexpected agenda classification: ${response.content}`);
+    }
+    return item === 0 ? null : item - 1;
+  }
+
   clearBuffer() {
     this.transcriptionBuffer = [];
     this.lastTranscriptionTime = null;
@@ -230,6 +722,10 @@ class SuggestionService {
 
   clearContext() {
     this.conversationContext = [];
+    this.summary = '';
+    this.summaryPending = [];
+    this.summarizedBatches = 0;
+    this.contextGeneration++;
     this.transcriptionBuffer = [];
     this.lastTranscriptionTime = null;
     logger.info('Conversation context and buffer cleared');
@@ -237,12 +733,22 @@ class SuggestionService {
 
   getStats() {
     return {
+      provider: this.provider.name,
+      model: this.provider.model,
+      template: this.template?.id || config.llm.template,
       suggestionCount: this.suggestionCount,
       totalCost: this.totalCost,
       averageCost: this.suggestionCount > 0 
         ? this.totalCost / this.suggestionCount 
         : 0,
-      contextLength: this.conversationContext.length
+      contextLength: this.conversationContext.length,
+      memory: {
+        summaryLength: this.summary.length,
+        summarizedBatches: this.summarizedBatches,
+        pendingBatches: this.summaryPending.length
+      },
+      history: this.retrieval.getStatus(),
+      knowledgeBase: this.knowledgeBase.getStatus()
     };
   }
 
@@ -0,0 +1,330 @@
+import config from '../config/config.js';
+import logger from '../config/logger.js';
+import { ValidationError } from '../utils/errorHandler.js';
+import JsonFileStore from '../utils/JsonFileStore.js';
+
+export const SECTION_TYPES = ['list', 'resources'];
+export const DEFAULT_TEMPLATE_ID = 'general';
+
+const MAX_TEMPLATES = 50;
+const MAX_SECTIONS = 8;
+const MAX_PROMPT_LENGTH = 4000;
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,39}$/;
+
+// The original fixed output - also used for suggestions saved before templates existed
+export const DEFAULT_SECTIONS = [
+  { key: 'questions', title: 'Questions to Consider', icon: '❓', type: 'list', description: '2-3 relevant questions to deepen discussion' },
+  { key: 'resources', title: 'Relevant Resources', icon: '🔗', type: 'resources', description: '1-2 related resources' },
+  { key: 'actionItems', title: 'Action Items', icon: '✅', type: 'list', description: 'Action items if mentioned' },
+  { key: 'insights', title: 'Key Insights', icon: '💭', type: 'list', description: '1-2 key insights' }
+];
+
+// Seeded into the templates file the first time it is created
+const DEFAULT_TEMPLATES = [
+  {
+    id: DEFAULT_TEMPLATE_ID,
+    name: 'General meeting',
+    description: 'Questions, resources, action items and insights',
+    prompt: 'You are an AI assistant helping during a meeting. Provide CONCISE, ACTIONABLE suggestions.',
+    sections: DEFAULT_SECTIONS
+  },
+  {
+    id: 'sales-call',
+    name: 'Sales call',
+    description: 'Discovery questions, objections and buying signals',
+    prompt: 'You are coaching a salesperson during a live customer call. Help them understand the buyer\'s needs and move the deal forward.',
+    sections: [
+      { key: 'questions', title: 'Discovery Questions', icon: '❓', type: 'list', description: '2-3 questions that uncover needs, budget, timeline or decision makers' },
+      { key: 'objections', title: 'Objections to Address', icon: '🛡️', type: 'list', description: 'Concerns the customer raised, each with a short suggested response' },
+      { key: 'buyingSignals', title: 'Buying Signals', icon: '📈', type: 'list', description: 'Statements that show interest or intent to buy' },
+      { key: 'nextSteps', title: 'Next Steps', icon: '➡️', type: 'list', description: 'Concrete next steps to propose before the call ends' }
+    ]
+  },
+  {
+    id: 'standup',
+    name: 'Standup',
+    description: 'Blockers, owners and follow-ups',
+    prompt: 'You are helping run a short team standup. Focus on progress, blockers and who owns what.',
+    sections: [
+      { key: 'blockers', title: 'Blockers', icon: '🚧', type: 'list', description: 'Anything blocking progress, with who is affected' },
+      { key: 'actionItems', title: 'Action Items', icon: '✅', type: 'list', description: 'Tasks with an owner where one was named' },
+      { key: 'followUps', title: 'Take Offline', icon: '🗓️', type: 'list', description: 'Topics that need a separate conversation after the standup' }
+    ]
+  },
+  {
+    id: 'interview',
+    name: 'Interview',
+    description: 'Follow-up questions, strengths and concerns',
+    prompt: 'You are assisting an interviewer during a job interview. Suggest follow-ups that test depth and note evidence for or against the candidate. Stay objective and job-related.',
+    sections: [
+      { key: 'questions', title: 'Follow-up Questions', icon: '❓', type: 'list', description: '2-3 follow-up questions that probe the last answer in more depth' },
+      { key: 'strengths', title: 'Strengths', icon: '👍', type: 'list', description: 'Evidence of relevant skills or experience' },
+      { key: 'concerns', title: 'Concerns to Probe', icon: '🔍', type: 'list', description: 'Gaps or vague answers worth exploring' }
+    ]
+  },
+  {
+    id: 'one-on-one',
+    name: '1:1',
+    description: 'Coaching questions, feedback and commitments',
+    prompt: 'You are helping a manager during a 1:1 with a team member. Encourage open conversation, growth and clear commitments.',
+    sections: [
+      { key: 'questions', title: 'Questions to Ask', icon: '❓', type: 'list', description: '2-3 open questions about wellbeing, growth or obstacles' },
+      { key: 'feedback', title: 'Feedback Points', icon: '💬', type: 'list', description: 'Feedback worth giving or acknowledging, based on what was said' },
+      { key: 'actionItems', title: 'Commitments', icon: '✅', type: 'list', description: 'Things either person agreed to do' }
+    ]
+  },
+  {
+    id: 'design-review',
+    name: 'Technical design review',
+    description: 'Open questions, risks, alternatives and decisions',
+    prompt: 'You are a senior engineer assisting a technical design review. Look for gaps, risks and trade-offs in the proposed design.',
+    sections: [
+      { key: 'questions', title: 'Open Questions', icon: '❓', type: 'list', description: '2-3 questions about requirements, scale, failure modes or interfaces' },
+      { key: 'risks', title: 'Risks', icon: '⚠️', type: 'list', description: 'Technical or delivery risks in the design' },
+      { key: 'alternatives', title: 'Alternatives to Consider', icon: '🔀', type: 'list', description: 'Other approaches and their trade-offs' },
+      { key: 'decisions', title: 'Decisions', icon: '📌', type: 'list', description: 'Decisions the group made' },
+      { key: 'resources', title: 'Relevant Resources', icon: '🔗', type: 'resources', description: '1-2 related resources' }
+    ]
+  }
+];
+
+/**
+ * Build the JSON Schema a template's suggestions must follow
+ * @param {Object[]} sections - Template sections
+ * @returns {Object} - JSON Schema (draft-07)
+ */
+export function buildSuggestionSchema(sections) {
+  return {
+    type: 'object',
+    properties: Object.fromEntries(sections.map(section => [
+      section.key,
+      section.type === 'resources'
+        ? {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              title: { type: 'string' },
+              url: { type: 'string' },
+              description: { type: 'string' }
+            },
+            required: ['title']
+          }
+        }
+        : { type: 'array', items: { type: 'string' } }
+    ])),
+    required: sections.map(section => section.key)
+  };
+}
+
+/**
+ * Build the system prompt for a template
+ * @param {Object} template - { prompt, sections }
+ * @returns {string}
+ */
+export function buildSystemPrompt(template) {
+  const instructions = template.sections
+    .map((section, i) => `${i + 1}. ${section.key}: ${section.description || section.title}`)
+    .join('\n');
+
+  const example = Object.fromEntries(template.sections.map(section => [
+    section.key,
+    section.type === 'resources'
+      ? [{ title: 'Title', url: 'https://...', description: 'desc' }]
+      : ['...']
+  ]));
+
+  // Invented links are removed later anyway - ask for titles rather than guessed URLs
+  const resourceRule = template.sections.some(section => section.type === 'resources')
+    ? '\n\nOnly include a resource url you are certain exists; otherwise give the title and description without a url.'
+    : '';
+
+  return `${template.prompt}
+
+Provide:
+${instructions}${resourceRule}
+
+Keep it BRIEF and FAST. Leave a list empty when nothing fits. Format as JSON:
+${JSON.stringify(example)}`;
+}
+
+/**
+ * Sections to render for a stored suggestion
+ * Suggestions saved before templates existed carry no sections of their own
+ * @param {Object} suggestion
+ * @param {Object[]} [fallback] - Sections of the meeting's template
+ * @returns {Object[]}
+ */
+export function getSuggestionSections(suggestion, fallback) {
+  if (Array.isArray(suggestion?.sections) && suggestion.sections.length > 0) {
+    return suggestion.sections;
+  }
+  return Array.isArray(fallback) && fallback.length > 0 ? fallback : DEFAULT_SECTIONS;
+}
+
+/**
+ * Suggestion Template Service
+ * Named prompt and output layouts ("sales call", "standup", ...) chosen when
+ * a recording starts. Each template declares its output sections; the JSON
+ * schema the model must follow and every renderer are driven by them.
+ */
+class SuggestionTemplateService {
+  constructor(filePath = config.paths.suggestionTemplates) {
+    this.store = new JsonFileStore({
+      filePath,
+      label: 'suggestion templates',
+      parse: data => this._parseTemplates(data),
+      serialize: templates => ({ templates }),
+      fallback: DEFAULT_TEMPLATES,
+      seed: true
+    });
+  }
+
+  /**
+   * List all templates
+   * @returns {Object[]} - Templates with their JSON schema
+   */
+  listTemplates() {
+    return this.store.load().map(template => this._withSchema(template));
+  }
+
+  /**
+   * Get a template by ID
+   * @param {string} templateId
+   * @returns {Object|null}
+   */
+  getTemplate(templateId) {
+    const template = this.store.load().find(t => t.id === templateId);
+    return template ? this._withSchema(template) : null;
+  }
+
+  /**
+   * Create or replace a template
+   * @param {Object} template - { id, name, description, prompt, sections }
+   * @returns {Object} - Saved template
+   */
+  saveTemplate(template) {
+    const saved = this._validateTemplate(template);
+    const templates = [...this.store.load()];
+    const index = templates.findIndex(t => t.id === saved.id);
+    if (index !== -1) {
+      templates[index] = saved;
+    } else if (templates.length >= MAX_TEMPLATES) {
+      throw new ValidationError(`Limited to ${MAX_TEMPLATES} templates`);
+    } else {
+      templates.push(saved);
+    }
+
+    this._save(templates);
+    return this._withSchema(saved);
+  }
+
+  /**
+   * Remove a template
+   * @param {string} templateId
+   * @returns {boolean} - True if the template existed
+   */
+  removeTemplate(templateId) {
+    if (templateId === DEFAULT_TEMPLATE_ID) {
+      throw new ValidationError('The general template cannot be removed');
+    }
+
+    const templates = this.store.load();
+    const remaining = templates.filter(t => t.id !== templateId);
+    if (remaining.length === templates.length) {
+      return false;
+    }
+
+    this._save(remaining);
+    return true;
+  }
+
+  _withSchema(template) {
+    return {
+      ...JSON.parse(JSON.stringify(template)),
+      schema: buildSuggestionSchema(template.sections)
+    };
+  }
+
+  _validateTemplate(template) {
+    if (!template || typeof template.id !== 'string' || !ID_PATTERN.test(template.id)) {
+      throw new ValidationError('Template id must be lowercase letters, digits and dashes (max 40)');
+    }
+    if (typeof template.name !== 'string' || !template.name.trim()) {
+      throw new ValidationError('Template name is required');
+    }
+    if (typeof template.prompt !== 'string' || !template.prompt.trim()) {
+      throw new ValidationError('Template prompt is required');
+    }
+    if (template.prompt.length > MAX_PROMPT_LENGTH) {
+      throw new ValidationError(`Template prompts are limited to ${MAX_PROMPT_LENGTH} characters`);
+    }
+    if (!Array.isArray(template.sections) || template.sections.length === 0) {
+      throw new ValidationError('Template needs at least one section');
+    }
+    if (template.sections.length > MAX_SECTIONS) {
+      throw new ValidationError(`Templates are limited to ${MAX_SECTIONS} sections`);
+    }
+
+    const keys = new Set();
+    const sections = template.sections.map(section => {
+      if (!section || typeof section.key !== 'string' || !KEY_PATTERN.test(section.key)) {
+        throw new ValidationError('Section keys must be identifiers such as "questions" or "nextSteps"');
+      }
+      if (keys.has(section.key)) {
+        throw new ValidationError(`Duplicate section key "${section.key}"`);
+      }
+      keys.add(section.key);
+
+      const type = section.type || 'list';
+      if (!SECTION_TYPES.includes(type)) {
+        throw new ValidationError(`Section type must be one of: ${SECTION_TYPES.join(', ')}`);
+      }
+
+      return {
+        key: section.key,
+        title: typeof section.title === 'string' && section.title.trim() ? section.title.trim() : section.key,
+        ...(section.icon ? { icon: [...String(section.icon)].slice(0, 4).join('') } : {}),
+        type,
+        ...(section.description ? { description: String(section.description).trim() } : {})
+      };
+    });
+
+    return {
+      id: template.id,
+      name: template.name.trim(),
+      ...(template.description ? { description: String(template.description).trim() } : {}),
+      prompt: template.prompt.trim(),
+      sections
+    };
+  }
+
+  /**
+   * Templates from the stored file
+   * @private
+   */
+  _parseTemplates(data) {
+    const templates = (Array.isArray(data.templates) ? data.templates : []).flatMap(template => {
+      try {
+        return [this._validateTemplate(template)];
+      } catch (error) {
+        // Hand-edited file with a broken template - skip it, keep the rest
+        logger.warn('Ignoring invalid suggestion template', { id: template?.id, error: error.message });
+        return [];
+      }
+    });
+
+    // Suggestions always need a template to fall back to
+    return templates.some(t => t.id === DEFAULT_TEMPLATE_ID)
+      ? templates
+      : [DEFAULT_TEMPLATES[0], ...templates];
+  }
+
+  _save(templates) {
+    this.store.save(templates);
+    logger.info('Suggestion templates saved', { count: templates.length });
+  }
+}
+
+export default SuggestionTemplateService;
@@ -1,7 +1,10 @@
 import { exec } from 'child_process';
 import { promisify } from 'util';
 import logger from '../config/logger.js';
+import config from '../config/config.js';
+import { TRANSCRIPTION_PROVIDERS } from '../constants/index.js';
 import fs from 'fs';
+import path from 'path';
 
 const execAsync = promisify(exec);
 
@@ -28,7 +31,8 @@ class SystemCheckService {
       os: await this.detectOS(),
       dependencies: {},
       allInstalled: true,
-      permissions: await this.checkPermissions()
+      permissions: await this.checkPermissions(),
+      transcription: await this.checkTranscriptionBackend()
     };
 
     for (const [key, dep] of Object.entries(this.dependencies)) {
@@ -40,8 +44,10 @@ class SystemCheckService {
       }
     }
 
+    // Backend readiness is reported in results.transcription, not as a missing dependency
     logger.info('Dependency check complete', { 
       allInstalled: results.allInstalled,
+      transcriptionReady: results.transcription.ready,
       os: results.os 
     });
 
@@ -72,6 +78,89 @@ class SystemCheckService {
     }
   }
 
+  /**
+   * Check that the configured local transcription binary and model are present
+   * @param {Object} settings - Optional overrides ({ provider, whisperCpp, fasterWhisper })
+   * @returns {Promise<Object>} - Backend status
+   */
+  async checkTranscriptionBackend(settings = {}) {
+    const provider = settings.provider || config.transcription.provider;
+    const local = {
+      [TRANSCRIPTION_PROVIDERS.WHISPER_CPP]: {
+        binary: settings.whisperCpp?.binaryPath || config.transcription.whisperCpp.binaryPath,
+        model: settings.whisperCpp?.modelPath || config.transcription.whisperCpp.modelPath,
+        modelRequired: true
+      },
+      [TRANSCRIPTION_PROVIDERS.FASTER_WHISPER]: {
+        binary: settings.fasterWhisper?.binaryPath || config.transcription.fasterWhisper.binaryPath,
+        model: settings.fasterWhisper?.model || config.transcription.fasterWhisper.model,
+        // Plain model names are resolved (and cached) by the CLI itself
+        modelRequired: false
+      }
+    }[provider];
+
+    // Remote providers have nothing to check on disk
+    if (!local) {
+      return { provider, local: false, ready: true };
+    }
+
+    const binary = await this.findExecutable(local.binary);
+    const modelIsPath = !!local.model && (path.isAbsolute(local.model) || local.model.includes(path.sep));
+    const modelFound = modelIsPath ? fs.existsSync(local.model) : !local.modelRequired && !!local.model;
+
+    const status = {
+      provider,
+      local: true,
+      binary: { name: local.binary, installed: !!binary, path: binary },
+      model: { path: local.model || null, found: modelFound },
+      ready: !!binary && modelFound
+    };
+
+    if (!status.ready) {
+      logger.warn('Local transcription backend not ready', status);
+    } else {
+      logger.debug('Local transcription backend found', status);
+    }
+
+    return status;
+  }
+
+  /**
+   * Resolve an executable name or path to an absolute path
+   * @param {string} binary - Executable name or path
+   * @returns {Promise<string|null>} - Resolved path or null if not found
+   */
+  async findExecutable(binary) {
+    if (!binary) {
+      return null;
+    }
+
+    if (binary.includes('/') || binary.includes('\\')) {
+      return fs.existsSync(binary) ? path.resolve(binary) : null;
+    }
+
+    // Search PATH directly - the name comes from settings and must never reach a shell
+    const extensions = process.platform === 'win32'
+      ? ['', ...(process.env.PATHEXT || '.COM;.EXE;.BAT;.CMD').split(';').filter(Boolean)]
+      : [''];
+
+    for (const dir of (process.env.PATH || '').split(path.delimiter).filter(Boolean)) {
+      for (const extension of extensions) {
+        const candidate = path.join(dir, binary + extension);
+        try {
+          fs.accessSync(candidate, fs.constants.X_OK);
+          if (fs.statSync(candidate).isFile()) {
+            return candidate;
+          }
+        } catch {
+          // Not here - keep looking
+        }
+      }
+    }
+
+    return null;
+  }
+
   async detectOS() {
     try {
       // Check for Debian/Ubuntu
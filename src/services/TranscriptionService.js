@@ -1,30 +1,92 @@
-import OpenAI from 'openai';
 import fs from 'fs';
 import config from '../config/config.js';
 import logger from '../config/logger.js';
+import { TRANSCRIPTION_PROVIDERS, AUTO_DETECT_LANGUAGE } from '../constants/index.js';
+import { createTranscriptionProvider } from './transcription/index.js';
+import { normalizeLanguage } from './transcription/languages.js';
+import GlossaryService from './GlossaryService.js';
+import HallucinationFilterService from './HallucinationFilterService.js';
 
 class TranscriptionService {
   constructor() {
-    this.enabled = config.openai.enabled;
-    
-    if (this.enabled) {
-      this.client = new OpenAI({
-        apiKey: config.openai.apiKey,
-        timeout: 30000, // 30 second timeout
-        maxRetries: 3 // Retry failed requests
-      });
-      this.model = config.openai.whisperModel || 'whisper-1';
-    }
+    this.provider = null;
+    this.enabled = false;
+    this.configureProvider();
+    this.language = 'en';
+    this.setLanguage(config.transcription.language);
+
+    // Prompt context carried from one chunk to the next (per capture stream)
+    this.glossary = new GlossaryService();
+    this.previousText = new Map();
+
+    this.hallucinationFilter = new HallucinationFilterService();
     
     this.totalCost = 0;
     this.transcriptionCount = 0;
+    this.filteredCount = 0;
     this.retryCount = 0;
     this.maxRetries = 3;
     this.retryDelay = 1000; // Start with 1 second delay
   }
 
-  async transcribeAudio(audioFilePath) {
+  /**
+   * Select the transcription backend
+   * @param {Object} settings - Transcription settings ({ provider, endpoint, whisperCpp, fasterWhisper })
+   */
+  configureProvider(settings = {}) {
+    const name = settings.provider || config.transcription.provider;
+    const providerOptions = {
+      [TRANSCRIPTION_PROVIDERS.OPENAI_COMPATIBLE]: settings.endpoint,
+      [TRANSCRIPTION_PROVIDERS.WHISPER_CPP]: settings.whisperCpp,
+      [TRANSCRIPTION_PROVIDERS.FASTER_WHISPER]: settings.fasterWhisper
+    }[name] || {};
+
+    try {
+      this.provider = createTranscriptionProvider(name, providerOptions);
+    } catch (error) {
+      logger.error('Invalid transcription provider, falling back to OpenAI', {
+        provider: name,
+        error: error.message
+      });
+      this.provider = createTranscriptionProvider(TRANSCRIPTION_PROVIDERS.OPENAI);
+    }
+
+    this.enabled = this.provider.isAvailable();
+
+    logger.info('Transcription provider configured', {
+      provider: this.provider.name,
+      available: this.enabled,
+      local: this.provider.isLocal
+    });
+  }
+
+  /**
+   * Set the default transcription language
+   * @param {string} language - ISO-639-1 code, language name or 'auto'
+   */
+  setLanguage(language) {
+    const normalized = normalizeLanguage(language);
+
+    if (!normalized) {
+      logger.warn('Unknown transcription language, keeping current', { language, current: this.language });
+      return;
+    }
+
+    this.language = normalized;
+    logger.info('Transcription language set', { language: this.language });
+  }
+
+  /**
+   * Transcribe a single audio chunk
+   * @param {string} audioFilePath - Path to WAV file
+   * @param {Object} options - Per-call options
+   * @param {string} [options.language] - Overrides the default language (e.g. per meeting)
+   * @param {number} [options.energy] - VAD energy of the chunk, used by the hallucination filter
+   * @param {string} [options.stream] - Capture stream ('me' / 'remote') the chunk came from
+   */
+  async transcribeAudio(audioFilePath, options = {}) {
     const startTime = Date.now();
+    const language = normalizeLanguage(options.language) || this.language;
     
     try {
       logger.debug('Starting transcription', { file: audioFilePath });
@@ -56,7 +118,7 @@ class TranscriptionService {
         };
       }
 
-      // TEST MODE: Skip actual transcription if API key not provided
+      // TEST MODE: Skip actual transcription if the provider is not configured
       if (!this.enabled) {
         const duration = Date.now() - startTime;
         const mockText = `[TEST MODE] Audio captured: ${fileSizeKB}KB at ${new Date().toLocaleTimeString()}`;
@@ -77,51 +139,28 @@ class TranscriptionService {
         };
       }
 
-      // Transcribe using Whisper API with improved parameters
-      // Note: OpenAI API currently only supports 'whisper-1' model
-      // But we can optimize with better parameters:
-      // - temperature: Lower (0.0-0.3) for more deterministic, higher (0.4-1.0) for more creative
-      // - prompt: Optional context to improve accuracy
-      // - response_format: 'text', 'json', 'verbose_json', etc.
-      const transcription = await this._transcribeWithRetry(audioFilePath);
+      // Transcribe using the configured provider (OpenAI, compatible endpoint or local binary)
+      const prompt = this._buildPrompt(options.stream);
+      const transcription = await this._transcribeWithRetry(audioFilePath, { language, prompt });
 
       const duration = Date.now() - startTime;
-      const text = transcription.trim();
-      
-      // Common Whisper hallucinations during silence
-      const commonHallucinations = [
-        'thank you',
-        'thanks for watching',
-        'thank you for watching',
-        'you',
-        'bye',
-        'goodbye',
-        'thanks',
-        'thank you.',
-        'thanks for watching!',
-        'thank you for watching!',
-        'you.',
-        'bye.',
-        'goodbye.',
-        'thanks.',
-        'music',
-        '[music]',
-        '(music)',
-        'applause',
-        '[applause]',
-        '(applause)'
-      ];
+      const text = (transcription.text || '').trim();
       
-      // Check if transcription is empty, too short, or a common hallucination
-      const lowerText = text.toLowerCase();
-      const isHallucination = commonHallucinations.some(phrase => 
-        lowerText === phrase || lowerText === phrase + '.'
-      );
+      // Drop text Whisper typically invents for silence or noise
+      const filterResult = text.length >= 3
+        ? this.hallucinationFilter.check(text, { energy: options.energy })
+        : { isHallucination: false };
+      const isHallucination = filterResult.isHallucination;
+      if (isHallucination) {
+        this.filteredCount++;
+      }
       
       if (!text || text.length < 3 || isHallucination) {
         logger.debug('Empty or hallucinated transcription - likely silence', {
           text: text,
-          isHallucination
+          isHallucination,
+          reason: filterResult.reason,
+          rule: filterResult.rule
         });
         return {
           text: '',
@@ -132,11 +171,13 @@ class TranscriptionService {
         };
       }
 
-      // Calculate cost based on actual audio duration (Whisper is $0.006 per minute)
+      this.previousText.set(options.stream || null, text);
+
+      // Calculate cost based on actual audio duration and the provider's per-minute price
       // Estimate duration from file size: fileSize / (sampleRate * channels * bytesPerSample)
       // For 16kHz mono 16-bit: ~32KB per second
       const estimatedDurationSeconds = fileStats.size / (config.audio.sampleRate * config.audio.channels * 2);
-      const estimatedCost = (estimatedDurationSeconds / 60) * 0.006;
+      const estimatedCost = (estimatedDurationSeconds / 60) * this.provider.costPerMinute;
       this.totalCost += estimatedCost;
       this.transcriptionCount++;
 
@@ -153,6 +194,7 @@ class TranscriptionService {
           fileSize: `${fileSizeKB}KB`,
           estimatedAudioDuration: `${estimatedDurationSeconds.toFixed(2)}s`,
           preview: text.substring(0, 50) + (text.length > 50 ? '...' : ''),
+          provider: this.provider.name,
           cost: `$${estimatedCost.toFixed(6)}`
         });
       } else {
@@ -164,7 +206,12 @@ class TranscriptionService {
         duration,
         cost: estimatedCost,
         timestamp: new Date().toISOString(),
-        audioDuration: estimatedDurationSeconds
+        audioDuration: estimatedDurationSeconds,
+        // Timings are in seconds relative to the start of this chunk
+        segments: transcription.segments || [],
+        words: transcription.words || [],
+        // Detected by the backend, or the language that was forced
+        language: normalizeLanguage(transcription.language) || (language !== AUTO_DETECT_LANGUAGE ? language : null)
       };
 
     } catch (error) {
@@ -177,21 +224,63 @@ class TranscriptionService {
     }
   }
 
+  /**
+   * Build the prompt passed to the backend: glossary terms followed by the
+   * tail of the previous chunk (Whisper weighs the end of the prompt most)
+   * @private
+   * @param {string} [stream] - Capture stream; each continues from its own previous chunk
+   * @returns {string|null}
+   */
+  _buildPrompt(stream) {
+    const promptConfig = config.transcription.prompt;
+    if (!promptConfig.enabled) {
+      return null;
+    }
+
+    const previousText = this.previousText.get(stream || null) || '';
+    let tail = '';
+    if (previousText) {
+      tail = previousText.slice(-promptConfig.previousTextLength);
+      // Drop a leading partial word when the cut landed mid-word
+      if (tail.length < previousText.length) {
+        tail = tail.replace(/^\S*\s+/, '');
+      }
+    }
+
+    let glossary = '';
+    const terms = this.glossary.getTerms();
+    if (terms.length > 0) {
+      const budget = promptConfig.maxLength - tail.length - 12;
+      const included = [];
+      let length = 0;
+      for (const term of terms) {
+        if (length + term.length + 2 > budget) break;
+        included.push(term);
+        length += term.length + 2;
+      }
+      if (included.length > 0) {
+        glossary = `Glossary: ${included.join(', ')}.`;
+      }
+    }
+
+    const prompt = [glossary, tail].filter(Boolean).join(' ');
+    return prompt || null;
+  }
+
+  /**
+   * Forget the previous chunk's text (call when a new meeting starts)
+   */
+  clearPromptContext() {
+    this.previousText.clear();
+  }
+
   /**
    * Transcribe audio with retry logic and exponential backoff
    * @private
    */
-  async _transcribeWithRetry(audioFilePath, attempt = 1) {
+  async _transcribeWithRetry(audioFilePath, options = {}, attempt = 1) {
     try {
-      const transcription = await this.client.audio.transcriptions.create({
-        file: fs.createReadStream(audioFilePath),
-        model: this.model,
-        response_format: 'text',
-        language: 'en', // Can be made configurable
-        temperature: 0.0, // More deterministic, less hallucinations
-        // Optional: Add prompt for better context
-        // prompt: 'This is a meeting transcription. Focus on accuracy.'
-      });
+      const transcription = await this.provider.transcribe(audioFilePath, options);
       
       // Reset retry count on success
       this.retryCount = 0;
@@ -211,7 +300,7 @@ class TranscriptionService {
         });
         
         await new Promise(resolve => setTimeout(resolve, delay));
-        return this._transcribeWithRetry(audioFilePath, attempt + 1);
+        return this._transcribeWithRetry(audioFilePath, options, attempt + 1);
       }
       
       // Max retries reached or non-retryable error
@@ -260,7 +349,10 @@ class TranscriptionService {
 
   getStats() {
     return {
+      provider: this.provider.name,
+      language: this.language,
       transcriptionCount: this.transcriptionCount,
+      filteredCount: this.filteredCount,
       totalCost: this.totalCost,
       averageCost: this.transcriptionCount > 0 
         ? this.totalCost / this.transcriptionCount 
@@ -271,6 +363,7 @@ class TranscriptionService {
   resetStats() {
     this.totalCost = 0;
     this.transcriptionCount = 0;
+    this.filteredCount = 0;
     logger.info('Stats reset');
   }
 }
@@ -0,0 +1,168 @@
+import config from '../config/config.js';
+import logger from '../config/logger.js';
+import { createLLMProvider } from './llm/index.js';
+import { normalizeLanguage, WHISPER_LANGUAGES } from './transcription/languages.js';
+import { parseSuggestionContent } from '../utils/suggestionValidator.js';
+
+/**
+ * Translation Service
+ * Translates transcript entries (and their timed segments) into the configured
+ * target languages with the suggestion model's provider, so a local model
+ * keeps transcripts on this machine
+ */
+class TranslationService {
+  constructor() {
+    this.provider = null;
+    this.baseProvider = null;
+    this.modelOverride = config.translation.model || null; // Same provider, different model
+    this.enabled = false;
+    this.targetLanguages = [];
+    this.configure(config.translation);
+
+    this.totalCost = 0;
+    this.translationCount = 0;
+  }
+
+  /**
+   * Update translation settings
+   * @param {Object} settings - { enabled, targetLanguages, model }
+   */
+  configure(settings = {}) {
+    if (settings.targetLanguages !== undefined) {
+      const targets = Array.isArray(settings.targetLanguages)
+        ? settings.targetLanguages
+        : String(settings.targetLanguages).split(',');
+
+      // 'auto' is not a valid target
+      this.targetLanguages = [...new Set(targets.map(normalizeLanguage))]
+        .filter(code => code && WHISPER_LANGUAGES[code]);
+    }
+
+    if (settings.model !== undefined) {
+      this.modelOverride = settings.model || null;
+      this.setProvider(this.baseProvider);
+    }
+
+    if (settings.enabled !== undefined) {
+      this.enabled = !!settings.enabled;
+    }
+
+    if (this.enabled && this.provider && !this.provider.isAvailable()) {
+      logger.warn('Translation enabled but the chat model is not available - translations disabled', {
+        provider: this.provider.name
+      });
+    }
+
+    logger.info('Translation configured', {
+      enabled: this.isActive(),
+      targetLanguages: this.targetLanguages,
+      provider: this.provider?.name,
+      model: this.provider?.model
+    });
+  }
+
+  /**
+   * Translate with this chat model provider (the suggestion model, set by SocketHandler)
+   * @param {LLMProvider|null} provider
+   */
+  setProvider(provider) {
+    this.baseProvider = provider;
+    this.provider = provider && this.modelOverride && this.modelOverride !== provider.model
+      ? createLLMProvider(provider.name, { ...provider.options, model: this.modelOverride })
+      : provider;
+  }
+
+  /**
+   * Whether translations will be produced
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.enabled && !!this.provider?.isAvailable() && this.targetLanguages.length > 0;
+  }
+
+  /**
+   * Translate a transcript entry into every target language
+   * @param {Object} entry - { text, segments, language }
+   * @returns {Promise<Object|null>} - { de: { text, segments }, ... } or null if nothing to do
+   */
+  async translate(entry) {
+    const targets = this.targetLanguages.filter(code => code !== entry.language);
+    if (!this.isActive() || targets.length === 0 || !entry.text) {
+      return null;
+    }
+
+    const startTime = Date.now();
+    const segments = entry.segments?.length > 0 ? entry.segments : [{ text: entry.text }];
+    const lines = segments.map(segment => segment.text);
+
+    const response = await this.provider.complete({
+      system: `You translate live meeting transcripts. Translate every line of "lines" into each requested language.
+Keep names, numbers and technical terms. Return one translated line per input line, in the same order.
+Respond as JSON: { "translations": { "<language code>": ["line 1", "line 2"] } }`,
+      messages: [
+        {
+          role: 'user',
+          content: JSON.stringify({
+            sourceLanguage: entry.language || 'unknown',
+            targetLanguages: targets.map(code => `${code} (${WHISPER_LANGUAGES[code]})`),
+            lines
+          })
+        }
+      ],
+      json: true,
+      temperature: 0.2,
+      timeout: config.openai.timeouts.translation
+    });
+
+    // Local models wrap JSON in code fences or prose even in JSON mode
+    const parsed = parseSuggestionContent(response.content);
+    const translations = {};
+
+    for (const code of targets) {
+      const translatedLines = parsed.translations?.[code];
+      if (!Array.isArray(translatedLines) || translatedLines.length === 0) {
+        logger.warn('Translation missing for language', { language: code });
+        continue;
+      }
+
+      // Keep segment timings when the model returned one line per segment
+      const aligned = translatedLines.length === segments.length && entry.segments?.length > 0;
+      translations[code] = {
+        text: translatedLines.join(' ').trim(),
+        segments: aligned
+          ? entry.segments.map((segment, i) => ({ start: segment.start, end: segment.end, text: String(translatedLines[i]).trim() }))
+          : []
+      };
+    }
+
+    // Each provider prices its own tokens (0 for local models)
+    const cost = response.cost;
+    this.totalCost += cost;
+    this.translationCount++;
+
+    logger.info('Transcript translated', {
+      duration: `${Date.now() - startTime}ms`,
+      languages: Object.keys(translations),
+      provider: this.provider.name,
+      cost: `$${cost.toFixed(6)}`
+    });
+
+    return Object.keys(translations).length > 0 ? translations : null;
+  }
+
+  getStats() {
+    return {
+      enabled: this.isActive(),
+      targetLanguages: this.targetLanguages,
+      translationCount: this.translationCount,
+      totalCost: this.totalCost
+    };
+  }
+
+  resetStats() {
+    this.totalCost = 0;
+    this.translationCount = 0;
+  }
+}
+
+export default TranslationService;
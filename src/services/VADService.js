@@ -1,15 +1,36 @@
 import fs from 'fs';
 import logger from '../config/logger.js';
-
+import { hannWindow, powerSpectrum } from '../utils/fft.js';
+import { readWavFile } from '../utils/wav.js';
+
+const SNR_RATIO = 3; // Speech frames are ~10 dB above the noise floor (RMS ratio)
+const SPEECH_BAND = [300, 3400]; // Hz - voice formants carry most of their power here; fan and HVAC rumble sit below
+const MIN_RUN_FRAMES = 2; // Bursts shorter than this (key clicks) get no hangover
+const HANGOVER_MS = 200; // Frames after speech still count as speech, bridging short dips
+const MIN_REGION_MS = 100; // Shorter speech regions in a file are ignored
+const NOISE_RISE = 0.05; // Quiet frames above the floor pull it up this much per frame
+const NOISE_FALL = 0.3; // ...and quieter ones pull it down faster
+const NOISE_WINDOW_MS = 3000; // The floor is never below the quietest frame of the last 3 s
+const MIN_NOISE_FLOOR = 1e-5;
+
+/**
+ * Voice Activity Detection
+ * Classifies frameSize frames by their energy in the speech band (from an
+ * FFT) against an adaptive noise floor, then smooths the decisions with a
+ * hangover. Low rumble (fans, HVAC) barely reaches the speech band, steady
+ * noise inside it raises the floor, and isolated clicks are too short to
+ * keep. Files yield speech regions, live streams a decision per frame.
+ */
 class VADService {
   constructor(options = {}) {
     // VAD configuration - OPTIMIZED thresholds to reduce false negatives
     // Lower thresholds = more sensitive (catches more speech, but may include noise)
     // Higher thresholds = less sensitive (fewer false positives, but may miss quiet speech)
-    this.energyThreshold = options.energyThreshold || 0.003; // Further lowered from 0.005 to catch quiet speech
+    this.energyThreshold = options.energyThreshold || 0.003; // Minimum speech-band energy of a speech frame, however quiet the room
     this.minSpeechDuration = options.minSpeechDuration || 200; // Reduced from 300ms to catch shorter utterances
-    this.silenceThreshold = options.silenceThreshold || 0.001; // Lowered from 0.003 to be less aggressive
+    this.silenceThreshold = options.silenceThreshold || 0.001; // Chunks whose loudest frame is below this are skipped unanalyzed
     this.frameSize = options.frameSize || 512; // Frame size for analysis
+    this.noiseFloors = new Map(); // Per capture stream, carried from chunk to chunk
     
     logger.info('VAD Service initialized', {
       energyThreshold: this.energyThreshold,
@@ -18,95 +39,19 @@ class VADService {
     });
   }
 
-  /**
-   * Quick energy check - fast pre-filter before full VAD
-   * @param {string} audioPath - Path to WAV audio file
-   * @returns {Promise<Object>} - Quick check result
-   */
-  async quickCheck(audioPath) {
-    try {
-      if (!fs.existsSync(audioPath)) {
-        return { hasVoice: false, confidence: 0, reason: 'file_not_found' };
-      }
-
-      const ext = audioPath.toLowerCase().split('.').pop();
-      if (ext !== 'wav') {
-        return { hasVoice: true, confidence: 0.5, reason: 'non_wav_format' };
-      }
-
-      // Quick check: read first 1KB of audio data
-      const audioBuffer = fs.readFileSync(audioPath, { start: 0, end: 1024 });
-      
-      // Find data chunk quickly
-      let dataOffset = -1;
-      let offset = 12;
-      while (offset < Math.min(audioBuffer.length - 8, 200)) {
-        const chunkId = audioBuffer.toString('ascii', offset, offset + 4);
-        const chunkSize = audioBuffer.readUInt32LE(offset + 4);
-        
-        if (chunkId === 'data') {
-          dataOffset = offset + 8;
-          break;
-        }
-        offset += 8 + chunkSize;
-      }
-
-      if (dataOffset === -1) {
-        return { hasVoice: true, confidence: 0.5, reason: 'quick_check_fallback' };
-      }
-
-      // Quick energy calculation on first samples
-      const sampleCount = Math.min(256, (audioBuffer.length - dataOffset) / 2);
-      let sumSquares = 0;
-      for (let i = dataOffset; i < dataOffset + (sampleCount * 2) && i < audioBuffer.length - 1; i += 2) {
-        const sample = audioBuffer.readInt16LE(i) / 32768.0;
-        sumSquares += sample * sample;
-      }
-      const quickEnergy = Math.sqrt(sumSquares / sampleCount);
-
-      // If energy is clearly above threshold, skip full VAD
-      if (quickEnergy > this.energyThreshold * 2) {
-        return { hasVoice: true, confidence: 0.8, energy: quickEnergy, reason: 'quick_check_high_energy' };
-      }
-
-      // If energy is clearly below threshold, skip full VAD
-      if (quickEnergy < this.silenceThreshold) {
-        return { hasVoice: false, confidence: 0.2, energy: quickEnergy, reason: 'quick_check_low_energy' };
-      }
-
-      // Uncertain - need full VAD
-      return { needsFullVAD: true, energy: quickEnergy };
-    } catch (error) {
-      logger.debug('Quick VAD check error, falling back to full VAD', { error: error.message });
-      return { needsFullVAD: true };
-    }
-  }
-
   /**
    * Analyze audio file to detect voice activity
    * @param {string} audioPath - Path to WAV audio file
-   * @param {boolean} useQuickCheck - Use quick check first (default: true)
-   * @returns {Promise<Object>} - VAD analysis result
+   * @param {boolean} useQuickCheck - Skip the frame analysis when even the loudest frame is silent (default: true)
+   * @param {string|null} stream - Capture stream of the chunk; each stream keeps its own noise floor
+   * @returns {Promise<Object>} - VAD analysis result, with speech regions as [{ start, end }] in ms
    */
-  async analyzeAudio(audioPath, useQuickCheck = true) {
+  async analyzeAudio(audioPath, useQuickCheck = true, stream = null) {
     try {
       if (!fs.existsSync(audioPath)) {
         throw new Error(`Audio file not found: ${audioPath}`);
       }
 
-      // Quick check first (if enabled) - can skip full VAD for obvious cases
-      if (useQuickCheck) {
-        const quickResult = await this.quickCheck(audioPath);
-        if (!quickResult.needsFullVAD) {
-          logger.debug('VAD: Quick check result', {
-            hasVoice: quickResult.hasVoice,
-            reason: quickResult.reason,
-            energy: quickResult.energy?.toFixed(4)
-          });
-          return quickResult;
-        }
-      }
-
       // Check file extension - only process WAV files
       const ext = audioPath.toLowerCase().split('.').pop();
       if (ext !== 'wav') {
@@ -119,25 +64,39 @@ class VADService {
           hasVoice: true, 
           confidence: 0.5, 
           energy: 0,
+          regions: [],
           reason: 'non_wav_format' 
         };
       }
 
-      const audioBuffer = fs.readFileSync(audioPath);
-      const audioData = this._parseWavFile(audioBuffer);
-      
+      const audioData = await readWavFile(audioPath);
       if (!audioData) {
         logger.warn('Failed to parse WAV file - assuming has voice', { path: audioPath });
-        return { hasVoice: true, confidence: 0.5, energy: 0, reason: 'parse_error' };
+        return { hasVoice: true, confidence: 0.5, energy: 0, regions: [], reason: 'parse_error' };
       }
 
-      const analysis = this._analyzeVoiceActivity(audioData);
+      // Quick check first (if enabled) - a chunk whose loudest frame is silent needs no spectra
+      if (useQuickCheck) {
+        const loudest = this._loudestFrame(audioData.samples);
+        if (loudest < this.silenceThreshold) {
+          logger.debug('VAD: Quick check result', {
+            hasVoice: false,
+            reason: 'quick_check_low_energy',
+            energy: loudest.toFixed(4)
+          });
+          return { hasVoice: false, confidence: 0, energy: loudest, regions: [], reason: 'quick_check_low_energy' };
+        }
+      }
+
+      const analysis = this._analyzeVoiceActivity(audioData, stream);
       
       logger.debug('VAD analysis complete', {
         path: audioPath,
         hasVoice: analysis.hasVoice,
         confidence: analysis.confidence.toFixed(3),
         energy: analysis.energy.toFixed(3),
+        noiseFloor: analysis.noiseFloor.toFixed(4),
+        regions: analysis.regions.length,
         duration: analysis.duration
       });
 
@@ -148,146 +107,164 @@ class VADService {
         path: audioPath 
       });
       // On error, assume there might be voice to avoid missing content
-      return { hasVoice: true, confidence: 0.5, reason: 'error_fallback' };
+      return { hasVoice: true, confidence: 0.5, regions: [], reason: 'error_fallback' };
     }
   }
 
   /**
-   * Parse WAV file and extract audio samples
-   * @param {Buffer} buffer - WAV file buffer
-   * @returns {Object|null} - Parsed audio data
+   * Frame-by-frame voice activity detector for a live stream
+   * @param {Object} options
+   * @param {number} options.sampleRate
+   * @param {number} [options.channels=1] - Interleaved channels of the frames passed in
+   * @param {number|null} [options.noiseFloor=null] - Starting noise floor, else taken from the first frame
+   * @returns {VoiceActivityTracker} - push(frame) classifies frameSize frames in order
    */
-  _parseWavFile(buffer) {
-    try {
-      // Check WAV header
-      const riff = buffer.toString('ascii', 0, 4);
-      const wave = buffer.toString('ascii', 8, 12);
-      
-      if (riff !== 'RIFF' || wave !== 'WAVE') {
-        logger.warn('Invalid WAV file format');
-        return null;
-      }
-
-      // Find data chunk
-      let offset = 12;
-      let dataOffset = -1;
-      let dataSize = 0;
-      
-      while (offset < buffer.length - 8) {
-        const chunkId = buffer.toString('ascii', offset, offset + 4);
-        const chunkSize = buffer.readUInt32LE(offset + 4);
-        
-        if (chunkId === 'data') {
-          dataOffset = offset + 8;
-          dataSize = chunkSize;
-          break;
-        }
-        
-        offset += 8 + chunkSize;
-      }
-
-      if (dataOffset === -1) {
-        logger.warn('No data chunk found in WAV file');
-        return null;
-      }
-
-      // Extract audio samples (16-bit PCM)
-      const samples = [];
-      for (let i = dataOffset; i < dataOffset + dataSize && i < buffer.length - 1; i += 2) {
-        const sample = buffer.readInt16LE(i);
-        samples.push(sample / 32768.0); // Normalize to [-1, 1]
-      }
+  createTracker({ sampleRate, channels = 1, noiseFloor = null }) {
+    return new VoiceActivityTracker(this, { sampleRate, channels, noiseFloor });
+  }
 
-      return {
-        samples,
-        sampleRate: buffer.readUInt32LE(24), // Sample rate from WAV header
-        duration: (samples.length / buffer.readUInt32LE(24)) * 1000 // Duration in ms
-      };
-    } catch (error) {
-      logger.error('Error parsing WAV file', { error: error.message });
-      return null;
-    }
+  /**
+   * Forget the noise floors learned from earlier chunks (call when a recording starts)
+   */
+  reset() {
+    this.noiseFloors.clear();
   }
 
   /**
-   * Analyze voice activity in audio samples
-   * @param {Object} audioData - Parsed audio data
+   * Analyze voice activity in audio samples, frame by frame
+   * @param {Object} audioData - Decoded audio ({ samples, sampleRate, duration } from decodeWav)
+   * @param {string|null} stream - Capture stream, for the noise floor
    * @returns {Object} - Analysis result
    */
-  _analyzeVoiceActivity(audioData) {
-    const { samples, duration } = audioData;
-    
-    if (samples.length === 0) {
+  _analyzeVoiceActivity(audioData, stream = null) {
+    const { samples, sampleRate } = audioData;
+    const duration = audioData.duration * 1000;
+    const frameMs = this.frameSize / sampleRate * 1000;
+    const frameCount = Math.floor(samples.length / this.frameSize);
+
+    if (frameCount === 0) {
       return { 
         hasVoice: false, 
         confidence: 0, 
         energy: 0, 
-        duration: 0,
+        noiseFloor: 0,
+        duration,
+        regions: [],
         reason: 'empty_audio' 
       };
     }
 
-    // Calculate overall energy
-    const energy = this._calculateEnergy(samples);
-    
-    // Calculate zero-crossing rate (helps detect speech)
-    const zcr = this._calculateZeroCrossingRate(samples);
-    
-    // Calculate spectral features
-    const spectralCentroid = this._calculateSpectralCentroid(samples);
-    
-    // Voice detection logic
-    let hasVoice = false;
-    let confidence = 0;
-    let reason = '';
+    // Carry the floor over from the stream's previous chunk; the first chunk
+    // starts from its own quietest frames
+    const key = stream || null;
+    const tracker = this.createTracker({
+      sampleRate,
+      noiseFloor: this.noiseFloors.get(key) ?? this._quietLevel(samples, sampleRate)
+    });
 
-    // Check energy threshold
-    if (energy > this.energyThreshold) {
-      hasVoice = true;
-      confidence = Math.min(energy / this.energyThreshold, 1.0);
-      reason = 'energy_detected';
+    const frames = [];
+    for (let i = 0; i < frameCount; i++) {
+      frames.push(tracker.push(samples.subarray(i * this.frameSize, (i + 1) * this.frameSize)));
     }
-
-    // Additional check: Zero-crossing rate (speech typically has moderate ZCR)
-    if (zcr > 0.05 && zcr < 0.3) {
-      confidence = Math.min(confidence + 0.2, 1.0);
-      reason = reason ? reason + ',zcr_match' : 'zcr_match';
+    this.noiseFloors.set(key, tracker.noiseFloor);
+
+    // Runs of speech frames become regions; short ones are clicks and bumps
+    const regions = [];
+    let first = -1;
+    for (let i = 0; i <= frames.length; i++) {
+      const speech = i < frames.length && frames[i].isSpeech;
+      if (speech && first < 0) {
+        first = i;
+      } else if (!speech && first >= 0) {
+        if ((i - first) * frameMs >= MIN_REGION_MS) {
+          regions.push({ start: Math.round(first * frameMs), end: Math.round(i * frameMs), first, last: i });
+        }
+        first = -1;
+      }
     }
 
-    // Check minimum duration
-    if (hasVoice && duration < this.minSpeechDuration) {
-      hasVoice = false;
-      confidence = 0;
-      reason = 'too_short';
-    }
+    const speechFrames = regions.flatMap(region => frames.slice(region.first, region.last));
+    const speechDuration = speechFrames.length * frameMs;
+    const measured = speechFrames.length > 0 ? speechFrames : frames;
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const rms = (field) => Math.sqrt(mean(measured.map(frame => frame[field] * frame[field])));
+    const energy = rms('energy');
+    const noiseFloor = tracker.noiseFloor;
 
-    // Detect silence (very low energy) - but be less aggressive
-    // Only mark as silence if energy is extremely low AND duration is very short
-    if (energy < this.silenceThreshold && duration < 1000) {
-      hasVoice = false;
-      confidence = 0;
+    let hasVoice = false;
+    let confidence = 0;
+    let reason;
+    if (speechDuration >= this.minSpeechDuration) {
+      hasVoice = true;
+      // 10 dB above the floor is the least a speech frame has; 30 dB is a clear voice
+      const snr = 20 * Math.log10(rms('bandEnergy') / Math.max(noiseFloor, MIN_NOISE_FLOOR));
+      confidence = Math.max(0, Math.min(snr / 30, 1));
+      reason = 'speech_detected';
+    } else if (speechDuration > 0) {
+      reason = 'too_short';
+    } else if (frames.some(frame => frame.energy > this.energyThreshold)) {
+      // Loud enough, but steady or outside the voice band - fans, HVAC, typing
+      reason = 'noise_only';
+    } else {
       reason = 'silence_detected';
     }
 
     return {
       hasVoice,
-      confidence: Math.min(confidence, 1.0),
+      confidence,
       energy,
-      zcr,
-      spectralCentroid,
+      noiseFloor,
+      zcr: mean(measured.map(frame => frame.zcr)),
+      spectralCentroid: mean(measured.map(frame => frame.spectralCentroid)),
       duration,
-      reason: reason || 'no_voice'
+      speechDuration,
+      regions: regions.map(({ start, end }) => ({ start, end })),
+      reason
     };
   }
 
+  /**
+   * RMS of the loudest frame (time domain only)
+   * @param {Float32Array} samples
+   * @returns {number}
+   */
+  _loudestFrame(samples) {
+    let loudest = 0;
+    for (let start = 0; start < samples.length; start += this.frameSize) {
+      loudest = Math.max(loudest, this._calculateEnergy(samples.subarray(start, start + this.frameSize)));
+    }
+    return loudest;
+  }
+
+  /**
+   * Speech-band energy of the quietest tenth of the frames - the noise
+   * estimate for audio with no history
+   * @param {Float32Array} samples
+   * @param {number} sampleRate
+   * @returns {number}
+   */
+  _quietLevel(samples, sampleRate) {
+    const window = hannWindow(this.frameSize);
+    const fftSize = 2 ** Math.ceil(Math.log2(this.frameSize));
+    const energies = [];
+    for (let start = 0; start + this.frameSize <= samples.length; start += this.frameSize) {
+      energies.push(this._calculateSpectrum(samples.subarray(start, start + this.frameSize), sampleRate, window, fftSize).bandEnergy);
+    }
+    energies.sort((a, b) => a - b);
+    return energies[Math.floor(energies.length / 10)] || 0;
+  }
+
   /**
    * Calculate energy of audio signal
    * @param {Array} samples - Audio samples
    * @returns {number} - Energy value
    */
   _calculateEnergy(samples) {
-    const sumSquares = samples.reduce((sum, sample) => sum + sample * sample, 0);
-    return Math.sqrt(sumSquares / samples.length);
+    let sumSquares = 0;
+    for (let i = 0; i < samples.length; i++) {
+      sumSquares += samples[i] * samples[i];
+    }
+    return samples.length > 0 ? Math.sqrt(sumSquares / samples.length) : 0;
   }
 
   /**
@@ -307,23 +284,35 @@ class VADService {
   }
 
   /**
-   * Calculate spectral centroid (simplified)
-   * @param {Array} samples - Audio samples
-   * @returns {number} - Spectral centroid
+   * Spectral centroid and energy in the speech band
+   * @param {Float32Array} frame - One frame, mono
+   * @param {number} sampleRate
+   * @param {Float64Array} window - Hann window of the frame length
+   * @param {number} fftSize - Power of two >= frame length
+   * @returns {Object} - { spectralCentroid (Hz), bandEnergy (RMS of the band, same scale as _calculateEnergy) }
    */
-  _calculateSpectralCentroid(samples) {
-    // Simplified spectral centroid calculation
-    // In a full implementation, you'd use FFT
-    let weightedSum = 0;
-    let sum = 0;
-    
-    for (let i = 0; i < samples.length; i++) {
-      const magnitude = Math.abs(samples[i]);
-      weightedSum += i * magnitude;
-      sum += magnitude;
+  _calculateSpectrum(frame, sampleRate, window, fftSize) {
+    const power = powerSpectrum(frame, 0, window, fftSize);
+    const binHz = sampleRate / fftSize;
+    const windowPower = window.reduce((sum, value) => sum + value * value, 0);
+    let total = 0;
+    let weighted = 0;
+    let band = 0;
+
+    for (let i = 1; i < power.length; i++) {
+      const frequency = i * binHz;
+      total += power[i];
+      weighted += frequency * power[i];
+      if (frequency >= SPEECH_BAND[0] && frequency <= SPEECH_BAND[1]) {
+        band += power[i];
+      }
     }
-    
-    return sum > 0 ? weightedSum / sum : 0;
+
+    // Parseval: each one-sided bin stands for two, scaled by the FFT size and window
+    return {
+      spectralCentroid: total > 0 ? weighted / total : 0,
+      bandEnergy: Math.sqrt(2 * band / (fftSize * windowPower))
+    };
   }
 
   /**
@@ -361,4 +350,114 @@ class VADService {
   }
 }
 
+/**
+ * Frame decisions for one stream of audio: per-frame speech-band energy,
+ * the noise floor learned from quiet frames, and hangover after speech
+ */
+class VoiceActivityTracker {
+  /**
+   * @param {VADService} vad - Thresholds are read on every frame, so config updates apply
+   * @param {Object} options - { sampleRate, channels, noiseFloor }
+   */
+  constructor(vad, { sampleRate, channels, noiseFloor }) {
+    this.vad = vad;
+    this.sampleRate = sampleRate;
+    this.channels = channels;
+    this.window = hannWindow(vad.frameSize);
+    this.fftSize = 2 ** Math.ceil(Math.log2(vad.frameSize));
+
+    const frameMs = vad.frameSize / sampleRate * 1000;
+    this.hangoverFrames = Math.round(HANGOVER_MS / frameMs);
+    this.historyFrames = Math.max(1, Math.round(NOISE_WINDOW_MS / frameMs));
+    this.initialFloor = noiseFloor;
+    this.reset();
+  }
+
+  /**
+   * Forget the stream's history (call when the stream restarts)
+   */
+  reset() {
+    this.noiseFloor = this.initialFloor;
+    this.history = []; // Recent frame energies
+    this.speechRun = 0;
+    this.hangover = 0;
+  }
+
+  /**
+   * Classify the next frame
+   * @param {Int16Array|Float32Array} samples - frameSize frames; 16-bit PCM (interleaved) or mono samples in [-1, 1]
+   * @returns {Object} - { energy, bandEnergy, zcr, spectralCentroid, noiseFloor, voiced, isSpeech } -
+   *   voiced is the frame's own decision, isSpeech includes hangover
+   */
+  push(samples) {
+    const frame = this._toMono(samples);
+    const energy = this.vad._calculateEnergy(frame);
+    const zcr = this.vad._calculateZeroCrossingRate(frame);
+    const { spectralCentroid, bandEnergy } = this.vad._calculateSpectrum(frame, this.sampleRate, this.window, this.fftSize);
+
+    if (this.noiseFloor === null) {
+      this.noiseFloor = bandEnergy;
+    }
+
+    const threshold = Math.max(this.vad.energyThreshold, this.noiseFloor * SNR_RATIO);
+    const voiced = bandEnergy > threshold;
+    this._updateNoiseFloor(bandEnergy, voiced);
+
+    if (voiced) {
+      this.speechRun++;
+      if (this.speechRun >= MIN_RUN_FRAMES) {
+        this.hangover = this.hangoverFrames;
+      }
+    } else {
+      this.speechRun = 0;
+    }
+    const isSpeech = voiced || this.hangover > 0;
+    if (!voiced && this.hangover > 0) {
+      this.hangover--;
+    }
+
+    return { energy, bandEnergy, zcr, spectralCentroid, noiseFloor: this.noiseFloor, voiced, isSpeech };
+  }
+
+  /**
+   * Quiet frames move the floor toward their energy; noise loud enough to
+   * pass as speech without a pause lifts it to the quietest recent frame
+   * @private
+   */
+  _updateNoiseFloor(energy, voiced) {
+    this.history.push(energy);
+    if (this.history.length > this.historyFrames) {
+      this.history.shift();
+    }
+
+    if (!voiced) {
+      const rate = energy < this.noiseFloor ? NOISE_FALL : NOISE_RISE;
+      this.noiseFloor += (energy - this.noiseFloor) * rate;
+    }
+    if (this.history.length === this.historyFrames) {
+      this.noiseFloor = Math.max(this.noiseFloor, Math.min(...this.history));
+    }
+    this.noiseFloor = Math.max(this.noiseFloor, MIN_NOISE_FLOOR);
+  }
+
+  /**
+   * @private
+   */
+  _toMono(samples) {
+    if (!(samples instanceof Int16Array)) {
+      return samples;
+    }
+    const frames = Math.floor(samples.length / this.channels);
+    const mono = new Float32Array(frames);
+    for (let i = 0; i < frames; i++) {
+      let sum = 0;
+      for (let channel = 0; channel < this.channels; channel++) {
+        sum += samples[i * this.channels + channel];
+      }
+      mono[i] = sum / this.channels / 32768;
+    }
+    return mono;
+  }
+}
+
 export default VADService;
@@ -4,28 +4,34 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import config from '../config/config.js';
 import logger from '../config/logger.js';
+import { CAPTURE_MODES, CAPTURE_STREAMS } from '../constants/index.js';
+import AudioCaptureService from './AudioCaptureService.js';
+
+// Windows' loopback recording device, present on most sound cards (may need enabling)
+const DEFAULT_SYSTEM_DEVICE = 'Stereo Mix';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 /**
  * Windows Audio Capture Service using SoX
- * Captures both microphone and system audio using bundled SoX
+ * Captures both microphone and system audio using bundled SoX. Each stream
+ * is one SoX process writing raw PCM to stdout for the whole recording;
+ * AudioCaptureService cuts it into utterances the same way as on Linux.
  */
-class WindowsAudioServiceSoX {
-  constructor() {
-    this.chunkDuration = config.audio.chunkDuration;
-    this.isRecording = false;
-    this.recordProcess = null;
-    this.currentChunkPath = null;
-    this.tempDir = config.paths.tempAudio;
-    this.chunkCount = 0;
-    this.callback = null;
+class WindowsAudioServiceSoX extends AudioCaptureService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.vad - VADService that finds utterances in the live audio
+   */
+  constructor(options = {}) {
+    super(options);
     this.audioDevice = null;
     this.soxPath = this._getSoxPath();
-    
-    this._ensureTempDirectory();
-    this._verifySoxInstallation();
+  }
+
+  get defaultSystemDevice() {
+    return DEFAULT_SYSTEM_DEVICE;
   }
 
   /**
@@ -173,20 +179,26 @@ class WindowsAudioServiceSoX {
     return env;
   }
 
+  /**
+   * Options for spawning SoX: run from its directory so its DLLs are found.
+   * Never through a shell - the install path may contain spaces and the
+   * system device name comes from settings
+   */
+  _getSpawnOptions() {
+    const soxDir = path.dirname(this.soxPath);
+    return {
+      windowsHide: true,
+      cwd: soxDir !== '.' ? soxDir : undefined,
+      env: this._getEnvWithSoxPath()
+    };
+  }
+
   /**
    * Verify SoX is available
    */
   async _verifySoxInstallation() {
     return new Promise((resolve) => {
-      const soxDir = path.dirname(this.soxPath);
-      // When using shell:true, pass command as first arg and empty array as second
-      const command = `"${this.soxPath}" --version`;
-      const testProcess = spawn(command, [], {
-        windowsHide: true,
-        shell: true,
-        cwd: soxDir !== '.' ? soxDir : undefined,
-        env: this._getEnvWithSoxPath()
-      });
+      const testProcess = spawn(this.soxPath, ['--version'], this._getSpawnOptions());
 
       let output = '';
 
@@ -223,13 +235,6 @@ class WindowsAudioServiceSoX {
     });
   }
 
-  _ensureTempDirectory() {
-    if (!fs.existsSync(this.tempDir)) {
-      fs.mkdirSync(this.tempDir, { recursive: true });
-      logger.info('Created temp audio directory', { path: this.tempDir });
-    }
-  }
-
   async startRecording(callback, userSettings = null) {
     if (this.isRecording) {
       logger.warn('Recording already in progress');
@@ -255,26 +260,13 @@ class WindowsAudioServiceSoX {
       await this._listAudioDevices();
     }
 
-    this.isRecording = true;
-    this.chunkCount = 0;
-    this.callback = callback;
-    
     logger.info('Recording started', { soxPath: this.soxPath });
-    
-    this._recordChunk();
-    return true;
+    return super.startRecording(callback, userSettings);
   }
 
   async _listAudioDevices() {
     return new Promise((resolve) => {
-      const soxDir = path.dirname(this.soxPath);
-      const command = `"${this.soxPath}" --list-devices`;
-      const listProcess = spawn(command, [], {
-        windowsHide: true,
-        shell: true,
-        cwd: soxDir !== '.' ? soxDir : undefined,
-        env: this._getEnvWithSoxPath()
-      });
+      const listProcess = spawn(this.soxPath, ['--list-devices'], this._getSpawnOptions());
 
       listProcess.on('exit', () => {
         this.audioDevice = 'default';
@@ -290,136 +282,47 @@ class WindowsAudioServiceSoX {
     });
   }
 
-  _recordChunk() {
-    if (!this.isRecording) return;
-
-    try {
-      this.chunkCount++;
-      const timestamp = Date.now();
-      this.currentChunkPath = path.join(this.tempDir, `chunk_${timestamp}.wav`);
-
-      const soxDir = path.dirname(this.soxPath);
-      const command = `"${this.soxPath}" -t waveaudio -d -r ${config.audio.sampleRate} -c ${config.audio.channels} -b 16 "${this.currentChunkPath}" trim 0 ${this.chunkDuration / 1000}`;
-
-      this.recordProcess = spawn(command, [], {
-        windowsHide: true,
-        shell: true,
-        cwd: soxDir !== '.' ? soxDir : undefined,
-        env: this._getEnvWithSoxPath()
-      });
-
-      let stderr = '';
-      let stdout = '';
-
-      this.recordProcess.stdout.on('data', (data) => {
-        stdout += data.toString();
-      });
-
-      this.recordProcess.stderr.on('data', (data) => {
-        stderr += data.toString();
-        const output = data.toString();
-        
-        if (output.includes('error') || output.includes('Error')) {
-          logger.error('SoX error:', output.trim());
-        }
-      });
-
-      this.recordProcess.on('error', (error) => {
-        logger.error('Process error:', error.message);
-        
-        if (error.code === 'ENOENT') {
-          const errorMsg = `SoX executable not found at: ${this.soxPath}\n\nPlease ensure:\n1. SoX binaries are included in the installation\n2. The app is properly installed\n3. Try reinstalling the application`;
-          logger.error(errorMsg);
-          
-          // Emit error to callback if available
-          if (this.callback) {
-            try {
-              this.callback(null, 0, new Error(errorMsg));
-            } catch (e) {
-              // Callback might not support error parameter
-              logger.error('Failed to notify callback of error:', e.message);
-            }
-          }
-        }
-      });
-
-      this.recordProcess.on('exit', (code, signal) => {
-        const fileExists = fs.existsSync(this.currentChunkPath);
-        
-        if (code === 0 && fileExists) {
-          const stats = fs.statSync(this.currentChunkPath);
-
-          if (this.callback) {
-            this.callback(this.currentChunkPath, stats.size);
-          }
-
-          if (this.isRecording) {
-            setTimeout(() => this._recordChunk(), 100);
-          }
-        } else {
-          logger.error('Failed to create chunk');
-          logger.error(`Exit code: ${code}`);
-          logger.error(`Stderr: ${stderr}`);
-          
-          if (stderr.includes('can\'t open input') || stderr.includes("can't open input")) {
-            const errorMsg = `No audio input device available.\n\nPlease check:\n1. Windows Sound Settings → Recording tab\n2. Ensure a microphone or recording device is enabled\n3. Set a default recording device\n4. Grant microphone permissions to the app in Windows Settings → Privacy → Microphone`;
-            logger.error(errorMsg);
-            
-            // Emit helpful error message
-            if (this.callback) {
-              try {
-                this.callback(null, 0, new Error(errorMsg));
-              } catch (e) {
-                logger.error('Failed to notify callback of error:', e.message);
-              }
-            }
-          } else if (stderr.includes('error') || stderr.includes('Error')) {
-            logger.error(`SoX error: ${stderr}`);
-            if (this.callback) {
-              try {
-                this.callback(null, 0, new Error(`Audio capture error: ${stderr}`));
-              } catch (e) {
-                logger.error('Failed to notify callback of error:', e.message);
-              }
-            }
-          }
-          
-          // Retry with delay to avoid rapid error loops
-          if (this.isRecording) {
-            setTimeout(() => this._recordChunk(), 2000);
-          }
-        }
-      });
+  /**
+   * One SoX process per stream, recording until stopped; raw PCM goes to stdout
+   * @protected
+   */
+  _getRecorders() {
+    const options = this._getSpawnOptions();
+    const output = [
+      '-t', 'raw',
+      '-r', config.audio.sampleRate.toString(),
+      '-c', config.audio.channels.toString(),
+      '-b', '16', '-e', 'signed-integer', '-L',
+      '-'
+    ];
+    const record = (input) => ({
+      command: this.soxPath,
+      args: ['-q', '-t', 'waveaudio', input, ...output],
+      options
+    });
 
-    } catch (error) {
-      logger.error('Error recording chunk:', { error: error.message });
-      if (this.isRecording) {
-        setTimeout(() => this._recordChunk(), 2000);
-      }
+    if (this.captureMode !== CAPTURE_MODES.BOTH) {
+      return [{ name: null, ...record('-d') }];
     }
-  }
 
-  stopRecording() {
-    logger.info('Stopping recording');
-    
-    this.isRecording = false;
+    return [
+      { name: CAPTURE_STREAMS.ME, ...record('-d') },
+      { name: CAPTURE_STREAMS.REMOTE, ...record(this.systemDevice) }
+    ];
+  }
 
-    if (this.recordProcess) {
-      try {
-        this.recordProcess.kill('SIGTERM');
-      } catch (error) {
-        logger.error(`Error stopping process: ${error.message}`);
-      }
-      this.recordProcess = null;
-    }
+  _missingRecorderMessage() {
+    return `SoX executable not found at: ${this.soxPath}\n\nPlease ensure:\n1. SoX binaries are included in the installation\n2. The app is properly installed\n3. Try reinstalling the application`;
   }
 
-  getStats() {
-    return {
-      isRecording: this.isRecording,
-      chunkCount: this.chunkCount,
-      chunkDuration: this.chunkDuration
-    };
+  _captureErrorMessage(stream) {
+    if (stream.name === CAPTURE_STREAMS.REMOTE) {
+      return `Could not record system audio from "${this.systemDevice}".\n\nPlease check:\n1. Windows Sound Settings → Recording tab\n2. Enable "Stereo Mix" (right-click → Show Disabled Devices), or set the system audio device in settings`;
+    }
+    if (stream.stderr.includes("can't open input")) {
+      return `No audio input device available.\n\nPlease check:\n1. Windows Sound Settings → Recording tab\n2. Ensure a microphone or recording device is enabled\n3. Set a default recording device\n4. Grant microphone permissions to the app in Windows Settings → Privacy → Microphone`;
+    }
+    return super._captureErrorMessage(stream);
   }
 
   /**
@@ -435,10 +338,6 @@ class WindowsAudioServiceSoX {
       resolve(devices);
     });
   }
-
-  cleanup() {
-    this.stopRecording();
-  }
 }
 
 export default WindowsAudioServiceSoX;
@@ -0,0 +1,128 @@
+import config from '../../config/config.js';
+import LLMProvider from './LLMProvider.js';
+import { LLM_PROVIDERS } from '../../constants/index.js';
+
+const API_VERSION = '2023-06-01';
+
+// USD per 1M tokens
+const PRICING = {
+  'claude-3-5-haiku': { input: 0.80, output: 4.00 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-3-5-sonnet': { input: 3.00, output: 15.00 },
+  'claude-3-7-sonnet': { input: 3.00, output: 15.00 }
+};
+
+/**
+ * Anthropic Provider
+ * Messages API (api.anthropic.com or a compatible gateway)
+ */
+class AnthropicProvider extends LLMProvider {
+  constructor(options = {}) {
+    const defaults = config.llm.anthropic;
+    super({
+      ...options,
+      apiKey: options.apiKey || defaults.apiKey,
+      baseURL: (options.baseURL || defaults.baseURL).replace(/\/+$/, ''),
+      model: options.model || defaults.model
+    });
+  }
+
+  get name() {
+    return LLM_PROVIDERS.ANTHROPIC;
+  }
+
+  get defaultModel() {
+    return config.llm.anthropic.model;
+  }
+
+  get pricing() {
+    const key = Object.keys(PRICING).find(name => this.model.startsWith(name));
+    return PRICING[key] || { input: 0, output: 0 };
+  }
+
+  isAvailable() {
+    return !!this.options.apiKey;
+  }
+
+  async complete(request) {
+    const data = await this._postJSON(`${this.options.baseURL}/v1/messages`, this._buildBody(request, false), {
+      headers: this._headers(),
+      timeout: request.timeout
+    });
+
+    const text = (data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    return {
+      content: request.json ? `{${text}` : text,
+      ...this._accountUsage(data.usage?.input_tokens, data.usage?.output_tokens)
+    };
+  }
+
+  async stream(request, onDelta) {
+    const response = await this._post(`${this.options.baseURL}/v1/messages`, this._buildBody(request, true), {
+      headers: this._headers(),
+      timeout: request.timeout
+    });
+
+    let content = '';
+    if (request.json) {
+      content = '{';
+      onDelta(content);
+    }
+
+    // Server-sent events: input tokens in message_start, output tokens in message_delta
+    let inputTokens = 0;
+    let outputTokens = 0;
+    for await (const line of this._readLines(response)) {
+      if (!line.startsWith('data:')) {
+        continue;
+      }
+
+      const event = JSON.parse(line.slice(5));
+      if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+        content += event.delta.text;
+        onDelta(event.delta.text);
+      } else if (event.type === 'message_start') {
+        inputTokens = event.message?.usage?.input_tokens || 0;
+      } else if (event.type === 'message_delta') {
+        outputTokens = event.usage?.output_tokens || outputTokens;
+      } else if (event.type === 'error') {
+        throw new Error(`anthropic stream error: ${event.error?.message || 'unknown'}`);
+      }
+    }
+
+    return {
+      content,
+      ...this._accountUsage(inputTokens, outputTokens)
+    };
+  }
+
+  /**
+   * Messages API request body
+   * No native JSON mode: ask for JSON and prefill the reply with "{" so the
+   * model starts the object immediately
+   * @private
+   */
+  _buildBody({ system, messages, json = false, temperature, maxTokens = 1000 }, stream) {
+    return {
+      model: this.model,
+      system: json ? `${system}\n\nRespond with a single JSON object and nothing else.` : system,
+      messages: json ? [...messages, { role: 'assistant', content: '{' }] : messages,
+      max_tokens: maxTokens,
+      stream,
+      ...(temperature !== undefined ? { temperature } : {})
+    };
+  }
+
+  _headers() {
+    return {
+      'x-api-key': this.options.apiKey,
+      'anthropic-version': API_VERSION
+    };
+  }
+}
+
+export default AnthropicProvider;
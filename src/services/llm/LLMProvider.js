@@ -0,0 +1,174 @@
+/**
+ * LLM Provider
+ * Base class for chat models used to generate meeting suggestions
+ */
+
+class LLMProvider {
+  constructor(options = {}) {
+    this.options = options;
+    this.model = options.model || this.defaultModel;
+  }
+
+  /**
+   * Provider identifier (matches the key in the provider registry)
+   * @returns {string}
+   */
+  get name() {
+    throw new Error('LLM provider must define a name');
+  }
+
+  /**
+   * Model used when settings don't name one
+   * @returns {string}
+   */
+  get defaultModel() {
+    return '';
+  }
+
+  /**
+   * Whether prompts are processed on this machine
+   * @returns {boolean}
+   */
+  get isLocal() {
+    return false;
+  }
+
+  /**
+   * Price in USD per 1M input/output tokens (0 for self-hosted models)
+   * @returns {Object} - { input, output }
+   */
+  get pricing() {
+    return { input: 0, output: 0 };
+  }
+
+  /**
+   * Model used by embed(), or null when the provider has no embeddings API
+   * @returns {string|null}
+   */
+  get embeddingModel() {
+    return null;
+  }
+
+  /**
+   * Check whether the provider is configured well enough to be used
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return false;
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Object} request
+   * @param {string} request.system - System prompt
+   * @param {Object[]} request.messages - [{ role: 'user' | 'assistant', content }]
+   * @param {boolean} [request.json] - Ask for a single JSON object
+   * @param {number} [request.temperature]
+   * @param {number} [request.maxTokens]
+   * @param {number} [request.timeout] - Request timeout (ms)
+   * @returns {Promise<Object>} - { content, usage: { input, output, total }, cost }
+   */
+  async complete(request) {
+    throw new Error(`${this.name} provider does not implement complete()`);
+  }
+
+  /**
+   * Run a chat completion, reporting text as it is generated
+   * Providers without streaming support deliver the whole completion at once
+   * @param {Object} request - Same as complete()
+   * @param {Function} onDelta - Called with each new piece of text
+   * @returns {Promise<Object>} - { content, usage: { input, output, total }, cost }
+   */
+  async stream(request, onDelta) {
+    const result = await this.complete(request);
+    onDelta(result.content);
+    return result;
+  }
+
+  /**
+   * Embed texts for similarity search
+   * @param {string[]} texts
+   * @param {Object} [options] - { timeout }
+   * @returns {Promise<Object>} - { vectors, usage: { input, output, total }, cost }
+   */
+  async embed(texts, options = {}) {
+    throw new Error(`${this.name} provider does not support embeddings`);
+  }
+
+  /**
+   * Build the usage/cost part of a completion result
+   * @protected
+   */
+  _accountUsage(inputTokens = 0, outputTokens = 0) {
+    const { input, output } = this.pricing;
+    return {
+      usage: { input: inputTokens, output: outputTokens, total: inputTokens + outputTokens },
+      cost: (inputTokens * input / 1000000) + (outputTokens * output / 1000000)
+    };
+  }
+
+  /**
+   * Rough token count for servers that don't report usage on streams (~4 chars/token)
+   * @protected
+   */
+  _estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+  }
+
+  /**
+   * POST JSON to an HTTP API and return the parsed body
+   * @protected
+   */
+  async _postJSON(url, body, options = {}) {
+    const response = await this._post(url, body, options);
+    return response.json();
+  }
+
+  /**
+   * Read a streamed response body line by line (SSE and NDJSON)
+   * @protected
+   */
+  async *_readLines(response) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (line.trim()) {
+          yield line.trim();
+        }
+      }
+    }
+
+    if (buffer.trim()) {
+      yield buffer.trim();
+    }
+  }
+
+  /**
+   * POST JSON and return the response once the status is known to be OK
+   * @protected
+   */
+  async _post(url, body, { headers = {}, timeout } = {}) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: timeout ? AbortSignal.timeout(timeout) : undefined
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      const error = new Error(`${this.name} request failed (${response.status}): ${detail.slice(0, 200)}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return response;
+  }
+}
+
+export default LLMProvider;
@@ -0,0 +1,63 @@
+import config from '../../config/config.js';
+import { createOpenAIClient } from '../../config/openaiClient.js';
+import OpenAIChatProvider from './OpenAIChatProvider.js';
+import { LLM_PROVIDERS } from '../../constants/index.js';
+
+/**
+ * llama.cpp Provider
+ * Talks to a local llama-server through its OpenAI-compatible chat endpoint.
+ * JSON mode uses the server's response_format support (grammar-constrained).
+ */
+class LlamaCppProvider extends OpenAIChatProvider {
+  constructor(options = {}) {
+    const defaults = config.llm.llamaCpp;
+    super({
+      ...options,
+      baseURL: options.baseURL || defaults.baseURL,
+      model: options.model || defaults.model
+    });
+  }
+
+  get name() {
+    return LLM_PROVIDERS.LLAMA_CPP;
+  }
+
+  get defaultModel() {
+    return config.llm.llamaCpp.model;
+  }
+
+  get isLocal() {
+    return /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:|\/|$)/.test(this.options.baseURL || '');
+  }
+
+  get pricing() {
+    return { input: 0, output: 0 };
+  }
+
+  // Needs llama-server started with --embeddings; otherwise retrieval falls back to keywords
+  get embeddingModel() {
+    return config.retrieval.embeddingModel || this.model;
+  }
+
+  get embeddingPricing() {
+    return 0;
+  }
+
+  _createClient() {
+    if (!this.options.baseURL) {
+      return null;
+    }
+
+    // llama-server serves the OpenAI API under /v1
+    const baseURL = this.options.baseURL.replace(/\/+$/, '');
+    return createOpenAIClient({
+      apiKey: this.options.apiKey || 'not-required',
+      baseURL: baseURL.endsWith('/v1') ? baseURL : `${baseURL}/v1`,
+      organization: null,
+      apiVersion: null,
+      timeout: config.openai.timeouts.suggestions
+    });
+  }
+}
+
+export default LlamaCppProvider;
@@ -0,0 +1,108 @@
+import config from '../../config/config.js';
+import LLMProvider from './LLMProvider.js';
+import { LLM_PROVIDERS } from '../../constants/index.js';
+
+/**
+ * Ollama Provider
+ * Uses the native /api/chat endpoint of a local Ollama server
+ */
+class OllamaProvider extends LLMProvider {
+  constructor(options = {}) {
+    const defaults = config.llm.ollama;
+    super({
+      ...options,
+      baseURL: (options.baseURL || defaults.baseURL || '').replace(/\/+$/, ''),
+      model: options.model || defaults.model
+    });
+  }
+
+  get name() {
+    return LLM_PROVIDERS.OLLAMA;
+  }
+
+  get defaultModel() {
+    return config.llm.ollama.model;
+  }
+
+  get isLocal() {
+    return /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:|\/|$)/.test(this.options.baseURL);
+  }
+
+  // Must be pulled first (ollama pull nomic-embed-text); otherwise retrieval falls back to keywords
+  get embeddingModel() {
+    return config.retrieval.embeddingModel || 'nomic-embed-text';
+  }
+
+  isAvailable() {
+    return !!this.options.baseURL && !!this.model;
+  }
+
+  async complete(request) {
+    const data = await this._postJSON(`${this.options.baseURL}/api/chat`, this._buildBody(request, false), {
+      timeout: request.timeout
+    });
+
+    return {
+      content: data.message?.content || '',
+      ...this._accountUsage(data.prompt_eval_count, data.eval_count)
+    };
+  }
+
+  async stream(request, onDelta) {
+    const response = await this._post(`${this.options.baseURL}/api/chat`, this._buildBody(request, true), {
+      timeout: request.timeout
+    });
+
+    // Newline-delimited JSON; the last object has done: true and the token counts
+    let content = '';
+    let final = {};
+    for await (const line of this._readLines(response)) {
+      const data = JSON.parse(line);
+      const delta = data.message?.content;
+      if (delta) {
+        content += delta;
+        onDelta(delta);
+      }
+      if (data.done) {
+        final = data;
+      }
+    }
+
+    return {
+      content,
+      ...this._accountUsage(final.prompt_eval_count, final.eval_count)
+    };
+  }
+
+  async embed(texts, options = {}) {
+    const data = await this._postJSON(`${this.options.baseURL}/api/embed`, {
+      model: this.embeddingModel,
+      input: texts
+    }, { timeout: options.timeout });
+
+    return {
+      vectors: data.embeddings || [],
+      ...this._accountUsage(data.prompt_eval_count, 0)
+    };
+  }
+
+  /**
+   * /api/chat request body
+   * @private
+   */
+  _buildBody({ system, messages, json = false, temperature, maxTokens }, stream) {
+    return {
+      model: this.model,
+      messages: [{ role: 'system', content: system }, ...messages],
+      stream,
+      // format: 'json' constrains sampling to valid JSON
+      ...(json ? { format: 'json' } : {}),
+      options: {
+        ...(temperature !== undefined ? { temperature } : {}),
+        ...(maxTokens ? { num_predict: maxTokens } : {})
+      }
+    };
+  }
+}
+
+export default OllamaProvider;
@@ -0,0 +1,147 @@
+import config from '../../config/config.js';
+import { createOpenAIClient } from '../../config/openaiClient.js';
+import LLMProvider from './LLMProvider.js';
+import { LLM_PROVIDERS } from '../../constants/index.js';
+
+// USD per 1M tokens
+const PRICING = {
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'gpt-4o': { input: 2.50, output: 10.00 },
+  'gpt-4-turbo': { input: 10.00, output: 30.00 },
+  'gpt-4': { input: 30.00, output: 60.00 },
+  'gpt-3.5-turbo': { input: 0.50, output: 1.50 }
+};
+
+// USD per 1M input tokens
+const EMBEDDING_PRICING = {
+  'text-embedding-3-small': 0.02,
+  'text-embedding-3-large': 0.13,
+  'text-embedding-ada-002': 0.10
+};
+
+/**
+ * OpenAI Chat Provider
+ * Chat Completions on api.openai.com (or the endpoint configured for OpenAI)
+ */
+class OpenAIChatProvider extends LLMProvider {
+  constructor(options = {}) {
+    super(options);
+    this.client = this._createClient();
+  }
+
+  get name() {
+    return LLM_PROVIDERS.OPENAI;
+  }
+
+  get defaultModel() {
+    return config.openai.gptModel;
+  }
+
+  get pricing() {
+    // Longest prefix first so "gpt-4o-mini-2024-07-18" isn't priced as gpt-4
+    const key = Object.keys(PRICING)
+      .sort((a, b) => b.length - a.length)
+      .find(name => this.model.startsWith(name));
+    return PRICING[key] || PRICING['gpt-4o-mini'];
+  }
+
+  get embeddingModel() {
+    return config.retrieval.embeddingModel || 'text-embedding-3-small';
+  }
+
+  /**
+   * Price in USD per 1M embedding input tokens
+   * @returns {number}
+   */
+  get embeddingPricing() {
+    return EMBEDDING_PRICING[this.embeddingModel] ?? EMBEDDING_PRICING['text-embedding-3-small'];
+  }
+
+  isAvailable() {
+    return !!this.client;
+  }
+
+  /**
+   * Create the SDK client
+   * @protected
+   */
+  _createClient() {
+    return createOpenAIClient({ timeout: config.openai.timeouts.suggestions });
+  }
+
+  async complete(request) {
+    const response = await this.client.chat.completions.create(
+      this._buildBody(request),
+      request.timeout ? { timeout: request.timeout } : {}
+    );
+
+    return {
+      content: response.choices[0]?.message?.content || '',
+      ...this._accountUsage(response.usage?.prompt_tokens, response.usage?.completion_tokens)
+    };
+  }
+
+  async stream(request, onDelta) {
+    const stream = await this.client.chat.completions.create({
+      ...this._buildBody(request),
+      stream: true,
+      // Usage arrives in a final chunk without choices
+      stream_options: { include_usage: true }
+    }, request.timeout ? { timeout: request.timeout } : {});
+
+    let content = '';
+    let usage = null;
+
+    for await (const chunk of stream) {
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        onDelta(delta);
+      }
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+    }
+
+    // Some compatible servers ignore stream_options - estimate instead
+    const prompt = [request.system, ...request.messages.map(m => m.content)].join('\n');
+    return {
+      content,
+      ...this._accountUsage(
+        usage?.prompt_tokens ?? this._estimateTokens(prompt),
+        usage?.completion_tokens ?? this._estimateTokens(content)
+      )
+    };
+  }
+
+  async embed(texts, options = {}) {
+    const response = await this.client.embeddings.create(
+      // The SDK otherwise asks for base64, which not every compatible server implements
+      { model: this.embeddingModel, input: texts, encoding_format: 'float' },
+      options.timeout ? { timeout: options.timeout } : {}
+    );
+
+    const inputTokens = response.usage?.prompt_tokens ?? this._estimateTokens(texts.join('\n'));
+    return {
+      vectors: [...response.data].sort((a, b) => a.index - b.index).map(item => item.embedding),
+      usage: { input: inputTokens, output: 0, total: inputTokens },
+      cost: inputTokens * this.embeddingPricing / 1000000
+    };
+  }
+
+  /**
+   * Chat Completions request body
+   * @protected
+   */
+  _buildBody({ system, messages, json = false, temperature, maxTokens }) {
+    return {
+      model: this.model,
+      temperature,
+      max_tokens: maxTokens,
+      messages: [{ role: 'system', content: system }, ...messages],
+      ...(json ? { response_format: { type: 'json_object' } } : {})
+    };
+  }
+}
+
+export default OpenAIChatProvider;
@@ -0,0 +1,52 @@
+/**
+ * LLM Provider Registry
+ * Maps provider names to implementations so the suggestion model can be chosen from settings
+ */
+
+import logger from '../../config/logger.js';
+import { LLM_PROVIDERS } from '../../constants/index.js';
+import OpenAIChatProvider from './OpenAIChatProvider.js';
+import AnthropicProvider from './AnthropicProvider.js';
+import OllamaProvider from './OllamaProvider.js';
+import LlamaCppProvider from './LlamaCppProvider.js';
+
+const providers = new Map([
+  [LLM_PROVIDERS.OPENAI, OpenAIChatProvider],
+  [LLM_PROVIDERS.ANTHROPIC, AnthropicProvider],
+  [LLM_PROVIDERS.OLLAMA, OllamaProvider],
+  [LLM_PROVIDERS.LLAMA_CPP, LlamaCppProvider]
+]);
+
+/**
+ * Register an additional LLM provider
+ * @param {string} name - Provider name used in settings
+ * @param {Function} ProviderClass - Class extending LLMProvider
+ */
+export function registerLLMProvider(name, ProviderClass) {
+  providers.set(name, ProviderClass);
+  logger.debug('LLM provider registered', { name });
+}
+
+/**
+ * Create a provider instance by name
+ * @param {string} name - Provider name
+ * @param {Object} options - Provider-specific options ({ model, apiKey, baseURL })
+ * @returns {LLMProvider}
+ */
+export function createLLMProvider(name, options = {}) {
+  const ProviderClass = providers.get(name);
+
+  if (!ProviderClass) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+
+  return new ProviderClass(options);
+}
+
+/**
+ * List registered provider names
+ * @returns {string[]}
+ */
+export function listLLMProviders() {
+  return [...providers.keys()];
+}
@@ -0,0 +1,63 @@
+import fs from 'fs';
+import path from 'path';
+import config from '../../config/config.js';
+import LocalProcessProvider from './LocalProcessProvider.js';
+import { TRANSCRIPTION_PROVIDERS, AUTO_DETECT_LANGUAGE } from '../../constants/index.js';
+
+/**
+ * faster-whisper Provider
+ * Runs the whisper-ctranslate2 CLI (CTranslate2 build of Whisper) on each chunk
+ */
+class FasterWhisperProvider extends LocalProcessProvider {
+  constructor(options = {}) {
+    const defaults = config.transcription.fasterWhisper;
+    super(options, defaults);
+    this.model = options.model || defaults.model;
+    this.device = options.device || defaults.device;
+    this.computeType = options.computeType || defaults.computeType;
+  }
+
+  get name() {
+    return TRANSCRIPTION_PROVIDERS.FASTER_WHISPER;
+  }
+
+  /**
+   * Whether the model setting points at a local directory rather than a model name
+   */
+  get usesModelDirectory() {
+    return !!this.model && (path.isAbsolute(this.model) || this.model.includes(path.sep));
+  }
+
+  isAvailable() {
+    if (!this.model) {
+      return false;
+    }
+    return this.usesModelDirectory ? fs.existsSync(this.model) : true;
+  }
+
+  _outputFile(outputBase, audioFilePath) {
+    // The CLI names output after the input file, inside --output_dir
+    const inputBase = path.basename(audioFilePath, path.extname(audioFilePath));
+    return path.join(path.dirname(outputBase), `${inputBase}.${this.outputFormat}`);
+  }
+
+  _buildArgs(audioFilePath, outputBase, options = {}) {
+    const language = options.language || 'en';
+
+    return [
+      audioFilePath,
+      ...(this.usesModelDirectory ? ['--model_directory', this.model] : ['--model', this.model]),
+      // Omitting --language makes the CLI detect it
+      ...(language === AUTO_DETECT_LANGUAGE ? [] : ['--language', language]),
+      '--device', this.device,
+      '--compute_type', this.computeType,
+      '--threads', String(this.threads),
+      '--output_format', this.outputFormat,
+      '--output_dir', path.dirname(outputBase),
+      ...(options.prompt ? ['--initial_prompt', options.prompt] : []),
+      '--verbose', 'False'
+    ];
+  }
+}
+
+export default FasterWhisperProvider;
@@ -0,0 +1,120 @@
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import config from '../../config/config.js';
+import logger from '../../config/logger.js';
+import TranscriptionProvider from './TranscriptionProvider.js';
+import { parseTranscriptOutput } from './outputParsers.js';
+
+/**
+ * Local Process Provider
+ * Base class for backends that spawn a speech-to-text executable per chunk
+ * and read back the JSON or SRT file it writes
+ */
+class LocalProcessProvider extends TranscriptionProvider {
+  constructor(options = {}, defaults = {}) {
+    super(options);
+    this.binaryPath = options.binaryPath || defaults.binaryPath;
+    this.threads = options.threads || defaults.threads;
+    this.timeout = options.timeout || defaults.timeout || 60000;
+    this.outputFormat = options.outputFormat || config.transcription.localOutputFormat;
+    this.outputDir = options.outputDir || config.paths.tempAudio;
+  }
+
+  get isLocal() {
+    return true;
+  }
+
+  /**
+   * Build command-line arguments for the executable
+   * @abstract
+   * @param {string} audioFilePath - Input WAV file
+   * @param {string} outputBase - Output path without extension
+   * @returns {string[]}
+   */
+  _buildArgs(audioFilePath, outputBase) {
+    throw new Error(`${this.name} provider does not implement _buildArgs()`);
+  }
+
+  /**
+   * Path of the file the executable writes for a given output base
+   * @protected
+   */
+  _outputFile(outputBase, audioFilePath) {
+    return `${outputBase}.${this.outputFormat}`;
+  }
+
+  async transcribe(audioFilePath, options = {}) {
+    const outputBase = path.join(
+      this.outputDir,
+      `${path.basename(audioFilePath, path.extname(audioFilePath))}_${this.name}`
+    );
+    const outputFile = this._outputFile(outputBase, audioFilePath);
+
+    try {
+      const stdout = await this._run(this._buildArgs(audioFilePath, outputBase, options));
+
+      if (!fs.existsSync(outputFile)) {
+        // Fall back to plain stdout if the executable ignored the output flags
+        logger.warn('Local transcription output file missing, using stdout', {
+          provider: this.name,
+          expected: outputFile
+        });
+        return { text: stdout.split('\n').map(l => l.trim()).filter(Boolean).join(' '), segments: [], words: [], language: null };
+      }
+
+      return parseTranscriptOutput(fs.readFileSync(outputFile, 'utf8'), this.outputFormat);
+    } finally {
+      if (fs.existsSync(outputFile)) {
+        fs.unlinkSync(outputFile);
+      }
+    }
+  }
+
+  /**
+   * Spawn the executable and collect its stdout
+   * @private
+   */
+  _run(args) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.binaryPath, args, { windowsHide: true });
+      let stdout = '';
+      let stderr = '';
+
+      const timer = setTimeout(() => {
+        logger.warn('Local transcription timed out, killing process', {
+          provider: this.name,
+          pid: child.pid,
+          timeout: this.timeout
+        });
+        child.kill('SIGKILL');
+      }, this.timeout);
+
+      child.stdout.on('data', (data) => {
+        stdout += data.toString();
+      });
+
+      child.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+
+      child.on('close', (code, signal) => {
+        clearTimeout(timer);
+        if (code === 0) {
+          resolve(stdout);
+        } else {
+          const error = new Error(`${this.name} exited with ${signal || `code ${code}`}: ${stderr.trim().split('\n').pop() || 'no output'}`);
+          error.code = signal === 'SIGKILL' ? 'ELOCALTIMEOUT' : 'ELOCALTRANSCRIBE';
+          reject(error);
+        }
+      });
+    });
+  }
+}
+
+export default LocalProcessProvider;
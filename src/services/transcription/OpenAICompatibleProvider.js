@@ -0,0 +1,51 @@
+import config from '../../config/config.js';
+import { createOpenAIClient } from '../../config/openaiClient.js';
+import OpenAIWhisperProvider from './OpenAIWhisperProvider.js';
+import { TRANSCRIPTION_PROVIDERS } from '../../constants/index.js';
+
+/**
+ * OpenAI-Compatible Provider
+ * Talks to any server implementing the OpenAI /audio/transcriptions API
+ * (faster-whisper-server, LocalAI, a corporate gateway, ...)
+ */
+class OpenAICompatibleProvider extends OpenAIWhisperProvider {
+  constructor(options = {}) {
+    const endpoint = config.transcription.endpoint;
+    const baseURL = options.baseURL || endpoint.baseURL;
+
+    super({
+      ...options,
+      baseURL,
+      apiKey: options.apiKey || endpoint.apiKey,
+      model: options.model || endpoint.model
+    });
+  }
+
+  get name() {
+    return TRANSCRIPTION_PROVIDERS.OPENAI_COMPATIBLE;
+  }
+
+  get isLocal() {
+    return /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:|\/|$)/.test(this.options.baseURL || '');
+  }
+
+  get costPerMinute() {
+    return 0;
+  }
+
+  _createClient() {
+    if (!this.options.baseURL) {
+      return null;
+    }
+
+    // Separate endpoint: don't send the OpenAI organization or Azure api-version to it
+    return createOpenAIClient({
+      apiKey: this.apiKey || 'not-required',
+      baseURL: this.options.baseURL,
+      organization: null,
+      apiVersion: null
+    });
+  }
+}
+
+export default OpenAICompatibleProvider;
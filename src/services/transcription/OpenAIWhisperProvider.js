@@ -0,0 +1,65 @@
+import fs from 'fs';
+import config from '../../config/config.js';
+import { createOpenAIClient, requestOptions } from '../../config/openaiClient.js';
+import TranscriptionProvider from './TranscriptionProvider.js';
+import { parseWhisperJSON } from './outputParsers.js';
+import { TRANSCRIPTION_PROVIDERS, AUTO_DETECT_LANGUAGE } from '../../constants/index.js';
+
+/**
+ * OpenAI Whisper Provider
+ * Sends audio to the hosted OpenAI transcription API
+ */
+class OpenAIWhisperProvider extends TranscriptionProvider {
+  constructor(options = {}) {
+    super(options);
+    this.apiKey = options.apiKey || config.openai.apiKey;
+    this.model = options.model || config.openai.whisperModel || 'whisper-1';
+    this.client = this._createClient();
+  }
+
+  get name() {
+    return TRANSCRIPTION_PROVIDERS.OPENAI;
+  }
+
+  get costPerMinute() {
+    return 0.006; // Whisper is $0.006 per minute
+  }
+
+  isAvailable() {
+    return !!this.client;
+  }
+
+  /**
+   * Create the SDK client
+   * @protected
+   */
+  _createClient() {
+    return createOpenAIClient({ apiKey: this.apiKey });
+  }
+
+  async transcribe(audioFilePath, options = {}) {
+    const language = options.language || 'en';
+
+    // verbose_json keeps segment (and optionally word) timings relative to the chunk
+    const transcription = await this.client.audio.transcriptions.create({
+      file: fs.createReadStream(audioFilePath),
+      model: this.model,
+      response_format: 'verbose_json',
+      timestamp_granularities: config.transcription.wordTimestamps ? ['segment', 'word'] : ['segment'],
+      // Leaving language out lets Whisper detect it
+      ...(language === AUTO_DETECT_LANGUAGE ? {} : { language }),
+      temperature: 0.0, // More deterministic, less hallucinations
+      // Glossary + previous chunk tail for consistent spelling across chunks
+      ...(options.prompt ? { prompt: options.prompt } : {})
+    }, requestOptions('transcription'));
+
+    // Some compatible servers ignore response_format and answer with plain text
+    if (typeof transcription === 'string') {
+      return { text: transcription, segments: [], words: [], language: null };
+    }
+
+    return parseWhisperJSON(transcription);
+  }
+}
+
+export default OpenAIWhisperProvider;
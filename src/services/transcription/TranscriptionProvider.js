@@ -0,0 +1,56 @@
+/**
+ * Transcription Provider
+ * Base class for speech-to-text backends used by TranscriptionService
+ */
+
+class TranscriptionProvider {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  /**
+   * Provider identifier (matches the key in the provider registry)
+   * @returns {string}
+   */
+  get name() {
+    throw new Error('Transcription provider must define a name');
+  }
+
+  /**
+   * Whether audio is processed on this machine
+   * @returns {boolean}
+   */
+  get isLocal() {
+    return false;
+  }
+
+  /**
+   * Price in USD per minute of audio (0 for self-hosted backends)
+   * @returns {number}
+   */
+  get costPerMinute() {
+    return 0;
+  }
+
+  /**
+   * Check whether the provider is configured well enough to be used
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return false;
+  }
+
+  /**
+   * Transcribe a single audio file
+   * @param {string} audioFilePath - Path to WAV audio file
+   * @param {Object} options - Per-request options
+   * @param {string} [options.language] - ISO-639-1 code, or 'auto' to detect
+   * @param {string} [options.prompt] - Context text (glossary, previous chunk) to bias spelling
+   * @returns {Promise<Object>} - Transcription result ({ text, segments, words, language })
+   */
+  async transcribe(audioFilePath, options = {}) {
+    throw new Error(`${this.name} provider does not implement transcribe()`);
+  }
+}
+
+export default TranscriptionProvider;
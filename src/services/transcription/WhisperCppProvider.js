@@ -0,0 +1,39 @@
+import fs from 'fs';
+import config from '../../config/config.js';
+import LocalProcessProvider from './LocalProcessProvider.js';
+import { TRANSCRIPTION_PROVIDERS } from '../../constants/index.js';
+
+/**
+ * whisper.cpp Provider
+ * Runs a local whisper.cpp binary on each chunk - audio never leaves the machine
+ */
+class WhisperCppProvider extends LocalProcessProvider {
+  constructor(options = {}) {
+    const defaults = config.transcription.whisperCpp;
+    super(options, defaults);
+    this.modelPath = options.modelPath || defaults.modelPath;
+  }
+
+  get name() {
+    return TRANSCRIPTION_PROVIDERS.WHISPER_CPP;
+  }
+
+  isAvailable() {
+    return !!this.modelPath && fs.existsSync(this.modelPath);
+  }
+
+  _buildArgs(audioFilePath, outputBase, options = {}) {
+    return [
+      '-m', this.modelPath,
+      '-f', audioFilePath,
+      '-t', String(this.threads),
+      '-l', options.language || 'en', // whisper.cpp accepts 'auto'
+      this.outputFormat === 'srt' ? '-osrt' : '-oj',
+      '-of', outputBase,
+      ...(options.prompt ? ['--prompt', options.prompt] : []),
+      '-np' // Suppress progress output
+    ];
+  }
+}
+
+export default WhisperCppProvider;
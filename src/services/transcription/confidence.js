@@ -0,0 +1,68 @@
+/**
+ * Transcription Confidence
+ * Scores how far a transcript can be trusted (0-1) from Whisper's per-segment
+ * avg_logprob / no_speech_prob and the VAD confidence of the chunk
+ */
+
+// Share of the score taken from VAD when the backend reported segment metrics
+const VAD_WEIGHT = 0.2;
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Score a single segment from its decoder metrics
+ * @param {Object} segment - { avgLogprob, noSpeechProb }
+ * @returns {number|null} - 0-1, or null if the backend did not report metrics
+ */
+export function scoreSegment(segment) {
+  if (typeof segment.avgLogprob !== 'number') {
+    return null;
+  }
+
+  // exp(avg_logprob) is the geometric mean token probability
+  const tokenProbability = clamp(Math.exp(segment.avgLogprob));
+  const speechProbability = typeof segment.noSpeechProb === 'number' ? 1 - clamp(segment.noSpeechProb) : 1;
+
+  return round(tokenProbability * speechProbability);
+}
+
+/**
+ * Score a transcript entry
+ * Segment scores are averaged weighted by text length, then blended with VAD
+ * @param {Object[]} segments - Segments with avgLogprob / noSpeechProb
+ * @param {number} [vadConfidence] - VADService confidence for the chunk
+ * @returns {Object} - { confidence, segments } (segments gain a confidence field); confidence is null without decoder metrics
+ */
+export function scoreTranscription(segments = [], vadConfidence) {
+  let weighted = 0;
+  let totalWeight = 0;
+
+  const scoredSegments = segments.map(segment => {
+    const confidence = scoreSegment(segment);
+    if (confidence === null) {
+      return segment;
+    }
+
+    const weight = Math.max(segment.text?.length || 0, 1);
+    weighted += confidence * weight;
+    totalWeight += weight;
+    return { ...segment, confidence };
+  });
+
+  // Backends without decoder metrics (plain text, SRT) get no score - VAD alone
+  // measures how clean the audio was, not whether the words are right
+  let confidence = null;
+
+  if (totalWeight > 0) {
+    const asr = weighted / totalWeight;
+    confidence = typeof vadConfidence === 'number'
+      ? asr * (1 - VAD_WEIGHT) + clamp(vadConfidence) * VAD_WEIGHT
+      : asr;
+  }
+
+  return {
+    confidence: confidence === null ? null : round(confidence),
+    segments: scoredSegments
+  };
+}
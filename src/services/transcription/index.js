@@ -0,0 +1,52 @@
+/**
+ * Transcription Provider Registry
+ * Maps provider names to implementations so the backend can be chosen from settings
+ */
+
+import logger from '../../config/logger.js';
+import { TRANSCRIPTION_PROVIDERS } from '../../constants/index.js';
+import OpenAIWhisperProvider from './OpenAIWhisperProvider.js';
+import OpenAICompatibleProvider from './OpenAICompatibleProvider.js';
+import WhisperCppProvider from './WhisperCppProvider.js';
+import FasterWhisperProvider from './FasterWhisperProvider.js';
+
+const providers = new Map([
+  [TRANSCRIPTION_PROVIDERS.OPENAI, OpenAIWhisperProvider],
+  [TRANSCRIPTION_PROVIDERS.OPENAI_COMPATIBLE, OpenAICompatibleProvider],
+  [TRANSCRIPTION_PROVIDERS.WHISPER_CPP, WhisperCppProvider],
+  [TRANSCRIPTION_PROVIDERS.FASTER_WHISPER, FasterWhisperProvider]
+]);
+
+/**
+ * Register an additional transcription provider
+ * @param {string} name - Provider name used in settings
+ * @param {Function} ProviderClass - Class extending TranscriptionProvider
+ */
+export function registerTranscriptionProvider(name, ProviderClass) {
+  providers.set(name, ProviderClass);
+  logger.debug('Transcription provider registered', { name });
+}
+
+/**
+ * Create a provider instance by name
+ * @param {string} name - Provider name
+ * @param {Object} options - Provider-specific options
+ * @returns {TranscriptionProvider}
+ */
+export function createTranscriptionProvider(name, options = {}) {
+  const ProviderClass = providers.get(name);
+
+  if (!ProviderClass) {
+    throw new Error(`Unknown transcription provider: ${name}`);
+  }
+
+  return new ProviderClass(options);
+}
+
+/**
+ * List registered provider names
+ * @returns {string[]}
+ */
+export function listTranscriptionProviders() {
+  return [...providers.keys()];
+}
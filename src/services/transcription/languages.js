@@ -0,0 +1,60 @@
+/**
+ * Whisper Languages
+ * ISO-639-1 codes supported by Whisper and the names some backends report instead
+ * (OpenAI verbose_json returns "german", whisper.cpp and faster-whisper return "de")
+ */
+
+import { AUTO_DETECT_LANGUAGE } from '../../constants/index.js';
+
+export const WHISPER_LANGUAGES = {
+  en: 'english', zh: 'chinese', de: 'german', es: 'spanish', ru: 'russian',
+  ko: 'korean', fr: 'french', ja: 'japanese', pt: 'portuguese', tr: 'turkish',
+  pl: 'polish', ca: 'catalan', nl: 'dutch', ar: 'arabic', sv: 'swedish',
+  it: 'italian', id: 'indonesian', hi: 'hindi', fi: 'finnish', vi: 'vietnamese',
+  he: 'hebrew', uk: 'ukrainian', el: 'greek', ms: 'malay', cs: 'czech',
+  ro: 'romanian', da: 'danish', hu: 'hungarian', ta: 'tamil', no: 'norwegian',
+  th: 'thai', ur: 'urdu', hr: 'croatian', bg: 'bulgarian', lt: 'lithuanian',
+  la: 'latin', mi: 'maori', ml: 'malayalam', cy: 'welsh', sk: 'slovak',
+  te: 'telugu', fa: 'persian', lv: 'latvian', bn: 'bengali', sr: 'serbian',
+  az: 'azerbaijani', sl: 'slovenian', kn: 'kannada', et: 'estonian', mk: 'macedonian',
+  br: 'breton', eu: 'basque', is: 'icelandic', hy: 'armenian', ne: 'nepali',
+  mn: 'mongolian', bs: 'bosnian', kk: 'kazakh', sq: 'albanian', sw: 'swahili',
+  gl: 'galician', mr: 'marathi', pa: 'punjabi', si: 'sinhala', km: 'khmer',
+  sn: 'shona', yo: 'yoruba', so: 'somali', af: 'afrikaans', oc: 'occitan',
+  ka: 'georgian', be: 'belarusian', tg: 'tajik', sd: 'sindhi', gu: 'gujarati',
+  am: 'amharic', yi: 'yiddish', lo: 'lao', uz: 'uzbek', fo: 'faroese',
+  ht: 'haitian creole', ps: 'pashto', tk: 'turkmen', nn: 'nynorsk', mt: 'maltese',
+  sa: 'sanskrit', lb: 'luxembourgish', my: 'myanmar', bo: 'tibetan', tl: 'tagalog',
+  mg: 'malagasy', as: 'assamese', tt: 'tatar', haw: 'hawaiian', ln: 'lingala',
+  ha: 'hausa', ba: 'bashkir', jw: 'javanese', su: 'sundanese', yue: 'cantonese'
+};
+
+const CODES_BY_NAME = Object.fromEntries(
+  Object.entries(WHISPER_LANGUAGES).map(([code, name]) => [name, code])
+);
+
+/**
+ * Normalize a language code or name to a Whisper ISO-639-1 code
+ * @param {string} value - e.g. 'de', 'DE', 'de-DE', 'German', 'auto'
+ * @returns {string|null} - Code, AUTO_DETECT_LANGUAGE, or null if unknown/empty
+ */
+export function normalizeLanguage(value) {
+  if (!value) {
+    return null;
+  }
+
+  const lower = String(value).trim().toLowerCase();
+  if (lower === AUTO_DETECT_LANGUAGE) {
+    return AUTO_DETECT_LANGUAGE;
+  }
+  if (WHISPER_LANGUAGES[lower]) {
+    return lower;
+  }
+  if (CODES_BY_NAME[lower]) {
+    return CODES_BY_NAME[lower];
+  }
+
+  // Region-tagged locales like "de-DE" or "pt_BR"
+  const base = lower.split(/[-_]/)[0];
+  return WHISPER_LANGUAGES[base] ? base : null;
+}
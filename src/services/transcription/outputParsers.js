@@ -0,0 +1,117 @@
+/**
+ * Transcript Output Parsers
+ * Convert JSON / SRT files written by local speech-to-text executables
+ * into a common { text, segments, words, language } shape (times in seconds,
+ * relative to the start of the audio file)
+ */
+
+/**
+ * Convert an SRT/whisper.cpp timestamp ("00:01:02,345" or "00:01:02.345") to seconds
+ * @param {string} value - Timestamp string
+ * @returns {number} - Seconds
+ */
+export function parseTimestamp(value) {
+  const match = /(\d+):(\d{2}):(\d{2})[,.](\d{1,3})/.exec(String(value));
+  if (!match) {
+    return 0;
+  }
+
+  const [, hours, minutes, seconds, millis] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(millis.padEnd(3, '0')) / 1000;
+}
+
+/**
+ * Parse SubRip (.srt) output
+ * @param {string} content - SRT file content
+ * @returns {Object} - { text, segments, words, language }
+ */
+export function parseSRT(content) {
+  const segments = [];
+  const blocks = String(content).replace(/\r/g, '').split(/\n\s*\n/);
+
+  for (const block of blocks) {
+    const lines = block.split('\n').map(line => line.trim()).filter(Boolean);
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) {
+      continue;
+    }
+
+    const [from, to] = lines[timingIndex].split('-->');
+    const text = lines.slice(timingIndex + 1).join(' ').trim();
+    if (text) {
+      segments.push({ start: parseTimestamp(from), end: parseTimestamp(to), text });
+    }
+  }
+
+  return {
+    text: segments.map(s => s.text).join(' ').trim(),
+    segments,
+    words: [],
+    language: null
+  };
+}
+
+/**
+ * Parse JSON output from whisper.cpp (-oj), the openai-whisper / whisper-ctranslate2 CLIs
+ * or an OpenAI verbose_json response
+ * @param {string|Object} content - JSON file content or parsed object
+ * @returns {Object} - { text, segments, words, language }
+ */
+export function parseWhisperJSON(content) {
+  const data = typeof content === 'string' ? JSON.parse(content) : content;
+
+  // whisper.cpp: { result: { language }, transcription: [{ offsets: { from, to }, text }] }
+  if (Array.isArray(data.transcription)) {
+    const segments = data.transcription
+      .map(item => ({
+        start: item.offsets ? item.offsets.from / 1000 : parseTimestamp(item.timestamps?.from),
+        end: item.offsets ? item.offsets.to / 1000 : parseTimestamp(item.timestamps?.to),
+        text: String(item.text || '').trim()
+      }))
+      .filter(s => s.text);
+
+    return {
+      text: segments.map(s => s.text).join(' ').trim(),
+      segments,
+      words: [],
+      language: data.result?.language || null
+    };
+  }
+
+  // openai-whisper / whisper-ctranslate2 / verbose_json: { text, segments: [{ start, end, text }], words, language }
+  const segments = (data.segments || [])
+    .map(s => ({
+      start: Number(s.start) || 0,
+      end: Number(s.end) || 0,
+      text: String(s.text || '').trim(),
+      // Decoder metrics, used for confidence scoring when present
+      ...(typeof s.avg_logprob === 'number' ? { avgLogprob: s.avg_logprob } : {}),
+      ...(typeof s.no_speech_prob === 'number' ? { noSpeechProb: s.no_speech_prob } : {}),
+      // Diarizing backends label who spoke ("A", "SPEAKER_00"); the labels only hold within this file
+      ...(s.speaker !== undefined && s.speaker !== null ? { speaker: String(s.speaker) } : {})
+    }))
+    .filter(s => s.text);
+
+  // Word timings are top-level in verbose_json and nested per segment in the CLI output
+  const rawWords = data.words || (data.segments || []).flatMap(s => s.words || []);
+  const words = rawWords
+    .map(w => ({ start: Number(w.start) || 0, end: Number(w.end) || 0, word: String(w.word || '').trim() }))
+    .filter(w => w.word);
+
+  return {
+    text: String(data.text || segments.map(s => s.text).join(' ')).trim(),
+    segments,
+    words,
+    language: data.language || null
+  };
+}
+
+/**
+ * Parse output by format name
+ * @param {string} content - File content
+ * @param {string} format - 'json' or 'srt'
+ * @returns {Object} - { text, segments, words, language }
+ */
+export function parseTranscriptOutput(content, format) {
+  return format === 'srt' ? parseSRT(content) : parseWhisperJSON(content);
+}
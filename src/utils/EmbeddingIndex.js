@@ -0,0 +1,144 @@
+/**
+ * Embedding Index
+ * A JSON file of text chunks and their embedding vectors, shared by the
+ * search services (knowledge base, past meetings). Vectors are only kept for
+ * the embedding model that made them; chunks without one are embedded in
+ * batches and the services fall back to keyword search until they are.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import logger from '../config/logger.js';
+
+const EMBED_BATCH_SIZE = 64;
+
+export class EmbeddingIndex {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - Index file
+   * @param {string} options.label - What the chunks are, for logs ("meeting snippets")
+   * @param {Function} options.parse - (stored JSON) => index data with a chunks array, or null to start over
+   * @param {Function} options.empty - () => data of an empty index (without chunks)
+   * @param {Function} [options.textOf] - (chunk) => text to embed
+   * @param {boolean} [options.embeddings=true] - False always uses keyword search
+   */
+  constructor({ filePath, label, parse, empty, textOf = chunk => chunk.text, embeddings = true }) {
+    this.filePath = filePath;
+    this.label = label;
+    this.parse = parse;
+    this.empty = empty;
+    this.textOf = textOf;
+    this.useEmbeddings = embeddings;
+    this.embedder = null;
+    this.data = null; // { ...service fields, chunks, embeddingModel }
+  }
+
+  /**
+   * Embedding model of the current embedder, null for keyword search
+   * @returns {string|null}
+   */
+  get model() {
+    return this.embedder?.embeddingModel || null;
+  }
+
+  /**
+   * Use a provider's embeddings (null or a provider without them = keyword search)
+   * Vectors from another model are not comparable and are dropped.
+   * @param {LLMProvider|null} provider
+   * @returns {boolean} - True when loaded vectors were dropped and need re-embedding
+   */
+  setEmbedder(provider) {
+    this.embedder = this.useEmbeddings && provider?.embeddingModel ? provider : null;
+    return this.data ? this._dropStaleVectors() : false;
+  }
+
+  /**
+   * Read the index file once; an unreadable file starts an empty index
+   * @returns {Object} - The index data
+   */
+  load() {
+    if (this.data) {
+      return this.data;
+    }
+
+    this.data = { ...this.empty(), chunks: [], embeddingModel: this.model };
+
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const stored = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        const data = this.parse(stored);
+        if (data && Array.isArray(data.chunks)) {
+          this.data = { ...data, embeddingModel: stored.embeddingModel || null };
+        }
+      }
+    } catch (error) {
+      logger.error(`Error reading ${this.label} index, rebuilding`, { error: error.message, path: this.filePath });
+    }
+
+    this._dropStaleVectors();
+    return this.data;
+  }
+
+  save() {
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    fs.writeFileSync(this.filePath, JSON.stringify({ ...this.data, updatedAt: new Date().toISOString() }));
+  }
+
+  /**
+   * Embed chunks that have no vector yet; failures are logged and leave them without one
+   * @returns {Promise<number>} - Number of chunks embedded
+   */
+  async embedMissing() {
+    if (!this.embedder) {
+      return 0;
+    }
+
+    const missing = this.load().chunks.filter(chunk => !chunk.vector);
+    let embedded = 0;
+    let cost = 0;
+
+    try {
+      for (let i = 0; i < missing.length; i += EMBED_BATCH_SIZE) {
+        const batch = missing.slice(i, i + EMBED_BATCH_SIZE);
+        const result = await this.embedder.embed(batch.map(this.textOf));
+        batch.forEach((chunk, j) => {
+          // Rounded to keep the index file small; the ranking doesn't change
+          chunk.vector = result.vectors[j]?.map(value => Math.round(value * 1e5) / 1e5);
+        });
+        embedded += batch.length;
+        cost += result.cost;
+      }
+    } catch (error) {
+      logger.warn(`Embedding ${this.label} failed, using keyword search`, {
+        provider: this.embedder.name,
+        model: this.embedder.embeddingModel,
+        error: error.message
+      });
+    }
+
+    if (embedded > 0) {
+      logger.info(`Embedded ${this.label}`, { count: embedded, cost: `$${cost.toFixed(6)}` });
+    }
+    return embedded;
+  }
+
+  /**
+   * @private
+   * @returns {boolean} - True when vectors were dropped
+   */
+  _dropStaleVectors() {
+    const model = this.model;
+    if (this.data.embeddingModel === model) {
+      return false;
+    }
+    this.data.chunks.forEach(chunk => delete chunk.vector);
+    this.data.embeddingModel = model;
+    return true;
+  }
+}
+
+export default EmbeddingIndex;
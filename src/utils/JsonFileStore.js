@@ -0,0 +1,79 @@
+/**
+ * JSON File Store
+ * A small user-editable JSON file in the data dir, such as the glossary.
+ * The parsed value is cached and the file is re-read only when its mtime
+ * changes, so edits made by hand or by another instance are picked up
+ * without parsing on every call.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import logger from '../config/logger.js';
+
+export class JsonFileStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - JSON file
+   * @param {string} options.label - What the file holds, for logs ("glossary")
+   * @param {Function} options.parse - (stored JSON) => value used by the service
+   * @param {Function} [options.serialize] - (value) => JSON object to write
+   * @param {*} options.fallback - Value when the file is missing or unreadable
+   * @param {boolean} [options.seed=false] - Write the fallback when the file is missing
+   */
+  constructor({ filePath, label, parse, serialize = value => value, fallback, seed = false }) {
+    this.filePath = filePath;
+    this.label = label;
+    this.parse = parse;
+    this.serialize = serialize;
+    this.fallback = fallback;
+    this.seed = seed;
+    this.cache = null;
+    this.cacheMtime = 0;
+  }
+
+  /**
+   * Current value; the same object is returned until the file changes
+   * @returns {*}
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        if (!this.seed) {
+          return this.fallback;
+        }
+        this.save(this.fallback);
+        return this.cache;
+      }
+
+      const mtime = fs.statSync(this.filePath).mtimeMs;
+      if (this.cache === null || mtime !== this.cacheMtime) {
+        this.cache = this.parse(JSON.parse(fs.readFileSync(this.filePath, 'utf8')));
+        this.cacheMtime = mtime;
+      }
+      return this.cache;
+    } catch (error) {
+      logger.error(`Error reading ${this.label}`, { error: error.message, path: this.filePath });
+      return this.cache ?? this.fallback;
+    }
+  }
+
+  /**
+   * Write the value and make it the cached one
+   * @param {*} value
+   */
+  save(value) {
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    fs.writeFileSync(this.filePath, JSON.stringify({
+      ...this.serialize(value),
+      updatedAt: new Date().toISOString()
+    }, null, 2));
+    this.cache = value;
+    this.cacheMtime = fs.statSync(this.filePath).mtimeMs;
+  }
+}
+
+export default JsonFileStore;
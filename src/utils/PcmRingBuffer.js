@@ -0,0 +1,81 @@
+/**
+ * PCM Ring Buffer
+ * Fixed-size store for the latest 16-bit PCM of a live capture stream.
+ * Positions are absolute frame numbers since the stream started, so callers
+ * can keep referring to audio by position while the buffer wraps around.
+ */
+
+export class PcmRingBuffer {
+  /**
+   * @param {number} capacityFrames - Frames kept (one frame = one sample per channel)
+   * @param {number} channels - Interleaved channels per frame
+   */
+  constructor(capacityFrames, channels = 1) {
+    this.capacity = capacityFrames;
+    this.channels = channels;
+    this.samples = new Int16Array(capacityFrames * channels);
+    this.end = 0; // Frames written since the stream started
+  }
+
+  /**
+   * Oldest frame still held
+   * @returns {number}
+   */
+  get start() {
+    return Math.max(0, this.end - this.capacity);
+  }
+
+  /**
+   * Append interleaved samples, overwriting the oldest audio when full
+   * @param {Int16Array} samples - Whole frames
+   */
+  write(samples) {
+    const frames = Math.floor(samples.length / this.channels);
+    // Only the newest `capacity` frames can survive the write
+    const skip = Math.max(0, frames - this.capacity);
+    let offset = ((this.end + skip) % this.capacity) * this.channels;
+    let from = skip * this.channels;
+    const to = frames * this.channels;
+
+    while (from < to) {
+      const count = Math.min(to - from, this.samples.length - offset);
+      this.samples.set(samples.subarray(from, from + count), offset);
+      from += count;
+      offset = (offset + count) % this.samples.length;
+    }
+
+    this.end += frames;
+  }
+
+  /**
+   * Copy frames [from, to) out of the buffer; positions already overwritten are skipped
+   * @param {number} from - First frame
+   * @param {number} to - Frame after the last one
+   * @returns {Int16Array} - Interleaved samples
+   */
+  read(from, to) {
+    const first = Math.max(from, this.start);
+    const last = Math.min(to, this.end);
+    const output = new Int16Array(Math.max(0, last - first) * this.channels);
+
+    let offset = (first % this.capacity) * this.channels;
+    let written = 0;
+    while (written < output.length) {
+      const count = Math.min(output.length - written, this.samples.length - offset);
+      output.set(this.samples.subarray(offset, offset + count), written);
+      written += count;
+      offset = (offset + count) % this.samples.length;
+    }
+
+    return output;
+  }
+
+  /**
+   * Forget all audio (call when a stream restarts)
+   */
+  reset() {
+    this.end = 0;
+  }
+}
+
+export default PcmRingBuffer;
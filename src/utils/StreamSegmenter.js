@@ -0,0 +1,201 @@
+/**
+ * Stream Segmenter
+ * Cuts a live 16-bit PCM stream into utterances. A VADService tracker
+ * classifies each analysis frame (learning the stream's noise floor as it
+ * goes); a segment starts on speech onset (with a little audio from
+ * before it) and ends once the speaker has been quiet for `trailingSilenceMs`,
+ * so every chunk is a complete utterance and silence between utterances is
+ * never sent for transcription.
+ * - A pause doesn't end a segment shorter than `minMs`; the next words join
+ *   it instead. A short segment nobody continues is sent after IDLE_CLOSE_MS
+ *   (or dropped if it holds less speech than VAD's minSpeechDuration).
+ * - A segment reaching `maxMs` is cut at the quietest moment of its second
+ *   half and continues in a new one that repeats the last `overlapMs`.
+ * Audio is kept in a ring buffer, so segments can reach back before onset.
+ */
+
+import { PcmRingBuffer } from './PcmRingBuffer.js';
+
+const ONSET_MS = 60; // Speech needed to start a segment - clicks and taps are shorter
+const TAIL_MS = 200; // Silence kept after the last speech frame
+const IDLE_CLOSE_MS = 2000; // A short segment waits this long for more speech
+const FALLBACK_WINDOW_MS = 100; // Forced cuts land in the quietest 100 ms
+
+export class StreamSegmenter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.vad - VADService; a tracker from createTracker() classifies each frame
+   * @param {number} options.sampleRate
+   * @param {number} [options.channels=1]
+   * @param {number} options.minMs - Pauses don't end segments shorter than this
+   * @param {number} options.maxMs - Segments are cut at this length
+   * @param {number} options.trailingSilenceMs - Silence that ends an utterance
+   * @param {number} [options.preRollMs=0] - Audio kept from before speech onset
+   * @param {number} [options.overlapMs=0] - Audio repeated after a forced cut
+   * @param {boolean} [options.gate=true] - False treats every frame as speech (VAD disabled)
+   */
+  constructor({ vad, sampleRate, channels = 1, minMs, maxMs, trailingSilenceMs, preRollMs = 0, overlapMs = 0, gate = true }) {
+    this.vad = vad;
+    this.sampleRate = sampleRate;
+    this.channels = channels;
+    this.gate = gate;
+    this.frameLength = vad.frameSize;
+    this.frameMs = this.frameLength / sampleRate * 1000;
+
+    this.minFrames = this._toFrames(minMs);
+    this.maxFrames = Math.max(this.minFrames, this._toFrames(maxMs));
+    this.trailingFrames = this._toFrames(trailingSilenceMs);
+    this.tailFrames = Math.min(this.trailingFrames, this._toFrames(TAIL_MS));
+    this.idleFrames = Math.max(this.trailingFrames, this._toFrames(IDLE_CLOSE_MS));
+    this.preRollFrames = this._toFrames(preRollMs);
+    this.overlapFrames = this._toFrames(overlapMs);
+    this.onsetCount = Math.max(1, Math.round(ONSET_MS / this.frameMs));
+    this.tracker = vad.createTracker({ sampleRate, channels });
+
+    this.ring = new PcmRingBuffer(this.maxFrames + Math.max(this.preRollFrames, this.overlapFrames) + sampleRate, channels);
+    this.reset();
+  }
+
+  /**
+   * Forget buffered audio (call when the stream (re)starts)
+   */
+  reset() {
+    this.ring.reset();
+    this.tracker.reset();
+    this.analyzed = 0; // Frames already classified
+    this.speechRun = 0; // Consecutive speech frames while waiting for onset
+    this.segment = null;
+  }
+
+  /**
+   * Add captured audio
+   * @param {Int16Array} samples - Interleaved samples, whole frames
+   * @returns {Array<Object>} - Finished segments: [{ start, end, pcm }] with start/end in frames since the stream started
+   */
+  push(samples) {
+    this.ring.write(samples);
+    const segments = [];
+
+    while (this.analyzed + this.frameLength <= this.ring.end) {
+      const frameStart = this.analyzed;
+      const { energy, isSpeech } = this.tracker.push(this.ring.read(frameStart, frameStart + this.frameLength));
+      const speech = !this.gate || isSpeech;
+      this.analyzed += this.frameLength;
+
+      if (!this.segment) {
+        this.speechRun = speech ? this.speechRun + 1 : 0;
+        if (this.speechRun >= this.onsetCount) {
+          const speechFrames = this.speechRun;
+          const onset = this.analyzed - speechFrames * this.frameLength;
+          this._open(Math.max(this.ring.start, onset - this.preRollFrames), this.analyzed);
+          this.segment.speechFrames = speechFrames;
+        }
+        continue;
+      }
+
+      const segment = this.segment;
+      segment.energies.push(energy);
+      if (speech) {
+        segment.lastSpeech = this.analyzed;
+        segment.speechFrames++;
+      }
+
+      const silence = this.analyzed - segment.lastSpeech;
+      const length = this.analyzed - segment.start;
+      if (silence >= this.trailingFrames && length >= this.minFrames) {
+        segments.push(this._close(segment.lastSpeech + this.tailFrames));
+      } else if (silence >= this.idleFrames) {
+        const chunk = this._close(segment.lastSpeech + this.tailFrames);
+        if (segment.speechFrames * this.frameMs >= this.vad.minSpeechDuration) {
+          segments.push(chunk);
+        }
+      } else if (length >= this.maxFrames) {
+        // Still talking - cut where it is quietest and carry on in a new segment
+        const cut = this._quietestFrame();
+        segments.push(this._close(cut));
+        this._open(Math.max(this.ring.start, cut - this.overlapFrames), cut);
+        this.segment.lastSpeech = this.analyzed;
+        this.segment.energies = segment.energies.slice((cut - segment.measuredFrom) / this.frameLength);
+        this.segment.speechFrames = this.segment.energies.length;
+      }
+    }
+
+    return segments;
+  }
+
+  /**
+   * End the segment in progress with whatever has been captured
+   * @returns {Object|null} - { start, end, pcm }, null if nobody is speaking
+   */
+  flush() {
+    if (!this.segment) {
+      return null;
+    }
+    const speechMs = this.segment.speechFrames * this.frameMs;
+    const chunk = this._close(this.analyzed);
+    return speechMs >= this.vad.minSpeechDuration ? chunk : null;
+  }
+
+  /**
+   * @private
+   * @param {number} start - First frame of the segment's audio
+   * @param {number} measuredFrom - First frame of energies[]
+   */
+  _open(start, measuredFrom) {
+    this.segment = {
+      start,
+      measuredFrom,
+      lastSpeech: this.analyzed,
+      speechFrames: 0,
+      energies: []
+    };
+    this.speechRun = 0;
+  }
+
+  /**
+   * @private
+   */
+  _close(end) {
+    const { start } = this.segment;
+    const last = Math.min(end, this.analyzed);
+    this.segment = null;
+    this.speechRun = 0;
+    return { start, end: last, pcm: this.ring.read(start, last) };
+  }
+
+  /**
+   * Frame in the middle of the quietest window in the second half of the
+   * segment (and past the minimum length), so forced cuts stay long
+   * @private
+   */
+  _quietestFrame() {
+    const { energies, measuredFrom, start } = this.segment;
+    const window = Math.max(1, Math.round(FALLBACK_WINDOW_MS / this.frameMs));
+    const earliest = start + Math.max(this.minFrames, Math.floor(this.maxFrames / 2));
+    const first = Math.max(0, Math.ceil((earliest - measuredFrom) / this.frameLength));
+    let best = energies.length;
+    let bestSum = Infinity;
+
+    for (let i = first; i + window <= energies.length; i++) {
+      let sum = 0;
+      for (let j = i; j < i + window; j++) {
+        sum += energies[j];
+      }
+      if (sum < bestSum) {
+        bestSum = sum;
+        best = i + Math.floor(window / 2);
+      }
+    }
+
+    return measuredFrom + best * this.frameLength;
+  }
+
+  /**
+   * @private
+   */
+  _toFrames(ms) {
+    return Math.round(this.sampleRate * (ms || 0) / 1000);
+  }
+}
+
+export default StreamSegmenter;
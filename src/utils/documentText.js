@@ -0,0 +1,193 @@
+/**
+ * Document Text
+ * Extracts text from knowledge-base files (Markdown, plain text, PDF) and
+ * splits it into passages small enough to quote in a suggestion prompt
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+
+export const SUPPORTED_EXTENSIONS = ['.md', '.markdown', '.txt', '.pdf'];
+
+/**
+ * Read a document as sections of text
+ * @param {string} filePath
+ * @param {Object} options - { pdfToText: binary path, timeout }
+ * @returns {Promise<Object>} - { title, sections: [{ text, heading?, page? }] }
+ */
+export async function readDocument(filePath, options = {}) {
+  const extension = path.extname(filePath).toLowerCase();
+  const fallbackTitle = path.basename(filePath, extension);
+
+  if (extension === '.pdf') {
+    const text = await runPdfToText(filePath, options);
+    // pdftotext separates pages with form feeds
+    const sections = text.split('\f')
+      .map((page, index) => ({ text: page.trim(), page: index + 1 }))
+      .filter(section => section.text);
+    return { title: fallbackTitle, sections };
+  }
+
+  const content = fs.readFileSync(filePath, 'utf8');
+  if (extension === '.md' || extension === '.markdown') {
+    return readMarkdown(content, fallbackTitle);
+  }
+
+  return { title: fallbackTitle, sections: [{ text: content.trim() }].filter(section => section.text) };
+}
+
+/**
+ * Split Markdown at headings; each section keeps its heading path ("Deploys > Rollback")
+ * @private
+ */
+function readMarkdown(content, fallbackTitle) {
+  const sections = [];
+  const headings = [];
+  let title = null;
+  let lines = [];
+  let inFence = false;
+
+  const flush = () => {
+    const text = stripMarkdown(lines.join('\n')).trim();
+    if (text) {
+      // The document title is shown separately
+      const trail = headings.filter(heading => heading && heading !== title);
+      sections.push({ text, heading: trail.join(' > ') || null });
+    }
+    lines = [];
+  };
+
+  for (const line of content.split(/\r?\n/)) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+    }
+
+    const match = !inFence && /^(#{1,6})\s+(.+?)\s*#*\s*$/.exec(line);
+    if (match) {
+      flush();
+      const level = match[1].length;
+      const heading = stripMarkdown(match[2]).trim();
+      headings.length = level - 1;
+      headings[level - 1] = heading;
+      title = title || (level === 1 ? heading : null);
+    } else {
+      lines.push(line);
+    }
+  }
+  flush();
+
+  return { title: title || fallbackTitle, sections };
+}
+
+/**
+ * Drop Markdown syntax that would only add noise to a prompt
+ * @private
+ */
+function stripMarkdown(text) {
+  return text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1') // Images -> alt text
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1') // Links -> link text
+    .replace(/^\s*(```|~~~).*$/gm, '')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/^\s*>\s?/gm, '')
+    .replace(/<[^>]+>/g, '');
+}
+
+/**
+ * Split sections into passages of at most `size` characters
+ * Paragraphs stay whole where possible; consecutive passages of one section
+ * share `overlap` characters so a sentence cut at the boundary is still found.
+ * @param {Object[]} sections - [{ text, heading?, page? }]
+ * @param {Object} options - { size, overlap }
+ * @returns {Object[]} - [{ text, heading, page }]
+ */
+export function chunkSections(sections, { size = 1200, overlap = 150 } = {}) {
+  const chunks = [];
+
+  for (const section of sections) {
+    const paragraphs = section.text
+      .split(/\n\s*\n/)
+      .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+      .filter(Boolean)
+      .flatMap(paragraph => splitLongText(paragraph, size));
+
+    let current = '';
+    const push = () => {
+      if (current.trim()) {
+        chunks.push({ text: current.trim(), heading: section.heading || null, page: section.page || null });
+      }
+    };
+
+    for (const paragraph of paragraphs) {
+      if (current && current.length + paragraph.length + 1 > size) {
+        push();
+        // Start the next passage with the end of this one, from a word boundary
+        const tail = current.slice(-overlap);
+        current = overlap > 0 ? `${tail.slice(tail.indexOf(' ') + 1)} ` : '';
+      }
+      current += `${paragraph}\n`;
+    }
+    push();
+  }
+
+  return chunks;
+}
+
+/**
+ * Break text longer than `size` at word boundaries
+ * @private
+ */
+function splitLongText(text, size) {
+  const parts = [];
+  let rest = text;
+  while (rest.length > size) {
+    const cut = rest.lastIndexOf(' ', size);
+    const end = cut > 0 ? cut : size; // One very long "word" (a URL, a hash) is cut as is
+    parts.push(rest.slice(0, end).trim());
+    rest = rest.slice(end).trim();
+  }
+  if (rest) {
+    parts.push(rest);
+  }
+  return parts;
+}
+
+/**
+ * Run pdftotext (poppler-utils) and return the extracted text
+ * @private
+ */
+function runPdfToText(filePath, { pdfToText = 'pdftotext', timeout = 30000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(pdfToText, ['-enc', 'UTF-8', filePath, '-'], { windowsHide: true });
+    let stdout = '';
+    let stderr = '';
+
+    const timer = setTimeout(() => child.kill('SIGKILL'), timeout);
+
+    child.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+
+    child.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error.code === 'ENOENT'
+        ? new Error(`${pdfToText} not found - install poppler-utils or set PDFTOTEXT_BINARY`)
+        : error);
+    });
+
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) {
+        resolve(stdout);
+      } else {
+        reject(new Error(`pdftotext exited with ${signal || `code ${code}`}: ${stderr.trim().split('\n').pop() || 'no output'}`));
+      }
+    });
+  });
+}
@@ -0,0 +1,88 @@
+/**
+ * FFT
+ * Radix-2 fast Fourier transform and the helpers audio analysis builds on
+ */
+
+/**
+ * Transform in place (real and imaginary parts)
+ * @param {Float64Array} re - Real part, length a power of two
+ * @param {Float64Array} im - Imaginary part, same length
+ */
+export function fft(re, im) {
+  const n = re.length;
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = -2 * Math.PI / size;
+    const stepRe = Math.cos(angle);
+    const stepIm = Math.sin(angle);
+
+    for (let start = 0; start < n; start += size) {
+      let wRe = 1;
+      let wIm = 0;
+      for (let k = 0; k < size / 2; k++) {
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * wRe - im[b] * wIm;
+        const tIm = re[b] * wIm + im[b] * wRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+
+        const nextRe = wRe * stepRe - wIm * stepIm;
+        wIm = wRe * stepIm + wIm * stepRe;
+        wRe = nextRe;
+      }
+    }
+  }
+}
+
+/**
+ * Hann window of the given length
+ * @param {number} length
+ * @returns {Float64Array}
+ */
+export function hannWindow(length) {
+  const window = new Float64Array(length);
+  for (let i = 0; i < length; i++) {
+    window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (length - 1));
+  }
+  return window;
+}
+
+/**
+ * Power spectrum of one frame, windowed and zero-padded to `size`
+ * @param {Float32Array|Float64Array} samples - Source samples
+ * @param {number} start - Index of the first sample of the frame
+ * @param {Float64Array} window - Window, its length is the frame length
+ * @param {number} size - FFT size (power of two, >= window length)
+ * @returns {Float64Array} - size / 2 + 1 bins from 0 Hz to Nyquist
+ */
+export function powerSpectrum(samples, start, window, size) {
+  const re = new Float64Array(size);
+  const im = new Float64Array(size);
+  for (let i = 0; i < window.length && start + i < samples.length; i++) {
+    re[i] = samples[start + i] * window[i];
+  }
+
+  fft(re, im);
+
+  const power = new Float64Array(size / 2 + 1);
+  for (let i = 0; i < power.length; i++) {
+    power[i] = re[i] * re[i] + im[i] * im[i];
+  }
+  return power;
+}
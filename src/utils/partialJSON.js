@@ -0,0 +1,80 @@
+/**
+ * Partial JSON
+ * Best-effort parsing of a JSON document that is still being streamed, so
+ * the fields received so far can be shown before the model finishes
+ */
+
+/**
+ * Close whatever strings, arrays and objects are still open at the end of `text`
+ * @private
+ * @returns {string|null} - Completed JSON text, or null if nothing can be closed
+ */
+function closeOpenStructures(text) {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+
+  for (const char of text) {
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      stack.pop();
+    }
+  }
+
+  let result = text;
+  if (inString) {
+    // A dangling backslash would escape the closing quote
+    result = (escaped ? result.slice(0, -1) : result) + '"';
+  }
+
+  return result + stack.reverse().join('');
+}
+
+/**
+ * Parse an incomplete JSON object
+ * Incomplete trailing values are dropped; an unfinished string is kept as far
+ * as it has arrived ("What is the dead" while the model is still writing).
+ * @param {string} text - JSON received so far
+ * @returns {Object|null} - Parsed object, or null if nothing usable arrived yet
+ */
+export function parsePartialJSON(text) {
+  const start = text.indexOf('{');
+  if (start === -1) {
+    return null;
+  }
+
+  let candidate = text.slice(start).trimEnd();
+
+  // Each attempt cuts back to the previous structural boundary (key without a
+  // value, half-written number or literal, trailing comma)
+  for (let attempt = 0; attempt < 8 && candidate.length > 0; attempt++) {
+    const cleaned = candidate.replace(/[,:]\s*$/, '').replace(/,\s*"(?:[^"\\]|\\.)*"\s*$/, '');
+
+    try {
+      return JSON.parse(closeOpenStructures(cleaned));
+    } catch {
+      const cut = Math.max(cleaned.lastIndexOf(','), cleaned.lastIndexOf('{'), cleaned.lastIndexOf('['));
+      if (cut < 0) {
+        return null;
+      }
+      // Keep an opening bracket, drop a comma
+      candidate = cleaned[cut] === ',' ? cleaned.slice(0, cut) : cleaned.slice(0, cut + 1);
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,243 @@
+/**
+ * Suggestion Validator
+ * Checks model output against the suggestion template's sections and repairs
+ * what it can (renamed fields, wrong types, placeholder URLs), so every
+ * consumer gets one array per declared section
+ */
+
+const MAX_ITEMS = 10;
+const MAX_ITEM_LENGTH = 500;
+
+// Field names models use instead of the declared ones (compared lowercase, without separators)
+const FIELD_ALIASES = {
+  keyinsights: 'insights',
+  insight: 'insights',
+  observations: 'insights',
+  question: 'questions',
+  suggestedquestions: 'questions',
+  followupquestions: 'questions',
+  resource: 'resources',
+  links: 'resources',
+  references: 'resources',
+  actions: 'actionItems',
+  actionitem: 'actionItems',
+  tasks: 'actionItems',
+  todos: 'actionItems',
+  nextstep: 'nextSteps',
+  decision: 'decisions',
+  risk: 'risks',
+  blocker: 'blockers'
+};
+
+// Hosts that only appear in made-up or example links
+const PLACEHOLDER_HOSTS = /(^|\.)(example\.(com|org|net)|yourcompany\.com|company\.com|domain\.com|website\.com|localhost)$/i;
+
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Parse the text of a model reply as a JSON object
+ * Tolerates Markdown code fences and prose around the object.
+ * @param {string} content - Model reply
+ * @returns {Object} - Parsed value
+ * @throws {SyntaxError} - When no JSON object can be found
+ */
+export function parseSuggestionContent(content) {
+  const text = String(content ?? '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+      throw error;
+    }
+    return JSON.parse(text.slice(start, end + 1));
+  }
+}
+
+/**
+ * Whether a resource URL is invalid or an obvious placeholder
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isFabricatedUrl(url) {
+  if (typeof url !== 'string' || !url.trim() || url.includes('...') || /[{}<>]/.test(url)) {
+    return true;
+  }
+
+  try {
+    const parsed = new URL(url.trim());
+    return !['http:', 'https:'].includes(parsed.protocol) ||
+      !parsed.hostname.includes('.') ||
+      PLACEHOLDER_HOSTS.test(parsed.hostname);
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * Turn one list entry into a string
+ * @private
+ */
+function coerceListItem(item) {
+  if (typeof item === 'string') {
+    return item.trim();
+  }
+  if (typeof item === 'number' || typeof item === 'boolean') {
+    return String(item);
+  }
+  if (item && typeof item === 'object') {
+    // { text: "..." }, { question: "..." }, { item: "...", owner: "..." }
+    const text = ['text', 'question', 'item', 'title', 'description', 'content', 'value']
+      .map(field => item[field])
+      .find(value => typeof value === 'string' && value.trim());
+    if (text) {
+      return item.owner ? `${text.trim()} (${item.owner})` : text.trim();
+    }
+  }
+  return '';
+}
+
+/**
+ * Turn one resources entry into { title, url?, description? }
+ * @private
+ */
+function coerceResource(item, repairs) {
+  if (typeof item === 'string') {
+    const value = item.trim();
+    if (/^https?:\/\//i.test(value)) {
+      item = { title: value, url: value };
+    } else {
+      item = { title: value };
+    }
+  }
+  if (!item || typeof item !== 'object') {
+    return null;
+  }
+
+  const title = [item.title, item.name, item.label].find(v => typeof v === 'string' && v.trim());
+  if (!title) {
+    return null;
+  }
+
+  const resource = { title: title.trim().slice(0, MAX_ITEM_LENGTH) };
+  const url = [item.url, item.link, item.href].find(v => typeof v === 'string' && v.trim());
+  const description = [item.description, item.desc, item.summary].find(v => typeof v === 'string' && v.trim());
+
+  if (url) {
+    // Knowledge-base citations link to this app's own server (localhost)
+    const citation = item.verified === true && item.source === 'knowledge-base';
+    if (!citation && isFabricatedUrl(url)) {
+      repairs.push(`dropped placeholder URL "${url}"`);
+    } else {
+      resource.url = url.trim();
+    }
+  }
+  if (description) {
+    resource.description = description.trim().slice(0, MAX_ITEM_LENGTH);
+  }
+  // Set by ResourceResolverService - kept when stored suggestions are normalised again
+  if (typeof item.verified === 'boolean') {
+    resource.verified = item.verified;
+    resource.source = typeof item.source === 'string' ? item.source : null;
+  }
+
+  return resource;
+}
+
+/**
+ * Bring suggestion data into the shape its sections declare
+ * @param {Object} data - Parsed model output (or a stored suggestion)
+ * @param {Object[]} sections - Template sections ({ key, type })
+ * @returns {Object} - { suggestion, repairs, missing } where suggestion holds
+ *   exactly one array per section and missing lists sections absent from the data
+ */
+export function normalizeSuggestion(data, sections) {
+  const source = data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+  const repairs = [];
+  const missing = [];
+  const suggestion = {};
+
+  const declared = new Map(sections.map(section => [normalizeKey(section.key), section.key]));
+
+  // Map misnamed fields onto declared keys that the output lacks
+  const renamed = {};
+  for (const [field, value] of Object.entries(source)) {
+    if (sections.some(section => section.key === field)) {
+      continue;
+    }
+    const normalized = normalizeKey(field);
+    const alias = FIELD_ALIASES[normalized];
+    const target = declared.get(normalized) || (alias && declared.get(normalizeKey(alias)));
+    if (target && source[target] === undefined && renamed[target] === undefined) {
+      renamed[target] = value;
+      repairs.push(`renamed "${field}" to "${target}"`);
+    }
+  }
+
+  for (const section of sections) {
+    let value = source[section.key] !== undefined ? source[section.key] : renamed[section.key];
+
+    if (value === undefined || value === null) {
+      missing.push(section.key);
+      suggestion[section.key] = [];
+      continue;
+    }
+
+    if (!Array.isArray(value)) {
+      repairs.push(`wrapped "${section.key}" in an array`);
+      value = [value];
+    }
+
+    const items = section.type === 'resources'
+      ? value.map(item => coerceResource(item, repairs)).filter(Boolean)
+      : [...new Set(value.map(coerceListItem).filter(Boolean).map(item => item.slice(0, MAX_ITEM_LENGTH)))];
+
+    if (items.length < value.length) {
+      repairs.push(`dropped ${value.length - items.length} empty, duplicate or unusable "${section.key}" entries`);
+    }
+
+    suggestion[section.key] = items.slice(0, MAX_ITEMS);
+  }
+
+  return { suggestion, repairs, missing };
+}
+
+/**
+ * Validate and repair a model reply
+ * Output is invalid when it is not a JSON object or contains none of the
+ * declared sections - repairs cannot recover anything useful from it.
+ * @param {string} content - Model reply
+ * @param {Object[]} sections - Template sections
+ * @returns {Object} - { valid, suggestion, repairs, errors }
+ */
+export function validateSuggestionOutput(content, sections) {
+  let data;
+  try {
+    data = parseSuggestionContent(content);
+  } catch (error) {
+    return {
+      valid: false,
+      suggestion: normalizeSuggestion({}, sections).suggestion,
+      repairs: [],
+      errors: [`reply is not valid JSON (${error.message})`]
+    };
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return {
+      valid: false,
+      suggestion: normalizeSuggestion({}, sections).suggestion,
+      repairs: [],
+      errors: ['reply is not a JSON object']
+    };
+  }
+
+  const { suggestion, repairs, missing } = normalizeSuggestion(data, sections);
+  const errors = missing.length === sections.length
+    ? [`reply has none of the fields ${sections.map(s => s.key).join(', ')}`]
+    : [];
+
+  return { valid: errors.length === 0, suggestion, repairs, errors };
+}
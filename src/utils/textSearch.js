@@ -0,0 +1,119 @@
+/**
+ * Text Search
+ * Ranking helpers shared by the meeting history and knowledge-base indexes:
+ * cosine similarity for embeddings and BM25 for keyword search
+ */
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'that', 'this', 'with', 'you', 'are', 'was', 'but', 'not', 'have', 'has',
+  'had', 'they', 'them', 'their', 'there', 'what', 'when', 'will', 'would', 'can', 'could',
+  'should', 'about', 'just', 'like', 'from', 'your', 'our', 'out', 'all', 'any', 'one', 'get',
+  'got', 'yeah', 'okay', 'know', 'think', 'going', 'also', 'some', 'then', 'than', 'into', 'it\'s'
+]);
+
+/**
+ * Lowercase content words of a text
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return String(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}']+/u)
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+}
+
+/**
+ * Cosine similarity of two vectors of the same length
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Precompute BM25 statistics for a set of items
+ * @param {Object[]} items - Anything with a `text` field
+ * @returns {Object} - Keyword index for rankByKeywords()
+ */
+export function buildKeywordIndex(items) {
+  const documentFrequency = new Map();
+  const documents = items.map(item => {
+    const tokens = tokenize(item.text);
+    const counts = new Map();
+    tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+    counts.forEach((count, token) => documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1));
+    return { item, counts, length: tokens.length };
+  });
+  const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / (documents.length || 1);
+
+  return { documents, documentFrequency, averageLength: averageLength || 1 };
+}
+
+/**
+ * Rank indexed items against a query with BM25
+ * Items need at least two query words (one for one-word queries) to count,
+ * so a single common term doesn't pull in unrelated text.
+ * @param {Object} index - From buildKeywordIndex()
+ * @param {string} query
+ * @param {number} limit
+ * @returns {Object[]} - [{ item, score }] best first
+ */
+export function rankByKeywords(index, query, limit) {
+  const { documents, documentFrequency, averageLength } = index;
+  const terms = [...new Set(tokenize(query))];
+  if (terms.length === 0) {
+    return [];
+  }
+  const minMatches = Math.min(2, terms.length);
+
+  return documents
+    .map(({ item, counts, length }) => {
+      let score = 0;
+      let matches = 0;
+      for (const term of terms) {
+        const frequency = counts.get(term);
+        if (!frequency) {
+          continue;
+        }
+        matches++;
+        const df = documentFrequency.get(term);
+        const idf = Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+        score += idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * length / averageLength));
+      }
+      return { item, score, matches };
+    })
+    .filter(({ matches }) => matches >= minMatches)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ item, score }) => ({ item, score }));
+}
+
+/**
+ * Rank items that carry a `vector` by cosine similarity to a query vector
+ * @param {Object[]} items
+ * @param {number[]} queryVector
+ * @param {Object} options - { limit, minSimilarity }
+ * @returns {Object[]} - [{ item, score }] best first
+ */
+export function rankByVector(items, queryVector, { limit, minSimilarity = 0 }) {
+  return items
+    .map(item => ({ item, score: cosineSimilarity(queryVector, item.vector) }))
+    .filter(({ score }) => score >= minSimilarity)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
@@ -0,0 +1,127 @@
+/**
+ * Transcript Merge
+ * Removes words repeated at the start of a chunk because its audio overlaps
+ * the end of the previous chunk
+ */
+
+const normalizeWord = (word) => String(word).toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+
+/**
+ * Drop the first `count` whitespace-separated tokens across consecutive segments
+ * @private
+ */
+function dropLeadingTokens(segments, count) {
+  let remaining = count;
+  const result = [];
+
+  for (const segment of segments) {
+    if (remaining <= 0) {
+      result.push(segment);
+      continue;
+    }
+
+    const tokens = segment.text.split(/\s+/).filter(Boolean);
+    if (tokens.length <= remaining) {
+      remaining -= tokens.length;
+      continue;
+    }
+
+    result.push({ ...segment, text: tokens.slice(remaining).join(' ') });
+    remaining = 0;
+  }
+
+  return result;
+}
+
+/**
+ * Find how many leading tokens of `tokens` repeat the end of `previousTokens`
+ * @param {string[]} previousTokens - Tail of the previous transcript
+ * @param {string[]} tokens - Current transcript tokens
+ * @param {Object} options - { maxOverlapWords, maxLeadingSkip, minMatchWords }
+ * @returns {number} - Number of leading tokens to remove
+ */
+export function findOverlapLength(previousTokens, tokens, options = {}) {
+  const { maxOverlapWords = 15, maxLeadingSkip = 2, minMatchWords = 2 } = options;
+  const previous = previousTokens.slice(-maxOverlapWords).map(normalizeWord);
+  const current = tokens.map(normalizeWord);
+
+  for (let length = Math.min(previous.length, current.length); length >= 1; length--) {
+    // Single-word matches are only trusted for longer words ("the" repeats by chance)
+    if (length < minMatchWords && (length !== 1 || previous[previous.length - 1].length < 4)) {
+      continue;
+    }
+
+    const expected = previous.slice(-length);
+
+    // Allow a couple of leading tokens that are fragments of a word cut by the overlap edge
+    for (let skip = 0; skip <= maxLeadingSkip && skip + length <= current.length; skip++) {
+      const candidate = current.slice(skip, skip + length);
+      if (candidate.every((word, i) => word === expected[i])) {
+        return skip + length;
+      }
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Merge a chunk transcript with the previous one, removing duplicated words
+ * Segments lying inside the already-emitted time range are dropped first
+ * (timestamps in meeting seconds), then a text alignment trims any remaining
+ * repeated words. Chunks starting at or after the previous end share no
+ * audio with it and are left alone - a word repeated across a pause is real.
+ * @param {Object|null} previous - { text, end } of the last emitted transcript
+ * @param {Object} current - { text, segments, words, offset } - offset is the chunk start in meeting seconds
+ * @param {Object} options - Alignment options (see findOverlapLength)
+ * @returns {Object} - { text, segments, words, removedWords }
+ */
+export function mergeOverlappingTranscript(previous, current, options = {}) {
+  let segments = current.segments || [];
+  let words = current.words || [];
+  let text = current.text || '';
+
+  if (!previous || !previous.text) {
+    return { text, segments, words, removedWords: 0 };
+  }
+
+  if (typeof previous.end === 'number' && typeof current.offset === 'number' && current.offset >= previous.end) {
+    return { text, segments, words, removedWords: 0 };
+  }
+
+  const originalTokenCount = text.split(/\s+/).filter(Boolean).length;
+
+  // 1. Timestamps: segments/words centred before the previous end were already emitted
+  if (typeof previous.end === 'number') {
+    const isNew = (item) => (item.start + item.end) / 2 >= previous.end;
+
+    if (segments.length > 0) {
+      const kept = segments.filter(isNew);
+      if (kept.length < segments.length) {
+        segments = kept;
+        text = kept.map(s => s.text).join(' ');
+      }
+    }
+
+    words = words.filter(isNew);
+  }
+
+  // 2. Text alignment: trim words repeated from the end of the previous transcript
+  const tokens = text.split(/\s+/).filter(Boolean);
+  const cut = findOverlapLength(previous.text.split(/\s+/).filter(Boolean), tokens, options);
+
+  if (cut > 0) {
+    text = tokens.slice(cut).join(' ');
+    segments = dropLeadingTokens(segments, cut);
+    if (words.length > 0 && words.length >= tokens.length) {
+      words = words.slice(cut);
+    }
+  }
+
+  return {
+    text: text.trim(),
+    segments,
+    words,
+    removedWords: originalTokenCount - text.split(/\s+/).filter(Boolean).length
+  };
+}
@@ -0,0 +1,110 @@
+/**
+ * WAV Helpers
+ * Reads and writes the 16-bit PCM WAV chunks used by the capture services;
+ * decoding gives mono float samples in [-1, 1] for analysis
+ */
+
+import fs from 'fs';
+
+/**
+ * Split a PCM WAV buffer into its format fields and raw samples
+ * @param {Buffer} buffer - WAV file contents
+ * @returns {Object|null} - { sampleRate, channels, bitsPerSample, pcm } or null if not a WAV file
+ */
+export function readWav(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    return null;
+  }
+
+  let format = null;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (chunkId === 'fmt ' && body + 16 <= buffer.length) {
+      format = {
+        channels: buffer.readUInt16LE(body + 2) || 1,
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+    } else if (chunkId === 'data' && format) {
+      // Streamed WAVs and recorders killed mid-write may carry a placeholder size - read to the end of the file
+      const end = Math.min(buffer.length, body + chunkSize);
+      return { ...format, pcm: buffer.subarray(body, end) };
+    }
+
+    // Chunks are padded to an even size
+    offset = body + chunkSize + (chunkSize % 2);
+  }
+
+  return null;
+}
+
+/**
+ * Build a PCM WAV file buffer
+ * @param {Buffer} pcm - Raw samples
+ * @param {Object} format - { sampleRate, channels, bitsPerSample }
+ * @returns {Buffer}
+ */
+export function buildWav(pcm, { sampleRate, channels, bitsPerSample }) {
+  const header = Buffer.alloc(44);
+  const blockAlign = channels * bitsPerSample / 8;
+
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(pcm.length, 40);
+
+  return Buffer.concat([header, pcm]);
+}
+
+/**
+ * Decode a WAV file buffer
+ * @param {Buffer} buffer - WAV file contents
+ * @returns {Object|null} - { samples: Float32Array, sampleRate, channels, duration (s) }, null if not 16-bit PCM WAV
+ */
+export function decodeWav(buffer) {
+  const wav = readWav(buffer);
+  if (!wav || wav.bitsPerSample !== 16 || !wav.sampleRate) {
+    return null;
+  }
+
+  const { pcm, channels, sampleRate } = wav;
+  const frameCount = Math.floor(pcm.length / (2 * channels));
+  const samples = new Float32Array(frameCount);
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    let sum = 0;
+    for (let channel = 0; channel < channels; channel++) {
+      sum += pcm.readInt16LE((frame * channels + channel) * 2);
+    }
+    samples[frame] = sum / channels / 32768;
+  }
+
+  return { samples, sampleRate, channels, duration: frameCount / sampleRate };
+}
+
+/**
+ * Read and decode a WAV file
+ * @param {string} filePath - Path to the WAV file
+ * @returns {Promise<Object|null>} - See decodeWav(); null if the file can't be read
+ */
+export async function readWavFile(filePath) {
+  try {
+    return decodeWav(await fs.promises.readFile(filePath));
+  } catch {
+    return null;
+  }
+}
@@ -5,8 +5,11 @@
 
 import path from 'path';
 import logger from '../../config/logger.js';
-import { SOCKET_EVENTS, LOG_PREFIX } from '../../constants/index.js';
+import { SOCKET_EVENTS, LOG_PREFIX, CAPTURE_STREAMS } from '../../constants/index.js';
 import { ProcessingQueue } from '../../utils/ProcessingQueue.js';
+import { mergeOverlappingTranscript } from '../../utils/transcriptMerge.js';
+import { scoreTranscription } from '../../services/transcription/confidence.js';
+import { readWavFile } from '../../utils/wav.js';
 
 export class AudioProcessor {
   constructor(services, state) {
@@ -78,11 +81,14 @@ export class AudioProcessor {
         return;
       }
 
+      const stream = this._getChunkStream(audioFilePath);
+
       // Step 1: Voice Activity Detection (if enabled)
+      let vadResult = null;
       if (this.state.vadEnabled !== false) {
         // Use quick check if enabled (faster for obvious cases)
         const useQuickCheck = this.services.config.processing?.enableQuickVAD !== false;
-        const vadResult = await this._performVAD(audioFilePath, useQuickCheck);
+        vadResult = await this._performVAD(audioFilePath, useQuickCheck, stream);
         if (!vadResult.hasVoice) {
           logger.debug('VAD: No voice detected, skipping transcription', {
             reason: vadResult.reason,
@@ -100,8 +106,11 @@ export class AudioProcessor {
         logger.debug('VAD disabled, skipping voice detection');
       }
 
+      // Keep the samples for diarization - transcription may delete the file
+      const audio = this.services.diarization.isEnabled() ? await readWavFile(audioFilePath) : null;
+
       // Step 2: Transcription
-      const transcriptionResult = await this._performTranscription(audioFilePath, socket);
+      const transcriptionResult = await this._performTranscription(audioFilePath, socket, vadResult?.energy, stream);
       if (!transcriptionResult || this.state.isStopping) {
         // Delete failed/silent chunks if cleanup enabled
         if (this.services.config.audio.cleanup.deleteAfterTranscription && 
@@ -111,9 +120,31 @@ export class AudioProcessor {
         return null; // Skip if no transcription or stopping
       }
 
+      // Chunk ID identifies the entry for later updates (e.g. translations)
+      transcriptionResult.id = path.basename(audioFilePath, '.wav');
+      transcriptionResult.stream = stream;
+
+      // Who spoke (segment timings are still relative to the chunk here)
+      this._assignSpeakers(transcriptionResult, audio);
+
+      // Move segment timings from chunk-relative to meeting time
+      this._applyMeetingTime(transcriptionResult, audioFilePath);
+
+      // Remove words repeated from the previous chunk's overlapping audio
+      if (!this._mergeChunkOverlap(transcriptionResult)) {
+        logger.debug('Chunk only repeated overlapping audio, skipping', { id: transcriptionResult.id });
+        return null;
+      }
+
+      // Score how much the entry can be trusted
+      this._applyConfidence(transcriptionResult, vadResult);
+
       // Save and emit transcription
       this._saveAndEmitTranscription(transcriptionResult, socket);
 
+      // Translate into the configured target languages
+      await this._translateAndEmit(transcriptionResult, socket);
+
       // Step 3: Generate AI suggestions if enough content
       await this._generateSuggestionsIfReady(transcriptionResult.text, socket);
 
@@ -155,8 +186,8 @@ export class AudioProcessor {
    * Perform Voice Activity Detection
    * @private
    */
-  async _performVAD(audioFilePath, useQuickCheck = true) {
-    const vadResult = await this.services.vad.analyzeAudio(audioFilePath, useQuickCheck);
+  async _performVAD(audioFilePath, useQuickCheck = true, stream = null) {
+    const vadResult = await this.services.vad.analyzeAudio(audioFilePath, useQuickCheck, stream);
     
     if (!vadResult.hasVoice) {
       logger.debug('VAD: No voice detected, skipping transcription', {
@@ -179,14 +210,18 @@ export class AudioProcessor {
    * Perform audio transcription
    * @private
    */
-  async _performTranscription(audioFilePath, socket) {
+  async _performTranscription(audioFilePath, socket, energy, stream) {
     logger.info('Calling Whisper API...', { audioFilePath });
     socket.emit('processing', { 
       stage: 'transcribing',
       message: 'Transcribing audio...' 
     });
 
-    const transcriptionResult = await this.services.transcription.transcribeAudio(audioFilePath);
+    const transcriptionResult = await this.services.transcription.transcribeAudio(audioFilePath, {
+      language: this.state.meetingLanguage,
+      energy,
+      stream
+    });
     
     logger.info('Whisper API response', { 
       hasText: !!transcriptionResult.text,
@@ -202,6 +237,136 @@ export class AudioProcessor {
     return transcriptionResult;
   }
 
+  /**
+   * Get the wall-clock time a chunk started recording
+   * Capture services name chunks chunk_<Date.now()>.wav when recording begins
+   * @private
+   */
+  _getChunkStartTime(audioFilePath, audioDuration) {
+    const match = /chunk_(\d+)/.exec(path.basename(audioFilePath));
+    if (match) {
+      return Number(match[1]);
+    }
+
+    // Unknown naming - assume the chunk just finished
+    return Date.now() - (audioDuration || 0) * 1000;
+  }
+
+  /**
+   * Get the capture stream a chunk belongs to
+   * 'both' capture mode names chunks chunk_<Date.now()>_me.wav / chunk_<Date.now()>_remote.wav
+   * @private
+   * @returns {string|null} - 'me', 'remote' or null for single-stream capture
+   */
+  _getChunkStream(audioFilePath) {
+    const match = /chunk_\d+_([a-z]+)\.wav$/.exec(path.basename(audioFilePath));
+    return match && Object.values(CAPTURE_STREAMS).includes(match[1]) ? match[1] : null;
+  }
+
+  /**
+   * Convert chunk-relative segment/word timings to seconds since the meeting started
+   * @private
+   */
+  _applyMeetingTime(transcriptionResult, audioFilePath) {
+    const chunkStart = this._getChunkStartTime(audioFilePath, transcriptionResult.audioDuration);
+    const sessionStart = this.state.sessionStartTime || chunkStart;
+    const offset = Math.max(0, (chunkStart - sessionStart) / 1000);
+    const toMeetingTime = (seconds) => Math.round((offset + seconds) * 1000) / 1000;
+
+    transcriptionResult.offset = toMeetingTime(0);
+    transcriptionResult.segments = (transcriptionResult.segments || []).map(segment => ({
+      ...segment,
+      start: toMeetingTime(segment.start),
+      end: toMeetingTime(segment.end)
+    }));
+    transcriptionResult.words = (transcriptionResult.words || []).map(word => ({
+      ...word,
+      start: toMeetingTime(word.start),
+      end: toMeetingTime(word.end)
+    }));
+
+    return transcriptionResult;
+  }
+
+  /**
+   * De-duplicate words at the chunk boundary when chunks overlap
+   * @private
+   * @returns {boolean} - False if nothing new is left to emit
+   */
+  _mergeChunkOverlap(transcriptionResult) {
+    if (!(this.services.config.audio.chunkOverlap > 0)) {
+      return true;
+    }
+
+    // Each stream overlaps only with its own previous chunk
+    const key = transcriptionResult.stream || 'default';
+    const previous = this.state.lastTranscripts[key];
+
+    // Chunks processed out of order can't be aligned with the last emitted one
+    if (previous && transcriptionResult.offset < previous.offset) {
+      return true;
+    }
+
+    const merged = mergeOverlappingTranscript(previous, transcriptionResult);
+    if (merged.removedWords > 0) {
+      logger.debug('Removed overlapping words', {
+        id: transcriptionResult.id,
+        removedWords: merged.removedWords
+      });
+    }
+
+    if (!merged.text) {
+      return false;
+    }
+
+    transcriptionResult.text = merged.text;
+    transcriptionResult.segments = merged.segments;
+    transcriptionResult.words = merged.words;
+
+    const lastSegment = merged.segments[merged.segments.length - 1];
+    this.state.lastTranscripts[key] = {
+      text: merged.text,
+      offset: transcriptionResult.offset,
+      end: lastSegment ? lastSegment.end : transcriptionResult.offset + (transcriptionResult.audioDuration || 0)
+    };
+
+    return true;
+  }
+
+  /**
+   * Attach stable speaker IDs to the entry and its segments
+   * @private
+   */
+  _assignSpeakers(transcriptionResult, audio) {
+    try {
+      if (this.services.diarization.assign(transcriptionResult, audio, transcriptionResult.stream)) {
+        this.services.meetingHistory.setSpeakers(this.services.diarization.getSpeakers());
+      }
+    } catch (error) {
+      logger.error('Error assigning speakers', {
+        error: error.message,
+        id: transcriptionResult.id
+      });
+    }
+
+    return transcriptionResult;
+  }
+
+  /**
+   * Attach a 0-1 confidence score (null if unknown) and a lowConfidence flag
+   * @private
+   */
+  _applyConfidence(transcriptionResult, vadResult) {
+    const { confidence, segments } = scoreTranscription(transcriptionResult.segments, vadResult?.confidence);
+    const threshold = this.services.config.transcription.lowConfidenceThreshold;
+
+    transcriptionResult.segments = segments;
+    transcriptionResult.confidence = confidence;
+    transcriptionResult.lowConfidence = confidence !== null && confidence < threshold;
+
+    return transcriptionResult;
+  }
+
   /**
    * Save transcription to history and emit to client
    * @private
@@ -210,18 +375,72 @@ export class AudioProcessor {
     // Save to meeting history
     this.services.meetingHistory.addTranscription(
       transcriptionResult.text,
-      transcriptionResult.timestamp
+      transcriptionResult.timestamp,
+      {
+        id: transcriptionResult.id,
+        offset: transcriptionResult.offset,
+        segments: transcriptionResult.segments,
+        words: transcriptionResult.words,
+        language: transcriptionResult.language,
+        confidence: transcriptionResult.confidence,
+        lowConfidence: transcriptionResult.lowConfidence,
+        speaker: transcriptionResult.speaker || null,
+        stream: transcriptionResult.stream
+      }
     );
 
     // Emit to client
     socket.emit(SOCKET_EVENTS.TRANSCRIPTION, {
+      id: transcriptionResult.id,
       text: transcriptionResult.text,
       timestamp: transcriptionResult.timestamp,
       duration: transcriptionResult.duration,
-      cost: transcriptionResult.cost
+      cost: transcriptionResult.cost,
+      offset: transcriptionResult.offset,
+      segments: transcriptionResult.segments,
+      language: transcriptionResult.language,
+      confidence: transcriptionResult.confidence,
+      lowConfidence: transcriptionResult.lowConfidence,
+      speaker: transcriptionResult.speaker || null,
+      speakerName: this.services.diarization.getName(transcriptionResult.speaker),
+      stream: transcriptionResult.stream
     });
   }
 
+  /**
+   * Translate a transcription, store it next to the original and emit it
+   * @private
+   */
+  async _translateAndEmit(transcriptionResult, socket) {
+    if (this.state.isStopping || !this.services.translation.isActive()) {
+      return;
+    }
+
+    try {
+      const translations = await this.services.translation.translate(transcriptionResult);
+      if (!translations) {
+        return;
+      }
+
+      this.services.meetingHistory.addTranslation(transcriptionResult.id, translations);
+
+      socket.emit(SOCKET_EVENTS.TRANSLATION, {
+        id: transcriptionResult.id,
+        timestamp: transcriptionResult.timestamp,
+        source: {
+          language: transcriptionResult.language,
+          text: transcriptionResult.text
+        },
+        translations
+      });
+    } catch (error) {
+      logger.error('Error translating transcription', {
+        error: error.message,
+        id: transcriptionResult.id
+      });
+    }
+  }
+
   /**
    * Generate AI suggestions if enough content is buffered
    * @private
@@ -242,7 +461,13 @@ export class AudioProcessor {
       });
 
       try {
-        const suggestions = await this.services.suggestion.generateSuggestions(batchedText);
+        const [suggestions] = await Promise.all([
+          this.services.suggestion.generateSuggestions(batchedText, {
+            // Fill the suggestion card in while the model is still writing
+            onPartial: (partial) => socket.emit(SOCKET_EVENTS.SUGGESTION_PARTIAL, partial)
+          }),
+          this.trackAgenda(batchedText, socket)
+        ]);
 
         if (suggestions) {
           // Save to meeting history
@@ -261,6 +486,28 @@ export class AudioProcessor {
     }
   }
 
+  /**
+   * Match a transcript batch to the meeting agenda and emit the progress
+   * Never throws - agenda tracking must not hold up suggestions.
+   * @param {string} batchedText - Transcript batch
+   * @param {Object} socket - Socket.io socket instance
+   */
+  async trackAgenda(batchedText, socket) {
+    try {
+      const suggestion = this.services.suggestion;
+      const useModel = this.services.config.agenda.classifier === 'model' && suggestion.enabled;
+      const progress = await this.services.agenda.track(batchedText, {
+        classify: useModel ? (text, items) => suggestion.classifyAgendaItem(text, items) : undefined
+      });
+
+      if (progress && !this.state.isStopping) {
+        socket.emit(SOCKET_EVENTS.AGENDA_PROGRESS, progress);
+      }
+    } catch (error) {
+      logger.error('Error tracking agenda', { error: error.message });
+    }
+  }
+
   /**
    * Get current statistics
    * @private
@@ -268,18 +515,16 @@ export class AudioProcessor {
   _getStats() {
     const transcriptionStats = this.services.transcription.getStats();
     const suggestionStats = this.services.suggestion.getStats();
-    const audioStats = this.services.audioService?.getStats() || {
-      isRecording: false,
-      chunkCount: 0,
-      chunkDuration: 0
-    };
+    const translationStats = this.services.translation.getStats();
+    const audioStats = this.services.audioCapture.getStats();
     const queueStats = this.processingQueue.getStats();
 
     return {
       audio: audioStats,
       transcription: transcriptionStats,
       suggestions: suggestionStats,
-      totalCost: transcriptionStats.totalCost + suggestionStats.totalCost,
+      translation: translationStats,
+      totalCost: transcriptionStats.totalCost + suggestionStats.totalCost + translationStats.totalCost,
       isProcessing: this.state.isProcessing,
       sessionDuration: this.state.sessionStartTime 
         ? Date.now() - this.state.sessionStartTime 
@@ -4,7 +4,7 @@
  */
 
 import logger from '../../config/logger.js';
-import { SOCKET_EVENTS, SUCCESS_MESSAGES, LOG_PREFIX } from '../../constants/index.js';
+import { SOCKET_EVENTS, SUCCESS_MESSAGES, LOG_PREFIX, LLM_PROVIDERS } from '../../constants/index.js';
 
 export class EventHandlers {
   constructor(services, state) {
@@ -44,6 +44,37 @@ export class EventHandlers {
       }
     }
     
+    // Switch transcription backend if provided
+    if (settings.transcription?.provider && this.services.transcription) {
+      this.services.transcription.configureProvider(settings.transcription);
+    }
+
+    if (settings.transcription?.language && this.services.transcription) {
+      this.services.transcription.setLanguage(settings.transcription.language);
+    }
+
+    // Suggestion model: provider from settings.llm; the OpenAI tab holds the GPT model
+    // and the temperature / max tokens used by every provider
+    if ((settings.llm || settings.openai) && this.services.suggestion) {
+      const provider = settings.llm?.provider || this.services.config.llm.provider;
+      this.services.suggestion.configureProvider({
+        ...settings.llm,
+        provider,
+        model: provider === LLM_PROVIDERS.OPENAI ? settings.openai?.model : undefined,
+        temperature: settings.openai?.temperature,
+        maxTokens: settings.openai?.maxTokens
+      });
+      this.services.translation?.setProvider(this.services.suggestion.provider);
+    }
+
+    if (settings.llm?.allowedDomains !== undefined && this.services.suggestion) {
+      this.services.suggestion.resourceResolver.setAllowedDomains(settings.llm.allowedDomains);
+    }
+
+    if (settings.translation && this.services.translation) {
+      this.services.translation.configure(settings.translation);
+    }
+    
     logger.info('User settings updated');
     
     socket.emit(SOCKET_EVENTS.SETTINGS_UPDATED, { 
@@ -75,6 +106,81 @@ export class EventHandlers {
     logger.info('Context cleared', { socketId: socket.id });
   }
 
+  /**
+   * Handle a transcript line flagged as a hallucination
+   * Adds it to the blocklist and removes it from the current meeting
+   * @param {Object} data - { id, text }
+   * @param {Object} socket - Socket.io socket instance
+   */
+  handleFlagHallucination(data, socket) {
+    try {
+      const entry = data?.id ? this.services.meetingHistory.getTranscription(data.id) : null;
+      const rule = this.services.transcription.hallucinationFilter.flag(entry?.text || data?.text);
+
+      // Only drop the line once the rule is saved, so a rejected flag loses nothing
+      if (entry) {
+        this.services.meetingHistory.removeTranscription(entry.id);
+      }
+
+      socket.emit(SOCKET_EVENTS.HALLUCINATION_FLAGGED, {
+        id: data?.id || null,
+        rule,
+        removed: !!entry
+      });
+    } catch (error) {
+      logger.error('Error flagging hallucination', { error: error.message });
+      socket.emit(SOCKET_EVENTS.ERROR, {
+        message: 'Could not flag transcript line',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Rename a speaker of the meeting in progress
+   * @param {Object} data - { id, name } (empty name restores "Speaker N")
+   * @param {Object} socket - Socket.io socket instance
+   */
+  handleRenameSpeaker(data, socket) {
+    try {
+      const speaker = this.services.diarization.renameSpeaker(data?.id, data?.name);
+      const speakers = this.services.diarization.getSpeakers();
+      this.services.meetingHistory.setSpeakers(speakers);
+
+      socket.emit(SOCKET_EVENTS.SPEAKERS, { speakers, renamed: speaker });
+    } catch (error) {
+      logger.error('Error renaming speaker', { error: error.message, id: data?.id });
+      socket.emit(SOCKET_EVENTS.ERROR, {
+        message: error.isOperational ? error.message : 'Could not rename speaker',
+        error: error.message,
+        type: 'rename_speaker_error'
+      });
+    }
+  }
+
+  /**
+   * Handle a question about the meeting in progress
+   * @param {Object} data - { question, requestId } (requestId is echoed back)
+   * @param {Object} socket - Socket.io socket instance
+   */
+  async handleAskMeeting(data, socket) {
+    const requestId = data?.requestId || null;
+
+    try {
+      const answer = await this.services.meetingQA.ask(data?.question);
+      socket.emit(SOCKET_EVENTS.MEETING_ANSWER, { ...answer, requestId });
+      socket.emit(SOCKET_EVENTS.STATS, this._getStats());
+    } catch (error) {
+      logger.error('Error answering meeting question', { error: error.message });
+      socket.emit(SOCKET_EVENTS.ERROR, {
+        message: error.isOperational ? error.message : 'Could not answer the question',
+        error: error.message,
+        type: 'ask_meeting_error',
+        requestId
+      });
+    }
+  }
+
   /**
    * Handle client disconnect
    * @param {Object} socket - Socket.io socket instance
@@ -114,7 +220,12 @@ export class EventHandlers {
         });
         
         try {
-          const suggestions = await this.services.suggestion.generateSuggestions(batchedText);
+          const [suggestions] = await Promise.all([
+            this.services.suggestion.generateSuggestions(batchedText, {
+              onPartial: (partial) => socket.emit(SOCKET_EVENTS.SUGGESTION_PARTIAL, partial)
+            }),
+            this.services.audioProcessor.trackAgenda(batchedText, socket)
+          ]);
           
           if (suggestions) {
             this.services.meetingHistory.addSuggestion(suggestions);
@@ -150,17 +261,15 @@ export class EventHandlers {
   _getStats() {
     const transcriptionStats = this.services.transcription.getStats();
     const suggestionStats = this.services.suggestion.getStats();
-    const audioStats = this.services.audioService?.getStats() || {
-      isRecording: false,
-      chunkCount: 0,
-      chunkDuration: 0
-    };
+    const translationStats = this.services.translation.getStats();
+    const audioStats = this.services.audioCapture.getStats();
 
     return {
       audio: audioStats,
       transcription: transcriptionStats,
       suggestions: suggestionStats,
-      totalCost: transcriptionStats.totalCost + suggestionStats.totalCost,
+      translation: translationStats,
+      totalCost: transcriptionStats.totalCost + suggestionStats.totalCost + translationStats.totalCost,
       isProcessing: this.state.isProcessing,
       sessionDuration: this.state.sessionStartTime 
         ? Date.now() - this.state.sessionStartTime 
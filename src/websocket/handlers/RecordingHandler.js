@@ -5,6 +5,7 @@
 
 import logger from '../../config/logger.js';
 import { SOCKET_EVENTS, ERROR_MESSAGES, LOG_PREFIX } from '../../constants/index.js';
+import { normalizeLanguage } from '../../services/transcription/languages.js';
 
 export class RecordingHandler {
   constructor(services, state) {
@@ -15,8 +16,9 @@ export class RecordingHandler {
   /**
    * Handle start recording request
    * @param {Object} socket - Socket.io socket instance
+   * @param {Object} options - Per-meeting options ({ language, template, agenda })
    */
-  async handleStartRecording(socket) {
+  async handleStartRecording(socket, options = {}) {
     try {
       if (this.state.isProcessing) {
         socket.emit(SOCKET_EVENTS.ERROR, { message: ERROR_MESSAGES.RECORDING_IN_PROGRESS });
@@ -29,15 +31,39 @@ export class RecordingHandler {
       this.state.isProcessing = true;
       this.state.isStopping = false;
       this.state.sessionStartTime = Date.now();
+      this.state.meetingLanguage = normalizeLanguage(options?.language);
+      this.state.lastTranscripts = {};
 
       // Reset stats for new session
       this.services.transcription.resetStats();
+      this.services.transcription.clearPromptContext();
+      this.services.diarization.reset();
+      this.services.vad.reset();
       this.services.suggestion.resetStats();
+      this.services.translation.resetStats();
       this.services.suggestion.clearContext();
+      const template = this.services.suggestion.useTemplate(options?.template);
+      // Agenda from the payload, else the one set over REST
+      const agenda = this.services.agenda.start(options?.agenda);
+      // Pick up meetings saved since the last session; runs alongside the recording
+      this.services.suggestion.retrieval.refresh();
       
       // Start meeting history
-      const meetingId = this.services.meetingHistory.startMeeting();
-      socket.emit(SOCKET_EVENTS.MEETING_STARTED, { meetingId });
+      const language = this.state.meetingLanguage || this.services.transcription.language;
+      const meetingId = this.services.meetingHistory.startMeeting({
+        language,
+        template: { id: template.id, name: template.name, sections: template.sections },
+        agenda
+      });
+      socket.emit(SOCKET_EVENTS.MEETING_STARTED, {
+        meetingId,
+        language,
+        template: { id: template.id, name: template.name },
+        agenda
+      });
+      if (agenda) {
+        socket.emit(SOCKET_EVENTS.AGENDA_PROGRESS, this.services.agenda.getProgress());
+      }
 
       // Get audio settings
       const audioSettings = this._getAudioSettings();
@@ -88,22 +114,22 @@ export class RecordingHandler {
     try {
       logger.info('Stopping recording session', { socketId: socket.id });
       
-      // Stop audio capture
+      // Stop audio capture (hands over the utterance in progress)
       this.services.audioCapture.stopRecording();
       
+      // Wait for processing queue to finish, so the last utterance is transcribed
+      if (this.services.audioProcessor && this.services.audioProcessor.processingQueue) {
+        logger.info('Waiting for processing queue to finish...');
+        await this.services.audioProcessor.processingQueue.waitForCompletion();
+        logger.info('Processing queue finished');
+      }
+      
       // Update state
       this.state.isStopping = true;
       this.state.isProcessing = false;
       
       // Clear any buffered transcriptions
       this.services.suggestion.clearBuffer();
-      
-      // Wait for processing queue to finish
-      if (this.services.audioProcessor && this.services.audioProcessor.processingQueue) {
-        logger.info('Waiting for processing queue to finish...');
-        await this.services.audioProcessor.processingQueue.waitForCompletion();
-        logger.info('Processing queue finished');
-      }
 
       const sessionDuration = this.state.sessionStartTime 
         ? Date.now() - this.state.sessionStartTime 
@@ -115,6 +141,7 @@ export class RecordingHandler {
         totalChunks: stats.audio.chunkCount,
         totalCost: stats.totalCost
       });
+      this.services.meetingHistory.setAgendaCoverage(this.services.agenda.finish());
 
       // End meeting and generate summary
       const meetingData = await this.services.meetingHistory.endMeeting();
@@ -171,7 +198,7 @@ export class RecordingHandler {
       device: this.services.config.audio.device,
       sampleRate: this.services.config.audio.sampleRate,
       channels: this.services.config.audio.channels,
-      captureMode: 'microphone'
+      captureMode: this.services.config.audio.captureMode
     };
   }
 
@@ -182,17 +209,15 @@ export class RecordingHandler {
   _getStats() {
     const transcriptionStats = this.services.transcription.getStats();
     const suggestionStats = this.services.suggestion.getStats();
-    const audioStats = this.services.audioService?.getStats() || {
-      isRecording: false,
-      chunkCount: 0,
-      chunkDuration: 0
-    };
+    const translationStats = this.services.translation.getStats();
+    const audioStats = this.services.audioCapture.getStats();
 
     return {
       audio: audioStats,
       transcription: transcriptionStats,
       suggestions: suggestionStats,
-      totalCost: transcriptionStats.totalCost + suggestionStats.totalCost,
+      translation: translationStats,
+      totalCost: transcriptionStats.totalCost + suggestionStats.totalCost + translationStats.totalCost,
       isProcessing: this.state.isProcessing,
       sessionDuration: this.state.sessionStartTime 
         ? Date.now() - this.state.sessionStartTime 
@@ -8,8 +8,12 @@ import AudioCaptureService from '../services/AudioCaptureService.js';
 import WindowsAudioServiceSoX from '../services/WindowsAudioServiceSoX.js';
 import TranscriptionService from '../services/TranscriptionService.js';
 import SuggestionService from '../services/SuggestionService.js';
+import TranslationService from '../services/TranslationService.js';
 import MeetingHistoryService from '../services/MeetingHistoryService.js';
 import VADService from '../services/VADService.js';
+import DiarizationService from '../services/DiarizationService.js';
+import { agendaTracker } from '../services/AgendaService.js';
+import { meetingQA } from '../services/MeetingQAService.js';
 import config from '../config/config.js';
 import { SOCKET_EVENTS, LOG_PREFIX } from '../constants/index.js';
 import { RecordingHandler } from './handlers/RecordingHandler.js';
@@ -31,6 +35,8 @@ class SocketHandler {
       isProcessing: false,
       isStopping: false,
       sessionStartTime: null,
+      meetingLanguage: null, // Per-meeting override from start-system-recording
+      lastTranscripts: {}, // Last emitted chunk per capture stream, used to de-duplicate overlapping audio
       pauseCheckInterval: null
     };
     
@@ -39,8 +45,6 @@ class SocketHandler {
     const isWindows = process.platform === 'win32';
     const AudioService = isWindows ? WindowsAudioServiceSoX : AudioCaptureService;
     
-    const audioCaptureInstance = new AudioService();
-    
     // Initialize VAD service with settings from config
     const vadConfig = config.audio.vad || {};
     const vadService = new VADService({
@@ -48,15 +52,25 @@ class SocketHandler {
       minSpeechDuration: vadConfig.minSpeechDuration,
       silenceThreshold: vadConfig.silenceThreshold
     });
+
+    // Streaming capture finds utterances with the same VAD (settings updates apply to both)
+    const audioCaptureInstance = new AudioService({ vad: vadService });
     
     this.services = {
       config,
       audioCapture: audioCaptureInstance,
       transcription: new TranscriptionService(),
       suggestion: new SuggestionService(),
+      translation: new TranslationService(),
       meetingHistory: new MeetingHistoryService(),
+      diarization: new DiarizationService(),
+      agenda: agendaTracker, // Shared with the agenda REST route
+      meetingQA, // Shared with the ask REST route
       vad: vadService
     };
+    meetingQA.attach(this.services);
+    // Translation runs on the suggestion model's provider
+    this.services.translation.setProvider(this.services.suggestion.provider);
     
     // Store VAD enabled state for runtime checks
     this.state.vadEnabled = vadConfig.enabled !== false;
@@ -88,8 +102,8 @@ class SocketHandler {
       });
 
       // ==================== RECORDING ====================
-      socket.on(SOCKET_EVENTS.START_SYSTEM_RECORDING, async () => {
-        await this.recordingHandler.handleStartRecording(socket);
+      socket.on(SOCKET_EVENTS.START_SYSTEM_RECORDING, async (options) => {
+        await this.recordingHandler.handleStartRecording(socket, options);
       });
 
       socket.on('stop-system-recording', async () => {
@@ -105,6 +119,18 @@ class SocketHandler {
         this.eventHandlers.handleClearContext(socket);
       });
 
+      socket.on(SOCKET_EVENTS.FLAG_HALLUCINATION, (data) => {
+        this.eventHandlers.handleFlagHallucination(data, socket);
+      });
+
+      socket.on(SOCKET_EVENTS.RENAME_SPEAKER, (data) => {
+        this.eventHandlers.handleRenameSpeaker(data, socket);
+      });
+
+      socket.on(SOCKET_EVENTS.ASK_MEETING, async (data) => {
+        await this.eventHandlers.handleAskMeeting(data, socket);
+      });
+
       // ==================== DISCONNECT ====================
       socket.on('disconnect', () => {
         this.eventHandlers.handleDisconnect(socket);
@@ -119,17 +145,15 @@ class SocketHandler {
   _getStats() {
     const transcriptionStats = this.services.transcription.getStats();
     const suggestionStats = this.services.suggestion.getStats();
-    const audioStats = this.services.audioService?.getStats() || {
-      isRecording: false,
-      chunkCount: 0,
-      chunkDuration: 0
-    };
+    const translationStats = this.services.translation.getStats();
+    const audioStats = this.services.audioCapture.getStats();
 
     return {
       audio: audioStats,
       transcription: transcriptionStats,
       suggestions: suggestionStats,
-      totalCost: transcriptionStats.totalCost + suggestionStats.totalCost,
+      translation: translationStats,
+      totalCost: transcriptionStats.totalCost + suggestionStats.totalCost + translationStats.totalCost,
       isProcessing: this.state.isProcessing,
       sessionDuration: this.state.sessionStartTime 
         ? Date.now() - this.state.sessionStartTime 
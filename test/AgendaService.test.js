@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAgenda } from '../src/services/AgendaService.js';
+import { ValidationError } from '../src/utils/errorHandler.js';
+
+describe('parseAgenda', () => {
+  it('returns null for an empty agenda', () => {
+    for (const input of [undefined, null, '', [], '  \n ', { items: [] }]) {
+      assert.equal(parseAgenda(input), null, JSON.stringify(input));
+    }
+  });
+
+  it('reads one item per line with list markers and durations', () => {
+    const agenda = parseAgenda('- Budget review - 10 min\n2) Hiring (15m)\n* Roadmap: 20 minutes\nAOB');
+
+    assert.deepEqual(agenda, {
+      items: [
+        { title: 'Budget review', minutes: 10, description: null },
+        { title: 'Hiring', minutes: 15, description: null },
+        { title: 'Roadmap', minutes: 20, description: null },
+        { title: 'AOB', minutes: null, description: null }
+      ],
+      durationMinutes: null
+    });
+  });
+
+  it('accepts item objects and a meeting duration', () => {
+    const agenda = parseAgenda({
+      items: [{ title: ' Demo ', minutes: '7.5', description: ' New onboarding ' }, { title: 'Q&A', minutes: -1 }],
+      durationMinutes: 30
+    });
+
+    assert.deepEqual(agenda.items, [
+      { title: 'Demo', minutes: 7.5, description: 'New onboarding' },
+      { title: 'Q&A', minutes: null, description: null }
+    ]);
+    assert.equal(agenda.durationMinutes, 30);
+  });
+
+  it('skips items without a title', () => {
+    assert.deepEqual(parseAgenda(['Intro', { minutes: 5 }, null, '   ']).items.map(item => item.title), ['Intro']);
+  });
+
+  it('rejects malformed and oversized agendas', () => {
+    assert.throws(() => parseAgenda({ items: 42 }), ValidationError);
+    assert.throws(() => parseAgenda(Array.from({ length: 31 }, (_, i) => `Item ${i}`)), ValidationError);
+  });
+});
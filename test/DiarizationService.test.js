@@ -0,0 +1,36 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import DiarizationService from '../src/services/DiarizationService.js';
+
+// A chunk without audio whose segments carry backend labels
+const labelled = (...labels) => ({
+  audioDuration: labels.length,
+  segments: labels.map((speaker, i) => ({ start: i, end: i + 1, speaker, text: `line ${i}` }))
+});
+
+describe('DiarizationService', () => {
+  it('never adds speakers past the cap for backend labels', () => {
+    const diarization = new DiarizationService({ enabled: true, maxSpeakers: 2 });
+
+    for (let i = 0; i < 3; i++) {
+      const result = labelled('A', 'B', 'C');
+      diarization.assign(result, null);
+      assert.ok(result.segments.every(segment => segment.speaker), 'every segment keeps a speaker');
+    }
+
+    assert.deepEqual(diarization.getSpeakers().map(speaker => speaker.id), ['S1', 'S2']);
+  });
+
+  it('does not carry backend labels from one chunk to the next', () => {
+    const diarization = new DiarizationService({ enabled: true, maxSpeakers: 8 });
+
+    const first = labelled('A', 'B');
+    diarization.assign(first, null);
+    assert.deepEqual(first.segments.map(segment => segment.speaker), ['S1', 'S2']);
+
+    // "A" here is whoever speaks first in this chunk - the conversation continues with S2
+    const second = labelled('A');
+    diarization.assign(second, null);
+    assert.equal(second.speaker, 'S2');
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import HallucinationFilterService from '../src/services/HallucinationFilterService.js';
+import { ValidationError } from '../src/utils/errorHandler.js';
+
+describe('HallucinationFilterService', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hallucination-test-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('rejects exact and substring patterns without letters or digits', () => {
+    const filter = new HallucinationFilterService(path.join(dir, 'rules.json'));
+
+    for (const type of ['exact', 'substring']) {
+      for (const pattern of ['...', '♪ ♪', '?!']) {
+        assert.throws(() => filter.setFilter({ rules: [{ type, pattern }] }), ValidationError, `${type}:${pattern}`);
+      }
+    }
+    // Punctuation is what regex rules are for
+    filter.setFilter({ rules: [{ type: 'regex', pattern: '^[.?!]+$' }] });
+    assert.equal(filter.check('...').isHallucination, true);
+  });
+
+  it('ignores empty patterns in a hand-edited rules file', () => {
+    const filePath = path.join(dir, 'edited.json');
+    fs.writeFileSync(filePath, JSON.stringify({
+      rules: [{ type: 'substring', pattern: '..' }, { type: 'exact', pattern: 'please subscribe' }]
+    }));
+    const filter = new HallucinationFilterService(filePath);
+
+    assert.equal(filter.check('We agreed on the budget.').isHallucination, false);
+    assert.equal(filter.check('Please subscribe!').isHallucination, true);
+  });
+});
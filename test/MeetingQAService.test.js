@@ -0,0 +1,21 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatMeetingTime } from '../src/services/MeetingQAService.js';
+
+describe('formatMeetingTime', () => {
+  it('formats minutes and seconds', () => {
+    assert.equal(formatMeetingTime(0), '0:00');
+    assert.equal(formatMeetingTime(5), '0:05');
+    assert.equal(formatMeetingTime(754.9), '12:34');
+  });
+
+  it('adds hours past the hour', () => {
+    assert.equal(formatMeetingTime(3600), '1:00:00');
+    assert.equal(formatMeetingTime(3723), '1:02:03');
+  });
+
+  it('treats missing or negative times as the meeting start', () => {
+    assert.equal(formatMeetingTime(undefined), '0:00');
+    assert.equal(formatMeetingTime(-3), '0:00');
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PcmRingBuffer } from '../src/utils/PcmRingBuffer.js';
+
+const range = (from, to) => Int16Array.from({ length: to - from }, (_, i) => from + i);
+
+describe('PcmRingBuffer', () => {
+  it('reads back what was written by absolute position', () => {
+    const ring = new PcmRingBuffer(10);
+    ring.write(range(0, 6));
+    assert.equal(ring.start, 0);
+    assert.equal(ring.end, 6);
+    assert.deepEqual(ring.read(2, 5), range(2, 5));
+  });
+
+  it('keeps positions stable across the wrap-around', () => {
+    const ring = new PcmRingBuffer(10);
+    ring.write(range(0, 7));
+    ring.write(range(7, 15));
+    assert.equal(ring.start, 5);
+    assert.deepEqual(ring.read(5, 15), range(5, 15));
+    assert.deepEqual(ring.read(8, 12), range(8, 12));
+  });
+
+  it('skips positions that were already overwritten or not written yet', () => {
+    const ring = new PcmRingBuffer(10);
+    ring.write(range(0, 15));
+    assert.deepEqual(ring.read(0, 8), range(5, 8));
+    assert.deepEqual(ring.read(12, 20), range(12, 15));
+    assert.equal(ring.read(20, 30).length, 0);
+  });
+
+  it('keeps only the newest frames of a write larger than the buffer', () => {
+    const ring = new PcmRingBuffer(4);
+    ring.write(range(0, 9));
+    assert.equal(ring.end, 9);
+    assert.deepEqual(ring.read(0, 9), range(5, 9));
+  });
+
+  it('counts interleaved samples as frames', () => {
+    const ring = new PcmRingBuffer(3, 2);
+    ring.write(range(0, 8)); // 4 stereo frames
+    assert.equal(ring.end, 4);
+    assert.deepEqual(ring.read(1, 4), range(2, 8));
+  });
+
+  it('starts over after reset', () => {
+    const ring = new PcmRingBuffer(4);
+    ring.write(range(0, 3));
+    ring.reset();
+    ring.write(range(10, 12));
+    assert.deepEqual(ring.read(0, 2), range(10, 12));
+  });
+});
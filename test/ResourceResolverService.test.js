@@ -0,0 +1,52 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ResourceResolverService from '../src/services/ResourceResolverService.js';
+import { ValidationError } from '../src/utils/errorHandler.js';
+
+describe('ResourceResolverService', () => {
+  let dir;
+  let resolver;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'resources-test-'));
+    resolver = new ResourceResolverService({
+      enabled: true,
+      allowedDomains: ['docs.example.com'],
+      filePath: path.join(dir, 'resource-index.json')
+    });
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('keeps allowlisted URLs in their serialized form', () => {
+    const [resource] = resolver.resolve([{ title: 'Guide', url: 'https://docs.example.com/a"b c' }]);
+
+    assert.deepEqual(resource, {
+      title: 'Guide',
+      url: 'https://docs.example.com/a%22b%20c',
+      verified: true,
+      source: 'allowlist'
+    });
+  });
+
+  it('drops the URL of resources it cannot verify', () => {
+    const [resource] = resolver.resolve([{ title: 'Something else', url: 'https://evil.example.net/' }]);
+    assert.deepEqual(resource, { title: 'Something else', verified: false, source: null });
+  });
+
+  it('only indexes http and https documents', () => {
+    for (const url of ['javascript:alert(1)', 'data:text/html,hi', 'file:///etc/passwd']) {
+      assert.throws(() => resolver.addDocument({ title: 'Bad', url }), ValidationError, url);
+    }
+
+    assert.deepEqual(resolver.addDocument({ title: 'Setup guide', url: 'http://wiki.example.com/setup' }), [
+      { title: 'Setup guide', url: 'http://wiki.example.com/setup' }
+    ]);
+    assert.equal(resolver.resolve([{ title: 'setup guide' }])[0].url, 'http://wiki.example.com/setup');
+  });
+});
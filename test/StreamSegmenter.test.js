@@ -0,0 +1,97 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import VADService from '../src/services/VADService.js';
+import { StreamSegmenter } from '../src/utils/StreamSegmenter.js';
+
+const SAMPLE_RATE = 16000;
+const FRAME_SECONDS = 512 / SAMPLE_RATE; // VADService frameSize
+
+/**
+ * Synthetic 16-bit PCM: [ms, amplitude, Hz] parts of a tone over faint noise
+ */
+function synthesize(parts) {
+  let seed = 1;
+  const noise = () => ((seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648) * 2 - 1;
+  const samples = [];
+  let t = 0;
+  for (const [ms, amplitude, frequency = 1000] of parts) {
+    for (let i = 0; i < SAMPLE_RATE * ms / 1000; i++, t++) {
+      const value = amplitude * Math.sin(2 * Math.PI * frequency * t / SAMPLE_RATE) + 0.002 * noise();
+      samples.push(Math.round(value * 32767));
+    }
+  }
+  return Int16Array.from(samples);
+}
+
+// Feed 100 ms blocks, as the capture stream does
+function segment(options, pcm) {
+  const segmenter = new StreamSegmenter({ vad: new VADService(), sampleRate: SAMPLE_RATE, ...options });
+  const segments = [];
+  for (let i = 0; i < pcm.length; i += SAMPLE_RATE / 10) {
+    segments.push(...segmenter.push(pcm.subarray(i, i + SAMPLE_RATE / 10)));
+  }
+  const last = segmenter.flush();
+  return (last ? [...segments, last] : segments).map(({ start, end, pcm: audio }) => ({
+    start: start / SAMPLE_RATE,
+    end: end / SAMPLE_RATE,
+    samples: audio.length
+  }));
+}
+
+const assertNear = (actual, expected, message) => {
+  assert.ok(Math.abs(actual - expected) <= FRAME_SECONDS, `${message}: ${actual} is not ~${expected}`);
+};
+
+describe('StreamSegmenter', () => {
+  const options = { minMs: 500, maxMs: 10000, trailingSilenceMs: 600, preRollMs: 200 };
+
+  it('cuts one segment per utterance with pre-roll and a short tail', () => {
+    // 1 s quiet, 1 s speech, 1.5 s quiet, 0.8 s speech, 1.5 s quiet
+    const segments = segment(options, synthesize([[1000, 0], [1000, 0.3], [1500, 0], [800, 0.3], [1500, 0]]));
+
+    assert.equal(segments.length, 2);
+    assertNear(segments[0].start, 0.8, 'first start'); // Onset minus 200 ms pre-roll
+    assertNear(segments[0].end, 2.4, 'first end'); // Speech end + 200 ms hangover + 200 ms tail
+    assertNear(segments[1].start, 3.3, 'second start');
+    assertNear(segments[1].end, 4.7, 'second end');
+    for (const { start, end, samples } of segments) {
+      assert.equal(samples, Math.round((end - start) * SAMPLE_RATE));
+    }
+  });
+
+  it('sends nothing for silence, clicks or low rumble', () => {
+    assert.deepEqual(segment(options, synthesize([[3000, 0]])), []);
+    assert.deepEqual(segment(options, synthesize([[1000, 0], [8, 0.8], [2000, 0]])), []);
+    assert.deepEqual(segment(options, synthesize([[1000, 0], [1500, 0.5, 80], [500, 0]])), []);
+  });
+
+  it('cuts a long utterance at its quietest moment and repeats the overlap', () => {
+    // Speech from 0.5 s with a dip at 2.0-2.1 s, in the second half of a 3 s segment
+    const pcm = synthesize([[500, 0], [1500, 0.3], [100, 0.01], [3000, 0.3], [1000, 0]]);
+    const segments = segment({ minMs: 500, maxMs: 3000, trailingSilenceMs: 600, overlapMs: 300 }, pcm);
+
+    assertNear(segments[0].start, 0.5, 'first start');
+    assert.ok(segments[0].end >= 2.0 && segments[0].end <= 2.1, `cut at ${segments[0].end} is not in the dip`);
+    assertNear(segments[1].start, segments[0].end - 0.3, 'overlap');
+    for (const { start, end } of segments) {
+      assert.ok(end - start <= 3 + FRAME_SECONDS, `segment ${start}-${end} is longer than maxMs`);
+    }
+    assertNear(segments[segments.length - 1].end, 5.5, 'last end');
+  });
+
+  it('joins words after a short pause while the segment is below minMs', () => {
+    // 300 ms of speech, a 700 ms pause, 300 ms more: the first part alone is too short
+    const pcm = synthesize([[500, 0], [300, 0.3], [700, 0], [300, 0.3], [1500, 0]]);
+    const segments = segment({ ...options, minMs: 1500 }, pcm);
+
+    assert.equal(segments.length, 1);
+    assertNear(segments[0].start, 0.3, 'start');
+    assertNear(segments[0].end, 2.2, 'end');
+  });
+
+  it('passes everything through with the gate off', () => {
+    const segments = segment({ ...options, gate: false, maxMs: 2000 }, synthesize([[4000, 0]]));
+    assert.ok(segments.length >= 2);
+    assert.equal(segments[0].start, 0);
+  });
+});
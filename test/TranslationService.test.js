@@ -0,0 +1,30 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import TranslationService from '../src/services/TranslationService.js';
+
+// Chat provider stub answering every request with the same reply
+const replying = (content) => ({
+  name: 'stub',
+  model: 'stub-model',
+  isAvailable: () => true,
+  complete: async () => ({ content, cost: 0 })
+});
+
+describe('TranslationService', () => {
+  it('reads translations wrapped in code fences and prose', async () => {
+    const translation = new TranslationService();
+    translation.setProvider(replying('Here you go:\n```json\n{ "translations": { "de": ["Hallo zusammen", "Los geht\'s"] } }\n```'));
+    translation.configure({ enabled: true, targetLanguages: ['de'] });
+
+    const result = await translation.translate({
+      text: 'Hello everyone. Let\'s start.',
+      language: 'en',
+      segments: [{ start: 0, end: 1, text: 'Hello everyone.' }, { start: 1, end: 2, text: 'Let\'s start.' }]
+    });
+
+    assert.deepEqual(result.de, {
+      text: 'Hallo zusammen Los geht\'s',
+      segments: [{ start: 0, end: 1, text: 'Hallo zusammen' }, { start: 1, end: 2, text: 'Los geht\'s' }]
+    });
+  });
+});
@@ -0,0 +1,150 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import VADService from '../src/services/VADService.js';
+import { buildWav } from '../src/utils/wav.js';
+
+const SAMPLE_RATE = 16000;
+const FRAME_SIZE = 512;
+const FRAME_MS = FRAME_SIZE / SAMPLE_RATE * 1000;
+
+/**
+ * Synthetic 16-bit PCM: [ms, amplitude, Hz] parts of a tone over faint noise
+ */
+function synthesize(parts, noiseLevel = 0.002) {
+  let seed = 1;
+  const noise = () => ((seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648) * 2 - 1;
+  const samples = [];
+  let t = 0;
+  for (const [ms, amplitude, frequency = 1000] of parts) {
+    for (let i = 0; i < SAMPLE_RATE * ms / 1000; i++, t++) {
+      const value = amplitude * Math.sin(2 * Math.PI * frequency * t / SAMPLE_RATE) + noiseLevel * noise();
+      samples.push(Math.round(value * 32767));
+    }
+  }
+  return Int16Array.from(samples);
+}
+
+// One character per frame: v = voiced, h = hangover, . = not speech
+function classify(vad, pcm) {
+  const tracker = vad.createTracker({ sampleRate: SAMPLE_RATE });
+  let decisions = '';
+  for (let i = 0; i + FRAME_SIZE <= pcm.length; i += FRAME_SIZE) {
+    const frame = tracker.push(pcm.subarray(i, i + FRAME_SIZE));
+    decisions += frame.voiced ? 'v' : frame.isSpeech ? 'h' : '.';
+  }
+  return decisions;
+}
+
+describe('VADService frame analysis', () => {
+  const vad = new VADService();
+
+  it('marks speech-band frames above the noise floor as speech', () => {
+    const decisions = classify(vad, synthesize([[1000, 0], [500, 0.3], [1000, 0]]));
+    const firstVoiced = decisions.indexOf('v');
+
+    assert.ok(Math.abs(firstVoiced * FRAME_MS - 1000) <= FRAME_MS, `speech starts at frame ${firstVoiced}`);
+    assert.match(decisions, /^\.+v+h+\.+$/);
+    // Hangover bridges ~200 ms after the last voiced frame
+    assert.equal(decisions.match(/h+/)[0].length, Math.round(200 / FRAME_MS));
+  });
+
+  it('ignores rumble below the speech band, however loud', () => {
+    // Only the step where the rumble starts splatters into the band, for one frame
+    assert.doesNotMatch(classify(vad, synthesize([[1000, 0], [1500, 0.5, 80], [500, 0]])), /vv|h/);
+  });
+
+  it('gives a single-frame click no hangover', () => {
+    const decisions = classify(vad, synthesize([[1000, 0], [8, 0.8], [1000, 0]]));
+    assert.doesNotMatch(decisions, /h/);
+    assert.ok(decisions.split('v').length - 1 <= 1);
+  });
+
+  it('raises the noise floor under steady in-band noise', () => {
+    const tracker = vad.createTracker({ sampleRate: SAMPLE_RATE });
+    const pcm = synthesize([[6000, 0.05, 500]]);
+    const frames = [];
+    for (let i = 0; i + FRAME_SIZE <= pcm.length; i += FRAME_SIZE) {
+      frames.push(tracker.push(pcm.subarray(i, i + FRAME_SIZE)));
+    }
+
+    // The first frame sets the floor, so the steady tone never passes as speech
+    assert.ok(frames.every(frame => !frame.voiced));
+    assert.ok(frames[frames.length - 1].noiseFloor > 0.01);
+  });
+
+  it('averages interleaved channels into one frame', () => {
+    const stereo = new Int16Array(FRAME_SIZE * 2);
+    const mono = synthesize([[FRAME_MS, 0.3]]).subarray(0, FRAME_SIZE);
+    mono.forEach((value, i) => {
+      stereo[i * 2] = value;
+      stereo[i * 2 + 1] = value;
+    });
+
+    const a = vad.createTracker({ sampleRate: SAMPLE_RATE, noiseFloor: 0.001 }).push(mono);
+    const b = vad.createTracker({ sampleRate: SAMPLE_RATE, channels: 2, noiseFloor: 0.001 }).push(stereo);
+    assert.equal(b.energy, a.energy);
+    assert.equal(b.bandEnergy, a.bandEnergy);
+  });
+});
+
+describe('VADService.analyzeAudio', () => {
+  const vad = new VADService();
+  let dir;
+
+  const writeWav = (name, pcm) => {
+    const file = path.join(dir, name);
+    const data = Buffer.from(pcm.buffer, pcm.byteOffset, pcm.byteLength);
+    fs.writeFileSync(file, buildWav(data, { sampleRate: SAMPLE_RATE, channels: 1, bitsPerSample: 16 }));
+    return file;
+  };
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vad-test-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('returns the speech regions of a file in ms', async () => {
+    vad.reset();
+    const file = writeWav('speech.wav', synthesize([[1000, 0], [600, 0.3], [800, 0], [400, 0.3], [500, 0]]));
+    const result = await vad.analyzeAudio(file, true, 'remote');
+
+    assert.equal(result.hasVoice, true);
+    assert.equal(result.reason, 'speech_detected');
+    assert.equal(result.regions.length, 2);
+    assert.ok(Math.abs(result.regions[0].start - 1000) <= FRAME_MS);
+    assert.ok(Math.abs(result.regions[1].start - 2400) <= FRAME_MS);
+    // Regions include the hangover after speech
+    assert.ok(Math.abs(result.regions[0].end - 1800) <= 2 * FRAME_MS);
+    assert.ok(result.confidence > 0.5);
+  });
+
+  it('skips silent files with the quick check', async () => {
+    const file = writeWav('silence.wav', synthesize([[1000, 0]], 0.0002));
+    const result = await vad.analyzeAudio(file);
+    assert.equal(result.hasVoice, false);
+    assert.equal(result.reason, 'quick_check_low_energy');
+  });
+
+  it('reports loud out-of-band noise as noise', async () => {
+    vad.reset();
+    const file = writeWav('rumble.wav', synthesize([[2000, 0.5, 80]]));
+    const result = await vad.analyzeAudio(file, true, 'remote');
+    assert.equal(result.hasVoice, false);
+    assert.equal(result.reason, 'noise_only');
+  });
+
+  it('rejects speech shorter than minSpeechDuration', async () => {
+    // 100 ms of speech is ~300 ms with hangover
+    const strict = new VADService({ minSpeechDuration: 500 });
+    const file = writeWav('short.wav', synthesize([[1000, 0], [100, 0.3], [1000, 0]]));
+    const result = await strict.analyzeAudio(file, true, 'remote');
+    assert.equal(result.hasVoice, false);
+    assert.equal(result.reason, 'too_short');
+  });
+});
@@ -0,0 +1,21 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreTranscription } from '../src/services/transcription/confidence.js';
+
+describe('scoreTranscription', () => {
+  it('blends decoder metrics with the VAD confidence', () => {
+    const { confidence, segments } = scoreTranscription([
+      { text: 'We ship on Friday', avgLogprob: Math.log(0.9), noSpeechProb: 0 }
+    ], 0.5);
+
+    assert.equal(segments[0].confidence, 0.9);
+    assert.equal(confidence, 0.82);
+  });
+
+  it('has no score without decoder metrics, whatever VAD says', () => {
+    const { confidence, segments } = scoreTranscription([{ text: 'Plain text output' }], 0.95);
+
+    assert.equal(confidence, null);
+    assert.equal(segments[0].confidence, undefined);
+  });
+});
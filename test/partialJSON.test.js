@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePartialJSON } from '../src/utils/partialJSON.js';
+
+const COMPLETE = JSON.stringify({
+  questions: ['What is the deadline?', 'Who owns "billing"?'],
+  resources: [{ title: 'API guide', url: 'https://docs.acme.io/api' }],
+  score: 0.75,
+  done: true
+});
+
+describe('parsePartialJSON', () => {
+  it('returns null before an object starts', () => {
+    assert.equal(parsePartialJSON(''), null);
+    assert.equal(parsePartialJSON('Here you go: '), null);
+  });
+
+  it('parses every prefix of a streamed reply into an object or null', () => {
+    for (let length = 1; length <= COMPLETE.length; length++) {
+      const parsed = parsePartialJSON(COMPLETE.slice(0, length));
+      assert.ok(parsed === null || (typeof parsed === 'object' && !Array.isArray(parsed)), `prefix ${length}`);
+    }
+  });
+
+  it('parses the complete reply exactly', () => {
+    assert.deepEqual(parsePartialJSON(COMPLETE), JSON.parse(COMPLETE));
+  });
+
+  it('keeps an unfinished string as far as it has arrived', () => {
+    assert.deepEqual(parsePartialJSON('{"questions": ["What is the dead'), { questions: ['What is the dead'] });
+  });
+
+  it('does not let a dangling escape swallow the closing quote', () => {
+    assert.deepEqual(parsePartialJSON('{"questions": ["Who owns \\'), { questions: ['Who owns '] });
+  });
+
+  it('drops a key that has no value yet', () => {
+    assert.deepEqual(parsePartialJSON('{"questions": ["a"], "resources":'), { questions: ['a'] });
+    assert.deepEqual(parsePartialJSON('{"questions": ["a"], "resou'), { questions: ['a'] });
+  });
+
+  it('drops a half-written literal', () => {
+    assert.deepEqual(parsePartialJSON('{"questions": ["a"], "done": tr'), { questions: ['a'] });
+  });
+
+  it('closes nested objects and arrays', () => {
+    assert.deepEqual(
+      parsePartialJSON('{"resources": [{"title": "API guide", "url": "https://docs'),
+      { resources: [{ title: 'API guide', url: 'https://docs' }] }
+    );
+  });
+});
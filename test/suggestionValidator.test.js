@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseSuggestionContent,
+  isFabricatedUrl,
+  normalizeSuggestion,
+  validateSuggestionOutput
+} from '../src/utils/suggestionValidator.js';
+
+const SECTIONS = [
+  { key: 'insights', type: 'list' },
+  { key: 'questions', type: 'list' },
+  { key: 'resources', type: 'resources' }
+];
+
+describe('parseSuggestionContent', () => {
+  it('parses a reply wrapped in a Markdown fence', () => {
+    assert.deepEqual(parseSuggestionContent('```json\n{"questions": ["Why?"]}\n```'), { questions: ['Why?'] });
+  });
+
+  it('finds the object inside surrounding prose', () => {
+    assert.deepEqual(parseSuggestionContent('Sure! {"questions": []} Hope that helps.'), { questions: [] });
+  });
+
+  it('throws when there is no JSON object', () => {
+    assert.throws(() => parseSuggestionContent('no idea'), SyntaxError);
+  });
+});
+
+describe('isFabricatedUrl', () => {
+  it('accepts real http(s) links', () => {
+    assert.equal(isFabricatedUrl('https://docs.acme.io/api'), false);
+  });
+
+  it('rejects placeholders and non-web links', () => {
+    for (const url of ['https://example.com/docs', 'https://docs.yourcompany.com', 'https://acme.io/{id}',
+      'https://acme.io/...', 'ftp://files.acme.io', 'http://intranet', 'not a url', '']) {
+      assert.equal(isFabricatedUrl(url), true, url);
+    }
+  });
+});
+
+describe('normalizeSuggestion', () => {
+  it('renames field aliases onto the declared sections', () => {
+    const { suggestion, repairs } = normalizeSuggestion({
+      keyInsights: ['Budget is tight'],
+      'follow-up questions': ['Who signs off?'],
+      links: [{ title: 'Pricing', url: 'https://acme.io/pricing' }]
+    }, SECTIONS);
+
+    assert.deepEqual(suggestion, {
+      insights: ['Budget is tight'],
+      questions: ['Who signs off?'],
+      resources: [{ title: 'Pricing', url: 'https://acme.io/pricing' }]
+    });
+    assert.equal(repairs.length, 3);
+  });
+
+  it('prefers a declared field over an alias', () => {
+    const { suggestion } = normalizeSuggestion({ questions: ['Real'], question: 'Alias' }, SECTIONS);
+    assert.deepEqual(suggestion.questions, ['Real']);
+  });
+
+  it('drops placeholder URLs but keeps the resource title', () => {
+    const { suggestion, repairs } = normalizeSuggestion({
+      resources: [{ name: 'Style guide', link: 'https://example.com/style', desc: 'House style' }]
+    }, SECTIONS);
+
+    assert.deepEqual(suggestion.resources, [{ title: 'Style guide', description: 'House style' }]);
+    assert.match(repairs.join('\n'), /dropped placeholder URL/);
+  });
+
+  it('keeps knowledge-base citations to the local server', () => {
+    const citation = { title: 'Notes', url: 'http://localhost:3000/kb/1', verified: true, source: 'knowledge-base' };
+    const { suggestion } = normalizeSuggestion({ resources: [citation] }, SECTIONS);
+    assert.deepEqual(suggestion.resources, [citation]);
+  });
+
+  it('coerces list entries and wraps single values', () => {
+    const { suggestion, missing } = normalizeSuggestion({
+      questions: 'Only one?',
+      insights: [{ text: 'Churn is up', owner: 'Sam' }, 'Churn is up', '', 42]
+    }, SECTIONS);
+
+    assert.deepEqual(suggestion.questions, ['Only one?']);
+    assert.deepEqual(suggestion.insights, ['Churn is up (Sam)', 'Churn is up', '42']);
+    assert.deepEqual(missing, ['resources']);
+  });
+});
+
+describe('validateSuggestionOutput', () => {
+  it('accepts a reply with at least one declared section', () => {
+    const result = validateSuggestionOutput('{"questions": ["Why?"]}', SECTIONS);
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.suggestion, { insights: [], questions: ['Why?'], resources: [] });
+  });
+
+  it('rejects replies that are not JSON or have none of the sections', () => {
+    for (const content of ['sorry, I cannot help', '[1, 2]', '{"summary": "A meeting"}']) {
+      const result = validateSuggestionOutput(content, SECTIONS);
+      assert.equal(result.valid, false, content);
+      assert.equal(result.errors.length, 1);
+      assert.deepEqual(result.suggestion, { insights: [], questions: [], resources: [] });
+    }
+  });
+});
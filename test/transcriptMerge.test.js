@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { findOverlapLength, mergeOverlappingTranscript } from '../src/utils/transcriptMerge.js';
+
+const words = (text) => text.split(' ');
+
+describe('findOverlapLength', () => {
+  it('finds the words repeated from the end of the previous transcript', () => {
+    assert.equal(findOverlapLength(words('we should ship the new release'), words('the new release on Friday')), 3);
+  });
+
+  it('skips a leading fragment of a word cut by the overlap edge', () => {
+    assert.equal(findOverlapLength(words('ship the new release'), words('ase the new release on Friday')), 4);
+  });
+
+  it('ignores a single short word that repeats by chance', () => {
+    assert.equal(findOverlapLength(words('talk to the'), words('the team tomorrow')), 0);
+  });
+
+  it('trusts a single longer word', () => {
+    assert.equal(findOverlapLength(words('check the budget'), words('Budget, then hiring')), 1);
+  });
+});
+
+describe('mergeOverlappingTranscript', () => {
+  it('keeps the first transcript as it is', () => {
+    const current = { text: 'hello everyone', segments: [], offset: 0 };
+    assert.deepEqual(mergeOverlappingTranscript(null, current), {
+      text: 'hello everyone', segments: [], words: [], removedWords: 0
+    });
+  });
+
+  it('drops segments inside the already emitted time range', () => {
+    const previous = { text: 'the budget is approved', end: 10 };
+    const current = {
+      text: 'is approved next we talk hiring',
+      offset: 9,
+      segments: [
+        { start: 9, end: 10, text: 'is approved' },
+        { start: 10, end: 12, text: 'next we talk hiring' }
+      ]
+    };
+
+    const merged = mergeOverlappingTranscript(previous, current);
+    assert.equal(merged.text, 'next we talk hiring');
+    assert.deepEqual(merged.segments, [{ start: 10, end: 12, text: 'next we talk hiring' }]);
+    assert.equal(merged.removedWords, 2);
+  });
+
+  it('trims repeated words by text alignment when segments straddle the edge', () => {
+    const previous = { text: 'the budget is approved', end: 10 };
+    const current = {
+      text: 'is approved so next we talk hiring',
+      offset: 9.5,
+      segments: [{ start: 9.5, end: 12, text: 'is approved so next we talk hiring' }]
+    };
+
+    const merged = mergeOverlappingTranscript(previous, current);
+    assert.equal(merged.text, 'so next we talk hiring');
+    assert.equal(merged.segments[0].text, 'so next we talk hiring');
+    assert.equal(merged.removedWords, 2);
+  });
+
+  it('aligns by text alone when there are no timestamps', () => {
+    const merged = mergeOverlappingTranscript(
+      { text: 'we should ship the new release' },
+      { text: 'the new release on Friday' }
+    );
+    assert.equal(merged.text, 'on Friday');
+    assert.equal(merged.removedWords, 3);
+  });
+
+  it('keeps words repeated after a pause when the chunks share no audio', () => {
+    const merged = mergeOverlappingTranscript(
+      { text: 'can you hear me', end: 20 },
+      { text: 'hear me now', offset: 21, segments: [{ start: 21, end: 22, text: 'hear me now' }] }
+    );
+    assert.equal(merged.text, 'hear me now');
+    assert.equal(merged.removedWords, 0);
+  });
+});